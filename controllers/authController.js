@@ -1,7 +1,9 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const availabilityTemplateService = require('../services/availabilityTemplateService');
 const { validationResult } = require('express-validator');
 const crypto = require('crypto');
+const { isValidTimeZone } = require('../utils/timezone');
 
 // Environment validation is done in server.js on startup
 
@@ -315,13 +317,20 @@ exports.logout = async (req, res) => {
 // Update user profile
 exports.updateProfile = async (req, res) => {
   try {
-    const { name, phone, bio, location, social, role, providerDetails, profile } = req.body;
+    const { name, phone, bio, location, social, role, providerDetails, profile, timezone } = req.body;
 
     const updateData = {};
 
     // Handle top-level fields
     if (name) updateData.name = name;
     if (phone) updateData.phone = phone;
+    if (timezone) {
+      // Existing bookings keep the timezone they were made in
+      if (!isValidTimeZone(timezone)) {
+        return res.status(400).json({ error: 'Timezone must be a valid IANA timezone, e.g. Africa/Lagos' });
+      }
+      updateData.timezone = timezone;
+    }
     if (role && ['customer', 'provider'].includes(role)) {
       updateData.role = role;
     }
@@ -381,6 +390,10 @@ exports.updateProfile = async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
+    if (providerDetails?.availability) {
+      await availabilityTemplateService.onProfileScheduleChanged(user._id);
+    }
+
     res.json({
       success: true,
       data: {
@@ -1,5 +1,15 @@
 const Availability = require('../models/Availability');
 const Booking = require('../models/Booking');
+const availabilityService = require('../services/availabilityService');
+const availabilityTemplateService = require('../services/availabilityTemplateService');
+const availabilitySearchService = require('../services/availabilitySearchService');
+const waitlistService = require('../services/waitlistService');
+const timeOffService = require('../services/timeOffService');
+const { validationResult } = require('express-validator');
+const { DEFAULT_TIMEZONE, toCalendarDate, getCalendarDateInZone, addCalendarDays } = require('../utils/timezone');
+
+// Longest range getAvailabilityRange will generate days for
+const MAX_RANGE_DAYS = 90;
 
 // Get provider availability for a specific date
 exports.getAvailability = async (req, res) => {
@@ -10,28 +20,20 @@ exports.getAvailability = async (req, res) => {
       return res.status(400).json({ error: 'Provider ID is required' });
     }
 
-    const queryDate = date ? new Date(date) : new Date();
-    // Normalize to start of day
-    queryDate.setHours(0, 0, 0, 0);
+    // Days are in the provider's timezone; default to their today
+    const timeZone = await availabilityTemplateService.getTimeZone(providerId);
+    const day = date ? toCalendarDate(date) : getCalendarDateInZone(new Date(), timeZone);
 
-    let availability = await Availability.findOne({
-      provider: providerId,
-      date: queryDate
-    }).populate('provider', 'name profile.avatar');
+    // Generated from the provider's weekly template the first time the day is requested
+    const availability = await availabilityService.getOrCreateDay(providerId, day);
+    await availability.populate('provider', 'name profile.avatar');
 
-    if (!availability) {
-      // Create default availability if none exists
-      availability = await Availability.create({
-        provider: providerId,
-        date: queryDate,
-        slots: generateDefaultSlots(),
-        isAvailable: true
-      });
-    }
+    // Slots covered by time off or holidays are marked `isBlocked`
+    const [annotated] = await timeOffService.annotateDays(providerId, [availability]);
 
     res.json({
       success: true,
-      data: availability
+      data: annotated
     });
   } catch (error) {
     console.error('Get availability error:', error);
@@ -48,30 +50,26 @@ exports.getAvailabilityRange = async (req, res) => {
       return res.status(400).json({ error: 'Provider ID is required' });
     }
 
-    const start = startDate ? new Date(startDate) : new Date();
-    const end = endDate ? new Date(endDate) : new Date(Date.now() + 14 * 24 * 60 * 60 * 1000); // Next 14 days
+    // Calendar days in the provider's timezone
+    const timeZone = await availabilityTemplateService.getTimeZone(providerId);
+    const start = startDate ? toCalendarDate(startDate) : getCalendarDateInZone(new Date(), timeZone);
+    const end = endDate ? toCalendarDate(endDate) : addCalendarDays(start, 14); // Next 14 days
 
-    // Normalize dates to start of day
-    start.setHours(0, 0, 0, 0);
-    end.setHours(23, 59, 59, 999);
+    const dateRange = generateDateRange(start, end);
+    if (dateRange.length > MAX_RANGE_DAYS) {
+      return res.status(400).json({ error: `Date range cannot exceed ${MAX_RANGE_DAYS} days` });
+    }
 
-    let availability = await Availability.find({
+    const availability = await Availability.find({
       provider: providerId,
       date: { $gte: start, $lte: end }
     }).populate('provider', 'name profile.avatar');
 
-    // Generate availability for dates that don't exist yet
-    const dateRange = generateDateRange(start, end);
+    // Generate days that don't exist yet from the provider's weekly template
     for (const date of dateRange) {
-      const existing = availability.find(av => new Date(av.date).toDateString() === date.toDateString());
+      const existing = availability.find(av => toCalendarDate(av.date).getTime() === date.getTime());
       if (!existing) {
-        const newAv = await Availability.create({
-          provider: providerId,
-          date,
-          slots: generateDefaultSlots(),
-          isAvailable: true
-        });
-        availability.push(newAv);
+        availability.push(await availabilityService.getOrCreateDay(providerId, date));
       }
     }
 
@@ -80,7 +78,7 @@ exports.getAvailabilityRange = async (req, res) => {
 
     res.json({
       success: true,
-      data: availability
+      data: await timeOffService.annotateDays(providerId, availability)
     });
   } catch (error) {
     console.error('Get availability range error:', error);
@@ -88,6 +86,52 @@ exports.getAvailabilityRange = async (req, res) => {
   }
 };
 
+// Find providers of a category near a location with free time for a job
+exports.searchAvailability = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array(), error: 'Validation failed' });
+    }
+
+    const { category, location, radius, date, days, from, to, duration, limit } = req.query;
+
+    // Location is "lng,lat", as in service search
+    let coordinates;
+    if (location) {
+      const [lng, lat] = location.split(',').map(Number);
+      if (!(Math.abs(lng) <= 180 && Math.abs(lat) <= 90)) {
+        return res.status(400).json({ error: 'Location must be "longitude,latitude"' });
+      }
+      coordinates = [lng, lat];
+    }
+
+    const results = await availabilitySearchService.search({
+      category,
+      coordinates,
+      radiusKm: radius !== undefined ? Number(radius) : undefined,
+      date: date ? toCalendarDate(date) : getCalendarDateInZone(new Date(), DEFAULT_TIMEZONE),
+      days: days !== undefined ? parseInt(days) : undefined,
+      from,
+      to,
+      duration: parseInt(duration),
+      limit: limit !== undefined ? parseInt(limit) : undefined
+    });
+
+    res.json({
+      success: true,
+      count: results.length,
+      data: results
+    });
+  } catch (error) {
+    console.error('Search availability error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
 // Update provider availability
 exports.updateAvailability = async (req, res) => {
   try {
@@ -98,8 +142,7 @@ exports.updateAvailability = async (req, res) => {
       return res.status(400).json({ error: 'Date is required' });
     }
 
-    const queryDate = new Date(date);
-    queryDate.setHours(0, 0, 0, 0);
+    const queryDate = toCalendarDate(date);
 
     let availability = await Availability.findOne({
       provider: providerId,
@@ -107,21 +150,44 @@ exports.updateAvailability = async (req, res) => {
     });
 
     if (!availability) {
-      // Create new availability for the date
+      // Create an override for the date, starting from the template's slots
+      const template = await availabilityTemplateService.getTemplate(providerId);
+      const generated = availabilityTemplateService.buildDay(template, queryDate);
+
       availability = await Availability.create({
         provider: providerId,
         date: queryDate,
-        slots: slots || generateDefaultSlots(),
-        isAvailable: isAvailable !== undefined ? isAvailable : true
+        slots: slots || generated.slots,
+        isAvailable: isAvailable !== undefined ? isAvailable : true,
+        bufferMinutes: generated.bufferMinutes,
+        source: 'override'
       });
     } else {
       // Update existing availability
       if (slots !== undefined) {
-        availability.slots = slots;
+        // Slots reserved by bookings must survive the update
+        const keyOf = slot => `${slot.startTime}-${slot.endTime}`;
+        const booked = availability.slots.filter(slot => slot.isBooked && slot.bookingId);
+        const incoming = new Map(slots.map(slot => [keyOf(slot), slot]));
+
+        const removed = booked.filter(slot => !incoming.has(keyOf(slot)));
+        if (removed.length > 0) {
+          return res.status(409).json({
+            error: 'Cannot remove slots that are reserved by bookings',
+            slots: removed.map(slot => ({ startTime: slot.startTime, endTime: slot.endTime, bookingId: slot.bookingId }))
+          });
+        }
+
+        booked.forEach(slot => {
+          Object.assign(incoming.get(keyOf(slot)), { isBooked: true, bookingId: slot.bookingId });
+        });
+        availability.slots = [...incoming.values()];
       }
       if (isAvailable !== undefined) {
         availability.isAvailable = isAvailable;
       }
+      // Edited days take precedence over the template from now on
+      availability.source = 'override';
       await availability.save();
     }
 
@@ -135,6 +201,111 @@ exports.updateAvailability = async (req, res) => {
   }
 };
 
+// Clear a per-date override so the day follows the weekly template again
+exports.resetAvailability = async (req, res) => {
+  try {
+    const { date } = req.query;
+    const providerId = req.user._id;
+
+    if (!date) {
+      return res.status(400).json({ error: 'Date is required' });
+    }
+
+    const queryDate = toCalendarDate(date);
+
+    const availability = await Availability.findOne({
+      provider: providerId,
+      date: queryDate
+    });
+
+    const template = await availabilityTemplateService.getTemplate(providerId);
+    const generated = availabilityTemplateService.buildDay(template, queryDate);
+
+    if (!availability) {
+      return res.json({
+        success: true,
+        data: await availabilityService.getOrCreateDay(providerId, queryDate)
+      });
+    }
+
+    // Slots reserved by bookings must exist in the template's day
+    const keyOf = slot => `${slot.startTime}-${slot.endTime}`;
+    const booked = availability.slots.filter(slot => slot.isBooked && slot.bookingId);
+    const templateSlots = new Map(generated.slots.map(slot => [keyOf(slot), slot]));
+
+    const missing = booked.filter(slot => !templateSlots.has(keyOf(slot)));
+    if (missing.length > 0) {
+      return res.status(409).json({
+        error: 'The template does not include slots that are reserved by bookings on this date',
+        slots: missing.map(slot => ({ startTime: slot.startTime, endTime: slot.endTime, bookingId: slot.bookingId }))
+      });
+    }
+
+    booked.forEach(slot => {
+      Object.assign(templateSlots.get(keyOf(slot)), { isBooked: true, bookingId: slot.bookingId });
+    });
+
+    availability.slots = [...templateSlots.values()];
+    availability.isAvailable = generated.isAvailable || booked.length > 0;
+    availability.bufferMinutes = generated.bufferMinutes;
+    availability.source = 'template';
+    await availability.save();
+
+    res.json({
+      success: true,
+      data: availability
+    });
+  } catch (error) {
+    console.error('Reset availability error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Get the current provider's weekly availability template
+exports.getTemplate = async (req, res) => {
+  try {
+    const template = await availabilityTemplateService.getTemplate(req.user._id);
+
+    res.json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    console.error('Get availability template error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Create or replace the current provider's weekly availability template
+exports.updateTemplate = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array(), error: 'Validation failed' });
+    }
+
+    const { slotLength, bufferMinutes, weekly } = req.body;
+
+    const { template, regenerated } = await availabilityTemplateService.saveTemplate(req.user._id, {
+      slotLength,
+      bufferMinutes,
+      weekly
+    });
+
+    res.json({
+      success: true,
+      message: `Template saved; ${regenerated} upcoming day(s) will be regenerated from it`,
+      data: template
+    });
+  } catch (error) {
+    console.error('Update availability template error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
 // Mark a specific time slot as booked
 exports.bookSlot = async (req, res) => {
   try {
@@ -145,8 +316,7 @@ exports.bookSlot = async (req, res) => {
       return res.status(400).json({ error: 'Date, start time, and booking ID are required' });
     }
 
-    const queryDate = new Date(date);
-    queryDate.setHours(0, 0, 0, 0);
+    const queryDate = toCalendarDate(date);
 
     const availability = await Availability.findOne({
       provider: providerId,
@@ -181,7 +351,7 @@ exports.bookSlot = async (req, res) => {
   }
 };
 
-// Mark a specific time slot as unbooked (when booking is cancelled)
+// Mark a specific time slot as unbooked
 exports.unbookSlot = async (req, res) => {
   try {
     const { date, startTime, bookingId } = req.body;
@@ -191,8 +361,7 @@ exports.unbookSlot = async (req, res) => {
       return res.status(400).json({ error: 'Date, start time, and booking ID are required' });
     }
 
-    const queryDate = new Date(date);
-    queryDate.setHours(0, 0, 0, 0);
+    const queryDate = toCalendarDate(date);
 
     const availability = await Availability.findOne({
       provider: providerId,
@@ -216,6 +385,9 @@ exports.unbookSlot = async (req, res) => {
 
     await availability.save();
 
+    // The freed slot is offered to the provider's waitlist
+    waitlistService.onSlotsFreed(providerId);
+
     res.json({
       success: true,
       data: availability
@@ -226,30 +398,14 @@ exports.unbookSlot = async (req, res) => {
   }
 };
 
-// Helper function to generate default time slots (every hour from 8 AM to 8 PM)
-function generateDefaultSlots() {
-  const slots = [];
-  for (let hour = 8; hour < 20; hour++) {
-    const startTime = hour.toString().padStart(2, '0') + ':00';
-    const endTime = (hour + 1).toString().padStart(2, '0') + ':00';
-    slots.push({
-      startTime,
-      endTime,
-      isBooked: false,
-      bookingId: null
-    });
-  }
-  return slots;
-}
-
 // Helper function to generate date range
 function generateDateRange(startDate, endDate) {
   const dates = [];
-  const currentDate = new Date(startDate);
+  let currentDate = toCalendarDate(startDate);
   
   while (currentDate <= endDate) {
-    dates.push(new Date(currentDate));
-    currentDate.setDate(currentDate.getDate() + 1);
+    dates.push(currentDate);
+    currentDate = addCalendarDays(currentDate, 1);
   }
   
   return dates;
@@ -1,50 +1,93 @@
+const mongoose = require('mongoose');
 const Booking = require('../models/Booking');
 const User = require('../models/User');
 const Service = require('../models/Service');
 const Notification = require('../models/Notification');
 const emailService = require('../services/emailService');
+const escrowService = require('../services/escrowService');
+const refundService = require('../services/refundService');
+const cancellationPolicyService = require('../services/cancellationPolicyService');
+const bookingStateService = require('../services/bookingStateService');
+const availabilityService = require('../services/availabilityService');
+const bookingSeriesService = require('../services/bookingSeriesService');
+const rescheduleService = require('../services/rescheduleService');
+const bookingExpiryService = require('../services/bookingExpiryService');
+const calendarService = require('../services/calendarService');
+const jobCheckInService = require('../services/jobCheckInService');
+const bookingItemsService = require('../services/bookingItemsService');
+const waitlistService = require('../services/waitlistService');
+const BookingSeries = require('../models/BookingSeries');
+const { validationResult } = require('express-validator');
 
 // Create a new booking
 exports.createBooking = async (req, res) => {
   try {
-    const { service: serviceId, date, time, duration, notes, address, totalAmount } = req.body;
-
-    // Validate service exists and is active
-    const service = await Service.findById(serviceId);
-    if (!service || !service.isActive) {
-      return res.status(404).json({ error: 'Service not found or inactive' });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array(), error: 'Validation failed' });
     }
 
-    // Check if provider and customer are the same
-    if (service.provider.toString() === req.user._id.toString()) {
-      return res.status(400).json({ error: 'Cannot book your own service' });
-    }
+    const { service: serviceId, items, date, time, notes, address } = req.body;
+    let { duration, totalAmount } = req.body;
 
-    // Check if booking already exists at the same time
-    const existingBooking = await Booking.findOne({
-      provider: service.provider,
-      date: new Date(date),
-      time,
-      status: { $in: ['pending', 'confirmed', 'in_progress'] }
-    });
+    let service;
+    let cart = null;
+    if (items) {
+      // Several services in one visit; amount and duration come from the services
+      cart = await bookingItemsService.priceItems(req.user, items);
+      ({ service, duration, totalAmount } = cart);
+    } else {
+      // Validate service exists and is active
+      service = await Service.findById(serviceId);
+      if (!service || !service.isActive) {
+        return res.status(404).json({ error: 'Service not found or inactive' });
+      }
+
+      // Check if provider and customer are the same
+      if (service.provider.toString() === req.user._id.toString()) {
+        return res.status(400).json({ error: 'Cannot book your own service' });
+      }
+
+      // Negotiable services have no fixed price; they are booked by accepting a quote
+      if (service.priceType === 'negotiable') {
+        return res.status(400).json({ error: 'This service is priced by quote. Request a quote instead.' });
+      }
+    }
 
-    if (existingBooking) {
-      return res.status(400).json({ error: 'Provider is not available at this time' });
+    if (req.body.recurrence) {
+      return await createRecurringBooking(req, res, service, cart);
     }
 
     const booking = new Booking({
       customer: req.user._id,
       provider: service.provider,
-      service: serviceId,
+      service: service._id,
+      items: cart ? cart.items : [],
       date: new Date(date),
       time,
       duration,
       notes,
       address,
-      totalAmount
+      totalAmount,
+      currency: service.currency || 'NGN'
     });
 
-    await booking.save();
+    // Create the booking and reserve the provider's slots together;
+    // a concurrent booking of an overlapping time makes this fail with 409
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      await booking.save({ session });
+      await availabilityService.reserveSlots(booking, session);
+
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
 
     // Populate the booking for response
     await booking.populate('service', 'name price provider');
@@ -55,7 +98,7 @@ exports.createBooking = async (req, res) => {
     await Notification.create({
       user: service.provider,
       title: 'New Booking Request',
-      message: `${booking.customer.name} wants to book your service "${service.name}" on ${date} at ${time}`,
+      message: `${booking.customer.name} wants to book ${cart ? 'your services' : 'your service'} "${bookingItemsService.describe(booking)}" on ${date} at ${time}`,
       type: 'booking',
       data: {
         bookingId: booking._id,
@@ -69,11 +112,14 @@ exports.createBooking = async (req, res) => {
         _id: booking._id,
         date: booking.date,
         time: booking.time,
+        timezone: booking.timezone,
         address: booking.address,
         notes: booking.notes,
         totalAmount: booking.totalAmount,
+        currency: booking.currency,
+        items: booking.items,
         customerName: booking.customer.name,
-        serviceName: service.name
+        serviceName: bookingItemsService.describe(booking)
       };
 
       emailService.sendNewBookingNotification(
@@ -92,6 +138,12 @@ exports.createBooking = async (req, res) => {
     });
   } catch (error) {
     console.error('Create booking error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message,
+        ...(error.conflicts && { conflicts: error.conflicts })
+      });
+    }
     res.status(500).json({ error: 'Server error' });
   }
 };
@@ -175,113 +227,131 @@ exports.getBookingById = async (req, res) => {
 // Update booking status
 exports.updateBookingStatus = async (req, res) => {
   try {
-    const { status, newDate, newTime } = req.body;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array(), error: 'Validation failed' });
+    }
+
+    const { status, newDate, newTime, reason } = req.body;
     const validStatuses = ['confirmed', 'in_progress', 'completed', 'cancelled', 'rejected'];
 
     if (!validStatuses.includes(status)) {
       return res.status(400).json({ error: 'Invalid status' });
     }
 
-    const booking = await Booking.findById(req.params.id);
+    let booking = await Booking.findById(req.params.id);
 
     if (!booking) {
       return res.status(404).json({ error: 'Booking not found' });
     }
 
-    // Check if user is the provider or customer
-    if (
-      booking.provider.toString() !== req.user._id.toString() &&
-      booking.customer.toString() !== req.user._id.toString()
-    ) {
+    // Check if user is the provider, the customer or an admin
+    const role = bookingStateService.getActorRole(booking, req.user);
+    if (!role) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
-    // Only provider can confirm/reject, only customer can cancel
-    if (
-      (status === 'confirmed' || status === 'rejected') &&
-      booking.provider.toString() !== req.user._id.toString()
-    ) {
-      return res.status(403).json({ error: 'Only provider can update status to confirmed/rejected' });
+    // Providers start and finish jobs by checking in and out, which records the evidence
+    if (role === 'provider' && (status === 'in_progress' || status === 'completed')) {
+      return res.status(400).json({
+        error: status === 'in_progress'
+          ? 'Check in at the job location to start this booking'
+          : 'Check out with completion photos to complete this booking'
+      });
     }
 
-    if (
-      status === 'cancelled' &&
-      booking.customer.toString() !== req.user._id.toString()
-    ) {
-      return res.status(403).json({ error: 'Only customer can cancel booking' });
+    // New date/time requests become a reschedule proposal to the other party;
+    // the booking keeps its time until the proposal is accepted
+    if (newDate || newTime) {
+      const proposal = await rescheduleService.propose(booking, req.user, {
+        slots: [{ date: newDate || booking.date, time: newTime || booking.time }],
+        message: reason
+      });
+
+      return res.status(201).json({
+        success: true,
+        message: 'Reschedule proposal sent',
+        data: { proposal }
+      });
     }
 
-    // If completed, check if it's the provider making the update
-    if (status === 'completed' && booking.provider.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ error: 'Only provider can mark booking as completed' });
+    const set = {};
+
+    // If completed, set completion time
+    if (status === 'completed') {
+      set.completedAt = new Date();
     }
 
-    // Handle rescheduling if new date/time are provided
-    if (newDate || newTime) {
-      // Only customer can request rescheduling
-      if (booking.customer.toString() !== req.user._id.toString()) {
-        return res.status(403).json({ error: 'Only customer can request rescheduling' });
-      }
+    if (status === 'cancelled') {
+      set.cancelledAt = new Date();
+    }
 
-      // Check if booking is confirmed and not completed
-      if (booking.status !== 'confirmed' || booking.status === 'completed') {
-        return res.status(400).json({ error: 'Can only reschedule confirmed bookings' });
-      }
+    const previousStatus = booking.status;
 
-      // Check if provider is available at new time
-      const newBookingDate = newDate ? new Date(newDate) : booking.date;
-      const newBookingTime = newTime || booking.time;
+    // Enforces legal transitions and records the change in statusHistory;
+    // cancelled and rejected bookings give their slots back in the same transaction
+    const session = await mongoose.startSession();
+    session.startTransaction();
 
-      const existingBooking = await Booking.findOne({
-        provider: booking.provider,
-        date: newBookingDate,
-        time: newBookingTime,
-        status: { $in: ['pending', 'confirmed', 'in_progress'] },
-        _id: { $ne: booking._id } // Exclude current booking
+    try {
+      booking = await bookingStateService.transition(booking, status, {
+        actor: req.user._id,
+        role,
+        reason,
+        set,
+        session
       });
 
-      if (existingBooking) {
-        return res.status(400).json({ error: 'Provider is not available at this time' });
+      if (status === 'cancelled' || status === 'rejected') {
+        await availabilityService.releaseSlots(booking._id, session);
       }
 
-      // Update booking date/time and set status to rescheduled
-      booking.date = newBookingDate;
-      booking.time = newBookingTime;
-      booking.status = 'rescheduled'; // Add rescheduled status
-
-      // Create notification for reschedule request
-      await Notification.create({
-        user: booking.provider,
-        title: 'Reschedule Request',
-        message: `${booking.customer.name} has requested to reschedule your booking for ${booking.service.name} to ${newBookingDate} at ${newBookingTime}`,
-        type: 'booking',
-        data: {
-          bookingId: booking._id,
-          serviceId: booking.service
-        }
-      });
-
-      await booking.save();
-      await booking.populate('service', 'name price images');
-      await booking.populate('customer', 'name profile.avatar');
-      await booking.populate('provider', 'name profile.avatar');
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
 
-      res.json({
-        success: true,
-        booking
-      });
-      return;
+    // Freed slots are offered to the provider's waitlist
+    if (status === 'cancelled' || status === 'rejected') {
+      waitlistService.onSlotsFreed(booking.provider);
     }
 
-    // Update status
-    booking.status = status;
+    // First answer to a booking request feeds the provider's response-time metrics
+    if (previousStatus === 'pending' && role === 'provider' && (status === 'confirmed' || status === 'rejected')) {
+      await bookingExpiryService.recordProviderResponse(booking);
+    }
 
-    // If completed, set completion time
+    // Track provider experience (drives tiered commission)
     if (status === 'completed') {
-      booking.completedAt = new Date();
+      await User.findByIdAndUpdate(booking.provider, { $inc: { completedJobsCount: 1 } });
     }
 
-    await booking.save();
+    // Settle escrowed payment: release to provider on completion, return to customer otherwise
+    if (booking.escrow?.status === 'held') {
+      try {
+        let settled = null;
+        if (status === 'completed') {
+          settled = await escrowService.releaseFunds(booking._id);
+        } else if (status === 'cancelled') {
+          settled = await escrowService.settleCancellation(booking._id, req.user._id);
+        } else if (status === 'rejected') {
+          settled = await escrowService.refundFunds(booking._id, { reason: 'Booking rejected by provider' });
+        }
+
+        if (settled) {
+          booking.escrow = settled.escrow;
+          booking.paymentStatus = settled.paymentStatus;
+          booking.refundedAmount = settled.refundedAmount;
+          booking.refunds = settled.refunds;
+        }
+      } catch (escrowError) {
+        // The escrow sweep retries settlement, so don't fail the status update
+        console.error('Escrow settlement error:', escrowError);
+      }
+    }
 
     // Create notification based on status change
     let notificationTitle = '';
@@ -333,6 +403,24 @@ exports.updateBookingStatus = async (req, res) => {
       }
     });
 
+    // Confirmed customers get the booking details with a calendar (.ics) invite attached
+    if (status === 'confirmed') {
+      try {
+        const confirmed = await Booking.findById(booking._id)
+          .populate('service', 'name')
+          .populate('customer', 'name email phone')
+          .populate('provider', 'name email phone');
+
+        emailService.sendBookingConfirmation(
+          confirmed,
+          confirmed.customer.email,
+          confirmed.customer.name
+        ).catch(err => console.error('Failed to send booking confirmation email to customer:', err));
+      } catch (emailError) {
+        console.error('Email notification error:', emailError);
+      }
+    }
+
     await booking.populate('service', 'name price images');
     await booking.populate('customer', 'name profile.avatar');
     await booking.populate('provider', 'name profile.avatar');
@@ -343,6 +431,40 @@ exports.updateBookingStatus = async (req, res) => {
     });
   } catch (error) {
     console.error('Update booking status error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Get the status history of a booking
+exports.getBookingHistory = async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id)
+      .select('customer provider status statusHistory')
+      .populate('statusHistory.actor', 'name role');
+
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    const role = bookingStateService.getActorRole(booking, req.user);
+    if (!role) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        bookingId: booking._id,
+        status: booking.status,
+        allowedTransitions: bookingStateService.getAllowedTransitions(booking.status, role),
+        history: booking.statusHistory
+      }
+    });
+  } catch (error) {
+    console.error('Get booking history error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 };
@@ -381,7 +503,6 @@ exports.addRating = async (req, res) => {
 
     // Update provider's overall rating
     const provider = await User.findById(booking.provider);
-    const service = await Service.findById(booking.service);
 
     // Calculate new average rating for provider
     const providerBookings = await Booking.find({
@@ -399,21 +520,22 @@ exports.addRating = async (req, res) => {
 
     await provider.save();
 
-    // Update service's average rating
-    const serviceBookings = await Booking.find({
-      service: service._id,
-      'rating.value': { $exists: true, $ne: null }
-    });
-
-    const totalServiceRating = serviceBookings.reduce((sum, b) => sum + b.rating.value, 0);
-    const avgServiceRating = totalServiceRating / serviceBookings.length;
+    // Update the average rating of every service on the booking
+    for (const serviceId of bookingItemsService.getServiceIds(booking)) {
+      const serviceBookings = await Booking.find({
+        $or: [{ service: serviceId }, { 'items.service': serviceId }],
+        'rating.value': { $exists: true, $ne: null }
+      });
 
-    service.rating = {
-      average: avgServiceRating,
-      count: serviceBookings.length
-    };
+      const totalServiceRating = serviceBookings.reduce((sum, b) => sum + b.rating.value, 0);
 
-    await service.save();
+      await Service.findByIdAndUpdate(serviceId, {
+        rating: {
+          average: totalServiceRating / serviceBookings.length,
+          count: serviceBookings.length
+        }
+      });
+    }
 
     await booking.populate('service', 'name price images');
     await booking.populate('customer', 'name profile.avatar');
@@ -427,4 +549,471 @@ exports.addRating = async (req, res) => {
     console.error('Add rating error:', error);
     res.status(500).json({ error: 'Server error' });
   }
-};
\ No newline at end of file
+};
+
+// Refund a booking in full or in part (admin, or the booking's provider)
+exports.refundBooking = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array(), error: 'Validation failed' });
+    }
+
+    const { amount, percentage, reason } = req.body;
+
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    if (req.user.role !== 'admin' && booking.provider.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'Only the booking provider or an admin can issue refunds' });
+    }
+
+    const result = await refundService.refundBooking(booking._id, {
+      amount: amount !== undefined ? parseFloat(amount) : undefined,
+      percentage: percentage !== undefined ? parseFloat(percentage) : undefined,
+      reason: reason || (req.user.role === 'admin' ? 'Refund issued by admin' : 'Refund issued by provider'),
+      refundedBy: req.user._id
+    });
+
+    res.json({
+      success: true,
+      message: result.booking.paymentStatus === 'refunded' ? 'Booking fully refunded' : 'Booking partially refunded',
+      data: result
+    });
+  } catch (error) {
+    console.error('Refund booking error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Get the cancellation policy, optionally with the refund due for a booking
+exports.getCancellationPolicy = async (req, res) => {
+  try {
+    const policy = cancellationPolicyService.getPolicy();
+
+    if (req.query.bookingId) {
+      const booking = await Booking.findById(req.query.bookingId);
+
+      if (!booking) {
+        return res.status(404).json({ error: 'Booking not found' });
+      }
+
+      if (
+        booking.customer.toString() !== req.user._id.toString() &&
+        booking.provider.toString() !== req.user._id.toString()
+      ) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      const percentage = cancellationPolicyService.wasConfirmed(booking)
+        ? cancellationPolicyService.getRefundPercentage(booking)
+        : 100;
+      policy.booking = {
+        bookingId: booking._id,
+        refundPercentage: percentage,
+        refundAmount: Math.round(booking.totalAmount * percentage) / 100
+      };
+    }
+
+    res.json({
+      success: true,
+      data: policy
+    });
+  } catch (error) {
+    console.error('Get cancellation policy error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Get a recurring series with its occurrences
+exports.getBookingSeries = async (req, res) => {
+  try {
+    const series = await BookingSeries.findById(req.params.seriesId)
+      .populate('service', 'name price images')
+      .populate('customer', 'name profile.avatar')
+      .populate('provider', 'name profile.avatar');
+
+    if (!series) {
+      return res.status(404).json({ error: 'Booking series not found' });
+    }
+
+    if (
+      series.customer._id.toString() !== req.user._id.toString() &&
+      series.provider._id.toString() !== req.user._id.toString() &&
+      req.user.role !== 'admin'
+    ) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const bookings = await Booking.find({ series: series._id })
+      .select('date time duration timezone startAt endAt status paymentStatus totalAmount currency occurrenceIndex')
+      .sort({ occurrenceIndex: 1 });
+
+    res.json({
+      success: true,
+      data: { series, bookings }
+    });
+  } catch (error) {
+    console.error('Get booking series error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Edit one occurrence of a recurring booking, or it and all later ones
+exports.updateBookingOccurrence = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array(), error: 'Validation failed' });
+    }
+
+    const booking = await Booking.findById(req.params.id);
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    const { scope, date, time, duration, notes, address, reason } = req.body;
+    const bookings = await bookingSeriesService.updateOccurrences(booking, req.user, {
+      scope,
+      date,
+      time,
+      duration,
+      notes,
+      address,
+      reason
+    });
+
+    res.json({
+      success: true,
+      message: `${bookings.length} occurrence(s) updated`,
+      data: { bookings }
+    });
+  } catch (error) {
+    console.error('Update booking occurrence error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message,
+        ...(error.conflicts && { conflicts: error.conflicts })
+      });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Cancel one occurrence of a recurring booking, or it and all later ones
+exports.cancelBookingOccurrence = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array(), error: 'Validation failed' });
+    }
+
+    const booking = await Booking.findById(req.params.id);
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    const bookings = await bookingSeriesService.cancelOccurrences(booking, req.user, {
+      scope: req.body.scope,
+      reason: req.body.reason
+    });
+
+    res.json({
+      success: true,
+      message: `${bookings.length} occurrence(s) cancelled`,
+      data: { bookings }
+    });
+  } catch (error) {
+    console.error('Cancel booking occurrence error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Get reschedule proposals for a booking
+exports.getRescheduleProposals = async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    if (!bookingStateService.getActorRole(booking, req.user)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const proposals = await rescheduleService.getProposals(booking._id);
+
+    res.json({
+      success: true,
+      data: proposals
+    });
+  } catch (error) {
+    console.error('Get reschedule proposals error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Propose new times for a booking (a counter-offer if the other party has an open proposal)
+exports.proposeReschedule = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array(), error: 'Validation failed' });
+    }
+
+    const booking = await Booking.findById(req.params.id);
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    const proposal = await rescheduleService.propose(booking, req.user, {
+      slots: req.body.slots,
+      message: req.body.message
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { proposal }
+    });
+  } catch (error) {
+    console.error('Propose reschedule error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Accept one of the slots in a reschedule proposal
+exports.acceptRescheduleProposal = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array(), error: 'Validation failed' });
+    }
+
+    const booking = await Booking.findById(req.params.id);
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    const result = await rescheduleService.accept(booking, req.params.proposalId, req.user, {
+      slotId: req.body.slotId,
+      message: req.body.message
+    });
+
+    res.json({
+      success: true,
+      message: 'Booking rescheduled',
+      data: result
+    });
+  } catch (error) {
+    console.error('Accept reschedule proposal error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Decline a reschedule proposal
+exports.declineRescheduleProposal = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array(), error: 'Validation failed' });
+    }
+
+    const booking = await Booking.findById(req.params.id);
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    const proposal = await rescheduleService.decline(booking, req.params.proposalId, req.user, {
+      message: req.body.message
+    });
+
+    res.json({
+      success: true,
+      data: { proposal }
+    });
+  } catch (error) {
+    console.error('Decline reschedule proposal error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Get the current user's calendar feed URL (creates the feed token on first use)
+exports.getCalendarFeedUrl = async (req, res) => {
+  try {
+    const token = await calendarService.getFeedToken(req.user._id, { rotate: req.method === 'POST' });
+    const url = `${req.protocol}://${req.get('host')}/api/bookings/calendar/${token}.ics`;
+
+    res.json({
+      success: true,
+      data: {
+        url,
+        webcalUrl: url.replace(/^https?:/, 'webcal:')
+      }
+    });
+  } catch (error) {
+    console.error('Get calendar feed URL error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// iCalendar feed of a user's bookings, authenticated by the token in the URL
+exports.getCalendarFeed = async (req, res) => {
+  try {
+    const ics = await calendarService.getFeed(req.params.token);
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="connectify-bookings.ics"',
+      'Cache-Control': 'private, max-age=300'
+    });
+    res.send(ics);
+  } catch (error) {
+    console.error('Get calendar feed error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Provider checks in at the job location and starts the booking
+exports.checkInBooking = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array(), error: 'Validation failed' });
+    }
+
+    const booking = await Booking.findById(req.params.id);
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    const updated = await jobCheckInService.checkIn(booking, req.user, {
+      latitude: parseFloat(req.body.latitude),
+      longitude: parseFloat(req.body.longitude)
+    });
+
+    res.json({
+      success: true,
+      booking: updated
+    });
+  } catch (error) {
+    console.error('Booking check-in error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Provider checks out with completion photos and completes the booking
+exports.checkOutBooking = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array(), error: 'Validation failed' });
+    }
+
+    const booking = await Booking.findById(req.params.id);
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    const updated = await jobCheckInService.checkOut(booking, req.user, {
+      latitude: parseFloat(req.body.latitude),
+      longitude: parseFloat(req.body.longitude)
+    }, req.files || []);
+
+    res.json({
+      success: true,
+      booking: updated
+    });
+  } catch (error) {
+    console.error('Booking check-out error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Create a recurring series from a booking request that has a recurrence rule
+async function createRecurringBooking(req, res, service, cart) {
+  const { date, time, notes, address, recurrence } = req.body;
+  const duration = cart ? cart.duration : req.body.duration;
+  const totalAmount = cart ? cart.totalAmount : req.body.totalAmount;
+  const serviceName = cart ? bookingItemsService.describe(cart) : service.name;
+
+  const { series, bookings } = await bookingSeriesService.createSeries(req.user, service, {
+    date,
+    time,
+    duration,
+    notes,
+    address,
+    totalAmount,
+    items: cart ? cart.items : [],
+    recurrence
+  });
+
+  const provider = await User.findById(service.provider).select('name email');
+  const summary = `${bookings.length} ${recurrence.frequency} bookings starting ${date} at ${time}`;
+
+  // One notification for the whole series rather than one per occurrence
+  await Notification.create({
+    user: service.provider,
+    title: 'New Recurring Booking Request',
+    message: `${req.user.name} wants to book ${cart ? 'your services' : 'your service'} "${serviceName}": ${summary}`,
+    type: 'booking',
+    data: {
+      bookingId: bookings[0]._id,
+      serviceId: service._id
+    }
+  });
+
+  if (provider) {
+    emailService.sendNewBookingNotification(
+      {
+        _id: bookings[0]._id,
+        date: bookings[0].date,
+        time,
+        timezone: bookings[0].timezone,
+        address,
+        notes: notes ? `${notes}\n\nRecurring: ${summary}` : `Recurring: ${summary}`,
+        totalAmount,
+        currency: bookings[0].currency,
+        items: bookings[0].items,
+        customerName: req.user.name,
+        serviceName
+      },
+      provider.email,
+      provider.name
+    ).catch(err => console.error('Failed to send recurring booking email to provider:', err));
+  }
+
+  res.status(201).json({
+    success: true,
+    data: { series, bookings }
+  });
+}
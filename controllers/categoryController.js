@@ -1,10 +1,18 @@
 const Category = require('../models/Category');
 const { clearCache } = require('../middleware/cache');
+const commissionService = require('../services/commissionService');
 
 // Create a new category
 exports.createCategory = async (req, res) => {
   try {
-    const { name, description, icon } = req.body;
+    const { name, description, icon, commission } = req.body;
+
+    if (commission !== undefined) {
+      const commissionError = commissionService.validateRule(commission);
+      if (commissionError) {
+        return res.status(400).json({ error: commissionError });
+      }
+    }
 
     // Check if category already exists
     const existingCategory = await Category.findOne({ 
@@ -18,7 +26,8 @@ exports.createCategory = async (req, res) => {
     const category = new Category({
       name,
       description,
-      icon
+      icon,
+      commission
     });
 
     await category.save();
@@ -80,7 +89,14 @@ exports.getCategoryById = async (req, res) => {
 // Update category
 exports.updateCategory = async (req, res) => {
   try {
-    const { name, description, icon, isActive } = req.body;
+    const { name, description, icon, isActive, commission } = req.body;
+
+    if (commission !== undefined && commission !== null) {
+      const commissionError = commissionService.validateRule(commission);
+      if (commissionError) {
+        return res.status(400).json({ error: commissionError });
+      }
+    }
 
     const category = await Category.findById(req.params.id);
 
@@ -105,6 +121,7 @@ exports.updateCategory = async (req, res) => {
     if (description) updateData.description = description;
     if (icon) updateData.icon = icon;
     if (isActive !== undefined) updateData.isActive = isActive;
+    if (commission !== undefined) updateData.commission = commission; // null resets to the platform default
 
     const updatedCategory = await Category.findByIdAndUpdate(
       req.params.id,
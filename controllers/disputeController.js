@@ -0,0 +1,211 @@
+const Booking = require('../models/Booking');
+const disputeService = require('../services/disputeService');
+const { validationResult } = require('express-validator');
+
+// Let everyone involved in a dispute know it changed
+const emitDisputeUpdate = (req, dispute) => {
+  const io = req.app.get('io');
+  if (!io || !dispute) return;
+
+  [dispute.customer, dispute.provider, dispute.assignedTo].filter(Boolean).forEach(userId => {
+    io.to(`user_${userId}`).emit('disputeUpdated', {
+      disputeId: dispute._id,
+      bookingId: dispute.booking,
+      status: dispute.status
+    });
+  });
+};
+
+// Open a dispute on a booking
+exports.openDispute = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array(), error: 'Validation failed' });
+    }
+
+    const { bookingId, reason, description } = req.body;
+
+    const booking = await Booking.findById(bookingId);
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    const dispute = await disputeService.openDispute(booking, req.user, {
+      reason,
+      description
+    }, req.files || []);
+
+    emitDisputeUpdate(req, dispute);
+
+    res.status(201).json({
+      success: true,
+      data: dispute
+    });
+  } catch (error) {
+    console.error('Open dispute error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Get disputes for the current user (admins see every dispute)
+exports.getDisputes = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array(), error: 'Validation failed' });
+    }
+
+    const { disputes, pagination } = await disputeService.listDisputes(req.user, {
+      status: req.query.status,
+      assignedTo: req.query.assignedTo,
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 10
+    });
+
+    res.json({
+      success: true,
+      data: disputes,
+      pagination
+    });
+  } catch (error) {
+    console.error('Get disputes error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Get a dispute with its discussion
+exports.getDisputeById = async (req, res) => {
+  try {
+    const dispute = await disputeService.getDispute(req.params.id, req.user);
+
+    await dispute.populate([
+      { path: 'booking', select: 'service date time duration totalAmount currency status paymentStatus escrow refundedAmount' },
+      { path: 'customer', select: 'name email profile.avatar' },
+      { path: 'provider', select: 'name email profile.avatar' },
+      { path: 'assignedTo', select: 'name' },
+      { path: 'messages.author', select: 'name profile.avatar' }
+    ]);
+
+    res.json({
+      success: true,
+      data: dispute
+    });
+  } catch (error) {
+    console.error('Get dispute error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Post a message (with optional evidence) to a dispute
+exports.addDisputeMessage = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array(), error: 'Validation failed' });
+    }
+
+    const dispute = await disputeService.addMessage(req.params.id, req.user, {
+      body: req.body.body
+    }, req.files || []);
+
+    emitDisputeUpdate(req, dispute);
+
+    res.status(201).json({
+      success: true,
+      data: dispute.messages[dispute.messages.length - 1]
+    });
+  } catch (error) {
+    console.error('Add dispute message error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Assign a dispute to an admin for review
+exports.assignDispute = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array(), error: 'Validation failed' });
+    }
+
+    const dispute = await disputeService.assignDispute(req.params.id, req.user, {
+      assigneeId: req.body.assigneeId
+    });
+
+    emitDisputeUpdate(req, dispute);
+
+    res.json({
+      success: true,
+      data: dispute
+    });
+  } catch (error) {
+    console.error('Assign dispute error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Resolve a dispute with a refund or a release to the provider
+exports.resolveDispute = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array(), error: 'Validation failed' });
+    }
+
+    const { outcome, amount, note } = req.body;
+
+    const { dispute, booking } = await disputeService.resolveDispute(req.params.id, req.user, {
+      outcome,
+      amount: amount !== undefined ? parseFloat(amount) : undefined,
+      note
+    });
+
+    emitDisputeUpdate(req, dispute);
+
+    res.json({
+      success: true,
+      message: 'Dispute resolved',
+      data: { dispute, booking }
+    });
+  } catch (error) {
+    console.error('Resolve dispute error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Withdraw a dispute
+exports.withdrawDispute = async (req, res) => {
+  try {
+    const dispute = await disputeService.withdrawDispute(req.params.id, req.user);
+
+    emitDisputeUpdate(req, dispute);
+
+    res.json({
+      success: true,
+      message: 'Dispute withdrawn',
+      data: dispute
+    });
+  } catch (error) {
+    console.error('Withdraw dispute error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+};
@@ -0,0 +1,224 @@
+const BankAccount = require('../models/BankAccount');
+const Withdrawal = require('../models/Withdrawal');
+const payoutService = require('../services/payoutService');
+const { validationResult } = require('express-validator');
+
+// Register a bank account for payouts
+exports.addBankAccount = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array(), error: 'Validation failed' });
+    }
+
+    const { bankName, bankCode, accountNumber, accountName, isDefault } = req.body;
+
+    const bankAccount = await payoutService.addBankAccount(req.user._id, {
+      bankName,
+      bankCode,
+      accountNumber,
+      accountName,
+      isDefault
+    });
+
+    res.status(201).json({
+      success: true,
+      data: bankAccount
+    });
+  } catch (error) {
+    console.error('Add bank account error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Get the current user's bank accounts
+exports.getBankAccounts = async (req, res) => {
+  try {
+    const bankAccounts = await BankAccount.find({ user: req.user._id, isActive: true })
+      .sort({ isDefault: -1, createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: bankAccounts
+    });
+  } catch (error) {
+    console.error('Get bank accounts error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Remove a bank account
+exports.deleteBankAccount = async (req, res) => {
+  try {
+    const bankAccount = await BankAccount.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id, isActive: true },
+      { isActive: false, isDefault: false },
+      { new: true }
+    );
+
+    if (!bankAccount) {
+      return res.status(404).json({ error: 'Bank account not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Bank account removed successfully'
+    });
+  } catch (error) {
+    console.error('Delete bank account error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Request a withdrawal
+exports.requestWithdrawal = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array(), error: 'Validation failed' });
+    }
+
+    const amount = parseFloat(req.body.amount);
+    const { bankAccountId } = req.body;
+
+    const withdrawal = await payoutService.requestWithdrawal(req.user, { amount, bankAccountId });
+
+    res.status(201).json({
+      success: true,
+      message: 'Withdrawal requested. Funds are on hold until the payout is processed.',
+      data: withdrawal
+    });
+  } catch (error) {
+    console.error('Request withdrawal error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Get the current user's withdrawals
+exports.getWithdrawals = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+
+    const query = { user: req.user._id };
+    if (req.query.status) query.status = req.query.status;
+
+    const withdrawals = await Withdrawal.find(query)
+      .populate('bankAccount', 'bankName accountNumber accountName')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Withdrawal.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: withdrawals,
+      limits: payoutService.getLimits(),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get withdrawals error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Get all withdrawals (admin only)
+exports.getAllWithdrawals = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const query = {};
+    if (req.query.status) query.status = req.query.status;
+
+    const withdrawals = await Withdrawal.find(query)
+      .populate('user', 'name email phone')
+      .populate('bankAccount', 'bankName bankCode accountNumber accountName')
+      .sort({ createdAt: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Withdrawal.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: withdrawals,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get all withdrawals error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Approve a withdrawal and send it to the payout provider (admin only)
+exports.approveWithdrawal = async (req, res) => {
+  try {
+    const withdrawal = await payoutService.approveWithdrawal(req.params.id, req.user._id);
+
+    res.json({
+      success: true,
+      data: withdrawal
+    });
+  } catch (error) {
+    console.error('Approve withdrawal error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Reject a withdrawal and return the held funds (admin only)
+exports.rejectWithdrawal = async (req, res) => {
+  try {
+    const reason = req.body.reason || 'Rejected by admin';
+    const withdrawal = await payoutService.markFailed(req.params.id, reason);
+
+    res.json({
+      success: true,
+      data: withdrawal
+    });
+  } catch (error) {
+    console.error('Reject withdrawal error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Refresh a processing withdrawal's status from the payout provider (admin only)
+exports.syncWithdrawal = async (req, res) => {
+  try {
+    const withdrawal = await payoutService.syncWithdrawal(req.params.id);
+
+    res.json({
+      success: true,
+      data: withdrawal
+    });
+  } catch (error) {
+    console.error('Sync withdrawal error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+};
@@ -0,0 +1,192 @@
+const quoteService = require('../services/quoteService');
+const { validationResult } = require('express-validator');
+
+// Push a quote message to both participants' chat in real time
+const emitQuoteMessage = (req, message) => {
+  const io = req.app.get('io');
+  if (!io || !message) return;
+
+  [message.sender, message.recipient].forEach(userId => {
+    io.to(`user_${userId}`).emit('newMessage', {
+      ...message.toObject(),
+      conversationId: message.conversation
+    });
+  });
+};
+
+// Request a quote for a negotiable service
+exports.requestQuote = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array(), error: 'Validation failed' });
+    }
+
+    const { service, description, preferredDate, preferredTime, address } = req.body;
+
+    const { quote, message } = await quoteService.requestQuote(req.user, service, {
+      description,
+      preferredDate,
+      preferredTime,
+      address
+    }, req.files || []);
+
+    emitQuoteMessage(req, message);
+
+    res.status(201).json({
+      success: true,
+      data: quote
+    });
+  } catch (error) {
+    console.error('Request quote error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Get quotes for the current user (as customer or provider)
+exports.getQuotes = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array(), error: 'Validation failed' });
+    }
+
+    const { quotes, pagination } = await quoteService.listQuotes(req.user, {
+      role: req.query.role,
+      status: req.query.status,
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 10
+    });
+
+    res.json({
+      success: true,
+      data: quotes,
+      pagination
+    });
+  } catch (error) {
+    console.error('Get quotes error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Get a quote by ID
+exports.getQuoteById = async (req, res) => {
+  try {
+    const quote = await quoteService.getQuoteFor(req.params.id, req.user);
+    await quoteService.expireIfStale(quote);
+
+    await quote.populate('service', 'name images priceType');
+    await quote.populate('customer', 'name profile.avatar');
+    await quote.populate('provider', 'name profile.avatar');
+
+    res.json({
+      success: true,
+      data: quote
+    });
+  } catch (error) {
+    console.error('Get quote error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Price a quote request (provider)
+exports.submitQuote = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array(), error: 'Validation failed' });
+    }
+
+    const { lineItems, duration, note, expiresAt } = req.body;
+
+    const { quote, message } = await quoteService.submitQuote(req.params.id, req.user, {
+      lineItems: lineItems.map(item => ({
+        description: item.description,
+        quantity: item.quantity !== undefined ? parseFloat(item.quantity) : 1,
+        unitPrice: parseFloat(item.unitPrice)
+      })),
+      duration: duration !== undefined ? parseInt(duration) : undefined,
+      note,
+      expiresAt
+    });
+
+    emitQuoteMessage(req, message);
+
+    res.json({
+      success: true,
+      data: quote
+    });
+  } catch (error) {
+    console.error('Submit quote error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Accept a quote, creating a booking for the quoted amount (customer)
+exports.acceptQuote = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array(), error: 'Validation failed' });
+    }
+
+    const { date, time, address, notes } = req.body;
+
+    const { quote, booking, message } = await quoteService.acceptQuote(req.params.id, req.user, {
+      date,
+      time,
+      address,
+      notes
+    });
+
+    emitQuoteMessage(req, message);
+
+    res.status(201).json({
+      success: true,
+      message: 'Quote accepted and booking created',
+      data: { quote, booking }
+    });
+  } catch (error) {
+    console.error('Accept quote error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Decline a quote (customer) or a quote request (provider)
+exports.declineQuote = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array(), error: 'Validation failed' });
+    }
+
+    const { quote, message } = await quoteService.declineQuote(req.params.id, req.user, {
+      reason: req.body.reason
+    });
+
+    emitQuoteMessage(req, message);
+
+    res.json({
+      success: true,
+      data: quote
+    });
+  } catch (error) {
+    console.error('Decline quote error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+};
@@ -1,6 +1,9 @@
 const Booking = require('../models/Booking');
 const User = require('../models/User');
 const Service = require('../models/Service');
+const commissionService = require('../services/commissionService');
+const bookingItemsService = require('../services/bookingItemsService');
+const { formatAmount } = require('../utils/currency');
 const fs = require('fs');
 const path = require('path');
 
@@ -8,7 +11,7 @@ const path = require('path');
 exports.generateReceipt = async (req, res) => {
   try {
     const booking = await Booking.findById(req.params.id)
-      .populate('service', 'name price description')
+      .populate('service', 'name price description category')
       .populate('customer', 'name email phone')
       .populate('provider', 'name email phone');
 
@@ -24,12 +27,15 @@ exports.generateReceipt = async (req, res) => {
       return res.status(403).json({ error: 'Access denied' });
     }
 
+    const charges = await getReceiptCharges(booking);
+
     // Create receipt data
     const receiptData = {
       bookingId: booking._id,
       bookingDate: booking.createdAt,
-      service: booking.service.name,
+      service: bookingItemsService.describe(booking),
       serviceDescription: booking.service.description,
+      items: getReceiptItems(booking),
       customerName: booking.customer.name,
       customerEmail: booking.customer.email,
       providerName: booking.provider.name,
@@ -39,7 +45,11 @@ exports.generateReceipt = async (req, res) => {
       duration: booking.duration,
       address: booking.address,
       notes: booking.notes,
+      lineItems: charges.lineItems,
+      platformFee: charges.platformFee,
       totalAmount: booking.totalAmount,
+      currency: booking.currency,
+      refundedAmount: booking.refundedAmount || 0,
       status: booking.status,
       paymentStatus: booking.paymentStatus || 'Pending'
     };
@@ -60,7 +70,7 @@ exports.generateReceipt = async (req, res) => {
 exports.getReceiptAsPDF = async (req, res) => {
   try {
     const booking = await Booking.findById(req.params.id)
-      .populate('service', 'name price description')
+      .populate('service', 'name price description category')
       .populate('customer', 'name email phone')
       .populate('provider', 'name email phone');
 
@@ -78,7 +88,8 @@ exports.getReceiptAsPDF = async (req, res) => {
 
     // For now, returning HTML with proper headers as a temporary solution
     // In production, integrate with a PDF library like puppeteer or pdfkit
-    const receiptHTML = generateReceiptHTML(booking);
+    const charges = await getReceiptCharges(booking);
+    const receiptHTML = generateReceiptHTML(booking, charges);
 
     // Set response headers for proper file download
     res.setHeader('Content-Type', 'text/html'); // Change back to HTML since we're sending HTML
@@ -92,8 +103,48 @@ exports.getReceiptAsPDF = async (req, res) => {
   }
 };
 
+// Helper function to split the booking total into service and platform fee lines.
+// Uses the fee fixed at payment time, or an estimate for unpaid bookings.
+async function getReceiptCharges(booking) {
+  const commission = booking.commission?.amount !== undefined
+    ? booking.commission
+    : await commissionService.calculate(booking, booking.service);
+
+  return {
+    platformFee: commission.amount,
+    lineItems: [
+      { description: `${bookingItemsService.describe(booking)} (provider earnings)`, amount: commission.providerAmount },
+      { description: 'Platform service fee', amount: commission.amount }
+    ]
+  };
+}
+
+// Helper function to list the services on a booking; single-service bookings
+// are shown as one line for the full amount
+function getReceiptItems(booking) {
+  if (booking.items?.length > 0) {
+    return booking.items.map(item => ({
+      service: item.name,
+      quantity: item.quantity,
+      unitPrice: item.unitPrice,
+      duration: item.duration,
+      amount: item.amount
+    }));
+  }
+
+  return [{
+    service: booking.service.name,
+    quantity: 1,
+    unitPrice: booking.totalAmount,
+    duration: booking.duration,
+    amount: booking.totalAmount
+  }];
+}
+
 // Helper function to generate HTML receipt
-function generateReceiptHTML(booking) {
+function generateReceiptHTML(booking, charges) {
+  const money = (amount) => formatAmount(amount, booking.currency);
+
   return `
     <!DOCTYPE html>
     <html>
@@ -132,7 +183,7 @@ function generateReceiptHTML(booking) {
         
         <div class="section">
             <h3>Service Details</h3>
-            <div class="detail-row"><span>Service:</span> <span>${booking.service.name}</span></div>
+            <div class="detail-row"><span>Service:</span> <span>${bookingItemsService.describe(booking)}</span></div>
             <div class="detail-row"><span>Description:</span> <span>${booking.service.description || 'N/A'}</span></div>
             <div class="detail-row"><span>Date:</span> <span>${new Date(booking.date).toLocaleDateString()}</span></div>
             <div class="detail-row"><span>Time:</span> <span>${booking.time}</span></div>
@@ -140,6 +191,12 @@ function generateReceiptHTML(booking) {
             <div class="detail-row"><span>Address:</span> <span>${booking.address || 'N/A'}</span></div>
         </div>
         
+        ${booking.items?.length > 1 ? `
+        <div class="section">
+            <h3>Services</h3>
+            ${getReceiptItems(booking).map(item => `<div class="detail-row"><span>${item.service}${item.quantity > 1 ? ` x ${item.quantity}` : ''} (${item.duration} min):</span> <span>${money(item.amount)}</span></div>`).join('')}
+        </div>` : ''}
+
         <div class="section">
             <h3>Booking Information</h3>
             <div class="detail-row"><span>Booking ID:</span> <span>${booking._id}</span></div>
@@ -150,7 +207,9 @@ function generateReceiptHTML(booking) {
         
         <div class="section">
             <h3>Payment</h3>
-            <div class="detail-row total"><span>Total Amount:</span> <span>₦${booking.totalAmount?.toLocaleString() || '0'}</span></div>
+            ${charges.lineItems.map(item => `<div class="detail-row"><span>${item.description}:</span> <span>${money(item.amount)}</span></div>`).join('')}
+            ${booking.refundedAmount ? `<div class="detail-row"><span>Refunded:</span> <span>-${money(booking.refundedAmount)}</span></div>` : ''}
+            <div class="detail-row total"><span>Total Amount:</span> <span>${money(booking.totalAmount)}</span></div>
         </div>
         
         <div style="text-align: center; margin-top: 40px; color: #666; font-size: 12px;">
@@ -166,7 +225,7 @@ function generateReceiptHTML(booking) {
 exports.getReceiptDetails = async (req, res) => {
   try {
     const booking = await Booking.findById(req.params.id)
-      .populate('service', 'name price description')
+      .populate('service', 'name price description category')
       .populate('customer', 'name profile')
       .populate('provider', 'name profile');
 
@@ -187,9 +246,10 @@ exports.getReceiptDetails = async (req, res) => {
       data: {
         bookingId: booking._id,
         service: {
-          name: booking.service.name,
+          name: bookingItemsService.describe(booking),
           description: booking.service.description
         },
+        items: getReceiptItems(booking),
         customer: {
           name: booking.customer.name,
           avatar: booking.customer.profile?.avatar
@@ -203,7 +263,9 @@ exports.getReceiptDetails = async (req, res) => {
         duration: booking.duration,
         address: booking.address,
         notes: booking.notes,
+        lineItems: (await getReceiptCharges(booking)).lineItems,
         totalAmount: booking.totalAmount,
+        currency: booking.currency,
         status: booking.status,
         createdAt: booking.createdAt,
         completedAt: booking.completedAt
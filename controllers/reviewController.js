@@ -2,11 +2,12 @@ const Review = require('../models/Review');
 const Booking = require('../models/Booking');
 const User = require('../models/User');
 const Service = require('../models/Service');
+const bookingItemsService = require('../services/bookingItemsService');
 
 // Create a review for a completed booking
 exports.createReview = async (req, res) => {
   try {
-    const { bookingId, rating, comment, images } = req.body;
+    const { bookingId, rating, comment, images, itemRatings = [] } = req.body;
 
     // Find the booking to ensure it's completed and belongs to the user
     const booking = await Booking.findOne({
@@ -29,12 +30,28 @@ exports.createReview = async (req, res) => {
       return res.status(400).json({ error: 'You have already reviewed this booking' });
     }
 
+    // Multi-service bookings can rate each service as well as the visit overall
+    const serviceIds = bookingItemsService.getServiceIds(booking);
+    const serviceKeys = serviceIds.map(id => id.toString());
+    const invalidItem = itemRatings.find(item =>
+      !serviceKeys.includes(String(item.service)) || !(item.rating >= 1 && item.rating <= 5)
+    );
+    if (invalidItem) {
+      return res.status(400).json({ error: 'Item ratings must be between 1 and 5 for services on this booking' });
+    }
+
     // Create the review
     const review = new Review({
       customer: req.user._id,
       provider: booking.provider._id,
       booking: bookingId,
       service: booking.service._id,
+      items: serviceIds.length > 1
+        ? serviceIds.map(serviceId => ({
+          service: serviceId,
+          rating: itemRatings.find(item => String(item.service) === serviceId.toString())?.rating
+        }))
+        : [],
       rating,
       comment,
       images: images || []
@@ -62,22 +79,16 @@ exports.createReview = async (req, res) => {
       }
     });
 
-    // Update service's average rating
-    const serviceReviews = await Review.find({ service: booking.service._id });
-    const totalServiceRating = serviceReviews.reduce((sum, r) => sum + r.rating, 0);
-    const avgServiceRating = totalServiceRating / serviceReviews.length;
-
-    await Service.findByIdAndUpdate(booking.service._id, {
-      rating: {
-        average: avgServiceRating,
-        count: serviceReviews.length
-      }
-    });
+    // Update the average rating of every service on the booking
+    for (const serviceId of serviceIds) {
+      await updateServiceRating(serviceId);
+    }
 
     await review.populate([
       { path: 'customer', select: 'name profile.avatar' },
       { path: 'provider', select: 'name profile.avatar' },
-      { path: 'service', select: 'name' }
+      { path: 'service', select: 'name' },
+      { path: 'items.service', select: 'name' }
     ]);
 
     res.status(201).json({
@@ -97,7 +108,9 @@ exports.getServiceReviews = async (req, res) => {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
 
-    const reviews = await Review.find({ service: serviceId })
+    const query = { $or: [{ service: serviceId }, { 'items.service': serviceId }] };
+
+    const reviews = await Review.find(query)
       .populate([
         { path: 'customer', select: 'name profile.avatar' },
         { path: 'provider', select: 'name profile.avatar' }
@@ -106,7 +119,7 @@ exports.getServiceReviews = async (req, res) => {
       .limit(limit * 1)
       .skip((page - 1) * limit);
 
-    const total = await Review.countDocuments({ service: serviceId });
+    const total = await Review.countDocuments(query);
 
     // Calculate average rating for the service
     const service = await Service.findById(serviceId);
@@ -141,7 +154,8 @@ exports.getProviderReviews = async (req, res) => {
     const reviews = await Review.find({ provider: providerId })
       .populate([
         { path: 'customer', select: 'name profile.avatar' },
-        { path: 'service', select: 'name' }
+        { path: 'service', select: 'name' },
+        { path: 'items.service', select: 'name' }
       ])
       .sort({ createdAt: -1 })
       .limit(limit * 1)
@@ -180,7 +194,8 @@ exports.getUserReviews = async (req, res) => {
     const reviews = await Review.find({ customer: req.user._id })
       .populate([
         { path: 'provider', select: 'name profile.avatar' },
-        { path: 'service', select: 'name' }
+        { path: 'service', select: 'name' },
+        { path: 'items.service', select: 'name' }
       ])
       .sort({ createdAt: -1 })
       .limit(limit * 1)
@@ -211,7 +226,8 @@ exports.getReviewById = async (req, res) => {
       .populate([
         { path: 'customer', select: 'name profile.avatar' },
         { path: 'provider', select: 'name profile.avatar' },
-        { path: 'service', select: 'name' }
+        { path: 'service', select: 'name' },
+        { path: 'items.service', select: 'name' }
       ]);
 
     if (!review) {
@@ -226,4 +242,21 @@ exports.getReviewById = async (req, res) => {
     console.error('Get review by ID error:', error);
     res.status(500).json({ error: 'Server error' });
   }
-};
\ No newline at end of file
+};
+
+// Helper function to recalculate a service's rating. Reviews of multi-service
+// bookings count with the rating given to that service, if any.
+async function updateServiceRating(serviceId) {
+  const reviews = await Review.find({ $or: [{ service: serviceId }, { 'items.service': serviceId }] });
+  const ratings = reviews.map(review => {
+    const item = review.items.find(i => i.service.toString() === serviceId.toString());
+    return item?.rating || review.rating;
+  });
+
+  await Service.findByIdAndUpdate(serviceId, {
+    rating: {
+      average: ratings.reduce((sum, value) => sum + value, 0) / ratings.length,
+      count: ratings.length
+    }
+  });
+}
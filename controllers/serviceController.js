@@ -2,11 +2,13 @@ const Service = require('../models/Service');
 const User = require('../models/User');
 const { clearCache } = require('../middleware/cache');
 const redisService = require('../services/redisService');
+const timeOffService = require('../services/timeOffService');
+const { SUPPORTED_CURRENCIES, isSupportedCurrency } = require('../utils/currency');
 
 // Create a new service
 exports.createService = async (req, res) => {
   try {
-    const { name, category, description, price, priceType, duration, images, location, servicesOffered } = req.body;
+    const { name, category, description, price, currency, priceType, duration, images, location, servicesOffered } = req.body;
 
     // Check if user is a provider
     const user = await User.findById(req.user._id);
@@ -14,12 +16,17 @@ exports.createService = async (req, res) => {
       return res.status(403).json({ error: 'Only service providers can create services' });
     }
 
+    if (currency && !isSupportedCurrency(currency)) {
+      return res.status(400).json({ error: `Currency must be one of ${SUPPORTED_CURRENCIES.join(', ')}` });
+    }
+
     const service = new Service({
       name,
       provider: req.user._id,
       category,
       description,
       price,
+      currency,
       priceType,
       duration,
       images,
@@ -55,14 +62,21 @@ exports.getServices = async (req, res) => {
     const maxPrice = req.query.maxPrice;
     const minRating = req.query.minRating;
 
+    // Providers who are off for the whole day are left out (defaults to today)
+    const availableOn = req.query.date ? new Date(req.query.date) : new Date();
+    if (isNaN(availableOn)) {
+      return res.status(400).json({ error: 'Invalid date' });
+    }
+    const day = availableOn.toDateString();
+
     // Generate cache key based on query parameters
     const cacheKey = `services:${JSON.stringify({
-      page, limit, category, search, location, minPrice, maxPrice, minRating
+      page, limit, category, search, location, minPrice, maxPrice, minRating, day
     })}`;
 
     // Try to get from Redis cache first
     const cachedData = await redisService.getCachedServices({
-      page, limit, category, search, location, minPrice, maxPrice, minRating
+      page, limit, category, search, location, minPrice, maxPrice, minRating, day
     });
 
     if (cachedData) {
@@ -119,6 +133,11 @@ exports.getServices = async (req, res) => {
       }
     }
 
+    const providersOff = await timeOffService.getProvidersOffOn(availableOn);
+    if (providersOff.length > 0) {
+      query.provider = { $nin: providersOff };
+    }
+
     const services = await Service.find(query)
       .populate('provider', 'name profile.avatar profile.verification')
       .limit(limit * 1)
@@ -140,7 +159,7 @@ exports.getServices = async (req, res) => {
 
     // Cache the result in Redis for 5 minutes
     await redisService.cacheServices(
-      { page, limit, category, search, location, minPrice, maxPrice, minRating },
+      { page, limit, category, search, location, minPrice, maxPrice, minRating, day },
       {
         services: services,
         pagination: {
@@ -190,7 +209,11 @@ exports.getServiceById = async (req, res) => {
 // Update service (provider only)
 exports.updateService = async (req, res) => {
   try {
-    const { name, category, description, price, priceType, duration, images, location, servicesOffered, isActive } = req.body;
+    const { name, category, description, price, currency, priceType, duration, images, location, servicesOffered, isActive } = req.body;
+
+    if (currency && !isSupportedCurrency(currency)) {
+      return res.status(400).json({ error: `Currency must be one of ${SUPPORTED_CURRENCIES.join(', ')}` });
+    }
 
     const service = await Service.findOneAndUpdate(
       { _id: req.params.id, provider: req.user._id },
@@ -200,6 +223,7 @@ exports.updateService = async (req, res) => {
           category,
           description,
           price,
+          currency,
           priceType,
           duration,
           images,
@@ -267,12 +291,20 @@ exports.searchServices = async (req, res) => {
       maxPrice,
       minRating,
       location,
-      providerId
+      providerId,
+      date
     } = req.query;
 
+    // Providers who are off for the whole day are left out (defaults to today)
+    const availableOn = date ? new Date(date) : new Date();
+    if (isNaN(availableOn)) {
+      return res.status(400).json({ error: 'Invalid date' });
+    }
+    const day = availableOn.toDateString();
+
     // Generate cache key based on query parameters
     const cacheKey = `search:${JSON.stringify({
-      search, category, minPrice, maxPrice, minRating, location, providerId
+      search, category, minPrice, maxPrice, minRating, location, providerId, day
     })}`;
 
     // Try to get from Redis cache first
@@ -334,6 +366,13 @@ exports.searchServices = async (req, res) => {
       }
     }
 
+    const providersOff = await timeOffService.getProvidersOffOn(availableOn);
+    if (providersOff.length > 0) {
+      query.provider = providerId
+        ? { $eq: providerId, $nin: providersOff }
+        : { $nin: providersOff };
+    }
+
     const services = await Service.find(query)
       .populate('provider', 'name profile.avatar profile.verification')
       .sort({ createdAt: -1 });
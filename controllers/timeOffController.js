@@ -0,0 +1,175 @@
+const PublicHoliday = require('../models/PublicHoliday');
+const timeOffService = require('../services/timeOffService');
+const { validationResult } = require('express-validator');
+const { toCalendarDate } = require('../utils/timezone');
+
+// Get the current provider's upcoming time off and holiday calendar
+exports.getTimeOff = async (req, res) => {
+  try {
+    const timeOff = await timeOffService.listTimeOff(req.user._id);
+
+    res.json({
+      success: true,
+      data: timeOff
+    });
+  } catch (error) {
+    console.error('Get time off error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Add time off for a date range or part of each day
+exports.createTimeOff = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array(), error: 'Validation failed' });
+    }
+
+    const { startDate, endDate, startTime, endTime, reason, note } = req.body;
+
+    const { timeOff, conflicts } = await timeOffService.createTimeOff(req.user, {
+      startDate,
+      endDate,
+      startTime,
+      endTime,
+      reason,
+      note
+    });
+
+    res.status(201).json({
+      success: true,
+      data: timeOff,
+      conflicts
+    });
+  } catch (error) {
+    console.error('Create time off error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Observe the public holidays of a country or state
+exports.observeHolidays = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array(), error: 'Validation failed' });
+    }
+
+    const { timeOff, conflicts } = await timeOffService.observeHolidays(req.user, {
+      country: req.body.country,
+      state: req.body.state
+    });
+
+    res.json({
+      success: true,
+      data: timeOff,
+      conflicts
+    });
+  } catch (error) {
+    console.error('Observe holidays error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Remove time off (or stop observing holidays)
+exports.deleteTimeOff = async (req, res) => {
+  try {
+    await timeOffService.deleteTimeOff(req.user, req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Time off removed'
+    });
+  } catch (error) {
+    console.error('Delete time off error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Get the public holidays of a country/state for a year
+exports.getPublicHolidays = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array(), error: 'Validation failed' });
+    }
+
+    const { country, state } = req.query;
+    const year = parseInt(req.query.year) || new Date().getFullYear();
+
+    const holidays = await timeOffService.getHolidays(
+      country,
+      state,
+      new Date(year, 0, 1),
+      new Date(year + 1, 0, 1)
+    );
+
+    res.json({
+      success: true,
+      data: holidays
+    });
+  } catch (error) {
+    console.error('Get public holidays error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Add a public holiday to a country's or state's calendar
+exports.createPublicHoliday = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array(), error: 'Validation failed' });
+    }
+
+    const { country, state, name, month, day, date } = req.body;
+
+    const holiday = await PublicHoliday.create({
+      country,
+      state,
+      name,
+      month,
+      day,
+      date: date ? toCalendarDate(date) : undefined
+    });
+
+    res.status(201).json({
+      success: true,
+      data: holiday
+    });
+  } catch (error) {
+    console.error('Create public holiday error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Remove a public holiday
+exports.deletePublicHoliday = async (req, res) => {
+  try {
+    const holiday = await PublicHoliday.findByIdAndDelete(req.params.id);
+    if (!holiday) {
+      return res.status(404).json({ error: 'Holiday not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Holiday removed'
+    });
+  } catch (error) {
+    console.error('Delete public holiday error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
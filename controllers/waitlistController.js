@@ -0,0 +1,140 @@
+const waitlistService = require('../services/waitlistService');
+const { validationResult } = require('express-validator');
+
+// Join a provider's waitlist for a service
+exports.joinWaitlist = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array(), error: 'Validation failed' });
+    }
+
+    const { service, startDate, endDate, preferredTimes, notes, address } = req.body;
+
+    const entry = await waitlistService.join(req.user, {
+      service,
+      startDate,
+      endDate,
+      preferredTimes,
+      notes,
+      address
+    });
+
+    res.status(201).json({
+      success: true,
+      message: entry.status === 'offered'
+        ? 'A slot is already open and is being held for you'
+        : 'You will be offered a slot as soon as one opens up',
+      data: entry
+    });
+  } catch (error) {
+    console.error('Join waitlist error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Get waitlist entries for the current user (as customer or provider)
+exports.getWaitlist = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array(), error: 'Validation failed' });
+    }
+
+    const entries = await waitlistService.listEntries(req.user, {
+      role: req.query.role,
+      status: req.query.status
+    });
+
+    res.json({
+      success: true,
+      data: entries
+    });
+  } catch (error) {
+    console.error('Get waitlist error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Get a waitlist entry by ID
+exports.getWaitlistEntry = async (req, res) => {
+  try {
+    const entry = await waitlistService.getEntryFor(req.params.id, req.user);
+    await entry.populate([
+      { path: 'service', select: 'name price priceType duration' },
+      { path: 'customer', select: 'name profile.avatar' },
+      { path: 'provider', select: 'name profile.avatar' }
+    ]);
+
+    res.json({
+      success: true,
+      data: entry
+    });
+  } catch (error) {
+    console.error('Get waitlist entry error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Leave a waitlist
+exports.leaveWaitlist = async (req, res) => {
+  try {
+    const entry = await waitlistService.leave(req.params.id, req.user);
+
+    res.json({
+      success: true,
+      message: 'You have left the waitlist',
+      data: entry
+    });
+  } catch (error) {
+    console.error('Leave waitlist error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Accept the slot offered from the waitlist; it becomes a booking
+exports.acceptWaitlistOffer = async (req, res) => {
+  try {
+    const { entry, booking } = await waitlistService.acceptOffer(req.params.id, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: 'Offer accepted and booking created',
+      data: { entry, booking }
+    });
+  } catch (error) {
+    console.error('Accept waitlist offer error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Decline the slot offered from the waitlist; stay on the waitlist for other times
+exports.declineWaitlistOffer = async (req, res) => {
+  try {
+    const entry = await waitlistService.declineOffer(req.params.id, req.user);
+
+    res.json({
+      success: true,
+      message: entry.status === 'waiting' ? 'Offer declined; you are still on the waitlist' : 'Offer declined',
+      data: entry
+    });
+  } catch (error) {
+    console.error('Decline waitlist offer error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+};
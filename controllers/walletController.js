@@ -3,7 +3,16 @@ const User = require('../models/User');
 const Booking = require('../models/Booking');
 const mongoose = require('mongoose');
 const emailService = require('../services/emailService');
+const escrowService = require('../services/escrowService');
+const walletService = require('../services/walletService');
+const ledgerService = require('../services/ledgerService');
+const topUpService = require('../services/topUpService');
+const statementService = require('../services/statementService');
+const currencyService = require('../services/currencyService');
+const transferService = require('../services/transferService');
+const bookingItemsService = require('../services/bookingItemsService');
 const { validationResult } = require('express-validator');
+const { formatAmount } = require('../utils/currency');
 
 // Get user wallet balance
 exports.getWalletBalance = async (req, res) => {
@@ -17,7 +26,8 @@ exports.getWalletBalance = async (req, res) => {
     res.json({
       success: true,
       balance: user.wallet.balance,
-      currency: user.wallet.currency
+      currency: user.wallet.currency,
+      balances: walletService.getBalances(user)
     });
   } catch (error) {
     console.error('Get wallet balance error:', error);
@@ -58,6 +68,57 @@ exports.getTransactionHistory = async (req, res) => {
   }
 };
 
+// Get a wallet statement for a period (JSON, CSV or PDF)
+exports.getStatement = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array(), error: 'Validation failed' });
+    }
+
+    const { month, startDate, endDate, status, bookingId, currency, userId, format = 'json' } = req.query;
+
+    // Admins can pull statements for any user (e.g. provider earnings reconciliation)
+    if (userId && userId !== req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Not authorized to view this statement' });
+    }
+
+    const statement = await statementService.getStatement(userId || req.user._id, {
+      month,
+      startDate,
+      endDate,
+      status,
+      bookingId,
+      currency
+    });
+
+    const filename = `statement-${statement.period.start.toISOString().slice(0, 10)}-${statement.period.end.toISOString().slice(0, 10)}`;
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+      return res.send(statementService.toCsv(statement));
+    }
+
+    if (format === 'pdf') {
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+      return statementService.writePdf(statement, res);
+    }
+
+    res.json({
+      success: true,
+      data: statement
+    });
+  } catch (error) {
+    console.error('Get statement error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
 // Process payment for booking
 exports.processBookingPayment = async (req, res) => {
   try {
@@ -84,117 +145,40 @@ exports.processBookingPayment = async (req, res) => {
       return res.status(400).json({ error: 'Payment already processed' });
     }
 
-    // Check if user has enough balance
-    const user = await User.findById(req.user._id);
-    if (user.wallet.balance < booking.totalAmount) {
-      return res.status(400).json({ error: 'Insufficient balance' });
-    }
-
-    // Store previous balances for email
-    const customerPreviousBalance = user.wallet.balance;
+    // The wallet may pay in the booking currency or convert from its primary currency;
+    // the debit itself fails if the balance is insufficient
+    currencyService.assertSupported(booking.currency);
 
-    // Process the payment
+    // Process the payment - funds are held in escrow until the booking is completed
     const session = await mongoose.startSession();
     session.startTransaction();
 
     try {
-      // Update user's wallet balance (debit)
-      user.wallet.balance -= booking.totalAmount;
-      user.wallet.transactions.push({
-        type: 'debit',
-        amount: booking.totalAmount,
-        description: `Payment for ${booking.service.name} service`
-      });
-      await user.save();
-
-      // Create wallet transaction record
-      const transactionReference = `TXN_${Date.now()}_${booking._id}`;
-      const transaction = new WalletTransaction({
-        user: req.user._id,
-        type: 'debit',
-        amount: booking.totalAmount,
-        currency: booking.currency,
-        description: `Payment for ${booking.service.name} service (Booking ID: ${booking._id})`,
-        reference: transactionReference,
-        status: 'completed',
-        metadata: {
-          bookingId: booking._id,
-          providerId: booking.provider
-        }
-      });
-      await transaction.save();
-
-      // Transfer funds to provider (this is simplified - in a real app, you might want to hold funds temporarily)
-      const provider = await User.findById(booking.provider);
-      const providerPreviousBalance = provider.wallet.balance;
-
-      provider.wallet.balance += booking.totalAmount;
-      provider.wallet.transactions.push({
-        type: 'credit',
-        amount: booking.totalAmount,
-        description: `Payment received for ${booking.service.name} service`
-      });
-      await provider.save();
-
-      // Create provider transaction record
-      const providerTransactionReference = `TXN_${Date.now()}_${booking.provider}`;
-      const providerTransaction = new WalletTransaction({
-        user: booking.provider,
-        type: 'credit',
-        amount: booking.totalAmount,
-        currency: booking.currency,
-        description: `Payment received for ${booking.service.name} service (Booking ID: ${booking._id})`,
-        reference: providerTransactionReference,
-        status: 'completed',
-        metadata: {
-          bookingId: booking._id,
-          providerId: booking.provider
-        }
-      });
-      await providerTransaction.save();
-
-      // Update booking payment status
-      booking.paymentStatus = 'paid';
-      await booking.save();
+      const { customer, transaction, previousBalance } = await escrowService.holdFunds(booking, session);
 
       await session.commitTransaction();
 
-      // Send payment receipt emails (async, don't wait)
+      // Send payment receipt email (async, don't wait)
       try {
-        // Send receipt to customer
+        const provider = await User.findById(booking.provider).select('name');
+
         const customerPaymentData = {
-          amount: booking.totalAmount,
-          reference: transactionReference,
-          serviceName: booking.service.name,
-          providerName: provider.name,
+          amount: transaction.amount,
+          currency: transaction.currency,
+          reference: transaction.reference,
+          serviceName: bookingItemsService.describe(booking),
+          providerName: provider?.name,
           bookingId: booking._id.toString(),
-          previousBalance: customerPreviousBalance,
-          newBalance: user.wallet.balance
+          previousBalance,
+          newBalance: walletService.getBalance(customer, transaction.currency)
         };
 
         emailService.sendPaymentReceipt(
           customerPaymentData,
-          user.email,
-          user.name
+          customer.email,
+          customer.name
         ).catch(err => console.error('Failed to send payment receipt to customer:', err));
 
-        // Send payment received notification to provider
-        const providerPaymentData = {
-          amount: booking.totalAmount,
-          reference: providerTransactionReference,
-          serviceName: booking.service.name,
-          customerName: user.name,
-          bookingId: booking._id.toString(),
-          previousBalance: providerPreviousBalance,
-          newBalance: provider.wallet.balance
-        };
-
-        emailService.sendPaymentReceived(
-          providerPaymentData,
-          provider.email,
-          provider.name
-        ).catch(err => console.error('Failed to send payment received email to provider:', err));
-
       } catch (emailError) {
         console.error('Email notification error:', emailError);
         // Don't fail the payment if email fails
@@ -202,8 +186,13 @@ exports.processBookingPayment = async (req, res) => {
 
       res.json({
         success: true,
-        message: 'Payment processed successfully',
-        booking
+        message: 'Payment processed successfully. Funds are held in escrow until the service is completed.',
+        booking,
+        payment: {
+          amount: transaction.amount,
+          currency: transaction.currency,
+          fx: transaction.metadata?.fx || null
+        }
       });
     } catch (error) {
       await session.abortTransaction();
@@ -213,11 +202,14 @@ exports.processBookingPayment = async (req, res) => {
     }
   } catch (error) {
     console.error('Process booking payment error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     res.status(500).json({ error: 'Server error' });
   }
 };
 
-// Add funds to wallet (simplified - in real app, integrate with payment provider)
+// Start a wallet top-up through the payment gateway
 exports.addFunds = async (req, res) => {
   try {
     // Check for validation errors
@@ -235,65 +227,153 @@ exports.addFunds = async (req, res) => {
 
     // Additional security: prevent extremely large amounts
     if (amount > 10000000) {
-      return res.status(400).json({ error: 'Amount exceeds maximum allowed (₦10,000,000)' });
+      const currency = req.body.currency || req.user.wallet?.currency || 'NGN';
+      return res.status(400).json({ error: `Amount exceeds maximum allowed (${formatAmount(10000000, currency)})` });
     }
 
-    const user = await User.findById(req.user._id);
-    const previousBalance = user.wallet.balance;
+    // Funds reach the wallet once the gateway confirms payment via webhook
+    const topUp = await topUpService.initiateTopUp(req.user, amount, req.body.currency);
 
-    // In a real app, you would process actual payment here
-    // For now, just adding funds (simulated)
-    user.wallet.balance += amount;
-    user.wallet.transactions.push({
-      type: 'credit',
-      amount,
-      description: 'Added funds to wallet'
+    res.status(201).json({
+      success: true,
+      data: topUp,
+      message: 'Complete the payment to add funds to your wallet'
     });
-    await user.save();
+  } catch (error) {
+    console.error('Add funds error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Send money to another user's wallet, or tip the provider of a completed booking
+exports.transferFunds = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array(), error: 'Validation failed' });
+    }
 
-    // Create transaction record
-    const transactionReference = `DEP_${Date.now()}_${req.user._id}`;
-    const transaction = new WalletTransaction({
-      user: req.user._id,
-      type: 'credit',
+    const { type, recipientId, bookingId, currency, note } = req.body;
+    const amount = parseFloat(req.body.amount);
+
+    const transfer = await transferService.transfer(req.user, {
+      type,
+      recipientId,
+      bookingId,
       amount,
-      currency: user.wallet.currency,
-      description: 'Added funds to wallet',
-      reference: transactionReference,
-      status: 'completed'
+      currency,
+      note
     });
-    await transaction.save();
 
-    // Send funds added confirmation email (async, don't wait)
-    try {
-      const paymentData = {
-        amount: amount,
-        reference: transactionReference,
-        previousBalance: previousBalance,
-        newBalance: user.wallet.balance
-      };
-
-      emailService.sendFundsAddedConfirmation(
-        paymentData,
-        user.email,
-        user.name
-      ).catch(err => console.error('Failed to send funds added confirmation email:', err));
-
-    } catch (emailError) {
-      console.error('Email notification error:', emailError);
-      // Don't fail the transaction if email fails
+    res.status(201).json({
+      success: true,
+      message: type === 'tip' ? 'Tip sent successfully' : 'Transfer completed successfully',
+      data: transfer
+    });
+  } catch (error) {
+    console.error('Transfer funds error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
     }
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Get the status of a wallet top-up
+exports.getTopUpStatus = async (req, res) => {
+  try {
+    const topUp = await topUpService.getTopUp(req.user._id, req.params.reference);
 
     res.json({
       success: true,
-      data: {
-        balance: user.wallet.balance,
-        currency: user.wallet.currency
-      },
-      message: 'Funds added successfully'
+      data: topUp
     });
   } catch (error) {
-    console.error('Add funds error:', error);
+    console.error('Get top-up status error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Receive payment confirmations from a payment gateway
+exports.handlePaymentWebhook = async (req, res) => {
+  try {
+    const result = await topUpService.handleWebhook(
+      req.params.provider,
+      req.rawBody,
+      req.headers,
+      req.body
+    );
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Payment webhook error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     res.status(500).json({ error: 'Server error' });
   }
-};
\ No newline at end of file
+};
+
+// Report drift between stored wallet balances and the ledger (admin only)
+exports.getLedgerReconciliation = async (req, res) => {
+  try {
+    const includeBalanced = req.query.includeBalanced === 'true';
+    const report = await ledgerService.reconcile({ includeBalanced });
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Ledger reconciliation error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Post opening balances for wallets that predate the ledger (admin only)
+exports.postOpeningBalances = async (req, res) => {
+  try {
+    const result = await ledgerService.postOpeningBalances();
+
+    res.json({
+      success: true,
+      message: `Posted ${result.posted.length} opening balance(s)`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Opening balance error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Platform earnings from commissions (admin only)
+exports.getPlatformEarnings = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array(), error: 'Validation failed' });
+    }
+
+    const { startDate, endDate, groupBy } = req.query;
+
+    const report = await ledgerService.getRevenueReport({
+      startDate: startDate ? new Date(startDate) : undefined,
+      endDate: endDate ? new Date(endDate) : undefined,
+      groupBy
+    });
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Get platform earnings error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
@@ -0,0 +1,87 @@
+// middleware/idempotency.js
+const crypto = require('crypto');
+const idempotencyService = require('../services/idempotencyService');
+
+const MAX_KEY_LENGTH = 255;
+
+const fingerprintRequest = (req) => crypto
+  .createHash('sha256')
+  .update(`${req.method}:${req.baseUrl}${req.path}:${JSON.stringify(req.body || {})}`)
+  .digest('hex');
+
+/**
+ * Idempotency-Key support for endpoints that must not run twice.
+ * Must be mounted after `auth`. Requests without the header pass through.
+ *
+ * - First request: runs normally and its JSON response is stored
+ * - Retry with the same key and payload: the stored response is replayed
+ * - Retry while the first is still running: 409
+ * - Same key with a different payload: 422
+ * Server errors (5xx) are not stored, so the request can be retried.
+ */
+const idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({ error: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters` });
+  }
+
+  const userId = req.user._id.toString();
+  const fingerprint = fingerprintRequest(req);
+
+  let claim;
+  try {
+    claim = await idempotencyService.begin(userId, key, fingerprint);
+  } catch (error) {
+    console.error('Idempotency middleware error:', error);
+    return res.status(500).json({ error: 'Server error' });
+  }
+
+  if (!claim.acquired) {
+    const { record } = claim;
+
+    if (record.fingerprint !== fingerprint) {
+      return res.status(422).json({ error: 'Idempotency-Key has already been used for a different request' });
+    }
+
+    if (record.status !== 'completed') {
+      return res.status(409).json({ error: 'A request with this Idempotency-Key is already in progress' });
+    }
+
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(record.response.statusCode).json(record.response.body);
+  }
+
+  let captured = false;
+  const originalJson = res.json;
+
+  res.json = function(body) {
+    captured = true;
+    const statusCode = this.statusCode;
+
+    const persist = statusCode >= 500
+      ? idempotencyService.release(claim.store, userId, key)
+      : idempotencyService.complete(claim.store, userId, key, fingerprint, { statusCode, body });
+
+    persist.catch(err => console.error('Failed to store idempotent response:', err));
+
+    return originalJson.call(this, body);
+  };
+
+  // Responses that never went through res.json leave nothing to replay
+  res.on('finish', () => {
+    if (!captured) {
+      idempotencyService.release(claim.store, userId, key)
+        .catch(err => console.error('Failed to release idempotency key:', err));
+    }
+  });
+
+  next();
+};
+
+module.exports = {
+  idempotent
+};
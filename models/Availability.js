@@ -27,11 +27,30 @@ const availabilitySchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Booking',
       default: null
-    }
+    },
+    // Held for a waitlisted customer until they answer the offer (see services/waitlistService.js)
+    heldBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WaitlistEntry',
+      default: null
+    },
+    heldUntil: Date
   }],
   isAvailable: {
     type: Boolean,
     default: true
+  },
+  // Minutes kept free after each booking, copied from the template
+  bufferMinutes: {
+    type: Number,
+    default: 0
+  },
+  // Where the day's slots came from; only template days are regenerated.
+  // Days saved before templates existed have no source and, like overrides,
+  // are left alone (no default, so saving them doesn't relabel them).
+  source: {
+    type: String,
+    enum: ['template', 'override']
   }
 }, {
   timestamps: true
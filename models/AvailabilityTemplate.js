@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// A break within a working day, e.g. lunch ("13:00"-"14:00")
+const breakSchema = new mongoose.Schema({
+  start: {
+    type: String, // Format: "HH:MM"
+    required: true
+  },
+  end: {
+    type: String, // Format: "HH:MM"
+    required: true
+  }
+}, { _id: false });
+
+const daySchema = new mongoose.Schema({
+  available: {
+    type: Boolean,
+    default: false
+  },
+  start: String, // Format: "HH:MM"
+  end: String, // Format: "HH:MM"
+  breaks: [breakSchema]
+}, { _id: false });
+
+// Recurring weekly schedule a provider's per-date Availability is generated from
+// (see services/availabilityTemplateService.js)
+const availabilityTemplateSchema = new mongoose.Schema({
+  provider: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  slotLength: {
+    type: Number, // in minutes
+    default: 60,
+    min: 15,
+    max: 480
+  },
+  bufferMinutes: {
+    type: Number, // Kept free after every booking
+    default: 0,
+    min: 0,
+    max: 240
+  },
+  weekly: {
+    monday: daySchema,
+    tuesday: daySchema,
+    wednesday: daySchema,
+    thursday: daySchema,
+    friday: daySchema,
+    saturday: daySchema,
+    sunday: daySchema
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('AvailabilityTemplate', availabilityTemplateSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const bankAccountSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  bankName: {
+    type: String,
+    required: [true, 'Bank name is required'],
+    trim: true
+  },
+  bankCode: {
+    type: String,
+    required: [true, 'Bank code is required'],
+    trim: true
+  },
+  accountNumber: {
+    type: String,
+    required: [true, 'Account number is required'],
+    match: [/^\d{10}$/, 'Account number must be 10 digits']
+  },
+  accountName: {
+    type: String,
+    trim: true
+  },
+  currency: {
+    type: String,
+    default: 'NGN'
+  },
+  // Recipient identifier issued by the payout provider
+  recipientCode: String,
+  payoutProvider: String,
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+bankAccountSchema.index({ user: 1, isActive: 1 });
+bankAccountSchema.index({ user: 1, bankCode: 1, accountNumber: 1 }, { unique: true });
+
+module.exports = mongoose.model('BankAccount', bankAccountSchema);
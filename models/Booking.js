@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { isSupportedCurrency } = require('../utils/currency');
+const { DEFAULT_TIMEZONE, isValidTimeZone, toCalendarDate } = require('../utils/timezone');
+const { getBookingSchedule, describeBookingTime } = require('../utils/bookingTime');
 
 const bookingSchema = new mongoose.Schema({
   customer: {
@@ -16,36 +19,163 @@ const bookingSchema = new mongoose.Schema({
     ref: 'Service',
     required: true
   },
+  // Services booked for the same visit (see services/bookingItemsService.js);
+  // `service` is the first item. Empty for single-service bookings.
+  items: [{
+    service: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Service',
+      required: true
+    },
+    name: String, // Service name at booking time
+    priceType: {
+      type: String,
+      enum: ['fixed', 'hourly']
+    },
+    quantity: {
+      type: Number,
+      min: 1,
+      default: 1
+    },
+    unitPrice: Number,
+    duration: Number, // in minutes, for the whole line
+    amount: Number
+  }],
+  // Set for occurrences of a recurring booking
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BookingSeries'
+  },
+  occurrenceIndex: Number, // 0-based position within the series
+  // Accepted quote the booking was created from (negotiable services)
+  quote: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quote'
+  },
+  // Waitlist entry whose offer the booking was created from
+  waitlistEntry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WaitlistEntry'
+  },
   date: {
-    type: Date,
+    type: Date, // Calendar day in the provider's timezone, stored as UTC midnight
     required: true
   },
   time: {
-    type: String, // Format: "HH:MM AM/PM"
+    type: String, // Format: "HH:MM AM/PM", in the provider's timezone
     required: true
   },
   duration: {
     type: Number, // in minutes
     required: true
   },
+  // Provider's IANA timezone when the booking was made
+  timezone: {
+    type: String,
+    validate: {
+      validator: isValidTimeZone,
+      message: props => `${props.value} is not a valid IANA timezone`
+    }
+  },
+  // Canonical UTC instants, derived from date + time + timezone
+  startAt: Date,
+  endAt: Date,
   status: {
     type: String,
     enum: ['pending', 'confirmed', 'in_progress', 'completed', 'cancelled', 'rejected', 'rescheduled'],
     default: 'pending'
   },
+  // Audit trail of status changes (see services/bookingStateService.js)
+  statusHistory: [{
+    status: {
+      type: String,
+      required: true
+    },
+    previousStatus: String,
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User' // Unset for system transitions
+    },
+    actorRole: {
+      type: String,
+      enum: ['customer', 'provider', 'admin', 'system']
+    },
+    reason: String,
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   totalAmount: {
     type: Number,
     required: true
   },
   currency: {
     type: String,
-    default: 'NGN'
+    default: 'NGN',
+    validate: {
+      validator: isSupportedCurrency,
+      message: props => `${props.value} is not a supported currency`
+    }
   },
   paymentStatus: {
     type: String,
-    enum: ['pending', 'paid', 'refunded'],
+    enum: ['pending', 'paid', 'partially_refunded', 'refunded'],
     default: 'pending'
   },
+  escrow: {
+    status: {
+      type: String,
+      enum: ['none', 'held', 'released', 'refunded'],
+      default: 'none'
+    },
+    amount: Number,
+    heldAt: Date,
+    releaseAt: Date, // Funds are auto-released to the provider after this date
+    releasedAt: Date,
+    refundedAt: Date
+  },
+  commission: {
+    // Snapshot of the platform fee worked out at payment time
+    type: {
+      type: String,
+      enum: ['percentage', 'flat', 'tiered']
+    },
+    rate: Number, // Percentage applied, if any
+    category: String,
+    amount: Number, // Platform fee for the full booking amount
+    providerAmount: Number, // Booking amount less the platform fee
+    collected: {
+      type: Number, // Fee actually moved to platform revenue (less reversals)
+      default: 0
+    }
+  },
+  tipAmount: {
+    type: Number,
+    default: 0
+  },
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+  refunds: [{
+    amount: Number,
+    percentage: Number, // Set when the amount was derived from a percentage
+    reason: String,
+    source: {
+      type: String,
+      enum: ['escrow', 'provider'] // Taken from held funds or reversed from the provider's wallet
+    },
+    reference: String,
+    refundedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   notes: String,
   address: {
     street: String,
@@ -61,9 +191,54 @@ const bookingSchema = new mongoose.Schema({
       coordinates: [Number] // [longitude, latitude]
     }
   },
+  // Provider check-in / check-out at the job location
+  checkIn: {
+    at: Date,
+    coordinates: [Number], // [longitude, latitude] reported by the provider
+    distanceMeters: Number, // From the booking location; unset if the booking has none
+    geofenceVerified: Boolean
+  },
+  checkOut: {
+    at: Date,
+    coordinates: [Number],
+    distanceMeters: Number,
+    geofenceVerified: Boolean
+  },
+  // Open dispute; escrow release and payouts for the booking wait until it is settled
+  dispute: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Dispute'
+  },
+  disputeOpen: {
+    type: Boolean,
+    default: false
+  },
+  // Set when the provider took time off over the booking after it was made
+  timeOffConflict: {
+    timeOff: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TimeOff'
+    },
+    flaggedAt: Date
+  },
+  // Actual time on the job, for billing hourly services
+  actualStartAt: Date,
+  actualEndAt: Date,
+  actualDuration: Number, // in minutes
   completedAt: {
     type: Date
   },
+  cancelledAt: {
+    type: Date
+  },
+  // When the provider first confirmed or rejected the request
+  providerRespondedAt: {
+    type: Date
+  },
+  // Set when the expiry job closed the booking without a provider response
+  expiredAt: {
+    type: Date
+  },
   rating: {
     value: {
       type: Number,
@@ -79,13 +254,55 @@ const bookingSchema = new mongoose.Schema({
     default: false
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: { virtuals: true }
+});
+
+// Booking times in UTC and in the provider's timezone, for API responses
+bookingSchema.virtual('schedule').get(function () {
+  if (!this.date || !this.time) return undefined;
+  return describeBookingTime(this);
+});
+
+// Keep the UTC instants in step with the local date and time
+bookingSchema.pre('validate', async function () {
+  if (!this.timezone && this.provider) {
+    const provider = await mongoose.model('User').findById(this.provider).select('timezone').lean();
+    this.timezone = provider?.timezone || DEFAULT_TIMEZONE;
+  }
+
+  if (this.isModified('date') && this.date) {
+    this.date = toCalendarDate(this.date);
+  }
+
+  if (this.isNew || this.isModified('date') || this.isModified('time') || this.isModified('duration') || this.isModified('timezone')) {
+    Object.assign(this, getBookingSchedule(this));
+  }
+});
+
+// Record the initial status of new bookings
+bookingSchema.pre('save', function (next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({
+      status: this.status,
+      actor: this.customer,
+      actorRole: 'customer',
+      reason: 'Booking created'
+    });
+  }
+  next();
 });
 
 // Index for efficient queries
 bookingSchema.index({ customer: 1, createdAt: -1 });
 bookingSchema.index({ provider: 1, createdAt: -1 });
 bookingSchema.index({ status: 1 });
+bookingSchema.index({ series: 1, occurrenceIndex: 1 });
+bookingSchema.index({ 'items.service': 1 });
 bookingSchema.index({ reminderSent: 1, date: 1, status: 1 }); // For reminder service queries
+bookingSchema.index({ reminderSent: 1, startAt: 1, status: 1 });
+bookingSchema.index({ provider: 1, startAt: 1 });
+bookingSchema.index({ status: 1, createdAt: 1 }); // For stale pending booking expiry
+bookingSchema.index({ 'escrow.status': 1, 'escrow.releaseAt': 1 }); // For escrow auto-release queries
 
 module.exports = mongoose.model('Booking', bookingSchema);
\ No newline at end of file
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const { isSupportedCurrency } = require('../utils/currency');
+
+const bookingSeriesSchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  provider: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  service: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    required: true
+  },
+  recurrence: {
+    frequency: {
+      type: String,
+      enum: ['weekly', 'biweekly', 'monthly'],
+      required: true
+    },
+    count: Number, // Number of occurrences requested
+    until: Date // Last date an occurrence may fall on
+  },
+  // Template each occurrence is generated from
+  startDate: {
+    type: Date,
+    required: true
+  },
+  time: {
+    type: String,
+    required: true
+  },
+  duration: {
+    type: Number, // in minutes
+    required: true
+  },
+  totalAmount: {
+    type: Number, // Per occurrence
+    required: true
+  },
+  currency: {
+    type: String,
+    default: 'NGN',
+    validate: {
+      validator: isSupportedCurrency,
+      message: props => `${props.value} is not a supported currency`
+    }
+  },
+  notes: String,
+  address: {
+    street: String,
+    city: String,
+    state: String,
+    zipCode: String,
+    country: String
+  },
+  occurrenceCount: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['active', 'cancelled'],
+    default: 'active'
+  },
+  cancelledAt: Date
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+bookingSeriesSchema.index({ customer: 1, createdAt: -1 });
+bookingSeriesSchema.index({ provider: 1, createdAt: -1 });
+
+module.exports = mongoose.model('BookingSeries', bookingSeriesSchema);
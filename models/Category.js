@@ -18,6 +18,28 @@ const categorySchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
+  },
+  // Platform commission taken from bookings in this category.
+  // Falls back to PLATFORM_COMMISSION_PERCENT when not set.
+  commission: {
+    type: {
+      type: String,
+      enum: ['percentage', 'flat', 'tiered']
+    },
+    value: Number, // Percentage (0-100) or flat amount
+    tiers: [{
+      minCompletedJobs: {
+        type: Number,
+        required: true,
+        min: 0
+      },
+      percentage: {
+        type: Number,
+        required: true,
+        min: 0,
+        max: 100
+      }
+    }]
   }
 }, {
   timestamps: true
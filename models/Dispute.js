@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+
+const evidenceSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true
+  },
+  publicId: String,
+  name: String,
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const disputeMessageSchema = new mongoose.Schema({
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  authorRole: {
+    type: String,
+    enum: ['customer', 'provider', 'admin'],
+    required: true
+  },
+  body: {
+    type: String,
+    required: true,
+    maxlength: [2000, 'Message cannot exceed 2000 characters']
+  },
+  evidence: [evidenceSchema],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const disputeSchema = new mongoose.Schema({
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  provider: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  openedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  openedByRole: {
+    type: String,
+    enum: ['customer', 'provider'],
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: ['not_completed', 'poor_quality', 'damage', 'no_show', 'overcharged', 'payment_issue', 'other'],
+    required: true
+  },
+  description: {
+    type: String,
+    required: [true, 'Description is required'],
+    maxlength: [2000, 'Description cannot exceed 2000 characters']
+  },
+  evidence: [evidenceSchema],
+  messages: [disputeMessageSchema],
+  status: {
+    type: String,
+    enum: ['open', 'under_review', 'resolved', 'withdrawn'],
+    default: 'open'
+  },
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  assignedAt: Date,
+  // Provider earnings from the booking that can't be withdrawn while the dispute is open
+  frozenAmount: {
+    type: Number,
+    default: 0
+  },
+  currency: {
+    type: String,
+    default: 'NGN'
+  },
+  resolution: {
+    outcome: {
+      type: String,
+      enum: ['full_refund', 'partial_refund', 'release_to_provider']
+    },
+    refundAmount: Number,
+    note: String,
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    resolvedAt: Date
+  },
+  withdrawnAt: Date
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+disputeSchema.index({ booking: 1, createdAt: -1 });
+disputeSchema.index({ customer: 1, createdAt: -1 });
+disputeSchema.index({ provider: 1, status: 1 });
+disputeSchema.index({ status: 1, assignedTo: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Dispute', disputeSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+const idempotencyKeySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  key: {
+    type: String,
+    required: true,
+    maxlength: 255
+  },
+  fingerprint: {
+    type: String, // Hash of method, path and body of the first request
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  response: {
+    statusCode: Number,
+    body: mongoose.Schema.Types.Mixed
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// One record per user and key; expired records are removed by MongoDB
+idempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
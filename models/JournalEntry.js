@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+const journalLineSchema = new mongoose.Schema({
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LedgerAccount',
+    required: true
+  },
+  debit: {
+    type: Number,
+    default: 0,
+    min: [0, 'Debit cannot be negative']
+  },
+  credit: {
+    type: Number,
+    default: 0,
+    min: [0, 'Credit cannot be negative']
+  }
+}, { _id: false });
+
+const journalEntrySchema = new mongoose.Schema({
+  reference: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['topup', 'booking_payment', 'escrow_release', 'refund', 'fee', 'withdrawal', 'transfer', 'fx_conversion', 'adjustment'],
+    required: true
+  },
+  description: {
+    type: String,
+    required: true
+  },
+  currency: {
+    type: String,
+    default: 'NGN'
+  },
+  lines: {
+    type: [journalLineSchema],
+    validate: {
+      validator: (lines) => lines.length >= 2,
+      message: 'A journal entry needs at least two lines'
+    }
+  },
+  metadata: {
+    bookingId: mongoose.Schema.Types.ObjectId,
+    walletTransactionId: mongoose.Schema.Types.ObjectId,
+    withdrawalId: mongoose.Schema.Types.ObjectId
+  }
+}, {
+  timestamps: true
+});
+
+// Every entry must balance: total debits equal total credits
+journalEntrySchema.pre('validate', function (next) {
+  const debits = this.lines.reduce((sum, line) => sum + (line.debit || 0), 0);
+  const credits = this.lines.reduce((sum, line) => sum + (line.credit || 0), 0);
+
+  if (Math.abs(debits - credits) > 0.005) {
+    return next(new Error(`Unbalanced journal entry: debits ${debits} != credits ${credits}`));
+  }
+  next();
+});
+
+// Index for efficient queries
+journalEntrySchema.index({ 'lines.account': 1 });
+journalEntrySchema.index({ 'metadata.bookingId': 1 });
+
+module.exports = mongoose.model('JournalEntry', journalEntrySchema);
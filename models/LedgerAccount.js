@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+const ledgerAccountSchema = new mongoose.Schema({
+  code: {
+    type: String, // e.g. "platform:escrow" or "wallet:<userId>:NGN"
+    required: true,
+    unique: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['asset', 'liability', 'revenue', 'expense', 'equity'],
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User' // Set for user wallet accounts only
+  },
+  currency: {
+    type: String,
+    default: 'NGN'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+ledgerAccountSchema.index({ user: 1 });
+
+module.exports = mongoose.model('LedgerAccount', ledgerAccountSchema);
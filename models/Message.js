@@ -27,9 +27,14 @@ const messageSchema = new mongoose.Schema({
   },
   contentType: {
     type: String,
-    enum: ['text', 'image', 'document', 'location'],
+    enum: ['text', 'image', 'document', 'location', 'quote'],
     default: 'text'
   },
+  // Quote a 'quote' message refers to
+  quote: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quote'
+  },
   attachments: [{
     url: String,
     type: String, // image, document, etc.
@@ -29,7 +29,10 @@ const notificationSchema = new mongoose.Schema({
     // Additional data related to the notification
     bookingId: mongoose.Schema.Types.ObjectId,
     serviceId: mongoose.Schema.Types.ObjectId,
-    messageId: mongoose.Schema.Types.ObjectId
+    messageId: mongoose.Schema.Types.ObjectId,
+    quoteId: mongoose.Schema.Types.ObjectId,
+    disputeId: mongoose.Schema.Types.ObjectId,
+    waitlistEntryId: mongoose.Schema.Types.ObjectId
   }
 }, {
   timestamps: true
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Public holiday of a country, or of one state when `state` is set. Fixed
+// holidays recur every year on `month`/`day`; movable ones are entered per
+// year with `date`.
+const publicHolidaySchema = new mongoose.Schema({
+  country: {
+    type: String, // ISO 3166-1 alpha-2, e.g. "NG"
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  state: {
+    type: String,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  month: {
+    type: Number,
+    min: 1,
+    max: 12
+  },
+  day: {
+    type: Number,
+    min: 1,
+    max: 31
+  },
+  date: Date
+}, {
+  timestamps: true
+});
+
+publicHolidaySchema.pre('validate', function (next) {
+  if (!this.date && !(this.month && this.day)) {
+    this.invalidate('date', 'A holiday needs a date, or a month and day if it recurs every year');
+  }
+  next();
+});
+
+publicHolidaySchema.index({ country: 1, state: 1, month: 1, day: 1 });
+publicHolidaySchema.index({ country: 1, state: 1, date: 1 });
+
+module.exports = mongoose.model('PublicHoliday', publicHolidaySchema);
@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+const { isSupportedCurrency } = require('../utils/currency');
+
+const lineItemSchema = new mongoose.Schema({
+  description: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [200, 'Line item description cannot exceed 200 characters']
+  },
+  quantity: {
+    type: Number,
+    default: 1,
+    min: [0, 'Quantity cannot be negative']
+  },
+  unitPrice: {
+    type: Number,
+    required: true,
+    min: [0, 'Unit price cannot be negative']
+  },
+  amount: {
+    type: Number,
+    required: true
+  }
+});
+
+const quoteSchema = new mongoose.Schema({
+  service: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    required: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  provider: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Customer/provider conversation about the service the quote is discussed in
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation'
+  },
+  // The customer's job request
+  description: {
+    type: String,
+    required: [true, 'Job description is required'],
+    maxlength: [2000, 'Job description cannot exceed 2000 characters']
+  },
+  photos: [{
+    url: String,
+    publicId: String
+  }],
+  preferredDate: Date,
+  preferredTime: String,
+  // Same shape as Booking.address
+  address: {
+    street: String,
+    city: String,
+    state: String,
+    zipCode: String,
+    country: String,
+    location: {
+      type: {
+        type: String,
+        default: 'Point'
+      },
+      coordinates: [Number] // [longitude, latitude]
+    }
+  },
+  // The provider's priced response
+  lineItems: [lineItemSchema],
+  totalAmount: {
+    type: Number,
+    min: [0, 'Total amount cannot be negative']
+  },
+  currency: {
+    type: String,
+    default: 'NGN',
+    validate: {
+      validator: isSupportedCurrency,
+      message: props => `${props.value} is not a supported currency`
+    }
+  },
+  duration: Number, // Estimated minutes; the service duration is used if unset
+  providerNote: {
+    type: String,
+    maxlength: [1000, 'Note cannot exceed 1000 characters']
+  },
+  expiresAt: Date,
+  status: {
+    type: String,
+    enum: ['requested', 'quoted', 'accepted', 'declined', 'expired'],
+    default: 'requested'
+  },
+  declinedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  declineReason: String,
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  quotedAt: Date,
+  acceptedAt: Date,
+  declinedAt: Date
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+quoteSchema.index({ customer: 1, createdAt: -1 });
+quoteSchema.index({ provider: 1, status: 1, createdAt: -1 });
+quoteSchema.index({ conversation: 1 });
+quoteSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('Quote', quoteSchema);
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+const proposedSlotSchema = new mongoose.Schema({
+  date: {
+    type: Date,
+    required: true
+  },
+  time: {
+    type: String, // Same format as Booking.time
+    required: true
+  }
+});
+
+const rescheduleProposalSchema = new mongoose.Schema({
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  proposedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  proposedByRole: {
+    type: String,
+    enum: ['customer', 'provider'],
+    required: true
+  },
+  // The other party, who accepts or declines
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  slots: {
+    type: [proposedSlotSchema],
+    validate: [slots => slots.length > 0, 'At least one slot must be proposed']
+  },
+  message: {
+    type: String,
+    maxlength: 500
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'countered', 'expired'],
+    default: 'pending'
+  },
+  // Proposal this one answers with a counter-offer
+  counterOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RescheduleProposal'
+  },
+  acceptedSlot: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  // Booking time before an accepted proposal was applied
+  previousDate: Date,
+  previousTime: String,
+  responseMessage: {
+    type: String,
+    maxlength: 500
+  },
+  respondedAt: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+rescheduleProposalSchema.index({ booking: 1, createdAt: -1 });
+rescheduleProposalSchema.index({ status: 1, expiresAt: 1 }); // For the expiry sweep
+// A booking has at most one open proposal; a counter-offer closes the one it answers
+rescheduleProposalSchema.index({ booking: 1 }, { unique: true, partialFilterExpression: { status: 'pending' } });
+
+module.exports = mongoose.model('RescheduleProposal', rescheduleProposalSchema);
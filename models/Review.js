@@ -27,6 +27,19 @@ const reviewSchema = new mongoose.Schema({
     min: 1,
     max: 5
   },
+  // Every service of a multi-service booking, with an optional rating of its own
+  items: [{
+    service: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Service',
+      required: true
+    },
+    rating: {
+      type: Number,
+      min: 1,
+      max: 5
+    }
+  }],
   comment: {
     type: String,
     maxlength: [500, 'Comment cannot exceed 500 characters']
@@ -39,5 +52,6 @@ const reviewSchema = new mongoose.Schema({
 // Index for efficient queries
 reviewSchema.index({ provider: 1, createdAt: -1 });
 reviewSchema.index({ service: 1, createdAt: -1 });
+reviewSchema.index({ 'items.service': 1, createdAt: -1 });
 
 module.exports = mongoose.model('Review', reviewSchema);
\ No newline at end of file
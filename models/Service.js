@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { isSupportedCurrency } = require('../utils/currency');
 
 const serviceSchema = new mongoose.Schema({
   name: {
@@ -26,6 +27,14 @@ const serviceSchema = new mongoose.Schema({
     required: [true, 'Price is required'],
     min: [0, 'Price cannot be negative']
   },
+  currency: {
+    type: String,
+    default: 'NGN',
+    validate: {
+      validator: isSupportedCurrency,
+      message: props => `${props.value} is not a supported currency`
+    }
+  },
   priceType: {
     type: String,
     enum: ['fixed', 'hourly', 'negotiable'],
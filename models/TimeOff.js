@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// Time a provider is unavailable (see services/timeOffService.js). Either a
+// date range, optionally limited to part of each day, or an opt-in to the
+// public holidays of a country or state, which recur every year.
+const timeOffSchema = new mongoose.Schema({
+  provider: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['time_off', 'public_holidays'],
+    default: 'time_off'
+  },
+  // time_off: first and last day (inclusive)
+  startDate: Date,
+  endDate: Date,
+  // Partial days: blocked between these times on every day of the range
+  startTime: String, // Format: "HH:MM"
+  endTime: String, // Format: "HH:MM"
+  reason: {
+    type: String,
+    enum: ['vacation', 'sick', 'personal', 'training', 'other'],
+    default: 'vacation'
+  },
+  note: {
+    type: String,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+  // public_holidays: whose holidays the provider observes
+  country: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+  state: {
+    type: String,
+    trim: true
+  },
+  // Upcoming bookings that clashed with this time off when it was created
+  conflictingBookings: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  }]
+}, {
+  timestamps: true
+});
+
+timeOffSchema.index({ provider: 1, type: 1, endDate: 1 });
+timeOffSchema.index({ type: 1, startDate: 1, endDate: 1 }); // For search exclusions
+
+module.exports = mongoose.model('TimeOff', timeOffSchema);
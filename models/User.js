@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { isSupportedCurrency } = require('../utils/currency');
+const { DEFAULT_TIMEZONE, isValidTimeZone } = require('../utils/timezone');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -27,12 +29,28 @@ const userSchema = new mongoose.Schema({
     minlength: [6, 'Password must be at least 6 characters'],
     select: false // Don't include password in queries by default
   },
+  // Secret token in the user's iCalendar feed URL
+  calendarFeedToken: {
+    type: String,
+    unique: true,
+    sparse: true,
+    select: false
+  },
   role: {
     type: String,
     enum: ['customer', 'provider'],
     default: 'customer',
     required: true
   },
+  // IANA timezone; a provider's working hours and bookings are in this zone
+  timezone: {
+    type: String,
+    default: DEFAULT_TIMEZONE,
+    validate: {
+      validator: isValidTimeZone,
+      message: props => `${props.value} is not a valid IANA timezone`
+    }
+  },
   profile: {
     avatar: String,
     bio: String,
@@ -99,6 +117,37 @@ const userSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Tips received from customers (providers)
+  tips: {
+    count: {
+      type: Number,
+      default: 0
+    },
+    totals: {
+      type: Map, // Total tipped per currency
+      of: Number,
+      default: {}
+    },
+    lastTipAt: Date
+  },
+  // How quickly a provider answers booking requests
+  responseStats: {
+    respondedCount: {
+      type: Number,
+      default: 0
+    },
+    expiredCount: {
+      type: Number,
+      default: 0 // Requests closed by the expiry job without a response
+    },
+    totalResponseMinutes: {
+      type: Number,
+      default: 0
+    },
+    averageResponseMinutes: Number,
+    responseRate: Number, // Percentage of requests answered
+    lastRespondedAt: Date
+  },
   wallet: {
     balance: {
       type: Number,
@@ -106,7 +155,17 @@ const userSchema = new mongoose.Schema({
     },
     currency: {
       type: String,
-      default: 'NGN'
+      default: 'NGN',
+      validate: {
+        validator: isSupportedCurrency,
+        message: props => `${props.value} is not a supported currency`
+      }
+    },
+    // Balances held in currencies other than the primary wallet currency, keyed by code
+    balances: {
+      type: Map,
+      of: Number,
+      default: {}
     },
     transactions: [{
       type: String, // 'credit' or 'debit'
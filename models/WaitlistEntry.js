@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+// A slot offered to the customer, held for them until `expiresAt`
+const offerSchema = new mongoose.Schema({
+  date: {
+    type: Date, // Calendar day in the provider's timezone
+    required: true
+  },
+  time: {
+    type: String, // "HH:MM" in the provider's timezone
+    required: true
+  },
+  startAt: Date,
+  endAt: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'expired', 'withdrawn'],
+    default: 'pending'
+  },
+  respondedAt: Date
+}, {
+  timestamps: true
+});
+
+const waitlistEntrySchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  provider: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  service: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    required: true
+  },
+  // Calendar days (in the provider's timezone) the customer can do
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+  // Times of day the customer prefers ("HH:MM"); any time if empty
+  preferredTimes: [{
+    start: {
+      type: String,
+      required: true
+    },
+    end: {
+      type: String,
+      required: true
+    }
+  }],
+  duration: {
+    type: Number, // in minutes, from the service
+    required: true
+  },
+  notes: String,
+  address: {
+    street: String,
+    city: String,
+    state: String,
+    zipCode: String,
+    country: String,
+    location: {
+      type: {
+        type: String,
+        default: 'Point'
+      },
+      coordinates: [Number] // [longitude, latitude]
+    }
+  },
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'booked', 'cancelled', 'expired'],
+    default: 'waiting'
+  },
+  offers: [offerSchema],
+  // Booking the accepted offer became
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  cancelledAt: Date
+}, {
+  timestamps: true
+});
+
+// Waiting customers are offered slots in the order they joined
+waitlistEntrySchema.index({ provider: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ customer: 1, createdAt: -1 });
+waitlistEntrySchema.index({ status: 1, 'offers.expiresAt': 1 }); // For the offer expiry sweep
+waitlistEntrySchema.index({ status: 1, endDate: 1 });
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
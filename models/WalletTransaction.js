@@ -31,14 +31,31 @@ const walletTransactionSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'completed', 'failed', 'refunded'],
+    enum: ['pending', 'completed', 'failed', 'refunded', 'held', 'released'],
     default: 'pending'
   },
   metadata: {
     // Additional data based on transaction type
     bookingId: mongoose.Schema.Types.ObjectId,
     paymentMethod: String,
-    providerId: mongoose.Schema.Types.ObjectId
+    providerId: mongoose.Schema.Types.ObjectId,
+    relatedTransactionId: mongoose.Schema.Types.ObjectId, // Other side of a linked movement (e.g. refund reversal)
+    withdrawalId: mongoose.Schema.Types.ObjectId,
+    transferType: {
+      type: String,
+      enum: ['transfer', 'tip']
+    },
+    counterpartyId: mongoose.Schema.Types.ObjectId, // Other user in a wallet-to-wallet transfer
+    note: String,
+    // Set when the wallet paid in another currency: 1 baseCurrency = rate quoteCurrency
+    fx: {
+      baseCurrency: String,
+      quoteCurrency: String,
+      rate: Number,
+      originalAmount: Number, // Amount in baseCurrency that was paid for
+      provider: String,
+      asOf: Date
+    }
   }
 }, {
   timestamps: true
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+const withdrawalSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  bankAccount: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BankAccount',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Amount cannot be negative']
+  },
+  currency: {
+    type: String,
+    default: 'NGN'
+  },
+  status: {
+    type: String,
+    enum: ['requested', 'approved', 'processing', 'paid', 'failed'],
+    default: 'requested'
+  },
+  reference: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  // WalletTransaction holding the funds while the withdrawal is pending
+  holdTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WalletTransaction'
+  },
+  payoutProvider: String,
+  providerReference: String, // Transfer ID returned by the payout provider
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: Date,
+  processedAt: Date,
+  paidAt: Date,
+  failedAt: Date,
+  failureReason: String
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+withdrawalSchema.index({ user: 1, createdAt: -1 });
+withdrawalSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Withdrawal', withdrawalSchema);
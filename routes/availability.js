@@ -1,15 +1,22 @@
 const express = require('express');
+const { body, query } = require('express-validator');
 const { 
   getAvailability, 
   getAvailabilityRange, 
+  searchAvailability,
   updateAvailability, 
+  resetAvailability,
+  getTemplate,
+  updateTemplate,
   bookSlot, 
   unbookSlot 
 } = require('../controllers/availabilityController');
-const { auth } = require('../middleware/auth');
+const { auth, checkRole } = require('../middleware/auth');
 
 const router = express.Router();
 
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
 // @route   GET api/availability
 // @desc    Get provider availability for a date
 // @access  Public
@@ -20,18 +27,60 @@ router.get('/', getAvailability);
 // @access  Public
 router.get('/range', getAvailabilityRange);
 
+// @route   GET api/availability/search
+// @desc    Find providers of a category near `location` with free slots for a job of `duration` minutes between `from` and `to`
+// @access  Public
+router.get('/search',
+  [
+    query('duration').isInt({ min: 15, max: 720 }).withMessage('Duration must be between 15 and 720 minutes'),
+    query('category').optional().isString().trim().notEmpty().withMessage('Category cannot be empty'),
+    query('radius').optional().isFloat({ gt: 0, max: 100 }).withMessage('Radius must be between 0 and 100 km'),
+    query('date').optional().isISO8601().withMessage('Date must be a valid date'),
+    query('days').optional().isInt({ min: 1, max: 7 }).withMessage('Days must be between 1 and 7'),
+    query('from').optional().isString(),
+    query('to').optional().isString(),
+    query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+  ],
+  searchAvailability
+);
+
 // @route   PUT api/availability
 // @desc    Update provider availability
 // @access  Private (Provider only)
 router.put('/', auth, updateAvailability);
 
+// @route   DELETE api/availability
+// @desc    Clear the override for a date (`date` query) so it follows the weekly template again
+// @access  Private (Provider only)
+router.delete('/', auth, resetAvailability);
+
+// @route   GET api/availability/template
+// @desc    Get your weekly availability template
+// @access  Private (Provider only)
+router.get('/template', auth, checkRole(['provider']), getTemplate);
+
+// @route   PUT api/availability/template
+// @desc    Create or replace your weekly availability template; upcoming generated days are regenerated
+// @access  Private (Provider only)
+router.put('/template',
+  auth,
+  checkRole(['provider']),
+  [
+    body('slotLength').optional().isInt({ min: 15, max: 480 }).withMessage('Slot length must be between 15 and 480 minutes'),
+    body('bufferMinutes').optional().isInt({ min: 0, max: 240 }).withMessage('Buffer must be between 0 and 240 minutes'),
+    body('weekly').isObject().withMessage('Weekly schedule is required'),
+    ...WEEKDAYS.map(day => body(`weekly.${day}.breaks`).optional().isArray({ max: 5 }).withMessage(`${day}: at most 5 breaks`))
+  ],
+  updateTemplate
+);
+
 // @route   PUT api/availability/book-slot
-// @desc    Mark a time slot as booked
+// @desc    Manually mark a time slot as booked (bookings reserve their slots automatically)
 // @access  Private (Provider only)
 router.put('/book-slot', auth, bookSlot);
 
 // @route   PUT api/availability/unbook-slot
-// @desc    Mark a time slot as unbooked
+// @desc    Manually mark a time slot as unbooked (cancelled and rejected bookings release their slots automatically)
 // @access  Private (Provider only)
 router.put('/unbook-slot', auth, unbookSlot);
 
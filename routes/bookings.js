@@ -1,41 +1,235 @@
 const express = require('express');
+const multer = require('multer');
+const { body } = require('express-validator');
 const {
   createBooking,
   getUserBookings,
   getBookingById,
   updateBookingStatus,
-  addRating
+  addRating,
+  refundBooking,
+  getCancellationPolicy,
+  getBookingHistory,
+  getBookingSeries,
+  updateBookingOccurrence,
+  cancelBookingOccurrence,
+  getRescheduleProposals,
+  proposeReschedule,
+  acceptRescheduleProposal,
+  declineRescheduleProposal,
+  getCalendarFeedUrl,
+  getCalendarFeed,
+  checkInBooking,
+  checkOutBooking
 } = require('../controllers/bookingController');
-const { auth } = require('../middleware/auth');
+const { auth, checkRole } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
 const bookingReminderService = require('../services/bookingReminderService');
+const bookingExpiryService = require('../services/bookingExpiryService');
 
 const router = express.Router();
 
+const SCOPES = ['this', 'following'];
+
+// Completion photos are kept in memory and uploaded to cloud storage
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only images are allowed.'), false);
+    }
+  }
+});
+
+const positionRules = [
+  body('latitude').isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  body('longitude').isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180')
+];
+
 // @route   POST api/bookings
-// @desc    Create a new booking
+// @desc    Create a booking for a `service` or for several `items` from one provider; a recurring series when `recurrence` is given
 // @access  Private
-router.post('/', auth, createBooking);
+router.post('/',
+  auth,
+  idempotent,
+  [
+    body('service')
+      .if(body('items').not().exists())
+      .isMongoId().withMessage('Valid service ID is required'),
+    body('items').optional().isArray({ min: 1, max: 10 }).withMessage('Provide between 1 and 10 items'),
+    body('items.*.service').isMongoId().withMessage('Each item needs a valid service ID'),
+    body('items.*.quantity').optional().isInt({ min: 1, max: 20 }).withMessage('Quantity must be between 1 and 20'),
+    body('recurrence.frequency')
+      .if(body('recurrence').exists())
+      .isIn(['weekly', 'biweekly', 'monthly']).withMessage('Frequency must be weekly, biweekly or monthly'),
+    body('recurrence.count').optional().isInt({ min: 2 }).withMessage('Count must be at least 2'),
+    body('recurrence.until').optional().isISO8601().withMessage('Until must be a valid date')
+  ],
+  createBooking
+);
 
 // @route   GET api/bookings
 // @desc    Get user bookings
 // @access  Private
 router.get('/', auth, getUserBookings);
 
+// @route   GET api/bookings/cancellation-policy
+// @desc    Get cancellation refund policy (optionally for a booking)
+// @access  Private
+router.get('/cancellation-policy', auth, getCancellationPolicy);
+
+// @route   GET api/bookings/calendar/feed
+// @desc    Get the current user's iCalendar feed URL
+// @access  Private
+router.get('/calendar/feed', auth, getCalendarFeedUrl);
+
+// @route   POST api/bookings/calendar/feed
+// @desc    Replace the feed token; old feed URLs stop working
+// @access  Private
+router.post('/calendar/feed', auth, getCalendarFeedUrl);
+
+// @route   GET api/bookings/calendar/:token.ics
+// @desc    iCalendar feed of the token owner's confirmed and in-progress bookings
+// @access  Public (secret token in the URL)
+router.get('/calendar/:token.ics', getCalendarFeed);
+
+// @route   GET api/bookings/series/:seriesId
+// @desc    Get a recurring booking series and its occurrences
+// @access  Private (Customer, provider or admin)
+router.get('/series/:seriesId', auth, getBookingSeries);
+
 // @route   GET api/bookings/:id
 // @desc    Get booking by ID
 // @access  Private
 router.get('/:id', auth, getBookingById);
 
+// @route   GET api/bookings/:id/history
+// @desc    Get booking status history and allowed next statuses
+// @access  Private (Customer, provider or admin)
+router.get('/:id/history', auth, getBookingHistory);
+
 // @route   PUT api/bookings/:id
-// @desc    Update booking status
+// @desc    Update booking status (see services/bookingStateService.js for legal transitions)
 // @access  Private
-router.put('/:id', auth, updateBookingStatus);
+router.put('/:id',
+  auth,
+  [
+    body('reason').optional().isString().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+  ],
+  updateBookingStatus
+);
+
+// @route   PUT api/bookings/:id/occurrence
+// @desc    Edit one occurrence of a recurring booking, or it and every later one
+// @access  Private (Customer or admin)
+router.put('/:id/occurrence',
+  auth,
+  [
+    body('scope').isIn(SCOPES).withMessage('Scope must be this or following'),
+    body('date').optional().isISO8601().withMessage('Date must be a valid date'),
+    body('time').optional().isString().notEmpty().withMessage('Time must be a valid time'),
+    body('duration').optional().isInt({ gt: 0 }).withMessage('Duration must be a positive number of minutes'),
+    body('notes').optional().isString().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters'),
+    body('reason').optional().isString().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+  ],
+  updateBookingOccurrence
+);
+
+// @route   POST api/bookings/:id/occurrence/cancel
+// @desc    Cancel one occurrence of a recurring booking, or it and every later one
+// @access  Private (Customer or admin)
+router.post('/:id/occurrence/cancel',
+  auth,
+  [
+    body('scope').isIn(SCOPES).withMessage('Scope must be this or following'),
+    body('reason').optional().isString().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+  ],
+  cancelBookingOccurrence
+);
+
+// @route   GET api/bookings/:id/reschedule-proposals
+// @desc    Get reschedule proposals for a booking
+// @access  Private (Customer, provider or admin)
+router.get('/:id/reschedule-proposals', auth, getRescheduleProposals);
+
+// @route   POST api/bookings/:id/reschedule-proposals
+// @desc    Propose new times for a booking (a counter-offer if the other party has an open proposal)
+// @access  Private (Customer or provider)
+router.post('/:id/reschedule-proposals',
+  auth,
+  [
+    body('slots').isArray({ min: 1, max: 5 }).withMessage('Propose between 1 and 5 slots'),
+    body('slots.*.date').isISO8601().withMessage('Each slot needs a valid date'),
+    body('slots.*.time').isString().notEmpty().withMessage('Each slot needs a time'),
+    body('message').optional().isString().isLength({ max: 500 }).withMessage('Message cannot exceed 500 characters')
+  ],
+  proposeReschedule
+);
+
+// @route   POST api/bookings/:id/reschedule-proposals/:proposalId/accept
+// @desc    Accept one of the proposed slots; the booking moves to it
+// @access  Private (Recipient of the proposal)
+router.post('/:id/reschedule-proposals/:proposalId/accept',
+  auth,
+  [
+    body('slotId').optional().isMongoId().withMessage('Invalid slot ID'),
+    body('message').optional().isString().isLength({ max: 500 }).withMessage('Message cannot exceed 500 characters')
+  ],
+  acceptRescheduleProposal
+);
+
+// @route   POST api/bookings/:id/reschedule-proposals/:proposalId/decline
+// @desc    Decline a reschedule proposal; the booking keeps its time
+// @access  Private (Recipient of the proposal)
+router.post('/:id/reschedule-proposals/:proposalId/decline',
+  auth,
+  [
+    body('message').optional().isString().isLength({ max: 500 }).withMessage('Message cannot exceed 500 characters')
+  ],
+  declineRescheduleProposal
+);
+
+// @route   POST api/bookings/:id/check-in
+// @desc    Check in at the job location and start the booking
+// @access  Private (Booking provider)
+router.post('/:id/check-in', auth, positionRules, checkInBooking);
+
+// @route   POST api/bookings/:id/check-out
+// @desc    Check out with completion photos (multipart `photos`) and complete the booking
+// @access  Private (Booking provider)
+router.post('/:id/check-out', auth, upload.array('photos', 10), positionRules, checkOutBooking);
 
 // @route   POST api/bookings/:id/rating
 // @desc    Add rating to booking
 // @access  Private
 router.post('/:id/rating', auth, addRating);
 
+// @route   POST api/bookings/:id/refund
+// @desc    Refund a booking in full or in part
+// @access  Private (Admin, or the booking's provider)
+router.post('/:id/refund',
+  auth,
+  checkRole(['provider', 'admin']),
+  idempotent,
+  [
+    body('amount').optional().isFloat({ gt: 0 }).withMessage('Amount must be greater than 0'),
+    body('percentage').optional().isFloat({ gt: 0, max: 100 }).withMessage('Percentage must be between 0 and 100'),
+    body('reason').optional().isString().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters'),
+    body().custom((value) => {
+      if (value.amount !== undefined && value.percentage !== undefined) {
+        throw new Error('Provide either amount or percentage, not both');
+      }
+      return true;
+    })
+  ],
+  refundBooking
+);
+
 // @route   POST api/bookings/reminders/trigger
 // @desc    Manually trigger booking reminder emails (for testing/admin)
 // @access  Private (should be admin only in production)
@@ -53,4 +247,21 @@ router.post('/reminders/trigger', auth, async (req, res) => {
   }
 });
 
+// @route   POST api/bookings/expiry/trigger
+// @desc    Manually run the stale pending booking expiry job
+// @access  Private (Admin only)
+router.post('/expiry/trigger', auth, checkRole(['admin']), async (req, res) => {
+  try {
+    const result = await bookingExpiryService.expireStaleBookings();
+    res.json({
+      success: true,
+      message: 'Stale pending bookings processed',
+      ...result
+    });
+  } catch (error) {
+    console.error('Error triggering booking expiry:', error);
+    res.status(500).json({ error: 'Failed to trigger booking expiry' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
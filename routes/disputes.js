@@ -0,0 +1,116 @@
+const express = require('express');
+const multer = require('multer');
+const { body, query } = require('express-validator');
+const {
+  openDispute,
+  getDisputes,
+  getDisputeById,
+  addDisputeMessage,
+  assignDispute,
+  resolveDispute,
+  withdrawDispute
+} = require('../controllers/disputeController');
+const { auth, checkRole } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+
+const router = express.Router();
+
+const DISPUTE_REASONS = ['not_completed', 'poor_quality', 'damage', 'no_show', 'overcharged', 'payment_issue', 'other'];
+const DISPUTE_STATUSES = ['open', 'under_review', 'resolved', 'withdrawn'];
+const OUTCOMES = ['full_refund', 'partial_refund', 'release_to_provider'];
+
+// Evidence is kept in memory and uploaded to cloud storage
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/') || file.mimetype === 'application/pdf') {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only images and PDFs are allowed.'), false);
+    }
+  }
+});
+
+// @route   POST api/disputes
+// @desc    Open a dispute on a paid booking (multipart, up to 5 `evidence` files)
+// @access  Private (Customer or provider of the booking)
+router.post('/',
+  auth,
+  upload.array('evidence', 5),
+  [
+    body('bookingId').isMongoId().withMessage('Valid booking ID is required'),
+    body('reason').isIn(DISPUTE_REASONS).withMessage('Invalid dispute reason'),
+    body('description').trim().notEmpty().withMessage('Description is required')
+      .isLength({ max: 2000 }).withMessage('Description cannot exceed 2000 characters')
+  ],
+  openDispute
+);
+
+// @route   GET api/disputes
+// @desc    Get disputes for the current user; admins see all (`status`, `assignedTo` filters)
+// @access  Private
+router.get('/',
+  auth,
+  [
+    query('status').optional().isIn(DISPUTE_STATUSES).withMessage('Invalid status'),
+    query('assignedTo').optional().isMongoId().withMessage('Invalid assignee ID')
+  ],
+  getDisputes
+);
+
+// @route   GET api/disputes/:id
+// @desc    Get a dispute with its discussion
+// @access  Private (Customer, provider or admin)
+router.get('/:id', auth, getDisputeById);
+
+// @route   POST api/disputes/:id/messages
+// @desc    Post to the dispute discussion (multipart, up to 5 `evidence` files)
+// @access  Private (Customer, provider or admin)
+router.post('/:id/messages',
+  auth,
+  upload.array('evidence', 5),
+  [
+    body('body').trim().notEmpty().withMessage('Message is required')
+      .isLength({ max: 2000 }).withMessage('Message cannot exceed 2000 characters')
+  ],
+  addDisputeMessage
+);
+
+// @route   PUT api/disputes/:id/assign
+// @desc    Assign a dispute to an admin (defaults to yourself) and start the review
+// @access  Private (Admin only)
+router.put('/:id/assign',
+  auth,
+  checkRole(['admin']),
+  [
+    body('assigneeId').optional().isMongoId().withMessage('Invalid assignee ID')
+  ],
+  assignDispute
+);
+
+// @route   POST api/disputes/:id/resolve
+// @desc    Resolve a dispute with a full refund, partial refund or release to the provider
+// @access  Private (Admin only)
+router.post('/:id/resolve',
+  auth,
+  checkRole(['admin']),
+  idempotent,
+  [
+    body('outcome').isIn(OUTCOMES).withMessage('Outcome must be full_refund, partial_refund or release_to_provider'),
+    body('amount')
+      .if(body('outcome').equals('partial_refund'))
+      .isFloat({ gt: 0 }).withMessage('Amount must be greater than 0'),
+    body('note').optional().isString().isLength({ max: 1000 }).withMessage('Note cannot exceed 1000 characters')
+  ],
+  resolveDispute
+);
+
+// @route   POST api/disputes/:id/withdraw
+// @desc    Withdraw a dispute
+// @access  Private (Party who opened it)
+router.post('/:id/withdraw', auth, withdrawDispute);
+
+module.exports = router;
@@ -0,0 +1,104 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const {
+  addBankAccount,
+  getBankAccounts,
+  deleteBankAccount,
+  requestWithdrawal,
+  getWithdrawals,
+  getAllWithdrawals,
+  approveWithdrawal,
+  rejectWithdrawal,
+  syncWithdrawal
+} = require('../controllers/payoutController');
+const { auth, checkRole } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+
+const router = express.Router();
+
+const WITHDRAWAL_STATUSES = ['requested', 'approved', 'processing', 'paid', 'failed'];
+
+// @route   POST api/payouts/bank-accounts
+// @desc    Register a bank account for payouts
+// @access  Private (Provider only)
+router.post('/bank-accounts',
+  auth,
+  checkRole(['provider']),
+  [
+    body('bankName').trim().notEmpty().withMessage('Bank name is required'),
+    body('bankCode').trim().notEmpty().withMessage('Bank code is required'),
+    body('accountNumber')
+      .notEmpty().withMessage('Account number is required')
+      .matches(/^\d{10}$/).withMessage('Account number must be 10 digits'),
+    body('accountName').optional().trim().isLength({ max: 100 }).withMessage('Account name cannot exceed 100 characters'),
+    body('isDefault').optional().isBoolean().withMessage('isDefault must be a boolean')
+  ],
+  addBankAccount
+);
+
+// @route   GET api/payouts/bank-accounts
+// @desc    Get registered bank accounts
+// @access  Private (Provider only)
+router.get('/bank-accounts', auth, checkRole(['provider']), getBankAccounts);
+
+// @route   DELETE api/payouts/bank-accounts/:id
+// @desc    Remove a bank account
+// @access  Private (Provider only)
+router.delete('/bank-accounts/:id', auth, checkRole(['provider']), deleteBankAccount);
+
+// @route   POST api/payouts/withdrawals
+// @desc    Request a withdrawal from the wallet
+// @access  Private (Provider only)
+router.post('/withdrawals',
+  auth,
+  checkRole(['provider']),
+  idempotent,
+  [
+    body('amount')
+      .notEmpty().withMessage('Amount is required')
+      .isFloat({ gt: 0 }).withMessage('Amount must be greater than 0'),
+    body('bankAccountId').optional().isMongoId().withMessage('Invalid bank account ID format')
+  ],
+  requestWithdrawal
+);
+
+// @route   GET api/payouts/withdrawals
+// @desc    Get withdrawal history
+// @access  Private (Provider only)
+router.get('/withdrawals',
+  auth,
+  checkRole(['provider']),
+  [
+    query('status').optional().isIn(WITHDRAWAL_STATUSES).withMessage('Invalid withdrawal status')
+  ],
+  getWithdrawals
+);
+
+// @route   GET api/payouts/admin/withdrawals
+// @desc    Get all withdrawals
+// @access  Private/Admin
+router.get('/admin/withdrawals',
+  auth,
+  checkRole(['admin']),
+  [
+    query('status').optional().isIn(WITHDRAWAL_STATUSES).withMessage('Invalid withdrawal status')
+  ],
+  getAllWithdrawals
+);
+
+// @route   PUT api/payouts/admin/withdrawals/:id/approve
+// @desc    Approve a withdrawal and start the transfer
+// @access  Private/Admin
+router.put('/admin/withdrawals/:id/approve', auth, checkRole(['admin']), approveWithdrawal);
+
+// @route   PUT api/payouts/admin/withdrawals/:id/reject
+// @desc    Reject a withdrawal and return the held funds
+// @access  Private/Admin
+router.put('/admin/withdrawals/:id/reject', auth, checkRole(['admin']), rejectWithdrawal);
+
+// @route   POST api/payouts/admin/withdrawals/:id/sync
+// @desc    Refresh a processing withdrawal from the payout provider
+// @access  Private/Admin
+router.post('/admin/withdrawals/:id/sync', auth, checkRole(['admin']), syncWithdrawal);
+
+module.exports = router;
@@ -0,0 +1,122 @@
+const express = require('express');
+const multer = require('multer');
+const { body, query } = require('express-validator');
+const {
+  requestQuote,
+  getQuotes,
+  getQuoteById,
+  submitQuote,
+  acceptQuote,
+  declineQuote
+} = require('../controllers/quoteController');
+const { auth } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+
+const router = express.Router();
+
+const QUOTE_STATUSES = ['requested', 'quoted', 'accepted', 'declined', 'expired'];
+
+// Multipart forms may send the address as a JSON string
+const parseAddress = (value) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+// Job photos are kept in memory and uploaded to cloud storage
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only images are allowed.'), false);
+    }
+  }
+});
+
+// @route   POST api/quotes
+// @desc    Request a quote for a negotiable service (multipart, up to 5 `photos`)
+// @access  Private
+router.post('/',
+  auth,
+  upload.array('photos', 5),
+  [
+    body('service').isMongoId().withMessage('Valid service ID is required'),
+    body('description').trim().notEmpty().withMessage('Job description is required')
+      .isLength({ max: 2000 }).withMessage('Job description cannot exceed 2000 characters'),
+    body('preferredDate').optional().isISO8601().withMessage('Preferred date must be a valid date'),
+    body('preferredTime').optional().isString(),
+    body('address').optional().customSanitizer(parseAddress).isObject().withMessage('Address must be an object')
+  ],
+  requestQuote
+);
+
+// @route   GET api/quotes
+// @desc    Get quotes for the current user (`role=customer|provider`)
+// @access  Private
+router.get('/',
+  auth,
+  [
+    query('role').optional().isIn(['customer', 'provider']).withMessage('Role must be customer or provider'),
+    query('status').optional().isIn(QUOTE_STATUSES).withMessage('Invalid status')
+  ],
+  getQuotes
+);
+
+// @route   GET api/quotes/:id
+// @desc    Get a quote by ID
+// @access  Private (Customer, provider or admin)
+router.get('/:id', auth, getQuoteById);
+
+// @route   PUT api/quotes/:id/price
+// @desc    Price a quote request with line items, or revise an open quote
+// @access  Private (Provider of the quoted service)
+router.put('/:id/price',
+  auth,
+  [
+    body('lineItems').isArray({ min: 1, max: 50 }).withMessage('Provide between 1 and 50 line items'),
+    body('lineItems.*.description').trim().notEmpty().withMessage('Each line item needs a description')
+      .isLength({ max: 200 }).withMessage('Line item description cannot exceed 200 characters'),
+    body('lineItems.*.quantity').optional().isFloat({ gt: 0 }).withMessage('Quantity must be greater than 0'),
+    body('lineItems.*.unitPrice').isFloat({ min: 0 }).withMessage('Unit price must be 0 or more'),
+    body('duration').optional().isInt({ gt: 0 }).withMessage('Duration must be a positive number of minutes'),
+    body('note').optional().isString().isLength({ max: 1000 }).withMessage('Note cannot exceed 1000 characters'),
+    body('expiresAt').optional().isISO8601().withMessage('Expiry must be a valid date')
+  ],
+  submitQuote
+);
+
+// @route   POST api/quotes/:id/accept
+// @desc    Accept a quote; creates a booking for the quoted amount
+// @access  Private (Customer who requested the quote)
+router.post('/:id/accept',
+  auth,
+  idempotent,
+  [
+    body('date').optional().isISO8601().withMessage('Date must be a valid date'),
+    body('time').optional().isString().notEmpty().withMessage('Time must be a valid time'),
+    body('address').optional().isObject().withMessage('Address must be an object'),
+    body('notes').optional().isString().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+  ],
+  acceptQuote
+);
+
+// @route   POST api/quotes/:id/decline
+// @desc    Decline a quote (customer) or a quote request (provider)
+// @access  Private (Customer or provider)
+router.post('/:id/decline',
+  auth,
+  [
+    body('reason').optional().isString().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+  ],
+  declineQuote
+);
+
+module.exports = router;
@@ -7,13 +7,14 @@ const {
   getReviewById
 } = require('../controllers/reviewController');
 const { auth } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
 
 const router = express.Router();
 
 // @route   POST api/reviews
 // @desc    Create a review for a booking
 // @access  Private
-router.post('/', auth, createReview);
+router.post('/', auth, idempotent, createReview);
 
 // @route   GET api/reviews/service/:serviceId
 // @desc    Get reviews for a service
@@ -0,0 +1,91 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const {
+  getTimeOff,
+  createTimeOff,
+  observeHolidays,
+  deleteTimeOff,
+  getPublicHolidays,
+  createPublicHoliday,
+  deletePublicHoliday
+} = require('../controllers/timeOffController');
+const { auth, checkRole } = require('../middleware/auth');
+
+const router = express.Router();
+
+const REASONS = ['vacation', 'sick', 'personal', 'training', 'other'];
+
+// @route   GET api/time-off/public-holidays
+// @desc    Get the public holidays of a `country` (and optional `state`) for a `year`
+// @access  Public
+router.get('/public-holidays',
+  [
+    query('country').isISO31661Alpha2().withMessage('Country must be an ISO 3166-1 alpha-2 code'),
+    query('year').optional().isInt({ min: 2000, max: 2100 }).withMessage('Invalid year')
+  ],
+  getPublicHolidays
+);
+
+// @route   POST api/time-off/public-holidays
+// @desc    Add a public holiday; recurring yearly with `month`/`day`, or a one-off `date`
+// @access  Private (Admin only)
+router.post('/public-holidays',
+  auth,
+  checkRole(['admin']),
+  [
+    body('country').isISO31661Alpha2().withMessage('Country must be an ISO 3166-1 alpha-2 code'),
+    body('state').optional().isString().trim(),
+    body('name').trim().notEmpty().withMessage('Name is required'),
+    body('month').optional().isInt({ min: 1, max: 12 }).withMessage('Month must be between 1 and 12'),
+    body('day').optional().isInt({ min: 1, max: 31 }).withMessage('Day must be between 1 and 31'),
+    body('date').optional().isISO8601().withMessage('Date must be a valid date')
+  ],
+  createPublicHoliday
+);
+
+// @route   DELETE api/time-off/public-holidays/:id
+// @desc    Remove a public holiday
+// @access  Private (Admin only)
+router.delete('/public-holidays/:id', auth, checkRole(['admin']), deletePublicHoliday);
+
+// @route   GET api/time-off
+// @desc    Get your upcoming time off and observed holiday calendar
+// @access  Private (Provider only)
+router.get('/', auth, checkRole(['provider']), getTimeOff);
+
+// @route   POST api/time-off
+// @desc    Add time off for a date range, optionally between `startTime` and `endTime` each day
+// @access  Private (Provider only)
+router.post('/',
+  auth,
+  checkRole(['provider']),
+  [
+    body('startDate').isISO8601().withMessage('Start date must be a valid date'),
+    body('endDate').optional().isISO8601().withMessage('End date must be a valid date'),
+    body('startTime').optional().isString(),
+    body('endTime').optional().isString(),
+    body('reason').optional().isIn(REASONS).withMessage('Invalid reason'),
+    body('note').optional().isString().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters')
+  ],
+  createTimeOff
+);
+
+// @route   PUT api/time-off/holidays
+// @desc    Observe the public holidays of a country (and optional state)
+// @access  Private (Provider only)
+router.put('/holidays',
+  auth,
+  checkRole(['provider']),
+  [
+    body('country').isISO31661Alpha2().withMessage('Country must be an ISO 3166-1 alpha-2 code'),
+    body('state').optional().isString().trim()
+  ],
+  observeHolidays
+);
+
+// @route   DELETE api/time-off/:id
+// @desc    Remove time off or stop observing holidays; flagged bookings are cleared
+// @access  Private (Provider only)
+router.delete('/:id', auth, checkRole(['provider']), deleteTimeOff);
+
+module.exports = router;
@@ -0,0 +1,68 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const {
+  joinWaitlist,
+  getWaitlist,
+  getWaitlistEntry,
+  leaveWaitlist,
+  acceptWaitlistOffer,
+  declineWaitlistOffer
+} = require('../controllers/waitlistController');
+const { auth } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+
+const router = express.Router();
+
+const WAITLIST_STATUSES = ['waiting', 'offered', 'booked', 'cancelled', 'expired'];
+
+// @route   POST api/waitlist
+// @desc    Join a provider's waitlist for a service between `startDate` and `endDate`, optionally at `preferredTimes`
+// @access  Private
+router.post('/',
+  auth,
+  [
+    body('service').isMongoId().withMessage('Valid service ID is required'),
+    body('startDate').isISO8601().withMessage('Start date must be a valid date'),
+    body('endDate').optional().isISO8601().withMessage('End date must be a valid date'),
+    body('preferredTimes').optional().isArray({ max: 5 }).withMessage('Give at most 5 preferred times'),
+    body('preferredTimes.*.start').isString().notEmpty().withMessage('Each preferred time needs a start'),
+    body('preferredTimes.*.end').isString().notEmpty().withMessage('Each preferred time needs an end'),
+    body('notes').optional().isString().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters'),
+    body('address').optional().isObject().withMessage('Address must be an object')
+  ],
+  joinWaitlist
+);
+
+// @route   GET api/waitlist
+// @desc    Get open waitlist entries for the current user (`role=customer|provider`, optional `status`)
+// @access  Private
+router.get('/',
+  auth,
+  [
+    query('role').optional().isIn(['customer', 'provider']).withMessage('Role must be customer or provider'),
+    query('status').optional().isIn(WAITLIST_STATUSES).withMessage('Invalid status')
+  ],
+  getWaitlist
+);
+
+// @route   GET api/waitlist/:id
+// @desc    Get a waitlist entry and its offers
+// @access  Private (Customer, provider or admin)
+router.get('/:id', auth, getWaitlistEntry);
+
+// @route   DELETE api/waitlist/:id
+// @desc    Leave a waitlist; a slot held for you goes to the next customer
+// @access  Private (Customer)
+router.delete('/:id', auth, leaveWaitlist);
+
+// @route   POST api/waitlist/:id/accept
+// @desc    Accept the slot held for you and book it
+// @access  Private (Customer)
+router.post('/:id/accept', auth, idempotent, acceptWaitlistOffer);
+
+// @route   POST api/waitlist/:id/decline
+// @desc    Decline the slot held for you and keep waiting for another
+// @access  Private (Customer)
+router.post('/:id/decline', auth, declineWaitlistOffer);
+
+module.exports = router;
@@ -1,12 +1,21 @@
 const express = require('express');
-const { body, query } = require('express-validator');
+const { body, query, param } = require('express-validator');
 const {
   getWalletBalance,
   getTransactionHistory,
+  getStatement,
   processBookingPayment,
-  addFunds
+  addFunds,
+  transferFunds,
+  getTopUpStatus,
+  handlePaymentWebhook,
+  getLedgerReconciliation,
+  postOpeningBalances,
+  getPlatformEarnings
 } = require('../controllers/walletController');
-const { auth } = require('../middleware/auth');
+const { auth, checkRole } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { SUPPORTED_CURRENCIES } = require('../utils/currency');
 
 const router = express.Router();
 
@@ -28,11 +37,30 @@ router.get('/transactions',
   getTransactionHistory
 );
 
+// @route   GET api/wallet/statements
+// @desc    Wallet statement with opening/closing balance (format=json|csv|pdf)
+// @access  Private (Admin may pass userId)
+router.get('/statements',
+  auth,
+  [
+    query('month').optional().matches(/^\d{4}-(0[1-9]|1[0-2])$/).withMessage('Month must be in YYYY-MM format'),
+    query('startDate').optional().isISO8601().withMessage('Start date must be a valid date'),
+    query('endDate').optional().isISO8601().withMessage('End date must be a valid date'),
+    query('status').optional().isIn(['pending', 'completed', 'failed', 'refunded', 'held', 'released']).withMessage('Invalid transaction status'),
+    query('bookingId').optional().isMongoId().withMessage('Invalid booking ID format'),
+    query('userId').optional().isMongoId().withMessage('Invalid user ID format'),
+    query('currency').optional().isIn(SUPPORTED_CURRENCIES).withMessage('Unsupported currency'),
+    query('format').optional().isIn(['json', 'csv', 'pdf']).withMessage('Format must be json, csv or pdf')
+  ],
+  getStatement
+);
+
 // @route   POST api/wallet/process-payment
 // @desc    Process payment for booking
 // @access  Private
 router.post('/process-payment',
   auth,
+  idempotent,
   [
     body('bookingId')
       .notEmpty().withMessage('Booking ID is required')
@@ -42,10 +70,11 @@ router.post('/process-payment',
 );
 
 // @route   POST api/wallet/add-funds
-// @desc    Add funds to wallet
+// @desc    Start a payment gateway checkout to add funds to wallet
 // @access  Private
 router.post('/add-funds',
   auth,
+  idempotent,
   [
     body('amount')
       .notEmpty().withMessage('Amount is required')
@@ -55,9 +84,90 @@ router.post('/add-funds',
           throw new Error('Amount must be greater than 0');
         }
         return true;
-      })
+      }),
+    body('currency')
+      .optional()
+      .isIn(SUPPORTED_CURRENCIES).withMessage(`Currency must be one of ${SUPPORTED_CURRENCIES.join(', ')}`)
   ],
   addFunds
 );
 
+// @route   POST api/wallet/transfer
+// @desc    Transfer funds to another user, or tip the provider of a completed booking
+// @access  Private
+router.post('/transfer',
+  auth,
+  idempotent,
+  [
+    body('type').optional().isIn(['transfer', 'tip']).withMessage('Type must be transfer or tip'),
+    body('amount')
+      .notEmpty().withMessage('Amount is required')
+      .isFloat({ gt: 0, max: 10000000 }).withMessage('Amount must be greater than 0 and at most 10,000,000'),
+    body('recipientId').optional().isMongoId().withMessage('Invalid recipient ID format'),
+    body('bookingId')
+      .if(body('type').equals('tip'))
+      .notEmpty().withMessage('Booking ID is required for tips').bail()
+      .isMongoId().withMessage('Invalid booking ID format'),
+    body('recipientId')
+      .if(body('type').not().equals('tip'))
+      .notEmpty().withMessage('Recipient ID is required'),
+    body('currency')
+      .optional()
+      .isIn(SUPPORTED_CURRENCIES).withMessage(`Currency must be one of ${SUPPORTED_CURRENCIES.join(', ')}`),
+    body('note').optional().isString().trim().isLength({ max: 200 }).withMessage('Note cannot exceed 200 characters')
+  ],
+  transferFunds
+);
+
+// @route   GET api/wallet/add-funds/:reference
+// @desc    Get the status of a wallet top-up
+// @access  Private
+router.get('/add-funds/:reference',
+  auth,
+  [
+    param('reference').matches(/^DEP_[\w]+$/).withMessage('Invalid top-up reference')
+  ],
+  getTopUpStatus
+);
+
+// @route   POST api/wallet/webhooks/:provider
+// @desc    Payment gateway webhook (verified by signature)
+// @access  Public
+router.post('/webhooks/:provider', handlePaymentWebhook);
+
+// @route   GET api/wallet/admin/reconciliation
+// @desc    Report drift between wallet balances and ledger totals
+// @access  Private/Admin
+router.get('/admin/reconciliation',
+  auth,
+  checkRole(['admin']),
+  [
+    query('includeBalanced').optional().isBoolean().withMessage('includeBalanced must be a boolean')
+  ],
+  getLedgerReconciliation
+);
+
+// @route   POST api/wallet/admin/opening-balances
+// @desc    Post opening balances for wallets that predate the ledger
+// @access  Private/Admin
+router.post('/admin/opening-balances',
+  auth,
+  checkRole(['admin']),
+  postOpeningBalances
+);
+
+// @route   GET api/wallet/admin/earnings
+// @desc    Platform commission earnings by period and category
+// @access  Private/Admin
+router.get('/admin/earnings',
+  auth,
+  checkRole(['admin']),
+  [
+    query('startDate').optional().isISO8601().withMessage('Start date must be a valid date'),
+    query('endDate').optional().isISO8601().withMessage('End date must be a valid date'),
+    query('groupBy').optional().isIn(['day', 'month']).withMessage('groupBy must be day or month')
+  ],
+  getPlatformEarnings
+);
+
 module.exports = router;
\ No newline at end of file
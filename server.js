@@ -11,6 +11,11 @@ require('dotenv').config();
 const morgan = require('morgan');
 const redisService = require('./services/redisService'); // Import Redis service
 const bookingReminderService = require('./services/bookingReminderService'); // Import booking reminder service
+const escrowService = require('./services/escrowService'); // Import escrow auto-release service
+const rescheduleService = require('./services/rescheduleService'); // Import reschedule proposal expiry service
+const bookingExpiryService = require('./services/bookingExpiryService'); // Import stale pending booking expiry service
+const waitlistService = require('./services/waitlistService'); // Import waitlist offer expiry service
+const { validatePaymentGatewayConfig } = require('./services/paymentGateways'); // Import payment gateway config check
 
 // CRITICAL: Validate required environment variables on startup
 const requiredEnvVars = [
@@ -33,6 +38,13 @@ if (process.env.JWT_SECRET.length < 32) {
   process.exit(1);
 }
 
+// Wallet top-ups are unavailable (503) until a usable payment gateway is configured
+const paymentGatewayError = validatePaymentGatewayConfig();
+if (paymentGatewayError) {
+  console.warn(`⚠️  ${paymentGatewayError}. Wallet top-ups are disabled.`);
+  console.warn('Set PAYMENT_GATEWAY to paystack (with PAYSTACK_SECRET_KEY), or to fake with FAKE_GATEWAY_SECRET outside production.');
+}
+
 const app = express();
 const server = http.createServer(app);
 
@@ -111,9 +123,10 @@ app.use(cors({
     'Authorization',
     'X-Requested-With',
     'Accept',
-    'Origin'
+    'Origin',
+    'Idempotency-Key'
   ],
-  exposedHeaders: ['set-cookie'],
+  exposedHeaders: ['set-cookie', 'Idempotent-Replayed'],
   optionsSuccessStatus: 204,
   preflightContinue: false,
   maxAge: 86400 // 24 hours
@@ -133,7 +146,13 @@ app.use(mongoSanitization);    // NoSQL injection prevention
 app.use(hppProtection);        // HTTP Parameter Pollution prevention
 
 // Body parsing with size limits (reduced to prevent DoS)
-app.use(express.json({ limit: '10mb' }));
+// The raw body is kept for verifying payment gateway webhook signatures
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use(cookieParser()); // Add cookie parser middleware
 
@@ -266,6 +285,11 @@ const imageRoutes = require('./routes/images');
 const uploadRoutes = require('./routes/upload');
 const locationRoutes = require('./routes/location');
 const notifyRoutes = require('./routes/notify');
+const payoutRoutes = require('./routes/payouts');
+const quoteRoutes = require('./routes/quotes');
+const disputeRoutes = require('./routes/disputes');
+const timeOffRoutes = require('./routes/timeOff');
+const waitlistRoutes = require('./routes/waitlist');
 
 // API routes
 app.use('/api/auth', authRateLimit, authRoutes);  // Apply stricter rate limit to auth endpoints
@@ -284,6 +308,11 @@ app.use('/api/images', apiRateLimit, imageRoutes);
 app.use('/api/upload', apiRateLimit, uploadRoutes);
 app.use('/api/location', apiRateLimit, locationRoutes);
 app.use('/api/notify', apiRateLimit, notifyRoutes);
+app.use('/api/payouts', apiRateLimit, payoutRoutes);
+app.use('/api/quotes', apiRateLimit, quoteRoutes);
+app.use('/api/disputes', apiRateLimit, disputeRoutes);
+app.use('/api/time-off', apiRateLimit, timeOffRoutes);
+app.use('/api/waitlist', apiRateLimit, waitlistRoutes);
 
 // Health check endpoint (with database and Redis status)
 app.get('/api/health', async (req, res) => {
@@ -362,6 +391,18 @@ const PORT = process.env.PORT || 5000;
 
       // Start booking reminder service (sends reminders 1 day before booking)
       bookingReminderService.start();
+
+      // Start booking expiry service (closes pending bookings the provider never answered)
+      bookingExpiryService.start();
+
+      // Start escrow service (auto-releases held booking payments)
+      escrowService.start();
+
+      // Start reschedule service (expires unanswered reschedule proposals)
+      rescheduleService.start(io);
+
+      // Start waitlist service (expires unanswered waitlist offers)
+      waitlistService.start();
     });
   } catch (error) {
     console.error('Error starting server:', error);
@@ -373,6 +414,10 @@ const PORT = process.env.PORT || 5000;
 process.on('SIGTERM', () => {
   console.log('SIGTERM received. Shutting down gracefully...');
   bookingReminderService.stop();
+  bookingExpiryService.stop();
+  escrowService.stop();
+  rescheduleService.stop();
+  waitlistService.stop();
   server.close(() => {
     console.log('Server closed');
     process.exit(0);
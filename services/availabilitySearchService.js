@@ -0,0 +1,236 @@
+// services/availabilitySearchService.js
+const Service = require('../models/Service');
+const User = require('../models/User');
+const Availability = require('../models/Availability');
+const AvailabilityTemplate = require('../models/AvailabilityTemplate');
+const availabilityService = require('./availabilityService');
+const availabilityTemplateService = require('./availabilityTemplateService');
+const timeOffService = require('./timeOffService');
+const { parseTimeToMinutes } = require('../utils/bookingTime');
+const { DEFAULT_TIMEZONE, toCalendarDate, addCalendarDays, zonedTimeToUtc, formatInZone } = require('../utils/timezone');
+
+// Search limits
+const MAX_DAYS = 7;
+const DEFAULT_RADIUS_KM = 25;
+const MAX_CANDIDATES = 200; // Providers whose calendars are checked per search
+const SLOTS_PER_PROVIDER = 3;
+
+const searchError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Availability Search Service
+ * Finds providers of a category near a location with free time that fits a
+ * job. One aggregate walks the Service 2dsphere index, groups services by
+ * provider and joins each provider's profile, availability days and weekly
+ * template; days that haven't been generated yet are built from the template
+ * in memory. Time windows are wall-clock times in each provider's timezone.
+ */
+class AvailabilitySearchService {
+  /**
+   * Providers with free slots that fit a job, ranked by earliest slot, distance and rating
+   * @param {Object} params - { category, coordinates: [lng, lat], radiusKm, date, days, from, to, duration, limit }
+   * @returns {Promise<Array>} [{ provider, distanceKm, services, nextSlot, slots }]
+   */
+  async search({ category, coordinates, radiusKm = DEFAULT_RADIUS_KM, date, days = 1, from, to, duration, limit = 20 }) {
+    const window = {
+      start: from ? parseTimeToMinutes(from) : 0,
+      end: to ? parseTimeToMinutes(to) : 24 * 60
+    };
+    if (window.start === null || window.end === null || window.end <= window.start) {
+      throw searchError('The time window needs a valid from and to, with from before to');
+    }
+    if (duration > window.end - window.start) {
+      throw searchError('The job is longer than the time window');
+    }
+    if (days > MAX_DAYS) {
+      throw searchError(`Search at most ${MAX_DAYS} days at a time`);
+    }
+
+    const firstDay = toCalendarDate(date);
+    const calendarDays = Array.from({ length: days }, (_, index) => addCalendarDays(firstDay, index));
+
+    const candidates = await this.findCandidates({ category, coordinates, radiusKm, calendarDays });
+    const blocksByProvider = await timeOffService.getBlocksForProviders(
+      candidates.map(candidate => candidate.provider),
+      calendarDays
+    );
+
+    const now = new Date();
+    const results = [];
+    for (const candidate of candidates) {
+      const slots = this.findSlots(candidate, calendarDays, window, duration, blocksByProvider.get(candidate._id.toString()) || [], now);
+      if (slots.length === 0) continue;
+
+      const { provider } = candidate;
+      results.push({
+        provider: {
+          _id: provider._id,
+          name: provider.name,
+          avatar: provider.profile?.avatar,
+          verified: Boolean(provider.profile?.verification?.verified),
+          rating: provider.rating,
+          timezone: provider.timezone || DEFAULT_TIMEZONE
+        },
+        distanceKm: typeof candidate.distance === 'number' ? Math.round(candidate.distance / 100) / 10 : null,
+        services: candidate.services,
+        nextSlot: slots[0],
+        slots
+      });
+    }
+
+    results.sort((a, b) =>
+      a.nextSlot.startAt - b.nextSlot.startAt ||
+      (a.distanceKm ?? Infinity) - (b.distanceKm ?? Infinity) ||
+      (b.provider.rating?.average || 0) - (a.provider.rating?.average || 0)
+    );
+
+    return results.slice(0, limit);
+  }
+
+  /**
+   * Providers offering the category in range, with their calendars for the days searched
+   * @returns {Promise<Array>} [{ _id, distance, services, provider, days, template }]
+   */
+  async findCandidates({ category, coordinates, radiusKm, calendarDays }) {
+    const match = { isActive: true };
+    if (category) match.category = new RegExp(`^${escapeRegex(category)}$`, 'i');
+
+    const pipeline = coordinates
+      ? [{
+        $geoNear: {
+          near: { type: 'Point', coordinates },
+          key: 'location',
+          distanceField: 'distance',
+          maxDistance: radiusKm * 1000,
+          spherical: true,
+          query: match
+        }
+      }]
+      : [{ $match: match }];
+
+    pipeline.push(
+      // $geoNear returns the nearest services first, so the provider's distance is to their nearest one
+      {
+        $group: {
+          _id: '$provider',
+          distance: { $min: '$distance' },
+          services: {
+            $push: {
+              _id: '$_id',
+              name: '$name',
+              price: '$price',
+              currency: '$currency',
+              priceType: '$priceType',
+              duration: '$duration'
+            }
+          }
+        }
+      },
+      { $sort: { distance: 1, _id: 1 } },
+      { $limit: MAX_CANDIDATES },
+      { $lookup: { from: User.collection.name, localField: '_id', foreignField: '_id', as: 'provider' } },
+      { $unwind: '$provider' },
+      { $match: { 'provider.role': 'provider' } },
+      {
+        $lookup: {
+          from: Availability.collection.name,
+          let: { provider: '$_id' },
+          pipeline: [
+            {
+              $match: {
+                $expr: {
+                  $and: [
+                    { $eq: ['$provider', '$$provider'] },
+                    { $gte: ['$date', calendarDays[0]] },
+                    { $lte: ['$date', calendarDays[calendarDays.length - 1]] }
+                  ]
+                }
+              }
+            },
+            { $project: { date: 1, slots: 1, isAvailable: 1, bufferMinutes: 1 } }
+          ],
+          as: 'days'
+        }
+      },
+      { $lookup: { from: AvailabilityTemplate.collection.name, localField: '_id', foreignField: 'provider', as: 'template' } },
+      {
+        $project: {
+          distance: 1,
+          services: 1,
+          days: 1,
+          template: { $first: '$template' },
+          'provider._id': 1,
+          'provider.name': 1,
+          'provider.profile.avatar': 1,
+          'provider.profile.verification.verified': 1,
+          'provider.rating': 1,
+          'provider.timezone': 1,
+          'provider.providerDetails.availability': 1
+        }
+      }
+    );
+
+    return await Service.aggregate(pipeline);
+  }
+
+  /**
+   * Earliest free starts on a provider's calendar that fit the job
+   * A start fits when free slots cover the whole job inside the window, the
+   * provider's buffer after it is free, nothing is held for a waitlist offer
+   * and no time off overlaps it.
+   * @param {number} limit - Most starts to return
+   * @returns {Array} [{ date, startTime, endTime, timeZone, startAt, endAt }]
+   */
+  findSlots(candidate, calendarDays, window, duration, blocks, now, limit = SLOTS_PER_PROVIDER) {
+    const timeZone = candidate.provider.timezone || DEFAULT_TIMEZONE;
+    const template = candidate.template
+      || availabilityTemplateService.defaultTemplate(candidate._id, candidate.provider.providerDetails?.availability);
+
+    const found = [];
+    for (const date of calendarDays) {
+      const day = candidate.days.find(stored => toCalendarDate(stored.date).getTime() === date.getTime())
+        || availabilityTemplateService.buildDay(template, date);
+      if (!day.isAvailable) continue;
+
+      const bufferMinutes = day.bufferMinutes || 0;
+      const starts = [...new Set(day.slots.map(slot => parseTimeToMinutes(slot.startTime)))]
+        .filter(start => start !== null && start >= window.start && start + duration <= window.end)
+        .sort((a, b) => a - b);
+
+      for (const start of starts) {
+        const end = start + duration;
+        const startAt = zonedTimeToUtc(date, start, timeZone);
+        const endAt = zonedTimeToUtc(date, end, timeZone);
+        if (startAt <= now) continue;
+
+        const covering = availabilityService.getOverlappingSlots(day.slots, start, end);
+        if (!availabilityService.coversRange(covering, start, end)) continue;
+
+        const reserved = availabilityService.getOverlappingSlots(day.slots, start, end + bufferMinutes);
+        if (reserved.some(slot => slot.isBooked || availabilityService.isHeldForOther(slot, null, now))) continue;
+
+        if (blocks.some(block => block.start < endAt && startAt < block.end)) continue;
+
+        const local = formatInZone(startAt, timeZone);
+        found.push({
+          date: local.date,
+          startTime: local.time,
+          endTime: formatInZone(endAt, timeZone).time,
+          timeZone,
+          startAt,
+          endAt
+        });
+        if (found.length === limit) return found;
+      }
+    }
+    return found;
+  }
+}
+
+module.exports = new AvailabilitySearchService();
@@ -0,0 +1,343 @@
+// services/availabilityService.js
+const Availability = require('../models/Availability');
+const Booking = require('../models/Booking');
+const availabilityTemplateService = require('./availabilityTemplateService');
+const timeOffService = require('./timeOffService');
+const { parseTimeToMinutes, getBookingStart, getBookingEnd } = require('../utils/bookingTime');
+const { toCalendarDate, addCalendarDays } = require('../utils/timezone');
+
+// Booking statuses that occupy the provider's time
+const ACTIVE_BOOKING_STATUSES = ['pending', 'confirmed', 'in_progress', 'rescheduled'];
+
+const availabilityError = (message, statusCode = 409) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Availability Service
+ * Keeps bookings and Availability.slots in step. A booking reserves every
+ * slot its time range (start + duration, plus the provider's buffer)
+ * overlaps; the reservation is a single conditional update on the
+ * provider's day, so concurrent requests for the same slots have exactly
+ * one winner. Days are generated from the provider's weekly template.
+ * Dates are calendar days in the provider's timezone and slot times are
+ * wall-clock times there.
+ */
+class AvailabilityService {
+  constructor() {
+    this.ACTIVE_BOOKING_STATUSES = ACTIVE_BOOKING_STATUSES;
+  }
+
+  /**
+   * Calendar day availability is stored under (UTC midnight)
+   */
+  normalizeDate(date) {
+    return toCalendarDate(date);
+  }
+
+  /**
+   * Get a provider's availability for a day, generating it from their template if missing
+   * @param {string} providerId - Provider ID
+   * @param {Date} date - Calendar day
+   * @param {mongoose.ClientSession} session - Optional session
+   */
+  async getOrCreateDay(providerId, date, session = null) {
+    const day = this.normalizeDate(date);
+
+    const existing = await Availability.findOne({ provider: providerId, date: day }).session(session);
+    if (existing) return existing;
+
+    const template = await availabilityTemplateService.getTemplate(providerId, session);
+    const { slots, isAvailable, bufferMinutes } = availabilityTemplateService.buildDay(template, day);
+
+    // Upsert so concurrent requests for the same day create it once
+    return await Availability.findOneAndUpdate(
+      { provider: providerId, date: day },
+      {
+        $setOnInsert: {
+          provider: providerId,
+          date: day,
+          slots,
+          isAvailable,
+          bufferMinutes,
+          source: 'template'
+        }
+      },
+      { new: true, upsert: true, session }
+    );
+  }
+
+  /**
+   * Slots overlapping a time range on a day
+   * @param {Array} slots - Availability slots
+   * @param {number} start - Minutes after midnight
+   * @param {number} end - Minutes after midnight (exclusive)
+   */
+  getOverlappingSlots(slots, start, end) {
+    return slots.filter(slot => {
+      const slotStart = parseTimeToMinutes(slot.startTime);
+      const slotEnd = parseTimeToMinutes(slot.endTime);
+      return slotStart !== null && slotEnd !== null && slotStart < end && start < slotEnd;
+    });
+  }
+
+  /**
+   * Whether the slots cover every minute of a time range
+   */
+  coversRange(slots, start, end) {
+    const ranges = slots
+      .map(slot => [parseTimeToMinutes(slot.startTime), parseTimeToMinutes(slot.endTime)])
+      .sort((a, b) => a[0] - b[0]);
+
+    let covered = start;
+    for (const [slotStart, slotEnd] of ranges) {
+      if (slotStart > covered) break;
+      covered = Math.max(covered, slotEnd);
+    }
+    return covered >= end;
+  }
+
+  /**
+   * Minutes-after-midnight range a booking occupies
+   * @param {Object} booking - Booking (or { date, time, duration })
+   */
+  getBookingRange(booking) {
+    const start = parseTimeToMinutes(booking.time);
+    if (start === null) {
+      throw availabilityError('Invalid booking time', 400);
+    }
+    if (!(booking.duration > 0)) {
+      throw availabilityError('Booking duration must be a positive number of minutes', 400);
+    }
+
+    const end = start + booking.duration;
+    if (end > 24 * 60) {
+      throw availabilityError('Bookings cannot run past midnight', 400);
+    }
+    return { start, end };
+  }
+
+  /**
+   * Find active bookings of the provider that overlap a booking's time range
+   * (covers bookings made before slots were reserved automatically)
+   * @param {Object} booking - { provider, date, time, duration, timezone, _id }
+   * @param {mongoose.ClientSession} session - Optional session
+   * @param {number} bufferMinutes - Free time required after each booking
+   */
+  async findOverlappingBookings(booking, session = null, bufferMinutes = 0) {
+    const dayStart = this.normalizeDate(booking.date);
+    const dayEnd = addCalendarDays(dayStart, 1);
+
+    const candidates = await Booking.find({
+      provider: booking.provider,
+      date: { $gte: dayStart, $lt: dayEnd },
+      status: { $in: ACTIVE_BOOKING_STATUSES },
+      _id: { $ne: booking._id }
+    }).select('date time duration timezone status').session(session);
+
+    const buffer = bufferMinutes * 60 * 1000;
+    const start = getBookingStart(booking);
+    const end = getBookingEnd(booking).getTime() + buffer;
+
+    return candidates.filter(other => getBookingStart(other) < end && start < getBookingEnd(other).getTime() + buffer);
+  }
+
+  /**
+   * Slots a booking would take, checked against the provider's calendar
+   * Throws 409 if the time is unavailable, booked, or held for another
+   * customer's waitlist offer.
+   * @param {Object} booking - { _id, provider, date, time, duration, timezone, waitlistEntry }
+   * @param {mongoose.ClientSession} session - Optional session
+   * @returns {Promise<Object>} { day, slots }
+   */
+  async findFreeSlots(booking, session = null) {
+    const { start, end } = this.getBookingRange(booking);
+
+    if (await timeOffService.findBlock(booking.provider, getBookingStart(booking), getBookingEnd(booking), session)) {
+      throw availabilityError('Provider is on time off at this time');
+    }
+
+    const day = await this.getOrCreateDay(booking.provider, booking.date, session);
+
+    if (!day.isAvailable) {
+      throw availabilityError('Provider is not available on this date');
+    }
+
+    const covering = this.getOverlappingSlots(day.slots, start, end);
+    if (covering.length === 0 || !this.coversRange(covering, start, end)) {
+      throw availabilityError('Requested time is outside the provider\'s available hours');
+    }
+
+    // The provider's buffer after the job is blocked along with it
+    const bufferMinutes = day.bufferMinutes || 0;
+    const slots = bufferMinutes > 0
+      ? this.getOverlappingSlots(day.slots, start, end + bufferMinutes)
+      : covering;
+
+    const isOwn = slot => booking._id && slot.bookingId && slot.bookingId.toString() === booking._id.toString();
+    if (slots.some(slot => (slot.isBooked && !isOwn(slot)) || this.isHeldForOther(slot, booking.waitlistEntry))) {
+      throw availabilityError('Provider is not available at this time');
+    }
+
+    const overlapping = await this.findOverlappingBookings(booking, session, bufferMinutes);
+    if (overlapping.length > 0) {
+      throw availabilityError('Provider is not available at this time');
+    }
+
+    return { day, slots };
+  }
+
+  /**
+   * Whether a slot is held for a waitlist offer other than `waitlistEntry`
+   */
+  isHeldForOther(slot, waitlistEntry, now = new Date()) {
+    return Boolean(slot.heldBy && slot.heldUntil > now &&
+      slot.heldBy.toString() !== (waitlistEntry ? waitlistEntry.toString() : null));
+  }
+
+  /**
+   * Filter matching a day only while none of the slots is booked or held by someone else
+   */
+  freeSlotsFilter(dayId, slotIds, { bookingId = null, waitlistEntry = null } = {}) {
+    return {
+      _id: dayId,
+      isAvailable: true,
+      'slots._id': { $all: slotIds },
+      $nor: [
+        { slots: { $elemMatch: { _id: { $in: slotIds }, isBooked: true, bookingId: { $ne: bookingId } } } },
+        { slots: { $elemMatch: { _id: { $in: slotIds }, heldUntil: { $gt: new Date() }, heldBy: { $ne: waitlistEntry } } } }
+      ]
+    };
+  }
+
+  /**
+   * Reserve the provider's slots for a booking
+   * Throws 409 if the time is unavailable or was taken by a concurrent request
+   * (with `transactionAborted` set when that aborted the caller's transaction).
+   * A booking made from a waitlist offer (`waitlistEntry`) may take the slots held for it.
+   * @param {Object} booking - Booking document (provider, date, time, duration, timezone)
+   * @param {mongoose.ClientSession} session - Optional session
+   * @returns {Promise<Array>} Reserved slot IDs
+   */
+  async reserveSlots(booking, session = null) {
+    const { day, slots } = await this.findFreeSlots(booking, session);
+    const slotIds = slots.map(slot => slot._id);
+
+    // Only succeeds if every slot still exists and none was booked in the meantime
+    let reserved;
+    try {
+      reserved = await Availability.findOneAndUpdate(
+        this.freeSlotsFilter(day._id, slotIds, { bookingId: booking._id, waitlistEntry: booking.waitlistEntry }),
+        {
+          $set: {
+            'slots.$[slot].isBooked': true,
+            'slots.$[slot].bookingId': booking._id,
+            'slots.$[slot].heldBy': null,
+            'slots.$[slot].heldUntil': null
+          }
+        },
+        {
+          arrayFilters: [{ 'slot._id': { $in: slotIds } }],
+          new: true,
+          session
+        }
+      );
+    } catch (error) {
+      // Inside a transaction, a concurrent reservation of the same day fails
+      // with a write conflict instead of an unmatched filter; the transaction
+      // is aborted, so callers can't carry on with it
+      if (!error.hasErrorLabel?.('TransientTransactionError')) throw error;
+      const conflict = availabilityError('This time slot was just booked by someone else, please choose another time');
+      conflict.transactionAborted = true;
+      throw conflict;
+    }
+
+    if (!reserved) {
+      throw availabilityError('This time slot was just booked by someone else, please choose another time');
+    }
+
+    // A booking moved clear of the provider's time off no longer conflicts with it
+    if (booking.timeOffConflict?.timeOff) {
+      await Booking.updateOne({ _id: booking._id }, { $unset: { timeOffConflict: 1 } }, { session });
+    }
+
+    return slotIds;
+  }
+
+  /**
+   * Hold the provider's slots for a waitlisted customer until `until`
+   * Held slots can only be booked through the waitlist entry they are held for.
+   * @param {Object} request - { provider, date, time, duration, timezone }
+   * @param {string} waitlistEntry - WaitlistEntry ID
+   * @param {Date} until - When the hold lapses
+   * @returns {Promise<Array>} Held slot IDs
+   */
+  async holdSlots(request, waitlistEntry, until, session = null) {
+    const { day, slots } = await this.findFreeSlots({ ...request, _id: null, waitlistEntry }, session);
+    const slotIds = slots.map(slot => slot._id);
+
+    const held = await Availability.findOneAndUpdate(
+      this.freeSlotsFilter(day._id, slotIds, { waitlistEntry }),
+      {
+        $set: {
+          'slots.$[slot].heldBy': waitlistEntry,
+          'slots.$[slot].heldUntil': until
+        }
+      },
+      {
+        arrayFilters: [{ 'slot._id': { $in: slotIds } }],
+        new: true,
+        session
+      }
+    );
+
+    if (!held) {
+      throw availabilityError('This time slot was just taken, please choose another time');
+    }
+    return slotIds;
+  }
+
+  /**
+   * Release every slot held for a waitlist entry
+   */
+  async releaseHold(waitlistEntry, session = null) {
+    await Availability.updateMany(
+      { 'slots.heldBy': waitlistEntry },
+      {
+        $set: {
+          'slots.$[slot].heldBy': null,
+          'slots.$[slot].heldUntil': null
+        }
+      },
+      {
+        arrayFilters: [{ 'slot.heldBy': waitlistEntry }],
+        session
+      }
+    );
+  }
+
+  /**
+   * Release every slot held by a booking
+   * @param {string} bookingId - Booking ID
+   * @param {mongoose.ClientSession} session - Optional session
+   */
+  async releaseSlots(bookingId, session = null) {
+    await Availability.updateMany(
+      { 'slots.bookingId': bookingId },
+      {
+        $set: {
+          'slots.$[slot].isBooked': false,
+          'slots.$[slot].bookingId': null
+        }
+      },
+      {
+        arrayFilters: [{ 'slot.bookingId': bookingId }],
+        session
+      }
+    );
+  }
+}
+
+module.exports = new AvailabilityService();
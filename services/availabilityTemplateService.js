@@ -0,0 +1,216 @@
+// services/availabilityTemplateService.js
+const Availability = require('../models/Availability');
+const AvailabilityTemplate = require('../models/AvailabilityTemplate');
+const User = require('../models/User');
+const { parseTimeToMinutes, formatMinutes } = require('../utils/bookingTime');
+const { DEFAULT_TIMEZONE, getCalendarDateInZone } = require('../utils/timezone');
+
+// Indexed by Date#getUTCDay() of a calendar day
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Used when a provider has neither a template nor a weekly schedule on their profile
+const DEFAULT_DAY = { available: true, start: '08:00', end: '20:00', breaks: [] };
+const DEFAULT_SLOT_LENGTH = 60;
+
+const templateError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Availability Template Service
+ * A provider's recurring weekly schedule: working hours per weekday, breaks,
+ * slot length and a buffer kept free after each booking. Per-date
+ * Availability documents are generated from it the first time a day is
+ * needed. Days the provider edited (overrides) are left alone; generated
+ * future days are regenerated when the template changes.
+ */
+class AvailabilityTemplateService {
+  /**
+   * A provider's template, or one derived from the weekly schedule on their profile
+   * @param {string} providerId - Provider ID
+   * @param {mongoose.ClientSession} session - Optional session
+   * @returns {Promise<Object>} { slotLength, bufferMinutes, weekly, isDefault }
+   */
+  async getTemplate(providerId, session = null) {
+    const template = await AvailabilityTemplate.findOne({ provider: providerId }).session(session).lean();
+    if (template) {
+      return { ...template, isDefault: false };
+    }
+
+    const provider = await User.findById(providerId).select('providerDetails.availability').session(session).lean();
+    return this.defaultTemplate(providerId, provider?.providerDetails?.availability);
+  }
+
+  /**
+   * Template for a provider who hasn't saved one, from their profile schedule
+   * @param {string} providerId - Provider ID
+   * @param {Object} schedule - User.providerDetails.availability
+   */
+  defaultTemplate(providerId, schedule) {
+    return {
+      provider: providerId,
+      slotLength: DEFAULT_SLOT_LENGTH,
+      bufferMinutes: 0,
+      weekly: this.fromProfileSchedule(schedule),
+      isDefault: true
+    };
+  }
+
+  /**
+   * A provider's IANA timezone; template times and calendar days are in it
+   * @param {string} providerId - Provider ID
+   * @param {mongoose.ClientSession} session - Optional session
+   */
+  async getTimeZone(providerId, session = null) {
+    const provider = await User.findById(providerId).select('timezone').session(session).lean();
+    return provider?.timezone || DEFAULT_TIMEZONE;
+  }
+
+  /**
+   * Weekly template days from User.providerDetails.availability
+   */
+  fromProfileSchedule(schedule) {
+    const configured = schedule && WEEKDAYS.some(day => schedule[day]?.start && schedule[day]?.end);
+
+    return Object.fromEntries(WEEKDAYS.map(day => {
+      if (!configured) return [day, DEFAULT_DAY];
+
+      const { start, end, available } = schedule[day] || {};
+      return [day, { available: available !== false && Boolean(start && end), start, end, breaks: [] }];
+    }));
+  }
+
+  /**
+   * Slots for a date generated from a template
+   * @param {Object} template - Template (see getTemplate)
+   * @param {Date} date - Calendar day to generate (UTC midnight)
+   * @returns {Object} { slots, isAvailable, bufferMinutes }
+   */
+  buildDay(template, date) {
+    const day = template.weekly?.[WEEKDAYS[new Date(date).getUTCDay()]];
+    const start = parseTimeToMinutes(day?.start);
+    const end = parseTimeToMinutes(day?.end);
+
+    if (!day?.available || start === null || end === null || end <= start) {
+      return { slots: [], isAvailable: false, bufferMinutes: template.bufferMinutes || 0 };
+    }
+
+    const slotLength = template.slotLength || DEFAULT_SLOT_LENGTH;
+    const breaks = (day.breaks || [])
+      .map(b => [parseTimeToMinutes(b.start), parseTimeToMinutes(b.end)])
+      .sort((a, b) => a[0] - b[0]);
+
+    const slots = [];
+    let slotStart = start;
+    while (slotStart + slotLength <= end) {
+      const slotEnd = slotStart + slotLength;
+      const blocking = breaks.find(([breakStart, breakEnd]) => breakStart < slotEnd && slotStart < breakEnd);
+      if (blocking) {
+        slotStart = blocking[1];
+        continue;
+      }
+
+      slots.push({
+        startTime: formatMinutes(slotStart),
+        endTime: formatMinutes(slotEnd),
+        isBooked: false,
+        bookingId: null
+      });
+      slotStart = slotEnd;
+    }
+
+    return { slots, isAvailable: slots.length > 0, bufferMinutes: template.bufferMinutes || 0 };
+  }
+
+  /**
+   * Create or replace a provider's template
+   * Also updates the weekly schedule shown on the provider's profile and
+   * regenerates future days that were generated from the old template.
+   * @param {string} providerId - Provider ID
+   * @param {Object} params - { slotLength, bufferMinutes, weekly }
+   */
+  async saveTemplate(providerId, { slotLength, bufferMinutes, weekly }) {
+    const days = Object.fromEntries(WEEKDAYS.map(day => [day, this.validateDay(day, weekly?.[day])]));
+
+    const template = await AvailabilityTemplate.findOneAndUpdate(
+      { provider: providerId },
+      {
+        provider: providerId,
+        ...(slotLength !== undefined && { slotLength }),
+        ...(bufferMinutes !== undefined && { bufferMinutes }),
+        weekly: days
+      },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    await User.updateOne(
+      { _id: providerId },
+      {
+        'providerDetails.availability': Object.fromEntries(WEEKDAYS.map(day => [day, {
+          start: days[day].start,
+          end: days[day].end,
+          available: days[day].available
+        }]))
+      }
+    );
+
+    const regenerated = await this.refreshGeneratedDays(providerId);
+
+    return { template, regenerated };
+  }
+
+  /**
+   * Drop future days generated from the template so they are regenerated on demand.
+   * Days with booked slots keep their slots; overrides and days saved before
+   * templates existed (no source) are never touched.
+   */
+  async refreshGeneratedDays(providerId) {
+    const today = getCalendarDateInZone(new Date(), await this.getTimeZone(providerId));
+
+    const result = await Availability.deleteMany({
+      provider: providerId,
+      date: { $gte: today },
+      source: 'template',
+      'slots.isBooked': { $ne: true }
+    });
+
+    return result.deletedCount;
+  }
+
+  /**
+   * Called when the weekly schedule on a provider's profile changes. Providers
+   * without a template follow that schedule, so their generated days are refreshed.
+   */
+  async onProfileScheduleChanged(providerId) {
+    if (await AvailabilityTemplate.exists({ provider: providerId })) return 0;
+    return this.refreshGeneratedDays(providerId);
+  }
+
+  validateDay(name, day) {
+    if (!day || !day.available) {
+      return { available: false, start: day?.start, end: day?.end, breaks: [] };
+    }
+
+    const start = parseTimeToMinutes(day.start);
+    const end = parseTimeToMinutes(day.end);
+    if (start === null || end === null || end <= start) {
+      throw templateError(`${name}: start and end must be valid times with start before end`);
+    }
+
+    const breaks = (day.breaks || []).map(b => {
+      const breakStart = parseTimeToMinutes(b.start);
+      const breakEnd = parseTimeToMinutes(b.end);
+      if (breakStart === null || breakEnd === null || breakEnd <= breakStart ||
+          breakStart < start || breakEnd > end) {
+        throw templateError(`${name}: breaks must be valid times within working hours`);
+      }
+      return { start: formatMinutes(breakStart), end: formatMinutes(breakEnd) };
+    });
+
+    return { available: true, start: formatMinutes(start), end: formatMinutes(end), breaks };
+  }
+}
+
+module.exports = new AvailabilityTemplateService();
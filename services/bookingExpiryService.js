@@ -0,0 +1,275 @@
+// services/bookingExpiryService.js
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const availabilityService = require('./availabilityService');
+const bookingStateService = require('./bookingStateService');
+const escrowService = require('./escrowService');
+const emailService = require('./emailService');
+const waitlistService = require('./waitlistService');
+const { getBookingStart } = require('../utils/bookingTime');
+const { toCalendarDate, addCalendarDays } = require('../utils/timezone');
+
+// Hours a provider has to confirm or reject a pending booking
+const ACCEPTANCE_WINDOW_HOURS = parseInt(process.env.BOOKING_ACCEPTANCE_WINDOW_HOURS) || 48;
+
+/**
+ * Booking Expiry Service
+ * Closes pending bookings the provider never answered: rejected once the
+ * acceptance window has passed, cancelled if the booking time arrives first.
+ * Slots and held funds are released and both parties are notified. Also
+ * keeps the provider response-time metrics on User.responseStats.
+ */
+class BookingExpiryService {
+  constructor() {
+    this.isRunning = false;
+    this.intervalId = null;
+  }
+
+  /**
+   * Start the expiry scheduler
+   * Runs every 15 minutes to close stale pending bookings
+   */
+  start() {
+    if (this.isRunning) {
+      console.log('⚠️  Booking expiry service is already running');
+      return;
+    }
+
+    console.log('⏳ Starting booking expiry service...');
+    this.isRunning = true;
+
+    this.expireStaleBookings();
+
+    this.intervalId = setInterval(() => {
+      this.expireStaleBookings();
+    }, 15 * 60 * 1000); // 15 minutes
+
+    console.log(`✅ Booking expiry service started (acceptance window ${ACCEPTANCE_WINDOW_HOURS}h)`);
+  }
+
+  /**
+   * Stop the expiry scheduler
+   */
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+      this.isRunning = false;
+      console.log('🛑 Booking expiry service stopped');
+    }
+  }
+
+  /**
+   * Pending bookings past their acceptance window or start time
+   * @returns {Promise<Array>} [{ booking, outcome: 'rejected'|'cancelled' }]
+   */
+  async getStaleBookings(now = new Date()) {
+    const windowStart = new Date(now.getTime() - ACCEPTANCE_WINDOW_HOURS * 60 * 60 * 1000);
+    // Tomorrow's calendar day has already started in timezones ahead of UTC
+    const lastStartedDay = addCalendarDays(toCalendarDate(now), 1);
+
+    const bookings = await Booking.find({
+      status: 'pending',
+      $or: [
+        { createdAt: { $lte: windowStart } },
+        { date: { $lte: lastStartedDay } }
+      ]
+    });
+
+    return bookings
+      .map(booking => {
+        // A booking whose time has come can no longer be accepted
+        if (getBookingStart(booking) <= now) {
+          return { booking, outcome: 'cancelled' };
+        }
+        if (booking.createdAt <= windowStart) {
+          return { booking, outcome: 'rejected' };
+        }
+        return null;
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Close every stale pending booking
+   */
+  async expireStaleBookings() {
+    try {
+      const stale = await this.getStaleBookings();
+
+      let expired = 0;
+      let failed = 0;
+      for (const { booking, outcome } of stale) {
+        try {
+          if (await this.expireBooking(booking, outcome)) expired++;
+        } catch (error) {
+          failed++;
+          console.error(`Failed to expire booking ${booking._id}:`, error);
+        }
+      }
+
+      if (expired > 0 || failed > 0) {
+        console.log(`⌛ Expired ${expired} pending booking(s)${failed ? `, ${failed} failed` : ''}`);
+      }
+      return { expired, failed };
+    } catch (error) {
+      console.error('Booking expiry sweep error:', error);
+      return { expired: 0, failed: 0 };
+    }
+  }
+
+  /**
+   * Close one pending booking as the system
+   * @param {Object} booking - Pending booking
+   * @param {string} outcome - 'rejected' (window passed) or 'cancelled' (time passed)
+   * @returns {Promise<Object|null>} Updated booking, or null if it was answered meanwhile
+   */
+  async expireBooking(booking, outcome) {
+    const reason = outcome === 'cancelled'
+      ? 'Booking time passed without a provider response'
+      : `Provider did not respond within ${ACCEPTANCE_WINDOW_HOURS} hours`;
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    let updated;
+    try {
+      const now = new Date();
+      updated = await bookingStateService.transition(booking, outcome, {
+        role: 'system',
+        reason,
+        set: outcome === 'cancelled' ? { cancelledAt: now, expiredAt: now } : { expiredAt: now },
+        session
+      });
+      await availabilityService.releaseSlots(booking._id, session);
+
+      await User.updateOne(
+        { _id: booking.provider },
+        [
+          { $set: { 'responseStats.expiredCount': { $add: [{ $ifNull: ['$responseStats.expiredCount', 0] }, 1] } } },
+          this.rateStage()
+        ],
+        { session }
+      );
+
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+      // The provider answered (or the customer cancelled) in the meantime
+      if (error.statusCode === 409) return null;
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    // The freed time goes to the provider's waitlist
+    waitlistService.onSlotsFreed(updated.provider);
+
+    // Nothing was delivered, so held funds go back in full
+    if (updated.escrow?.status === 'held') {
+      try {
+        const settled = await escrowService.refundFunds(updated._id, { reason });
+        if (settled) {
+          updated = settled;
+        }
+      } catch (error) {
+        // The escrow sweep retries settlement
+        console.error(`Escrow refund error for expired booking ${updated._id}:`, error);
+      }
+    }
+
+    await this.notifyParties(updated, outcome, reason);
+    return updated;
+  }
+
+  /**
+   * Record how long a provider took to answer a pending booking
+   * Only the first response to a booking counts.
+   * @param {Object} booking - Booking the provider confirmed or rejected
+   * @param {Date} respondedAt - Time of the response
+   */
+  async recordProviderResponse(booking, respondedAt = new Date()) {
+    try {
+      const marked = await Booking.findOneAndUpdate(
+        { _id: booking._id, providerRespondedAt: null },
+        { providerRespondedAt: respondedAt }
+      );
+      if (!marked) return;
+
+      const minutes = Math.max(0, Math.round((respondedAt - marked.createdAt) / 60000));
+      await User.updateOne({ _id: booking.provider }, [
+        {
+          $set: {
+            'responseStats.respondedCount': { $add: [{ $ifNull: ['$responseStats.respondedCount', 0] }, 1] },
+            'responseStats.totalResponseMinutes': { $add: [{ $ifNull: ['$responseStats.totalResponseMinutes', 0] }, minutes] },
+            'responseStats.lastRespondedAt': respondedAt
+          }
+        },
+        {
+          $set: {
+            'responseStats.averageResponseMinutes': {
+              $round: [{ $divide: ['$responseStats.totalResponseMinutes', '$responseStats.respondedCount'] }, 0]
+            }
+          }
+        },
+        this.rateStage()
+      ]);
+    } catch (error) {
+      console.error('Failed to record provider response time:', error);
+    }
+  }
+
+  // Pipeline stage recomputing the share of requests the provider answered
+  rateStage() {
+    const responded = { $ifNull: ['$responseStats.respondedCount', 0] };
+    const expired = { $ifNull: ['$responseStats.expiredCount', 0] };
+    return {
+      $set: {
+        'responseStats.responseRate': {
+          $cond: [
+            { $gt: [{ $add: [responded, expired] }, 0] },
+            { $round: [{ $multiply: [{ $divide: [responded, { $add: [responded, expired] }] }, 100] }, 0] },
+            null
+          ]
+        }
+      }
+    };
+  }
+
+  async notifyParties(booking, outcome, reason) {
+    try {
+      await booking.populate('service', 'name');
+      await booking.populate('customer', 'name email');
+      await booking.populate('provider', 'name email');
+
+      const serviceName = booking.service?.name || 'your service';
+      const data = { bookingId: booking._id, serviceId: booking.service?._id };
+
+      await Notification.create([
+        {
+          user: booking.customer._id,
+          title: outcome === 'cancelled' ? 'Booking Cancelled' : 'Booking Request Expired',
+          message: `Your booking for ${serviceName} was closed because the provider did not respond.${booking.escrow?.status === 'refunded' ? ' Your payment has been refunded.' : ''}`,
+          type: 'booking',
+          data
+        },
+        {
+          user: booking.provider._id,
+          title: 'Booking Request Expired',
+          message: `A booking request for ${serviceName} expired: ${reason.toLowerCase()}.`,
+          type: 'booking',
+          data
+        }
+      ]);
+
+      emailService.sendBookingStatusUpdate(booking, outcome, booking.customer.email, booking.customer.name)
+        .catch(err => console.error('Failed to send booking expiry email to customer:', err));
+    } catch (error) {
+      console.error('Booking expiry notification error:', error);
+    }
+  }
+}
+
+module.exports = new BookingExpiryService();
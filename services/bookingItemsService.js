@@ -0,0 +1,119 @@
+// services/bookingItemsService.js
+const Service = require('../models/Service');
+
+const MAX_ITEMS = 10;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const itemsError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Booking Items Service
+ * Prices multi-service bookings. Each line is a service from the same
+ * provider with a quantity; fixed-price services cost price x quantity and
+ * hourly services are charged for their duration x quantity. The booking
+ * duration is the sum of the lines, so the whole visit is blocked in the
+ * provider's availability.
+ */
+class BookingItemsService {
+  /**
+   * Price a cart of services for one visit
+   * @param {Object} customer - Booking customer
+   * @param {Array} items - [{ service, quantity }]
+   * @returns {Promise<Object>} { service, provider, currency, items, duration, totalAmount }
+   */
+  async priceItems(customer, items) {
+    if (!Array.isArray(items) || items.length === 0 || items.length > MAX_ITEMS) {
+      throw itemsError(`A booking needs between 1 and ${MAX_ITEMS} items`);
+    }
+
+    const ids = items.map(item => item.service.toString());
+    if (new Set(ids).size !== ids.length) {
+      throw itemsError('Each service can only appear once; use quantity instead');
+    }
+
+    const services = await Service.find({ _id: { $in: ids } });
+    const byId = new Map(services.map(service => [service._id.toString(), service]));
+
+    const lines = items.map(({ service: serviceId, quantity = 1 }) => {
+      const service = byId.get(serviceId.toString());
+      if (!service || !service.isActive) {
+        throw itemsError(`Service ${serviceId} not found or inactive`, 404);
+      }
+      if (service.priceType === 'negotiable') {
+        throw itemsError(`"${service.name}" is priced by quote. Request a quote instead.`);
+      }
+      return { service, quantity: parseInt(quantity) || 1 };
+    });
+
+    const [first] = lines;
+    const provider = first.service.provider.toString();
+    const currency = first.service.currency || 'NGN';
+
+    if (provider === customer._id.toString()) {
+      throw itemsError('Cannot book your own service');
+    }
+    if (lines.some(({ service }) => service.provider.toString() !== provider)) {
+      throw itemsError('All services in a booking must be from the same provider');
+    }
+    if (lines.some(({ service }) => (service.currency || 'NGN') !== currency)) {
+      throw itemsError('All services in a booking must be priced in the same currency');
+    }
+
+    const priced = lines.map(({ service, quantity }) => {
+      const duration = service.duration * quantity;
+      const amount = service.priceType === 'hourly'
+        ? roundAmount(service.price * duration / 60)
+        : roundAmount(service.price * quantity);
+
+      return {
+        service: service._id,
+        name: service.name,
+        priceType: service.priceType,
+        quantity,
+        unitPrice: service.price,
+        duration,
+        amount
+      };
+    });
+
+    return {
+      service: first.service,
+      provider: first.service.provider,
+      currency,
+      items: priced,
+      duration: priced.reduce((sum, item) => sum + item.duration, 0),
+      totalAmount: roundAmount(priced.reduce((sum, item) => sum + item.amount, 0))
+    };
+  }
+
+  /**
+   * Every service ID on a booking (the single service for one-item bookings)
+   */
+  getServiceIds(booking) {
+    if (booking.items?.length > 0) {
+      return booking.items.map(item => item.service._id || item.service);
+    }
+    return [booking.service._id || booking.service];
+  }
+
+  /**
+   * Short description of what was booked, e.g. "Plumbing, Fixture installation x 2"
+   * @param {Object} booking - Booking with items or a populated service
+   * @param {string} fallback - Name to use when the service isn't populated
+   */
+  describe(booking, fallback = 'Service') {
+    if (booking.items?.length > 0) {
+      return booking.items
+        .map(item => (item.quantity > 1 ? `${item.name} x ${item.quantity}` : item.name))
+        .join(', ');
+    }
+    return booking.serviceName || booking.service?.name || fallback;
+  }
+}
+
+module.exports = new BookingItemsService();
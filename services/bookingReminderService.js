@@ -1,10 +1,13 @@
 // services/bookingReminderService.js
 const Booking = require('../models/Booking');
 const emailService = require('./emailService');
+const bookingItemsService = require('./bookingItemsService');
+const { DEFAULT_TIMEZONE, toCalendarDate, addCalendarDays, getCalendarDateInZone } = require('../utils/timezone');
 
 /**
  * Booking Reminder Service
- * Sends email reminders for bookings scheduled for the next day
+ * Sends email reminders for bookings scheduled for the next day in the
+ * provider's timezone
  */
 class BookingReminderService {
     constructor() {
@@ -49,27 +52,20 @@ class BookingReminderService {
     }
 
     /**
-     * Get bookings scheduled for tomorrow that need reminders
+     * Get bookings scheduled for tomorrow (in each booking's timezone) that need reminders
      */
     async getUpcomingBookings() {
         try {
-            // Get tomorrow's date range
+            // Bookings are on calendar days in the provider's timezone, so
+            // fetch the days "tomorrow" can be anywhere and filter per booking
             const now = new Date();
-            const tomorrow = new Date(now);
-            tomorrow.setDate(tomorrow.getDate() + 1);
-
-            // Set to start and end of tomorrow
-            const tomorrowStart = new Date(tomorrow);
-            tomorrowStart.setHours(0, 0, 0, 0);
-
-            const tomorrowEnd = new Date(tomorrow);
-            tomorrowEnd.setHours(23, 59, 59, 999);
+            const today = toCalendarDate(now);
 
             // Find confirmed bookings for tomorrow that haven't been reminded yet
-            const bookings = await Booking.find({
+            const candidates = await Booking.find({
                 date: {
-                    $gte: tomorrowStart,
-                    $lte: tomorrowEnd
+                    $gte: today,
+                    $lte: addCalendarDays(today, 2)
                 },
                 status: 'confirmed',
                 reminderSent: { $ne: true } // Only get bookings that haven't been reminded
@@ -78,7 +74,10 @@ class BookingReminderService {
                 .populate('customer', 'name email')
                 .populate('provider', 'name email');
 
-            return bookings;
+            return candidates.filter(booking => {
+                const tomorrow = addCalendarDays(getCalendarDateInZone(now, booking.timezone || DEFAULT_TIMEZONE), 1);
+                return toCalendarDate(booking.date).getTime() === tomorrow.getTime();
+            });
         } catch (error) {
             console.error('Error getting upcoming bookings:', error);
             return [];
@@ -111,8 +110,10 @@ class BookingReminderService {
                         _id: booking._id,
                         date: booking.date,
                         time: booking.time,
+                        timezone: booking.timezone,
                         address: booking.address,
-                        serviceName: booking.service?.name || 'Service',
+                        serviceName: bookingItemsService.describe(booking),
+                        items: booking.items,
                         customerName: booking.customer?.name || 'Customer',
                         providerName: booking.provider?.name || 'Provider',
                         service: booking.service
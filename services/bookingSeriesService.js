@@ -0,0 +1,384 @@
+// services/bookingSeriesService.js
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const BookingSeries = require('../models/BookingSeries');
+const Notification = require('../models/Notification');
+const availabilityService = require('./availabilityService');
+const bookingStateService = require('./bookingStateService');
+const escrowService = require('./escrowService');
+const waitlistService = require('./waitlistService');
+const { getBookingSchedule } = require('../utils/bookingTime');
+const { toCalendarDate } = require('../utils/timezone');
+
+// Limits on how far ahead a series is generated
+const MAX_OCCURRENCES = parseInt(process.env.RECURRING_BOOKING_MAX_OCCURRENCES) || 26;
+const HORIZON_DAYS = parseInt(process.env.RECURRING_BOOKING_HORIZON_DAYS) || 180;
+
+// Occurrences that can still be edited or cancelled
+const OPEN_STATUSES = ['pending', 'confirmed', 'rescheduled'];
+
+const seriesError = (message, statusCode = 400, conflicts) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (conflicts) error.conflicts = conflicts;
+  return error;
+};
+
+/**
+ * Booking Series Service
+ * Recurring bookings. A series generates one ordinary Booking per occurrence
+ * up front (so each keeps its own payment, reminders and review), and edits
+ * or cancellations apply to one occurrence or to it and every later one.
+ */
+class BookingSeriesService {
+  getLimits() {
+    return { maxOccurrences: MAX_OCCURRENCES, horizonDays: HORIZON_DAYS };
+  }
+
+  /**
+   * Date of the n-th occurrence of a series
+   * Monthly series keep the day of month, clamped to shorter months.
+   */
+  getOccurrenceDate(startDate, frequency, index) {
+    const date = new Date(startDate);
+
+    if (frequency === 'monthly') {
+      const dayOfMonth = date.getUTCDate();
+      date.setUTCDate(1);
+      date.setUTCMonth(date.getUTCMonth() + index);
+      const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+      date.setUTCDate(Math.min(dayOfMonth, lastDay));
+      return date;
+    }
+
+    date.setUTCDate(date.getUTCDate() + index * (frequency === 'biweekly' ? 14 : 7));
+    return date;
+  }
+
+  /**
+   * Occurrence dates for a recurrence rule, bounded by count, until and the horizon
+   * @param {Date} startDate - First occurrence
+   * @param {Object} recurrence - { frequency, count, until }
+   */
+  generateOccurrenceDates(startDate, { frequency, count, until }) {
+    const horizon = new Date(startDate);
+    horizon.setUTCDate(horizon.getUTCDate() + HORIZON_DAYS);
+
+    const lastDate = until && new Date(until) < horizon ? new Date(until) : horizon;
+    const maxCount = Math.min(count || MAX_OCCURRENCES, MAX_OCCURRENCES);
+
+    const dates = [];
+    for (let index = 0; dates.length < maxCount; index++) {
+      const date = this.getOccurrenceDate(startDate, frequency, index);
+      if (date > lastDate) break;
+      dates.push(date);
+    }
+    return dates;
+  }
+
+  /**
+   * Create a recurring series and all of its occurrences
+   * Every occurrence reserves its slots; if any of them conflicts nothing is created.
+   * @param {Object} customer - Booking customer
+   * @param {Object} service - Service being booked
+   * @param {Object} details - { date, time, duration, notes, address, totalAmount, items, recurrence }
+   * @returns {Promise<Object>} { series, bookings }
+   */
+  async createSeries(customer, service, { date, time, duration, notes, address, totalAmount, items = [], recurrence }) {
+    const { frequency, count, until } = recurrence;
+
+    if (!count && !until) {
+      throw seriesError('A recurrence needs a count or an until date');
+    }
+
+    const startDate = toCalendarDate(date);
+    if (until && new Date(until) < startDate) {
+      throw seriesError('Recurrence until date must be after the first booking date');
+    }
+
+    const dates = this.generateOccurrenceDates(startDate, { frequency, count, until });
+    if (dates.length < 2) {
+      throw seriesError('A recurring booking needs at least two occurrences');
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    let series;
+    const bookings = [];
+    try {
+      [series] = await BookingSeries.create([{
+        customer: customer._id,
+        provider: service.provider,
+        service: service._id,
+        recurrence: { frequency, count, until },
+        startDate,
+        time,
+        duration,
+        totalAmount,
+        currency: service.currency || 'NGN',
+        notes,
+        address,
+        occurrenceCount: dates.length
+      }], { session });
+
+      const conflicts = [];
+      for (const [index, occurrenceDate] of dates.entries()) {
+        const booking = new Booking({
+          customer: customer._id,
+          provider: service.provider,
+          service: service._id,
+          items,
+          series: series._id,
+          occurrenceIndex: index,
+          date: occurrenceDate,
+          time,
+          duration,
+          notes,
+          address,
+          totalAmount,
+          currency: service.currency || 'NGN'
+        });
+        await booking.save({ session });
+
+        try {
+          await availabilityService.reserveSlots(booking, session);
+        } catch (error) {
+          if (error.statusCode !== 409 || error.transactionAborted) throw error;
+          conflicts.push({ occurrenceIndex: index, date: occurrenceDate, reason: error.message });
+        }
+
+        bookings.push(booking);
+      }
+
+      if (conflicts.length > 0) {
+        throw seriesError(`${conflicts.length} of ${dates.length} occurrences conflict with the provider's availability`, 409, conflicts);
+      }
+
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    return { series, bookings };
+  }
+
+  /**
+   * Occurrences an edit or cancellation applies to
+   * @param {Object} booking - Occurrence the customer acted on
+   * @param {string} scope - 'this' or 'following'
+   */
+  async getTargets(booking, scope) {
+    if (!booking.series) {
+      throw seriesError('Booking is not part of a recurring series');
+    }
+
+    if (scope === 'this') {
+      if (!OPEN_STATUSES.includes(booking.status)) {
+        throw seriesError(`A ${booking.status} occurrence cannot be changed`, 409);
+      }
+      return [booking];
+    }
+
+    return await Booking.find({
+      series: booking.series,
+      occurrenceIndex: { $gte: booking.occurrenceIndex },
+      status: { $in: OPEN_STATUSES }
+    }).sort({ occurrenceIndex: 1 });
+  }
+
+  /**
+   * Edit one occurrence, or it and every later one
+   * Time changes move each occurrence's slot reservation; confirmed occurrences
+   * go back to the provider as rescheduled.
+   * @param {Object} booking - Occurrence being edited
+   * @param {Object} user - Acting user
+   * @param {Object} changes - { scope, date, time, duration, notes, address, reason }
+   * @returns {Promise<Array>} Updated occurrences
+   */
+  async updateOccurrences(booking, user, { scope, date, time, duration, notes, address, reason }) {
+    const role = bookingStateService.getActorRole(booking, user);
+    if (role !== 'customer' && role !== 'admin') {
+      throw seriesError('Only the customer can edit a recurring booking', 403);
+    }
+    if (date && scope !== 'this') {
+      throw seriesError('The date can only be changed for a single occurrence');
+    }
+
+    const targets = await this.getTargets(booking, scope);
+    if (targets.length === 0) {
+      throw seriesError('No upcoming occurrences to update', 409);
+    }
+
+    const movesTime = Boolean(date || time || duration);
+    const details = {};
+    if (notes !== undefined) details.notes = notes;
+    if (address !== undefined) details.address = address;
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    const updated = [];
+    try {
+      const conflicts = [];
+
+      for (const target of targets) {
+        const set = { ...details };
+
+        if (movesTime) {
+          set.date = date ? toCalendarDate(date) : target.date;
+          set.time = time || target.time;
+          set.duration = duration || target.duration;
+          Object.assign(set, getBookingSchedule({ ...set, timezone: target.timezone }));
+
+          await availabilityService.releaseSlots(target._id, session);
+          try {
+            await availabilityService.reserveSlots({ _id: target._id, provider: target.provider, timezone: target.timezone, ...set }, session);
+          } catch (error) {
+            if (error.statusCode !== 409 || error.transactionAborted) throw error;
+            conflicts.push({ occurrenceIndex: target.occurrenceIndex, date: set.date, reason: error.message });
+            continue;
+          }
+        }
+
+        // A confirmed occurrence moved to a new time needs the provider to confirm again
+        if (movesTime && target.status === 'confirmed') {
+          updated.push(await bookingStateService.transition(target, 'rescheduled', {
+            actor: user._id,
+            role,
+            reason: reason || 'Recurring booking updated',
+            set,
+            session
+          }));
+        } else {
+          updated.push(await Booking.findByIdAndUpdate(target._id, { $set: set }, { new: true, session }));
+        }
+      }
+
+      if (conflicts.length > 0) {
+        throw seriesError(`${conflicts.length} of ${targets.length} occurrences conflict with the provider's availability`, 409, conflicts);
+      }
+
+      // Later changes to the series start from the new template
+      if (scope === 'following') {
+        const template = { ...details };
+        if (time) template.time = time;
+        if (duration) template.duration = duration;
+        await BookingSeries.updateOne({ _id: booking.series }, { $set: template }, { session });
+      }
+
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    await this.notifyProvider(booking, 'Recurring Booking Updated',
+      `${scope === 'this' ? 'One occurrence' : `${updated.length} occurrences`} of a recurring booking ${scope === 'this' ? 'has' : 'have'} been updated by the customer.`);
+
+    return updated;
+  }
+
+  /**
+   * Cancel one occurrence, or it and every later one
+   * Each occurrence is settled on its own (refund per the cancellation policy).
+   * @param {Object} booking - Occurrence being cancelled
+   * @param {Object} user - Acting user
+   * @param {Object} options - { scope, reason }
+   * @returns {Promise<Array>} Cancelled occurrences
+   */
+  async cancelOccurrences(booking, user, { scope, reason }) {
+    const role = bookingStateService.getActorRole(booking, user);
+    if (role !== 'customer' && role !== 'admin') {
+      throw seriesError('Only the customer can cancel a recurring booking', 403);
+    }
+
+    const targets = await this.getTargets(booking, scope);
+    if (targets.length === 0) {
+      throw seriesError('No upcoming occurrences to cancel', 409);
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    const cancelled = [];
+    try {
+      const cancelledAt = new Date();
+      for (const target of targets) {
+        cancelled.push(await bookingStateService.transition(target, 'cancelled', {
+          actor: user._id,
+          role,
+          reason,
+          set: { cancelledAt },
+          session
+        }));
+        await availabilityService.releaseSlots(target._id, session);
+      }
+
+      if (scope === 'following') {
+        const remaining = await Booking.countDocuments({
+          series: booking.series,
+          occurrenceIndex: { $lt: booking.occurrenceIndex },
+          status: { $nin: ['cancelled', 'rejected'] }
+        }).session(session);
+
+        await BookingSeries.updateOne(
+          { _id: booking.series },
+          remaining === 0
+            ? { status: 'cancelled', cancelledAt }
+            : { 'recurrence.until': new Date(booking.date.getTime() - 1) },
+          { session }
+        );
+      }
+
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    waitlistService.onSlotsFreed(booking.provider);
+
+    // Settle each paid occurrence; the escrow sweep retries failures
+    for (const occurrence of cancelled) {
+      if (occurrence.escrow?.status === 'held') {
+        try {
+          await escrowService.settleCancellation(occurrence._id, user._id);
+        } catch (error) {
+          console.error(`Escrow settlement error for occurrence ${occurrence._id}:`, error);
+        }
+      }
+    }
+
+    await this.notifyProvider(booking, 'Recurring Booking Cancelled',
+      `${cancelled.length === 1 ? 'One occurrence' : `${cancelled.length} occurrences`} of a recurring booking ${cancelled.length === 1 ? 'has' : 'have'} been cancelled by the customer.`);
+
+    return cancelled;
+  }
+
+  async notifyProvider(booking, title, message) {
+    try {
+      await Notification.create({
+        user: booking.provider,
+        title,
+        message,
+        type: 'booking',
+        data: {
+          bookingId: booking._id,
+          serviceId: booking.service
+        }
+      });
+    } catch (error) {
+      console.error('Recurring booking notification error:', error);
+    }
+  }
+}
+
+module.exports = new BookingSeriesService();
@@ -0,0 +1,136 @@
+// services/bookingStateService.js
+const Booking = require('../models/Booking');
+
+// Legal status transitions and the roles allowed to trigger each one.
+// Statuses without an entry (completed, cancelled, rejected) are final.
+const TRANSITIONS = {
+  pending: {
+    confirmed: ['provider'],
+    rejected: ['provider', 'system'],
+    cancelled: ['customer', 'admin', 'system']
+  },
+  rescheduled: {
+    confirmed: ['provider'],
+    rejected: ['provider'],
+    cancelled: ['customer', 'admin', 'system']
+  },
+  confirmed: {
+    in_progress: ['provider'],
+    completed: ['provider'],
+    cancelled: ['customer', 'admin', 'system'],
+    rescheduled: ['customer']
+  },
+  in_progress: {
+    completed: ['provider', 'admin']
+  }
+};
+
+const stateError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Booking State Service
+ * The booking state machine. Every status change goes through transition(),
+ * which enforces the legal transitions, checks the actor's role and appends
+ * to the booking's statusHistory.
+ */
+class BookingStateService {
+  constructor() {
+    this.TRANSITIONS = TRANSITIONS;
+  }
+
+  /**
+   * Role of a user on a booking
+   * @param {Object} booking - Booking document (customer/provider may be populated)
+   * @param {Object} user - Authenticated user
+   * @returns {string|null} 'customer', 'provider', 'admin' or null
+   */
+  getActorRole(booking, user) {
+    const userId = user._id.toString();
+    const customerId = (booking.customer._id || booking.customer).toString();
+    const providerId = (booking.provider._id || booking.provider).toString();
+
+    if (userId === providerId) return 'provider';
+    if (userId === customerId) return 'customer';
+    if (user.role === 'admin') return 'admin';
+    return null;
+  }
+
+  /**
+   * Statuses a role may move a booking to from its current status
+   */
+  getAllowedTransitions(status, role) {
+    return Object.entries(TRANSITIONS[status] || {})
+      .filter(([, roles]) => roles.includes(role))
+      .map(([to]) => to);
+  }
+
+  /**
+   * Check a transition without applying it
+   * Throws 409 if the transition is illegal, 403 if the role may not trigger it.
+   */
+  assertTransition(from, to, role) {
+    const allowedRoles = TRANSITIONS[from]?.[to];
+
+    if (!allowedRoles) {
+      const next = Object.keys(TRANSITIONS[from] || {});
+      throw stateError(
+        `Cannot change booking status from ${from} to ${to}` +
+        (next.length ? `. Allowed next statuses: ${next.join(', ')}` : `. ${from} is a final status`),
+        409
+      );
+    }
+
+    if (!allowedRoles.includes(role)) {
+      throw stateError(`Only ${allowedRoles.join(' or ')} can change a ${from} booking to ${to}`, 403);
+    }
+  }
+
+  /**
+   * Move a booking to a new status
+   * The update only applies if the booking is still in the status it was read
+   * in, so concurrent transitions cannot both succeed.
+   * @param {Object} booking - Booking document
+   * @param {string} to - New status
+   * @param {Object} options
+   * @param {string} options.actor - User making the change (omit for system)
+   * @param {string} options.role - 'customer', 'provider', 'admin' or 'system'
+   * @param {string} options.reason - Optional reason
+   * @param {Object} options.set - Other fields to update with the status
+   * @param {mongoose.ClientSession} options.session - Optional session
+   * @returns {Promise<Object>} The updated booking
+   */
+  async transition(booking, to, { actor, role, reason, set = {}, session = null }) {
+    const from = booking.status;
+    this.assertTransition(from, to, role);
+
+    const updated = await Booking.findOneAndUpdate(
+      { _id: booking._id, status: from },
+      {
+        $set: { ...set, status: to },
+        $push: {
+          statusHistory: {
+            status: to,
+            previousStatus: from,
+            actor: role === 'system' ? undefined : actor,
+            actorRole: role,
+            reason,
+            changedAt: new Date()
+          }
+        }
+      },
+      { new: true, session }
+    );
+
+    if (!updated) {
+      throw stateError('Booking status was changed by another request, please reload and try again', 409);
+    }
+
+    return updated;
+  }
+}
+
+module.exports = new BookingStateService();
@@ -0,0 +1,152 @@
+// services/calendarService.js
+const crypto = require('crypto');
+const Booking = require('../models/Booking');
+const User = require('../models/User');
+const { buildEvent, buildCalendar } = require('../utils/icalendar');
+const { getBookingStart, getBookingEnd } = require('../utils/bookingTime');
+const bookingItemsService = require('./bookingItemsService');
+
+// Bookings shown as events; recently cancelled bookings that had been
+// confirmed are sent as cancelled so subscribed calendars remove them
+const FEED_STATUSES = ['confirmed', 'in_progress'];
+const CANCELLED_STATUSES = ['cancelled', 'rejected'];
+const FEED_PAST_DAYS = 90;
+const CANCELLED_RETENTION_DAYS = 30;
+
+// Booking.address is structured; calendars want a single line
+const formatAddress = (address) => {
+  if (!address) return '';
+  if (typeof address === 'string') return address;
+  return [address.street, address.city, address.state, address.zipCode, address.country]
+    .filter(Boolean)
+    .join(', ');
+};
+
+const calendarError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Calendar Service
+ * iCalendar export of bookings: a per-user feed authenticated by a secret
+ * token in the URL, and single-event files for email attachments. Every
+ * booking keeps the same UID, so reschedules and cancellations update the
+ * existing calendar event instead of adding a new one.
+ */
+class CalendarService {
+  /**
+   * Feed token for a user, created on first use
+   * @param {string} userId
+   * @param {Object} options - { rotate } replaces the token, invalidating old feed URLs
+   */
+  async getFeedToken(userId, { rotate = false } = {}) {
+    const user = await User.findById(userId).select('+calendarFeedToken');
+    if (!user) {
+      throw calendarError('User not found', 404);
+    }
+
+    if (!user.calendarFeedToken || rotate) {
+      user.calendarFeedToken = crypto.randomBytes(24).toString('hex');
+      await user.save();
+    }
+    return user.calendarFeedToken;
+  }
+
+  /**
+   * iCalendar feed for the user owning a token
+   * @param {string} token - Feed token from the URL
+   * @returns {Promise<string>} iCalendar text
+   */
+  async getFeed(token) {
+    const user = token && await User.findOne({ calendarFeedToken: token }).select('name');
+    if (!user) {
+      throw calendarError('Calendar feed not found', 404);
+    }
+
+    const since = new Date(Date.now() - FEED_PAST_DAYS * 24 * 60 * 60 * 1000);
+    const cancelledSince = new Date(Date.now() - CANCELLED_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+    const bookings = await Booking.find({
+      $and: [
+        { $or: [{ customer: user._id }, { provider: user._id }] },
+        { date: { $gte: since } },
+        {
+          $or: [
+            { status: { $in: FEED_STATUSES } },
+            { status: { $in: CANCELLED_STATUSES }, updatedAt: { $gte: cancelledSince }, 'statusHistory.status': 'confirmed' }
+          ]
+        }
+      ]
+    })
+      .populate('service', 'name')
+      .populate('customer', 'name email phone')
+      .populate('provider', 'name email phone')
+      .sort({ date: 1 });
+
+    const events = bookings.map(booking => this.buildBookingEvent(booking, user._id));
+    return buildCalendar(events, { name: 'Connectify Bookings' });
+  }
+
+  /**
+   * Booking address on one line ('' if none)
+   */
+  formatAddress(address) {
+    return formatAddress(address);
+  }
+
+  /**
+   * Single-event calendar file for a booking (email attachment)
+   * @param {Object} booking - Booking with service, customer and provider populated
+   * @param {string} viewerId - User the file is for
+   */
+  getBookingIcs(booking, viewerId) {
+    return buildCalendar([this.buildBookingEvent(booking, viewerId)]);
+  }
+
+  /**
+   * Stable UID for a booking's calendar event
+   */
+  getEventUid(booking) {
+    return `booking-${booking._id}@connectify.ng`;
+  }
+
+  /**
+   * VEVENT for a booking, described from the viewer's side
+   * (providers see the customer's contact details, customers the provider's)
+   */
+  buildBookingEvent(booking, viewerId) {
+    const providerId = booking.provider?._id || booking.provider;
+    const isProvider = viewerId && providerId.toString() === viewerId.toString();
+    const contact = isProvider ? booking.customer : booking.provider;
+    const serviceName = bookingItemsService.describe(booking, 'Connectify booking');
+
+    const description = [
+      `${isProvider ? 'Customer' : 'Provider'}: ${contact?.name || 'N/A'}`,
+      contact?.phone ? `Phone: ${contact.phone}` : null,
+      contact?.email ? `Email: ${contact.email}` : null,
+      `Duration: ${booking.duration} minutes`,
+      booking.notes ? `Notes: ${booking.notes}` : null,
+      `Booking ID: ${booking._id}`
+    ].filter(Boolean).join('\n');
+
+    const updatedAt = booking.updatedAt ? new Date(booking.updatedAt) : new Date();
+
+    return buildEvent({
+      uid: this.getEventUid(booking),
+      start: getBookingStart(booking),
+      end: getBookingEnd(booking),
+      summary: isProvider ? `${serviceName} for ${contact?.name || 'customer'}` : serviceName,
+      description,
+      location: formatAddress(booking.address),
+      status: CANCELLED_STATUSES.includes(booking.status) ? 'CANCELLED' : 'CONFIRMED',
+      // Grows with every change so calendars replace the stored copy
+      sequence: Math.floor(updatedAt.getTime() / 1000),
+      lastModified: updatedAt,
+      url: `${process.env.FRONTEND_URL || 'http://localhost:5173'}/bookings/${booking._id}`
+    });
+  }
+}
+
+module.exports = new CalendarService();
@@ -0,0 +1,78 @@
+// services/cancellationPolicyService.js
+const { getBookingStart } = require('../utils/bookingTime');
+
+// Refund percentage by how many hours before the booking starts the cancellation happens.
+// Evaluated top-down; the first tier whose hoursBefore is met applies.
+const DEFAULT_TIERS = [
+  { hoursBefore: 48, percentage: 100 },
+  { hoursBefore: 24, percentage: 50 },
+  { hoursBefore: 0, percentage: 25 }
+];
+
+/**
+ * Cancellation Policy Service
+ * Decides the default refund percentage for a booking based on how close
+ * to the scheduled start the cancellation happens.
+ * Tiers can be overridden with CANCELLATION_POLICY_TIERS, e.g.
+ * [{"hoursBefore":72,"percentage":100},{"hoursBefore":12,"percentage":50}]
+ */
+class CancellationPolicyService {
+  constructor() {
+    this.tiers = this.loadTiers();
+  }
+
+  loadTiers() {
+    if (process.env.CANCELLATION_POLICY_TIERS) {
+      try {
+        const tiers = JSON.parse(process.env.CANCELLATION_POLICY_TIERS);
+        const valid = Array.isArray(tiers) && tiers.every(t =>
+          typeof t.hoursBefore === 'number' &&
+          typeof t.percentage === 'number' &&
+          t.percentage >= 0 && t.percentage <= 100
+        );
+        if (valid) {
+          return [...tiers].sort((a, b) => b.hoursBefore - a.hoursBefore);
+        }
+        console.error('⚠️  Invalid CANCELLATION_POLICY_TIERS, using defaults');
+      } catch (error) {
+        console.error('⚠️  Failed to parse CANCELLATION_POLICY_TIERS, using defaults:', error.message);
+      }
+    }
+    return DEFAULT_TIERS;
+  }
+
+  /**
+   * Refund percentage for a booking cancelled at a given moment
+   * @param {Object} booking - Booking with date and time
+   * @param {Date} cancelledAt - When the cancellation happened (defaults to now)
+   * @returns {number} Percentage between 0 and 100
+   */
+  getRefundPercentage(booking, cancelledAt = new Date()) {
+    const hoursBefore = (getBookingStart(booking) - new Date(cancelledAt)) / (60 * 60 * 1000);
+    const tier = this.tiers.find(t => hoursBefore >= t.hoursBefore);
+    return tier ? tier.percentage : 0;
+  }
+
+  /**
+   * Whether the provider ever accepted the booking. The policy only applies
+   * to accepted bookings; anything cancelled before that is refunded in full.
+   * @param {Object} booking - Booking with statusHistory
+   */
+  wasConfirmed(booking) {
+    return (booking.statusHistory || []).some(change =>
+      change.status === 'confirmed' || change.previousStatus === 'confirmed'
+    );
+  }
+
+  /**
+   * Public description of the active policy
+   */
+  getPolicy() {
+    return {
+      tiers: this.tiers,
+      afterStartPercentage: 0
+    };
+  }
+}
+
+module.exports = new CancellationPolicyService();
@@ -0,0 +1,122 @@
+// services/commissionService.js
+const Category = require('../models/Category');
+const User = require('../models/User');
+
+// Commission applied when a category has no rule of its own
+const DEFAULT_COMMISSION_PERCENT = parseFloat(process.env.PLATFORM_COMMISSION_PERCENT) || 10;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Commission Service
+ * Works out the platform fee for a booking from its category's commission rule:
+ * - percentage: `value`% of the booking amount
+ * - flat: a fixed `value` per booking
+ * - tiered: a percentage chosen by the provider's completedJobsCount
+ */
+class CommissionService {
+  /**
+   * Validate a commission rule from a request body
+   * @param {Object} rule - { type, value, tiers }
+   * @returns {string|null} Error message, or null if valid
+   */
+  validateRule(rule) {
+    if (!rule || typeof rule !== 'object') return 'Commission must be an object';
+
+    switch (rule.type) {
+      case 'percentage':
+        if (typeof rule.value !== 'number' || rule.value < 0 || rule.value > 100) {
+          return 'Percentage commission value must be between 0 and 100';
+        }
+        return null;
+      case 'flat':
+        if (typeof rule.value !== 'number' || rule.value < 0) {
+          return 'Flat commission value must be a non-negative number';
+        }
+        return null;
+      case 'tiered':
+        if (!Array.isArray(rule.tiers) || rule.tiers.length === 0) {
+          return 'Tiered commission requires at least one tier';
+        }
+        for (const tier of rule.tiers) {
+          if (typeof tier.minCompletedJobs !== 'number' || tier.minCompletedJobs < 0 ||
+            typeof tier.percentage !== 'number' || tier.percentage < 0 || tier.percentage > 100) {
+            return 'Each tier needs minCompletedJobs >= 0 and a percentage between 0 and 100';
+          }
+        }
+        return null;
+      default:
+        return 'Commission type must be percentage, flat or tiered';
+    }
+  }
+
+  /**
+   * Commission rule for a category name
+   * @param {string} categoryName - Service.category
+   */
+  async getRule(categoryName) {
+    const category = categoryName
+      ? await Category.findOne({ name: new RegExp(`^${categoryName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i') })
+      : null;
+
+    if (category?.commission?.type) {
+      return { ...category.commission.toObject(), category: category.name };
+    }
+
+    return { type: 'percentage', value: DEFAULT_COMMISSION_PERCENT, category: categoryName || null, isDefault: true };
+  }
+
+  /**
+   * Calculate the platform fee for a booking
+   * @param {Object} booking - Booking (totalAmount, provider)
+   * @param {Object} service - Service (category)
+   * @returns {Promise<Object>} Commission snapshot stored on the booking
+   */
+  async calculate(booking, service) {
+    const rule = await this.getRule(service?.category);
+    const total = booking.totalAmount;
+
+    let percentage;
+    let amount;
+
+    if (rule.type === 'flat') {
+      amount = rule.value;
+    } else if (rule.type === 'tiered') {
+      const provider = await User.findById(booking.provider).select('completedJobsCount');
+      const completedJobs = provider?.completedJobsCount || 0;
+      const tier = [...rule.tiers]
+        .sort((a, b) => b.minCompletedJobs - a.minCompletedJobs)
+        .find(t => completedJobs >= t.minCompletedJobs);
+      percentage = tier ? tier.percentage : 0;
+      amount = total * percentage / 100;
+    } else {
+      percentage = rule.value;
+      amount = total * percentage / 100;
+    }
+
+    // The fee can never exceed what the customer paid
+    amount = Math.min(roundAmount(amount), total);
+
+    return {
+      type: rule.type,
+      rate: percentage,
+      category: rule.category,
+      amount,
+      providerAmount: roundAmount(total - amount)
+    };
+  }
+
+  /**
+   * Share of the commission attributable to part of a booking amount
+   * (used when only part of the payment is released or reversed)
+   * @param {Object} booking - Booking with commission and totalAmount
+   * @param {number} portion - Part of the booking amount
+   */
+  feeForPortion(booking, portion) {
+    const fee = booking.commission?.amount || 0;
+    if (!fee || !booking.totalAmount) return 0;
+    return Math.min(roundAmount(fee * portion / booking.totalAmount), portion);
+  }
+}
+
+module.exports = new CommissionService();
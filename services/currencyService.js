@@ -0,0 +1,67 @@
+// services/currencyService.js
+const { SUPPORTED_CURRENCIES, isSupportedCurrency } = require('../utils/currency');
+const { getFxRateProvider } = require('./fx');
+
+// Rates are kept to 10 decimal places on transactions
+const roundRate = (rate) => Math.round(rate * 1e10) / 1e10;
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const currencyError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Currency Service
+ * Currency validation and conversion through the configured FX rate provider.
+ */
+class CurrencyService {
+  getSupportedCurrencies() {
+    return SUPPORTED_CURRENCIES;
+  }
+
+  /**
+   * Throw a 400 error unless the currency is supported
+   * @param {string} currency - ISO 4217 code
+   */
+  assertSupported(currency) {
+    if (!isSupportedCurrency(currency)) {
+      throw currencyError(`Unsupported currency: ${currency}. Supported currencies are ${SUPPORTED_CURRENCIES.join(', ')}`);
+    }
+  }
+
+  /**
+   * Convert an amount between currencies
+   * @param {number} amount - Amount in `from`
+   * @param {string} from - Source currency
+   * @param {string} to - Target currency
+   * @returns {Promise<Object>} { amount, rate, from, to, provider, asOf }
+   */
+  async convert(amount, from, to) {
+    this.assertSupported(from);
+    this.assertSupported(to);
+
+    if (from === to) {
+      return { amount, rate: 1, from, to, provider: null, asOf: new Date() };
+    }
+
+    const provider = getFxRateProvider();
+    const quote = await provider.getRate(from, to);
+    if (!quote) {
+      throw currencyError(`No exchange rate available from ${from} to ${to}`);
+    }
+
+    const rate = roundRate(quote.rate);
+    return {
+      amount: roundAmount(amount * rate),
+      rate,
+      from,
+      to,
+      provider: provider.name,
+      asOf: quote.asOf
+    };
+  }
+}
+
+module.exports = new CurrencyService();
@@ -0,0 +1,432 @@
+// services/disputeService.js
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Dispute = require('../models/Dispute');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const bookingStateService = require('./bookingStateService');
+const cloudStorageService = require('./cloudStorageService');
+const escrowService = require('./escrowService');
+const refundService = require('./refundService');
+
+// Days after completion or cancellation during which a booking can be disputed
+const DISPUTE_WINDOW_DAYS = parseInt(process.env.DISPUTE_WINDOW_DAYS) || 14;
+const DISPUTABLE_STATUSES = ['in_progress', 'completed', 'cancelled'];
+const ACTIVE_STATUSES = ['open', 'under_review'];
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const disputeError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Dispute Service
+ * Either party can dispute a paid booking. While the dispute is open the
+ * booking's escrow is not released and the provider can't withdraw what they
+ * already received for it. An admin resolves the dispute with a full refund,
+ * a partial refund or a release to the provider, which moves the money
+ * through the refund and escrow services.
+ */
+class DisputeService {
+  /**
+   * Open a dispute on a booking
+   * @param {Object} booking - Booking document
+   * @param {Object} user - Customer or provider of the booking
+   * @param {Object} params - { reason, description }
+   * @param {Array} files - Evidence uploads (multer memory files)
+   * @returns {Promise<Object>} The dispute
+   */
+  async openDispute(booking, user, { reason, description }, files = []) {
+    const role = bookingStateService.getActorRole(booking, user);
+    if (role !== 'customer' && role !== 'provider') {
+      throw disputeError('Only the customer or provider can dispute a booking', 403);
+    }
+    if (!DISPUTABLE_STATUSES.includes(booking.status)) {
+      throw disputeError(`A ${booking.status} booking cannot be disputed`, 409);
+    }
+    if (!['paid', 'partially_refunded'].includes(booking.paymentStatus)) {
+      throw disputeError('Only paid bookings can be disputed');
+    }
+
+    const closedAt = booking.completedAt || booking.cancelledAt;
+    if (closedAt && Date.now() - new Date(closedAt).getTime() > DISPUTE_WINDOW_DAYS * 24 * 60 * 60 * 1000) {
+      throw disputeError(`Bookings can only be disputed within ${DISPUTE_WINDOW_DAYS} days`, 409);
+    }
+    if (booking.disputeOpen) {
+      throw disputeError('This booking already has an open dispute', 409);
+    }
+
+    const evidence = await this.uploadEvidence(files, user, booking._id);
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    let dispute;
+    try {
+      const disputeId = new mongoose.Types.ObjectId();
+
+      // Claim the booking so only one dispute can be open at a time
+      const claimed = await Booking.findOneAndUpdate(
+        { _id: booking._id, disputeOpen: { $ne: true } },
+        { disputeOpen: true, dispute: disputeId },
+        { new: true, session }
+      );
+      if (!claimed) {
+        throw disputeError('This booking already has an open dispute', 409);
+      }
+
+      [dispute] = await Dispute.create([{
+        _id: disputeId,
+        booking: booking._id,
+        customer: booking.customer,
+        provider: booking.provider,
+        openedBy: user._id,
+        openedByRole: role,
+        reason,
+        description,
+        evidence,
+        frozenAmount: this.getReleasedProviderShare(claimed),
+        currency: booking.currency || 'NGN'
+      }], { session });
+
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+      this.removeEvidence(evidence);
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    await this.notify(role === 'customer' ? booking.provider : booking.customer, dispute,
+      'Booking Disputed', `A dispute has been opened on one of your bookings: ${description.slice(0, 140)}`);
+
+    return dispute;
+  }
+
+  /**
+   * Add a message (with optional evidence) to a dispute's discussion
+   * @returns {Promise<Object>} The updated dispute
+   */
+  async addMessage(disputeId, user, { body }, files = []) {
+    const dispute = await this.getDispute(disputeId, user);
+    const role = this.getParticipantRole(dispute, user);
+
+    if (!ACTIVE_STATUSES.includes(dispute.status)) {
+      throw disputeError(`A ${dispute.status} dispute is closed for discussion`, 409);
+    }
+
+    const evidence = await this.uploadEvidence(files, user, dispute.booking);
+
+    const updated = await Dispute.findOneAndUpdate(
+      { _id: dispute._id, status: { $in: ACTIVE_STATUSES } },
+      { $push: { messages: { author: user._id, authorRole: role, body, evidence } } },
+      { new: true }
+    );
+    if (!updated) {
+      this.removeEvidence(evidence);
+      throw disputeError('Dispute was closed meanwhile', 409);
+    }
+
+    const recipients = [updated.customer, updated.provider, updated.assignedTo]
+      .filter(id => id && id.toString() !== user._id.toString());
+    for (const recipient of recipients) {
+      await this.notify(recipient, updated, 'New Dispute Message', `${user.name}: ${body.slice(0, 140)}`);
+    }
+
+    return updated;
+  }
+
+  /**
+   * Assign a dispute to an admin and move it under review
+   * @param {string} disputeId
+   * @param {Object} admin - Acting admin
+   * @param {string} assigneeId - Admin to assign (defaults to the acting admin)
+   */
+  async assignDispute(disputeId, admin, { assigneeId } = {}) {
+    const assignee = await User.findById(assigneeId || admin._id).select('name role');
+    if (!assignee || assignee.role !== 'admin') {
+      throw disputeError('Disputes can only be assigned to admins');
+    }
+
+    const dispute = await Dispute.findOneAndUpdate(
+      { _id: disputeId, status: { $in: ACTIVE_STATUSES } },
+      { status: 'under_review', assignedTo: assignee._id, assignedAt: new Date() },
+      { new: true }
+    );
+    if (!dispute) {
+      const exists = await Dispute.exists({ _id: disputeId });
+      throw exists ? disputeError('Dispute is already closed', 409) : disputeError('Dispute not found', 404);
+    }
+
+    for (const userId of [dispute.customer, dispute.provider]) {
+      await this.notify(userId, dispute, 'Dispute Under Review', 'An admin is now reviewing your dispute.');
+    }
+    if (assignee._id.toString() !== admin._id.toString()) {
+      await this.notify(assignee._id, dispute, 'Dispute Assigned', 'A booking dispute has been assigned to you.');
+    }
+
+    return dispute;
+  }
+
+  /**
+   * Resolve a dispute and move the money accordingly
+   * @param {string} disputeId
+   * @param {Object} admin - Resolving admin
+   * @param {Object} params - { outcome: full_refund|partial_refund|release_to_provider, amount, note }
+   * @returns {Promise<Object>} { dispute, booking }
+   */
+  async resolveDispute(disputeId, admin, { outcome, amount, note }) {
+    const current = await Dispute.findById(disputeId);
+    if (!current) {
+      throw disputeError('Dispute not found', 404);
+    }
+    if (!ACTIVE_STATUSES.includes(current.status)) {
+      throw disputeError('Dispute is already closed', 409);
+    }
+
+    const booking = await Booking.findById(current.booking);
+    const refundable = roundAmount(booking.totalAmount - (booking.refundedAmount || 0));
+
+    let refundAmount = 0;
+    if (outcome === 'full_refund') {
+      refundAmount = refundable;
+    } else if (outcome === 'partial_refund') {
+      if (!(amount > 0) || amount >= refundable) {
+        throw disputeError(`Partial refund must be greater than 0 and less than the refundable ${refundable}`);
+      }
+      refundAmount = roundAmount(amount);
+    }
+
+    // Claim the dispute first so two admins can't settle it twice
+    const dispute = await Dispute.findOneAndUpdate(
+      { _id: current._id, status: current.status },
+      {
+        status: 'resolved',
+        resolution: { outcome, refundAmount, note, resolvedBy: admin._id, resolvedAt: new Date() }
+      },
+      { new: true }
+    );
+    if (!dispute) {
+      throw disputeError('Dispute was changed by another request, please reload and try again', 409);
+    }
+
+    let settled = booking;
+    try {
+      if (refundAmount > 0) {
+        ({ booking: settled } = await refundService.refundBooking(booking._id, {
+          amount: refundAmount,
+          reason: `Dispute resolution${note ? `: ${note}` : ''}`,
+          refundedBy: admin._id
+        }));
+      }
+    } catch (error) {
+      // Put the dispute back so the admin can try again
+      await Dispute.updateOne(
+        { _id: dispute._id, status: 'resolved' },
+        { status: current.status, $unset: { resolution: 1 } }
+      );
+      throw error;
+    }
+
+    settled = await this.closeBookingDispute(settled, { release: true });
+
+    for (const userId of [dispute.customer, dispute.provider]) {
+      await this.notify(userId, dispute, 'Dispute Resolved', this.describeOutcome(outcome, refundAmount, dispute.currency));
+    }
+
+    return { dispute, booking: settled };
+  }
+
+  /**
+   * Withdraw a dispute (only the party who opened it)
+   */
+  async withdrawDispute(disputeId, user) {
+    const dispute = await Dispute.findOneAndUpdate(
+      { _id: disputeId, openedBy: user._id, status: { $in: ACTIVE_STATUSES } },
+      { status: 'withdrawn', withdrawnAt: new Date() },
+      { new: true }
+    );
+    if (!dispute) {
+      const existing = await Dispute.findById(disputeId);
+      if (!existing) throw disputeError('Dispute not found', 404);
+      if (existing.openedBy.toString() !== user._id.toString()) {
+        throw disputeError('Only the party who opened the dispute can withdraw it', 403);
+      }
+      throw disputeError('Dispute is already closed', 409);
+    }
+
+    const booking = await Booking.findById(dispute.booking);
+    await this.closeBookingDispute(booking);
+
+    const otherParty = dispute.openedByRole === 'customer' ? dispute.provider : dispute.customer;
+    await this.notify(otherParty, dispute, 'Dispute Withdrawn', 'A dispute on one of your bookings has been withdrawn.');
+
+    return dispute;
+  }
+
+  /**
+   * Unfreeze a booking and settle what's left in escrow for finished jobs.
+   * After a resolution the remainder goes to the provider; after a withdrawal
+   * a cancelled booking is settled under the cancellation policy as usual.
+   */
+  async closeBookingDispute(booking, { release = false } = {}) {
+    let updated = await Booking.findByIdAndUpdate(booking._id, { disputeOpen: false }, { new: true });
+
+    if (updated.escrow?.status === 'held' && ['completed', 'cancelled'].includes(updated.status)) {
+      try {
+        if (updated.status === 'cancelled' && !release) {
+          updated = await escrowService.settleCancellation(updated._id, updated.customer) || updated;
+        } else {
+          updated = await escrowService.releaseFunds(updated._id) || updated;
+        }
+      } catch (error) {
+        // The escrow sweep retries settlement
+        console.error(`Escrow release error after dispute on booking ${updated._id}:`, error);
+      }
+    }
+    return updated;
+  }
+
+  /**
+   * Provider earnings frozen by open disputes, in one currency
+   * @param {string} providerId
+   * @param {string} currency
+   * @param {mongoose.ClientSession} session - Optional session
+   */
+  async getFrozenAmount(providerId, currency, session = null) {
+    const [result] = await Dispute.aggregate([
+      {
+        $match: {
+          provider: new mongoose.Types.ObjectId(providerId),
+          status: { $in: ACTIVE_STATUSES },
+          currency
+        }
+      },
+      { $group: { _id: null, total: { $sum: '$frozenAmount' } } }
+    ]).session(session);
+
+    return result ? roundAmount(result.total) : 0;
+  }
+
+  /**
+   * What the provider has already been paid for a booking (nothing while it's in escrow)
+   */
+  getReleasedProviderShare(booking) {
+    if (booking.escrow?.status !== 'released') return 0;
+
+    const share = booking.totalAmount - (booking.refundedAmount || 0) - (booking.commission?.collected || 0);
+    return Math.max(0, roundAmount(share));
+  }
+
+  /**
+   * Disputes visible to a user (admins see all)
+   */
+  async listDisputes(user, { status, assignedTo, page = 1, limit = 10 } = {}) {
+    const query = user.role === 'admin'
+      ? {}
+      : { $or: [{ customer: user._id }, { provider: user._id }] };
+
+    if (status) query.status = status;
+    if (assignedTo && user.role === 'admin') query.assignedTo = assignedTo;
+
+    const [disputes, total] = await Promise.all([
+      Dispute.find(query)
+        .select('-messages')
+        .populate('booking', 'service date time totalAmount currency status')
+        .populate('customer', 'name profile.avatar')
+        .populate('provider', 'name profile.avatar')
+        .populate('assignedTo', 'name')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Dispute.countDocuments(query)
+    ]);
+
+    return {
+      disputes,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+
+  /**
+   * Load a dispute the user may see
+   */
+  async getDispute(disputeId, user) {
+    const dispute = await Dispute.findById(disputeId);
+    if (!dispute) {
+      throw disputeError('Dispute not found', 404);
+    }
+    if (!this.getParticipantRole(dispute, user)) {
+      throw disputeError('Access denied', 403);
+    }
+    return dispute;
+  }
+
+  getParticipantRole(dispute, user) {
+    if (user.role === 'admin') return 'admin';
+    if (dispute.customer.toString() === user._id.toString()) return 'customer';
+    if (dispute.provider.toString() === user._id.toString()) return 'provider';
+    return null;
+  }
+
+  async uploadEvidence(files, user, bookingId) {
+    if (!files || files.length === 0) return [];
+
+    if (!cloudStorageService.isConfigured()) {
+      throw disputeError('Cloud storage is not configured', 500);
+    }
+
+    const results = await Promise.all(files.map((file, index) =>
+      cloudStorageService.uploadFile(file.buffer, 'connectify/disputes', {
+        public_id: `dispute_${bookingId}_${Date.now()}_${index}`
+      })
+    ));
+
+    return results.map((result, index) => ({
+      url: result.secure_url,
+      publicId: result.public_id,
+      name: files[index].originalname,
+      uploadedBy: user._id
+    }));
+  }
+
+  removeEvidence(evidence) {
+    if (evidence.length === 0) return;
+    cloudStorageService.deleteMultipleFiles(evidence.map(item => item.publicId))
+      .catch(err => console.error('Failed to remove dispute evidence:', err));
+  }
+
+  describeOutcome(outcome, refundAmount, currency) {
+    switch (outcome) {
+      case 'full_refund':
+        return `The dispute was resolved with a full refund of ${currency} ${refundAmount.toLocaleString()} to the customer.`;
+      case 'partial_refund':
+        return `The dispute was resolved with a partial refund of ${currency} ${refundAmount.toLocaleString()} to the customer.`;
+      default:
+        return 'The dispute was resolved in favour of the provider; the payment has been released.';
+    }
+  }
+
+  async notify(userId, dispute, title, message) {
+    try {
+      await Notification.create({
+        user: userId,
+        title,
+        message,
+        type: 'booking',
+        data: {
+          bookingId: dispute.booking,
+          disputeId: dispute._id
+        }
+      });
+    } catch (error) {
+      console.error('Dispute notification error:', error);
+    }
+  }
+}
+
+module.exports = new DisputeService();
@@ -12,6 +12,10 @@ try {
   nodemailer = null;
 }
 
+const calendarService = require('./calendarService');
+const { formatAmount } = require('../utils/currency');
+const bookingItemsService = require('./bookingItemsService');
+
 class EmailService {
   constructor() {
     this.transporter = null;
@@ -128,16 +132,19 @@ class EmailService {
             <div style="background-color: #f5f5f5; padding: 15px; border-radius: 8px; margin: 20px 0;">
               <h3 style="margin-top: 0;">Booking Details</h3>
               <p><strong>Service Provider:</strong> ${booking.provider.name}</p>
-              <p><strong>Service:</strong> ${booking.service.name || booking.service}</p>
-              <p><strong>Date:</strong> ${new Date(booking.date).toLocaleDateString()}</p>
-              <p><strong>Time:</strong> ${booking.time}</p>
-              <p><strong>Address:</strong> ${booking.address || 'N/A'}</p>
-              <p><strong>Total Amount:</strong> ₦${booking.totalAmount.toLocaleString()}</p>
+              <p><strong>Service:</strong> ${this._serviceName(booking)}</p>
+              <p><strong>Date:</strong> ${new Date(booking.date).toLocaleDateString(undefined, { timeZone: 'UTC' })}</p>
+              <p><strong>Time:</strong> ${this._bookingTime(booking)}</p>
+              <p><strong>Address:</strong> ${calendarService.formatAddress(booking.address) || 'N/A'}</p>
+              ${this._bookingItemsHtml(booking)}
+              <p><strong>Total Amount:</strong> ${formatAmount(booking.totalAmount, booking.currency)}</p>
             </div>
             <p>Thank you for using Connectify Nigeria. We hope you have a great experience!</p>
+            <p>The attached calendar file adds this booking to your calendar.</p>
             <p>Best regards,<br>The Connectify Team</p>
           </div>
-        `
+        `,
+        attachments: this._bookingCalendarAttachment(booking, recipientEmail)
       };
 
       const result = await this.transporter.sendMail(mailOptions);
@@ -149,6 +156,49 @@ class EmailService {
     }
   }
 
+  // Calendar (.ics) attachment for a booking; same UID as the calendar feed,
+  // so importing it and subscribing to the feed don't create duplicates
+  _bookingCalendarAttachment(booking, recipientEmail) {
+    try {
+      const isProvider = booking.provider?.email && booking.provider.email === recipientEmail;
+      const viewer = isProvider ? booking.provider : booking.customer;
+
+      return [{
+        filename: 'booking.ics',
+        content: calendarService.getBookingIcs(booking, viewer?._id || viewer),
+        contentType: 'text/calendar; charset=utf-8; method=PUBLISH'
+      }];
+    } catch (error) {
+      console.error('Failed to build booking calendar attachment:', error);
+      return [];
+    }
+  }
+
+  // Service name(s) for a booking; multi-service bookings list every item
+  _serviceName(booking) {
+    return bookingItemsService.describe(booking, 'N/A');
+  }
+
+  // Booking time in the provider's timezone
+  _bookingTime(booking) {
+    if (!booking.time) return 'N/A';
+    return booking.timezone ? `${booking.time} (${booking.timezone})` : booking.time;
+  }
+
+  // Line items of a multi-service booking
+  _bookingItemsHtml(booking) {
+    if (!(booking.items?.length > 1)) return '';
+
+    const rows = booking.items.map(item => `
+                  <tr>
+                    <td style="padding: 4px 0;">${item.name}${item.quantity > 1 ? ` x ${item.quantity}` : ''}</td>
+                    <td style="padding: 4px 0; text-align: right;">${formatAmount(item.amount, booking.currency)}</td>
+                  </tr>`).join('');
+
+    return `<table style="width: 100%; border-collapse: collapse; margin-top: 10px;">${rows}
+                </table>`;
+  }
+
   // Send booking status update email
   async sendBookingStatusUpdate(booking, status, recipientEmail, recipientName) {
     if (!this._ensureTransporter()) {
@@ -177,9 +227,9 @@ class EmailService {
               <h3 style="margin-top: 0;">Booking Details</h3>
               <p><strong>Status:</strong> ${status}</p>
               <p><strong>Service Provider:</strong> ${booking.provider.name}</p>
-              <p><strong>Service:</strong> ${booking.service.name || booking.service}</p>
-              <p><strong>Date:</strong> ${new Date(booking.date).toLocaleDateString()}</p>
-              <p><strong>Time:</strong> ${booking.time}</p>
+              <p><strong>Service:</strong> ${this._serviceName(booking)}</p>
+              <p><strong>Date:</strong> ${new Date(booking.date).toLocaleDateString(undefined, { timeZone: 'UTC' })}</p>
+              <p><strong>Time:</strong> ${this._bookingTime(booking)}</p>
             </div>
             <p>Thank you for using Connectify Nigeria.</p>
             <p>Best regards,<br>The Connectify Team</p>
@@ -317,6 +367,7 @@ class EmailService {
     }
     try {
       const bookingDate = new Date(booking.date).toLocaleDateString('en-NG', {
+        timeZone: 'UTC',
         weekday: 'long',
         year: 'numeric',
         month: 'long',
@@ -346,7 +397,7 @@ class EmailService {
                   </tr>
                   <tr>
                     <td style="padding: 8px 0; color: #666;">Service:</td>
-                    <td style="padding: 8px 0; font-weight: bold;">${booking.serviceName || booking.service?.name || 'N/A'}</td>
+                    <td style="padding: 8px 0; font-weight: bold;">${this._serviceName(booking)}</td>
                   </tr>
                   <tr>
                     <td style="padding: 8px 0; color: #666;">Date:</td>
@@ -354,17 +405,18 @@ class EmailService {
                   </tr>
                   <tr>
                     <td style="padding: 8px 0; color: #666;">Time:</td>
-                    <td style="padding: 8px 0; font-weight: bold;">${booking.time || 'N/A'}</td>
+                    <td style="padding: 8px 0; font-weight: bold;">${this._bookingTime(booking)}</td>
                   </tr>
                   <tr>
                     <td style="padding: 8px 0; color: #666;">Location:</td>
-                    <td style="padding: 8px 0; font-weight: bold;">${booking.address || 'To be confirmed'}</td>
+                    <td style="padding: 8px 0; font-weight: bold;">${calendarService.formatAddress(booking.address) || 'To be confirmed'}</td>
                   </tr>
                   <tr>
                     <td style="padding: 8px 0; color: #666;">Amount:</td>
-                    <td style="padding: 8px 0; font-weight: bold; color: #28a745;">₦${booking.totalAmount?.toLocaleString() || '0'}</td>
+                    <td style="padding: 8px 0; font-weight: bold; color: #28a745;">${formatAmount(booking.totalAmount, booking.currency)}</td>
                   </tr>
                 </table>
+                ${this._bookingItemsHtml(booking)}
                 ${booking.notes ? `<p style="margin-top: 15px; padding-top: 15px; border-top: 1px solid #ddd;"><strong>Customer Notes:</strong> ${booking.notes}</p>` : ''}
               </div>
               
@@ -404,6 +456,7 @@ class EmailService {
     }
     try {
       const bookingDate = new Date(booking.date).toLocaleDateString('en-NG', {
+        timeZone: 'UTC',
         weekday: 'long',
         year: 'numeric',
         month: 'long',
@@ -440,7 +493,7 @@ class EmailService {
                   </tr>
                   <tr>
                     <td style="padding: 8px 0; color: #666;">Service:</td>
-                    <td style="padding: 8px 0; font-weight: bold;">${booking.serviceName || booking.service?.name || 'N/A'}</td>
+                    <td style="padding: 8px 0; font-weight: bold;">${this._serviceName(booking)}</td>
                   </tr>
                   <tr>
                     <td style="padding: 8px 0; color: #666;">Date:</td>
@@ -448,11 +501,11 @@ class EmailService {
                   </tr>
                   <tr>
                     <td style="padding: 8px 0; color: #666;">Time:</td>
-                    <td style="padding: 8px 0; font-weight: bold;">${booking.time || 'N/A'}</td>
+                    <td style="padding: 8px 0; font-weight: bold;">${this._bookingTime(booking)}</td>
                   </tr>
                   <tr>
                     <td style="padding: 8px 0; color: #666;">Location:</td>
-                    <td style="padding: 8px 0; font-weight: bold;">${booking.address || 'To be confirmed'}</td>
+                    <td style="padding: 8px 0; font-weight: bold;">${calendarService.formatAddress(booking.address) || 'To be confirmed'}</td>
                   </tr>
                 </table>
               </div>
@@ -504,6 +557,7 @@ class EmailService {
         hour: '2-digit',
         minute: '2-digit'
       });
+      const money = (amount) => formatAmount(amount, paymentData.currency);
 
       const mailOptions = {
         from: process.env.EMAIL_FROM || '"Connectify Nigeria" <noreply@connectify.ng>',
@@ -523,7 +577,7 @@ class EmailService {
               <div style="background-color: #f8f9fa; padding: 25px; border-radius: 10px; margin: 25px 0; border: 1px solid #e9ecef;">
                 <div style="text-align: center; margin-bottom: 20px;">
                   <p style="color: #666; margin: 0;">Amount Paid</p>
-                  <h2 style="color: #28a745; margin: 5px 0; font-size: 36px;">₦${paymentData.amount?.toLocaleString() || '0'}</h2>
+                  <h2 style="color: #28a745; margin: 5px 0; font-size: 36px;">${money(paymentData.amount)}</h2>
                 </div>
                 
                 <hr style="border: none; border-top: 1px dashed #ddd; margin: 20px 0;">
@@ -562,15 +616,15 @@ class EmailService {
                 <table style="width: 100%; border-collapse: collapse;">
                   <tr>
                     <td style="padding: 10px 0; color: #666;">Previous Balance:</td>
-                    <td style="padding: 10px 0; font-weight: bold; text-align: right;">₦${paymentData.previousBalance?.toLocaleString() || '0'}</td>
+                    <td style="padding: 10px 0; font-weight: bold; text-align: right;">${money(paymentData.previousBalance)}</td>
                   </tr>
                   <tr>
                     <td style="padding: 10px 0; color: #666;">Amount Debited:</td>
-                    <td style="padding: 10px 0; font-weight: bold; text-align: right; color: #dc3545;">-₦${paymentData.amount?.toLocaleString() || '0'}</td>
+                    <td style="padding: 10px 0; font-weight: bold; text-align: right; color: #dc3545;">-${money(paymentData.amount)}</td>
                   </tr>
                   <tr style="background-color: #e8f5e9;">
                     <td style="padding: 10px; color: #2e7d32; font-weight: bold;">New Balance:</td>
-                    <td style="padding: 10px; font-weight: bold; text-align: right; color: #2e7d32;">₦${paymentData.newBalance?.toLocaleString() || '0'}</td>
+                    <td style="padding: 10px; font-weight: bold; text-align: right; color: #2e7d32;">${money(paymentData.newBalance)}</td>
                   </tr>
                 </table>
               </div>
@@ -619,6 +673,7 @@ class EmailService {
         hour: '2-digit',
         minute: '2-digit'
       });
+      const money = (amount) => formatAmount(amount, paymentData.currency);
 
       const mailOptions = {
         from: process.env.EMAIL_FROM || '"Connectify Nigeria" <noreply@connectify.ng>',
@@ -637,7 +692,7 @@ class EmailService {
               
               <div style="background: linear-gradient(135deg, #28a745, #20c997); padding: 30px; border-radius: 10px; margin: 25px 0; text-align: center;">
                 <p style="color: rgba(255,255,255,0.9); margin: 0 0 5px 0; font-size: 14px;">Amount Received</p>
-                <h2 style="color: white; margin: 0; font-size: 42px;">₦${paymentData.amount?.toLocaleString() || '0'}</h2>
+                <h2 style="color: white; margin: 0; font-size: 42px;">${money(paymentData.amount)}</h2>
               </div>
               
               <div style="background-color: #f8f9fa; padding: 20px; border-radius: 10px; margin: 25px 0;">
@@ -651,6 +706,11 @@ class EmailService {
                     <td style="padding: 10px 0; color: #666;">Service:</td>
                     <td style="padding: 10px 0; font-weight: bold; text-align: right;">${paymentData.serviceName || 'N/A'}</td>
                   </tr>
+                  ${paymentData.platformFee ? `
+                  <tr>
+                    <td style="padding: 10px 0; color: #666;">Platform Fee:</td>
+                    <td style="padding: 10px 0; font-weight: bold; text-align: right;">-${money(paymentData.platformFee)}</td>
+                  </tr>` : ''}
                   <tr>
                     <td style="padding: 10px 0; color: #666;">Booking ID:</td>
                     <td style="padding: 10px 0; font-weight: bold; text-align: right; font-family: monospace;">${paymentData.bookingId || 'N/A'}</td>
@@ -670,15 +730,15 @@ class EmailService {
                 <table style="width: 100%; border-collapse: collapse;">
                   <tr>
                     <td style="padding: 8px 0; color: #666;">Previous Balance:</td>
-                    <td style="padding: 8px 0; font-weight: bold; text-align: right;">₦${paymentData.previousBalance?.toLocaleString() || '0'}</td>
+                    <td style="padding: 8px 0; font-weight: bold; text-align: right;">${money(paymentData.previousBalance)}</td>
                   </tr>
                   <tr>
                     <td style="padding: 8px 0; color: #666;">Amount Credited:</td>
-                    <td style="padding: 8px 0; font-weight: bold; text-align: right; color: #28a745;">+₦${paymentData.amount?.toLocaleString() || '0'}</td>
+                    <td style="padding: 8px 0; font-weight: bold; text-align: right; color: #28a745;">+${money(paymentData.amount)}</td>
                   </tr>
                   <tr style="font-size: 18px;">
                     <td style="padding: 10px 0; color: #2e7d32; font-weight: bold;">New Balance:</td>
-                    <td style="padding: 10px 0; font-weight: bold; text-align: right; color: #2e7d32;">₦${paymentData.newBalance?.toLocaleString() || '0'}</td>
+                    <td style="padding: 10px 0; font-weight: bold; text-align: right; color: #2e7d32;">${money(paymentData.newBalance)}</td>
                   </tr>
                 </table>
               </div>
@@ -812,6 +872,175 @@ class EmailService {
       throw error;
     }
   }
+
+  // Send refund notification to customer (refund received) or provider (refund deducted)
+  async sendRefundNotification(refundData, recipientEmail, recipientName, recipientType = 'customer') {
+    if (!this._ensureTransporter()) {
+      console.log('Email transporter not available. Skipping refund notification email.');
+      return null;
+    }
+    try {
+      const isCustomer = recipientType === 'customer';
+      const refundKind = refundData.fullyRefunded ? 'Full refund' : 'Partial refund';
+      const money = (amount) => formatAmount(amount, refundData.currency);
+
+      const mailOptions = {
+        from: process.env.EMAIL_FROM || '"Connectify Nigeria" <noreply@connectify.ng>',
+        to: recipientEmail,
+        subject: isCustomer
+          ? '💸 Refund Issued - Connectify Nigeria'
+          : 'Refund Deducted From Your Wallet - Connectify Nigeria',
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2 style="color: #1eaedb;">${isCustomer ? 'Your Refund Has Been Issued' : 'A Booking Has Been Refunded'}</h2>
+            <p>Hello ${recipientName},</p>
+            <p>${isCustomer
+              ? 'A refund for your booking has been credited to your Connectify wallet.'
+              : 'A refund for one of your bookings has been deducted from your Connectify wallet.'}</p>
+            <div style="background-color: #f5f5f5; padding: 15px; border-radius: 8px; margin: 20px 0;">
+              <h3 style="margin-top: 0;">Refund Details</h3>
+              <p><strong>Service:</strong> ${refundData.serviceName || 'N/A'}</p>
+              <p><strong>Booking ID:</strong> ${refundData.bookingId || 'N/A'}</p>
+              <p><strong>Type:</strong> ${refundKind}</p>
+              <p><strong>Refund Amount:</strong> ${money(refundData.amount)}</p>
+              <p><strong>Total Refunded:</strong> ${money(refundData.refundedAmount)} of ${money(refundData.totalAmount)}</p>
+              <p><strong>Reason:</strong> ${refundData.reason || 'N/A'}</p>
+              <p><strong>Reference:</strong> ${refundData.reference || 'N/A'}</p>
+              <p><strong>New Wallet Balance:</strong> ${money(refundData.newBalance)}</p>
+            </div>
+            <p>Thank you for using Connectify Nigeria.</p>
+            <p>Best regards,<br>The Connectify Team</p>
+          </div>
+        `
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+      console.log(`Refund notification email sent to ${recipientType}:`, result.messageId);
+      return result;
+    } catch (error) {
+      console.error('Failed to send refund notification email:', error);
+      throw error;
+    }
+  }
+
+  // Send a reschedule proposal (or counter-offer) to the other party of a booking
+  async sendRescheduleProposal(proposalData, recipientEmail, recipientName) {
+    if (!this._ensureTransporter()) {
+      console.log('Email transporter not available. Skipping reschedule proposal email.');
+      return null;
+    }
+    try {
+      const slots = (proposalData.slots || []).map(slot =>
+        `<li>${new Date(slot.date).toLocaleDateString(undefined, { timeZone: 'UTC' })} at ${slot.time}</li>`
+      ).join('');
+
+      const mailOptions = {
+        from: process.env.EMAIL_FROM || '"Connectify Nigeria" <noreply@connectify.ng>',
+        to: recipientEmail,
+        subject: `${proposalData.isCounter ? 'Reschedule Counter-Offer' : 'Reschedule Request'} - Connectify Nigeria`,
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2 style="color: #1eaedb;">${proposalData.isCounter ? 'New Times Suggested' : 'Reschedule Requested'}</h2>
+            <p>Hello ${recipientName},</p>
+            <p>${proposalData.proposerName || 'The other party'} would like to move your booking for ${proposalData.serviceName || 'your service'} to one of these times:</p>
+            <ul>${slots}</ul>
+            <div style="background-color: #f5f5f5; padding: 15px; border-radius: 8px; margin: 20px 0;">
+              <p><strong>Current Date:</strong> ${new Date(proposalData.currentDate).toLocaleDateString(undefined, { timeZone: 'UTC' })}</p>
+              <p><strong>Current Time:</strong> ${proposalData.currentTime}</p>
+              ${proposalData.message ? `<p><strong>Message:</strong> ${proposalData.message}</p>` : ''}
+              <p><strong>Respond By:</strong> ${new Date(proposalData.expiresAt).toLocaleString()}</p>
+            </div>
+            <p>Your booking keeps its current time unless you accept one of the proposed times.</p>
+            <p>Best regards,<br>The Connectify Team</p>
+          </div>
+        `
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+      console.log('Reschedule proposal email sent:', result.messageId);
+      return result;
+    } catch (error) {
+      console.error('Failed to send reschedule proposal email:', error);
+      throw error;
+    }
+  }
+
+  // Send the outcome of a reschedule proposal (accepted, declined or expired) to the proposer
+  async sendRescheduleOutcome(proposalData, status, recipientEmail, recipientName) {
+    if (!this._ensureTransporter()) {
+      console.log('Email transporter not available. Skipping reschedule outcome email.');
+      return null;
+    }
+    try {
+      const statusMessages = {
+        accepted: `Your reschedule proposal was accepted. The booking now takes place on ${new Date(proposalData.date).toLocaleDateString(undefined, { timeZone: 'UTC' })} at ${proposalData.time}.`,
+        declined: 'Your reschedule proposal was declined. The booking keeps its original time.',
+        expired: 'Your reschedule proposal expired without a response. The booking keeps its original time.'
+      };
+
+      const mailOptions = {
+        from: process.env.EMAIL_FROM || '"Connectify Nigeria" <noreply@connectify.ng>',
+        to: recipientEmail,
+        subject: `Reschedule Proposal ${status.charAt(0).toUpperCase() + status.slice(1)} - Connectify Nigeria`,
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2 style="color: #1eaedb;">Reschedule Update</h2>
+            <p>Hello ${recipientName},</p>
+            <p>${statusMessages[status]}</p>
+            <div style="background-color: #f5f5f5; padding: 15px; border-radius: 8px; margin: 20px 0;">
+              <p><strong>Service:</strong> ${proposalData.serviceName || 'N/A'}</p>
+              <p><strong>Booking ID:</strong> ${proposalData.bookingId || 'N/A'}</p>
+              ${proposalData.message ? `<p><strong>Message:</strong> ${proposalData.message}</p>` : ''}
+            </div>
+            <p>Best regards,<br>The Connectify Team</p>
+          </div>
+        `
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+      console.log(`Reschedule ${status} email sent:`, result.messageId);
+      return result;
+    } catch (error) {
+      console.error(`Failed to send reschedule ${status} email:`, error);
+      throw error;
+    }
+  }
+
+  // Offer a freed slot to a waitlisted customer; the slot is held until expiresAt
+  async sendWaitlistOffer(offerData, recipientEmail, recipientName) {
+    if (!this._ensureTransporter()) {
+      console.log('Email transporter not available. Skipping waitlist offer email.');
+      return null;
+    }
+    try {
+      const mailOptions = {
+        from: process.env.EMAIL_FROM || '"Connectify Nigeria" <noreply@connectify.ng>',
+        to: recipientEmail,
+        subject: 'A Slot Opened Up - Connectify Nigeria',
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2 style="color: #1eaedb;">A Slot Opened Up</h2>
+            <p>Hello ${recipientName},</p>
+            <p>${offerData.providerName || 'The provider'} has a free slot for ${offerData.serviceName || 'your service'}. We're holding it for you.</p>
+            <div style="background-color: #f5f5f5; padding: 15px; border-radius: 8px; margin: 20px 0;">
+              <p><strong>Date:</strong> ${new Date(offerData.date).toLocaleDateString(undefined, { timeZone: 'UTC' })}</p>
+              <p><strong>Time:</strong> ${this._bookingTime(offerData)}</p>
+              <p><strong>Held Until:</strong> ${new Date(offerData.expiresAt).toLocaleString(undefined, offerData.timezone ? { timeZone: offerData.timezone } : {})}</p>
+            </div>
+            <p>Accept the offer in the app to book it. If you don't answer in time, the slot goes to the next customer on the waitlist.</p>
+            <p>Best regards,<br>The Connectify Team</p>
+          </div>
+        `
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+      console.log('Waitlist offer email sent:', result.messageId);
+      return result;
+    } catch (error) {
+      console.error('Failed to send waitlist offer email:', error);
+      throw error;
+    }
+  }
 }
 
-module.exports = new EmailService();
\ No newline at end of file
+module.exports = new EmailService();
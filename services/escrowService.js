@@ -0,0 +1,439 @@
+// services/escrowService.js
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const User = require('../models/User');
+const WalletTransaction = require('../models/WalletTransaction');
+const emailService = require('./emailService');
+const walletService = require('./walletService');
+const ledgerService = require('./ledgerService');
+const cancellationPolicyService = require('./cancellationPolicyService');
+const commissionService = require('./commissionService');
+const bookingItemsService = require('./bookingItemsService');
+const { getBookingEnd } = require('../utils/bookingTime');
+
+// Hours after the scheduled end of a booking before held funds are released automatically
+const AUTO_RELEASE_HOURS = parseInt(process.env.ESCROW_AUTO_RELEASE_HOURS) || 72;
+
+// Booking statuses for which an overdue escrow may be auto-released
+const AUTO_RELEASE_STATUSES = ['confirmed', 'in_progress', 'completed'];
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Escrow Service
+ * Holds customer funds against a booking until the job is completed,
+ * then releases them to the provider or returns them to the customer.
+ */
+class EscrowService {
+  constructor() {
+    this.isRunning = false;
+    this.intervalId = null;
+  }
+
+  /**
+   * Start the auto-release scheduler
+   * Runs every 15 minutes to release overdue escrows
+   */
+  start() {
+    if (this.isRunning) {
+      console.log('⚠️  Escrow service is already running');
+      return;
+    }
+
+    console.log('🔒 Starting escrow auto-release service...');
+    this.isRunning = true;
+
+    this.processDueReleases();
+
+    this.intervalId = setInterval(() => {
+      this.processDueReleases();
+    }, 15 * 60 * 1000); // 15 minutes
+
+    console.log(`✅ Escrow service started (auto-release after ${AUTO_RELEASE_HOURS}h)`);
+  }
+
+  /**
+   * Stop the auto-release scheduler
+   */
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+      this.isRunning = false;
+      console.log('🛑 Escrow service stopped');
+    }
+  }
+
+  /**
+   * Compute the date after which held funds for a booking are released automatically
+   * @param {Object} booking - Booking document
+   * @returns {Date}
+   */
+  getAutoReleaseDate(booking) {
+    const releaseAt = getBookingEnd(booking);
+    releaseAt.setHours(releaseAt.getHours() + AUTO_RELEASE_HOURS);
+    return releaseAt;
+  }
+
+  /**
+   * Debit the customer and hold the booking amount in escrow.
+   * Must be called inside the caller's transaction.
+   * @param {Object} booking - Booking document (service populated)
+   * @param {mongoose.ClientSession} session - Active session
+   * @returns {Promise<Object>} The customer, the hold transaction and the customer's previous balance
+   */
+  async holdFunds(booking, session) {
+    const amount = booking.totalAmount;
+    const serviceName = booking.service?.name || 'service';
+
+    // Customers without enough in the booking currency pay from their primary wallet currency
+    const { user: customer, transaction, previousBalance } = await walletService.debit({
+      userId: booking.customer,
+      amount,
+      currency: booking.currency,
+      description: `Payment for ${serviceName} service held in escrow (Booking ID: ${booking._id})`,
+      reference: `ESC_HOLD_${booking._id}`,
+      status: 'held',
+      metadata: {
+        bookingId: booking._id,
+        providerId: booking.provider
+      },
+      counterAccount: ledgerService.ACCOUNTS.ESCROW,
+      entryType: 'booking_payment',
+      allowConversion: true
+    }, session);
+
+    // Split out the platform fee now; it is collected when the escrow is released
+    booking.commission = await commissionService.calculate(booking, booking.service);
+
+    const now = new Date();
+    booking.paymentStatus = 'paid';
+    booking.escrow = {
+      status: 'held',
+      amount,
+      heldAt: now,
+      releaseAt: this.getAutoReleaseDate(booking)
+    };
+    await booking.save({ session });
+
+    return { customer, transaction, previousBalance };
+  }
+
+  /**
+   * Release held funds to the provider
+   * @param {string} bookingId - Booking ID
+   * @returns {Promise<Object|null>} The booking, or null if nothing was held
+   */
+  async releaseFunds(bookingId) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    let booking;
+    let provider;
+    let transaction;
+    let platformFee = 0;
+
+    try {
+      // Claim the escrow atomically so concurrent callers cannot release twice;
+      // disputed bookings stay held until the dispute is settled
+      booking = await Booking.findOneAndUpdate(
+        { _id: bookingId, 'escrow.status': 'held', disputeOpen: { $ne: true } },
+        { $set: { 'escrow.status': 'released', 'escrow.releasedAt': new Date() } },
+        { new: true, session }
+      ).populate('service', 'name');
+
+      if (!booking) {
+        await session.abortTransaction();
+        return null;
+      }
+
+      const amount = booking.escrow.amount;
+      const serviceName = booking.service?.name || 'service';
+      platformFee = commissionService.feeForPortion(booking, amount);
+      const providerAmount = roundAmount(amount - platformFee);
+
+      if (providerAmount > 0) {
+        ({ user: provider, transaction } = await walletService.credit({
+          userId: booking.provider,
+          amount: providerAmount,
+          currency: booking.currency,
+          description: `Escrow released for ${serviceName} service (Booking ID: ${booking._id})`,
+          reference: `ESC_REL_${booking._id}`,
+          status: 'released',
+          metadata: {
+            bookingId: booking._id,
+            providerId: booking.provider
+          },
+          counterAccount: ledgerService.ACCOUNTS.ESCROW,
+          entryType: 'escrow_release'
+        }, session));
+      }
+
+      if (platformFee > 0) {
+        await ledgerService.post({
+          reference: `FEE_${booking._id}`,
+          type: 'fee',
+          description: `Platform fee for ${serviceName} service (Booking ID: ${booking._id})`,
+          currency: booking.currency,
+          lines: [
+            { account: ledgerService.ACCOUNTS.ESCROW, debit: platformFee },
+            { account: ledgerService.ACCOUNTS.REVENUE, credit: platformFee }
+          ],
+          metadata: { bookingId: booking._id }
+        }, session);
+
+        await Booking.updateOne(
+          { _id: booking._id },
+          { $set: { 'commission.collected': platformFee } },
+          { session }
+        );
+        booking.commission.collected = platformFee;
+      }
+
+      await WalletTransaction.updateOne(
+        { reference: `ESC_HOLD_${booking._id}` },
+        { status: 'released' },
+        { session }
+      );
+
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    // Notify provider (async, don't wait)
+    if (transaction) {
+      const customer = await User.findById(booking.customer).select('name');
+      emailService.sendPaymentReceived(
+        {
+          amount: transaction.amount,
+          currency: transaction.currency,
+          platformFee,
+          reference: transaction.reference,
+          serviceName: bookingItemsService.describe(booking),
+          customerName: customer?.name,
+          bookingId: booking._id.toString(),
+          previousBalance: walletService.getBalance(provider, transaction.currency) - transaction.amount,
+          newBalance: walletService.getBalance(provider, transaction.currency)
+        },
+        provider.email,
+        provider.name
+      ).catch(err => console.error('Failed to send payment received email to provider:', err));
+    }
+
+    return booking;
+  }
+
+  /**
+   * Return held funds to the customer, in full or in part.
+   * Whatever stays in escrow is released to the provider later.
+   * @param {string} bookingId - Booking ID
+   * @param {Object} options
+   * @param {number} options.amount - Amount to refund (defaults to everything held)
+   * @param {number} options.percentage - Percentage the amount was derived from, if any
+   * @param {string} options.reason - Reason recorded on the booking
+   * @param {string} options.refundedBy - User who initiated the refund
+   * @returns {Promise<Object|null>} The booking, or null if nothing was held
+   */
+  async refundFunds(bookingId, { amount, percentage, reason, refundedBy } = {}) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    let booking;
+
+    try {
+      const current = await Booking.findOne({ _id: bookingId, 'escrow.status': 'held' }).session(session);
+
+      if (!current) {
+        await session.abortTransaction();
+        return null;
+      }
+
+      const heldAmount = current.escrow.amount;
+      const refundAmount = amount !== undefined ? roundAmount(amount) : heldAmount;
+
+      if (!(refundAmount > 0) || refundAmount > heldAmount) {
+        const error = new Error(`Refund amount must be between 0 and the ${heldAmount} held in escrow`);
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const remaining = roundAmount(heldAmount - refundAmount);
+      const refundedAmount = roundAmount((current.refundedAmount || 0) + refundAmount);
+      const reference = `ESC_REF_${current._id}_${current.refunds.length + 1}`;
+
+      const update = {
+        'escrow.amount': remaining,
+        refundedAmount,
+        paymentStatus: refundedAmount >= current.totalAmount ? 'refunded' : 'partially_refunded'
+      };
+      if (remaining === 0) {
+        update['escrow.status'] = 'refunded';
+        update['escrow.refundedAt'] = new Date();
+      }
+
+      // Guard on the held amount so concurrent refunds cannot overdraw the escrow
+      booking = await Booking.findOneAndUpdate(
+        { _id: bookingId, 'escrow.status': 'held', 'escrow.amount': heldAmount },
+        {
+          $set: update,
+          $push: {
+            refunds: {
+              amount: refundAmount,
+              percentage,
+              reason,
+              source: 'escrow',
+              reference,
+              refundedBy
+            }
+          }
+        },
+        { new: true, session }
+      ).populate('service', 'name');
+
+      if (!booking) {
+        const error = new Error('Escrow was modified by another request, please retry');
+        error.statusCode = 409;
+        throw error;
+      }
+
+      const serviceName = booking.service?.name || 'service';
+
+      await walletService.credit({
+        userId: booking.customer,
+        amount: refundAmount,
+        currency: booking.currency,
+        description: `Escrow refund for ${serviceName} service (Booking ID: ${booking._id})`,
+        reference,
+        status: 'refunded',
+        metadata: {
+          bookingId: booking._id,
+          providerId: booking.provider
+        },
+        counterAccount: ledgerService.ACCOUNTS.ESCROW,
+        entryType: 'refund'
+      }, session);
+
+      if (remaining === 0) {
+        await WalletTransaction.updateOne(
+          { reference: `ESC_HOLD_${booking._id}` },
+          { status: 'refunded' },
+          { session }
+        );
+      }
+
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    return booking;
+  }
+
+  /**
+   * Settle the escrow of a cancelled booking: refund the customer the share
+   * due under the cancellation policy and release the rest to the provider.
+   * Bookings the provider never confirmed are refunded in full.
+   * @param {string} bookingId - Booking ID
+   * @param {string} cancelledBy - User who cancelled
+   * @returns {Promise<Object|null>} The booking, or null if nothing was held
+   */
+  async settleCancellation(bookingId, cancelledBy) {
+    const booking = await Booking.findOne({ _id: bookingId, 'escrow.status': 'held', disputeOpen: { $ne: true } });
+    if (!booking) return null;
+
+    if (!cancellationPolicyService.wasConfirmed(booking)) {
+      return await this.refundFunds(bookingId, {
+        percentage: 100,
+        reason: 'Cancellation refund (booking was never confirmed)',
+        refundedBy: cancelledBy
+      });
+    }
+
+    const percentage = cancellationPolicyService.getRefundPercentage(booking, booking.cancelledAt || new Date());
+    const amount = Math.min(roundAmount(booking.totalAmount * percentage / 100), booking.escrow.amount);
+
+    let settled = booking;
+    if (amount > 0) {
+      settled = await this.refundFunds(bookingId, {
+        amount,
+        percentage,
+        reason: `Cancellation refund (${percentage}% under cancellation policy)`,
+        refundedBy: cancelledBy
+      });
+    }
+
+    // The remainder is the provider's cancellation fee
+    if (settled && settled.escrow.status === 'held') {
+      settled = await this.releaseFunds(bookingId) || settled;
+    }
+
+    return settled;
+  }
+
+  /**
+   * Release every held escrow whose auto-release date has passed, and
+   * return any escrow still held on a cancelled or rejected booking
+   * Cancellations by the customer or provider follow the cancellation policy;
+   * bookings the system closed (e.g. never answered by the provider) are
+   * refunded in full.
+   */
+  async processDueReleases() {
+    try {
+      const dueBookings = await Booking.find({
+        'escrow.status': 'held',
+        disputeOpen: { $ne: true },
+        $or: [
+          { 'escrow.releaseAt': { $lte: new Date() }, status: { $in: AUTO_RELEASE_STATUSES } },
+          { status: { $in: ['cancelled', 'rejected'] } }
+        ]
+      }).select({ status: 1, expiredAt: 1, statusHistory: { $slice: -1 } });
+
+      let released = 0;
+      let refunded = 0;
+      let failed = 0;
+
+      for (const { _id, status, expiredAt, statusHistory } of dueBookings) {
+        const lastChange = statusHistory[0];
+        const closedBySystem = Boolean(expiredAt) || lastChange?.actorRole === 'system';
+
+        try {
+          if (status === 'cancelled' && !closedBySystem) {
+            if (await this.settleCancellation(_id)) {
+              refunded++;
+            }
+          } else if (status === 'cancelled' || status === 'rejected') {
+            const reason = closedBySystem
+              ? lastChange?.reason || 'Booking closed without a provider response'
+              : 'Booking rejected by provider';
+            if (await this.refundFunds(_id, { reason })) {
+              refunded++;
+            }
+          } else if (await this.releaseFunds(_id)) {
+            released++;
+          }
+        } catch (error) {
+          console.error(`❌ Failed to settle escrow for booking ${_id}:`, error.message);
+          failed++;
+        }
+      }
+
+      if (dueBookings.length > 0) {
+        console.log(`📊 Escrow summary: ${released} released, ${refunded} refunded, ${failed} failed`);
+      }
+      return { released, refunded, failed };
+    } catch (error) {
+      console.error('❌ Error in escrow auto-release:', error);
+      return { released: 0, refunded: 0, failed: 0 };
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new EscrowService();
@@ -0,0 +1,24 @@
+// services/fx/FxRateProvider.js
+
+/**
+ * FX Rate Provider interface
+ * Adapters for exchange rate sources extend this class. A rate is the
+ * number of `to` units one `from` unit buys.
+ */
+class FxRateProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Get the exchange rate between two currencies
+   * @param {string} from - Currency converted from
+   * @param {string} to - Currency converted to
+   * @returns {Promise<Object>} { rate, asOf }
+   */
+  async getRate(from, to) {
+    throw new Error(`${this.name}: getRate not implemented`);
+  }
+}
+
+module.exports = FxRateProvider;
@@ -0,0 +1,29 @@
+// services/fx/index.js
+const StaticRateProvider = require('./staticRateProvider');
+
+// Registered rate sources, keyed by FX_PROVIDER value
+const providers = {
+  static: StaticRateProvider
+};
+
+const instances = {};
+
+/**
+ * Get the configured FX rate provider (FX_PROVIDER, defaults to the static table)
+ * @param {string} name - Optional provider name override
+ */
+const getFxRateProvider = (name = process.env.FX_PROVIDER || 'static') => {
+  const Provider = providers[name];
+  if (!Provider) {
+    throw new Error(`Unknown FX rate provider: ${name}`);
+  }
+
+  if (!instances[name]) {
+    instances[name] = new Provider();
+  }
+  return instances[name];
+};
+
+module.exports = {
+  getFxRateProvider
+};
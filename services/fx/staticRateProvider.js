@@ -0,0 +1,50 @@
+// services/fx/staticRateProvider.js
+const FxRateProvider = require('./FxRateProvider');
+
+// Value of one unit of each currency in the base currency (NGN)
+const DEFAULT_RATES = {
+  NGN: 1,
+  USD: 1550,
+  GBP: 1950,
+  EUR: 1680,
+  GHS: 105,
+  KES: 12,
+  ZAR: 85
+};
+
+/**
+ * Static Rate Provider
+ * Converts through a local rate table. Override the table with FX_RATES,
+ * a JSON object of base-currency values, e.g. {"NGN":1,"USD":1600}.
+ */
+class StaticRateProvider extends FxRateProvider {
+  constructor() {
+    super('static');
+    this.rates = { ...DEFAULT_RATES, ...this.loadRates() };
+    this.asOf = new Date();
+  }
+
+  loadRates() {
+    if (!process.env.FX_RATES) return {};
+
+    try {
+      return JSON.parse(process.env.FX_RATES);
+    } catch (error) {
+      console.error('Invalid FX_RATES, using default rate table:', error.message);
+      return {};
+    }
+  }
+
+  async getRate(from, to) {
+    const fromValue = this.rates[from];
+    const toValue = this.rates[to];
+
+    if (!fromValue || !toValue) {
+      return null;
+    }
+
+    return { rate: fromValue / toValue, asOf: this.asOf };
+  }
+}
+
+module.exports = StaticRateProvider;
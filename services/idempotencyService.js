@@ -0,0 +1,96 @@
+// services/idempotencyService.js
+const IdempotencyKey = require('../models/IdempotencyKey');
+const redisService = require('./redisService');
+
+// How long a key (and its stored response) is remembered
+const IDEMPOTENCY_TTL_SECONDS = (parseFloat(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24) * 3600;
+
+/**
+ * Idempotency Service
+ * Stores the first response for a (user, Idempotency-Key) pair so retried
+ * requests can be replayed instead of executed twice. Keys live in Redis
+ * when it is available and in MongoDB otherwise.
+ */
+class IdempotencyService {
+  /**
+   * Claim a key for a new request
+   * @param {string} userId - Requesting user
+   * @param {string} key - Idempotency-Key header value
+   * @param {string} fingerprint - Hash identifying the request payload
+   * @returns {Promise<Object>} { acquired, store, record } - record is the existing one if not acquired
+   */
+  async begin(userId, key, fingerprint) {
+    const record = { status: 'processing', fingerprint };
+
+    if (redisService.isReady()) {
+      try {
+        const scope = `${userId}:${key}`;
+        if (await redisService.acquireIdempotencyKey(scope, record, IDEMPOTENCY_TTL_SECONDS)) {
+          return { acquired: true, store: 'redis' };
+        }
+        const existing = await redisService.getIdempotencyKey(scope);
+        if (existing) {
+          return { acquired: false, store: 'redis', record: existing };
+        }
+        // Expired between the two calls; claim it again
+        return await this.begin(userId, key, fingerprint);
+      } catch (error) {
+        console.error('Redis idempotency store unavailable, using MongoDB:', error.message);
+      }
+    }
+
+    try {
+      await IdempotencyKey.create({
+        user: userId,
+        key,
+        ...record,
+        expiresAt: new Date(Date.now() + IDEMPOTENCY_TTL_SECONDS * 1000)
+      });
+      return { acquired: true, store: 'mongo' };
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      const existing = await IdempotencyKey.findOne({ user: userId, key }).lean();
+      return { acquired: false, store: 'mongo', record: existing };
+    }
+  }
+
+  /**
+   * Store the response of a finished request for replay
+   * @param {string} store - Store returned by begin()
+   * @param {string} userId - Requesting user
+   * @param {string} key - Idempotency-Key header value
+   * @param {string} fingerprint - Hash identifying the request payload
+   * @param {Object} response - { statusCode, body }
+   */
+  async complete(store, userId, key, fingerprint, response) {
+    if (store === 'redis') {
+      await redisService.setIdempotencyKey(
+        `${userId}:${key}`,
+        { status: 'completed', fingerprint, response },
+        IDEMPOTENCY_TTL_SECONDS
+      );
+      return;
+    }
+
+    // Store plain JSON so replays match what was sent (documents, ObjectIds, dates)
+    await IdempotencyKey.updateOne(
+      { user: userId, key },
+      { status: 'completed', response: JSON.parse(JSON.stringify(response)) }
+    );
+  }
+
+  /**
+   * Forget a key so the request can be retried (used when it failed with a server error)
+   */
+  async release(store, userId, key) {
+    if (store === 'redis') {
+      await redisService.deleteCache(`idempotency:${userId}:${key}`);
+      return;
+    }
+
+    await IdempotencyKey.deleteOne({ user: userId, key, status: 'processing' });
+  }
+}
+
+module.exports = new IdempotencyService();
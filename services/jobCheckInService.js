@@ -0,0 +1,221 @@
+// services/jobCheckInService.js
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const bookingStateService = require('./bookingStateService');
+const geolocationService = require('./geolocationService');
+const cloudStorageService = require('./cloudStorageService');
+const escrowService = require('./escrowService');
+
+// How far from the booking location a provider may check in or out
+const CHECK_IN_RADIUS_METERS = parseInt(process.env.CHECK_IN_RADIUS_METERS) || 200;
+const MAX_COMPLETION_PHOTOS = 10;
+
+const checkInError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Job Check-In Service
+ * Providers start a job by checking in at the booking location and finish it
+ * by checking out with completion photos. Positions are checked against
+ * Booking.address.location, and the actual time on the job is recorded so
+ * hourly services can be billed on it.
+ */
+class JobCheckInService {
+  getRadius() {
+    return CHECK_IN_RADIUS_METERS;
+  }
+
+  /**
+   * Check a reported position against the booking location
+   * Throws 409 if the booking has no coordinates to check against.
+   * @param {Object} booking - Booking with address.location
+   * @param {Object} position - { latitude, longitude }
+   * @returns {Object} { coordinates, distanceMeters, geofenceVerified }
+   */
+  checkGeofence(booking, { latitude, longitude }) {
+    const coordinates = [longitude, latitude];
+    const target = booking.address?.location?.coordinates;
+
+    if (!Array.isArray(target) || target.length !== 2) {
+      throw checkInError('This booking has no job location to check in against. The customer needs to add the service address location.', 409);
+    }
+
+    const [targetLongitude, targetLatitude] = target;
+    const distanceMeters = Math.round(
+      geolocationService.calculateDistance(latitude, longitude, targetLatitude, targetLongitude) * 1000
+    );
+
+    if (distanceMeters > CHECK_IN_RADIUS_METERS) {
+      throw checkInError(
+        `You must be within ${CHECK_IN_RADIUS_METERS}m of the job location (you are ${distanceMeters}m away)`,
+        403
+      );
+    }
+
+    return { coordinates, distanceMeters, geofenceVerified: true };
+  }
+
+  /**
+   * Check in at the job location and start the booking
+   * @param {Object} booking - Confirmed booking
+   * @param {Object} user - Checking-in provider
+   * @param {Object} position - { latitude, longitude }
+   * @returns {Promise<Object>} Updated booking
+   */
+  async checkIn(booking, user, position) {
+    this.assertProvider(booking, user);
+
+    const fence = this.checkGeofence(booking, position);
+    const now = new Date();
+
+    const updated = await bookingStateService.transition(booking, 'in_progress', {
+      actor: user._id,
+      role: 'provider',
+      reason: `Checked in ${fence.distanceMeters}m from the job location`,
+      set: {
+        checkIn: { at: now, ...fence },
+        actualStartAt: now
+      }
+    });
+
+    await this.notifyCustomer(updated, 'Service Started',
+      `Your provider has checked in and started the job.`);
+
+    return updated;
+  }
+
+  /**
+   * Check out at the job location with completion photos and complete the booking
+   * Without cloud storage, check-out fails with 503 except in development,
+   * where jobs can be completed without photos.
+   * @param {Object} booking - In-progress booking
+   * @param {Object} user - Checking-out provider
+   * @param {Object} position - { latitude, longitude }
+   * @param {Array} files - Completion photos (multer memory files)
+   * @returns {Promise<Object>} Updated booking
+   */
+  async checkOut(booking, user, position, files = []) {
+    this.assertProvider(booking, user);
+
+    // Photos are the evidence the job was done, so only development may skip them
+    const storesPhotos = Boolean(cloudStorageService.isConfigured());
+    if (!storesPhotos && process.env.NODE_ENV !== 'development') {
+      throw checkInError('Check-out is unavailable: completion photos cannot be stored right now', 503);
+    }
+    if (storesPhotos && files.length === 0) {
+      throw checkInError('At least one completion photo is required');
+    }
+    if (files.length > MAX_COMPLETION_PHOTOS) {
+      throw checkInError(`No more than ${MAX_COMPLETION_PHOTOS} completion photos are allowed`);
+    }
+    // Fail fast before uploading anything
+    bookingStateService.assertTransition(booking.status, 'completed', 'provider');
+    if (booking.status !== 'in_progress') {
+      throw checkInError('Check in before checking out', 409);
+    }
+
+    const fence = this.checkGeofence(booking, position);
+
+    const results = storesPhotos
+      ? await Promise.all(files.map((file, index) =>
+        cloudStorageService.uploadFile(file.buffer, 'connectify/bookings/completion', {
+          public_id: `booking_${booking._id}_${Date.now()}_${index}`,
+          transformation: [
+            { width: 1600, height: 1200, crop: 'limit' },
+            { quality: 'auto', fetch_format: 'auto' }
+          ]
+        })
+      ))
+      : [];
+    const photos = results.map(result => result.secure_url);
+
+    const now = new Date();
+    const startedAt = booking.actualStartAt || booking.checkIn?.at;
+    const actualDuration = startedAt ? Math.max(0, Math.round((now - new Date(startedAt)) / 60000)) : undefined;
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    let updated;
+    try {
+      updated = await bookingStateService.transition(booking, 'completed', {
+        actor: user._id,
+        role: 'provider',
+        reason: [
+          `Checked out ${fence.distanceMeters}m from the job location`,
+          storesPhotos ? null : 'without completion photos (cloud storage is not configured)'
+        ].filter(Boolean).join(' '),
+        set: {
+          checkOut: { at: now, ...fence },
+          actualEndAt: now,
+          actualDuration,
+          completedAt: now,
+          serviceImages: [...(booking.serviceImages || []), ...photos]
+        },
+        session
+      });
+
+      // Track provider experience (drives tiered commission)
+      await User.findByIdAndUpdate(booking.provider, { $inc: { completedJobsCount: 1 } }, { session });
+
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+      // Don't leave orphaned uploads behind
+      if (results.length > 0) {
+        cloudStorageService.deleteMultipleFiles(results.map(result => result.public_id))
+          .catch(err => console.error('Failed to remove completion photos:', err));
+      }
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    // Release escrowed payment to the provider
+    if (updated.escrow?.status === 'held') {
+      try {
+        const settled = await escrowService.releaseFunds(updated._id);
+        if (settled) {
+          updated = settled;
+        }
+      } catch (error) {
+        // The escrow sweep retries settlement
+        console.error('Escrow release error:', error);
+      }
+    }
+
+    await this.notifyCustomer(updated, 'Service Completed',
+      `Your provider has checked out and completed the job${actualDuration !== undefined ? ` (${actualDuration} minutes)` : ''}.`);
+
+    return updated;
+  }
+
+  assertProvider(booking, user) {
+    if (booking.provider.toString() !== user._id.toString()) {
+      throw checkInError('Only the booking provider can check in or out', 403);
+    }
+  }
+
+  async notifyCustomer(booking, title, message) {
+    try {
+      await Notification.create({
+        user: booking.customer,
+        title,
+        message,
+        type: 'booking',
+        data: {
+          bookingId: booking._id,
+          serviceId: booking.service
+        }
+      });
+    } catch (error) {
+      console.error('Check-in notification error:', error);
+    }
+  }
+}
+
+module.exports = new JobCheckInService();
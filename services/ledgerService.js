@@ -0,0 +1,347 @@
+// services/ledgerService.js
+const LedgerAccount = require('../models/LedgerAccount');
+const JournalEntry = require('../models/JournalEntry');
+const User = require('../models/User');
+
+// Platform-owned accounts
+const ACCOUNTS = {
+  CASH: { code: 'platform:cash', name: 'Platform Cash', type: 'asset' },
+  ESCROW: { code: 'platform:escrow', name: 'Escrow Holdings', type: 'liability' },
+  REVENUE: { code: 'platform:revenue', name: 'Platform Revenue', type: 'revenue' },
+  PAYOUTS: { code: 'platform:payouts', name: 'Pending Payouts', type: 'liability' },
+  FX: { code: 'platform:fx', name: 'FX Conversion', type: 'asset' },
+  TRANSFERS: { code: 'platform:transfers', name: 'Transfers In Transit', type: 'liability' },
+  OPENING: { code: 'platform:opening', name: 'Opening Balances', type: 'equity' }
+};
+
+// Account types whose balance grows with credits (the rest grow with debits)
+const CREDIT_NORMAL_TYPES = ['liability', 'revenue', 'equity'];
+
+/**
+ * Ledger Service
+ * Double-entry bookkeeping for every movement of money on the platform.
+ * User wallets are liability accounts: a credit increases what the platform owes the user.
+ */
+class LedgerService {
+  constructor() {
+    this.ACCOUNTS = ACCOUNTS;
+  }
+
+  /**
+   * Find or create a ledger account
+   * @param {Object} definition - { code, name, type, user, currency }
+   * @param {mongoose.ClientSession} session - Optional session
+   */
+  async getAccount(definition, session = null) {
+    const { code, ...attributes } = definition;
+
+    return await LedgerAccount.findOneAndUpdate(
+      { code },
+      { $setOnInsert: { code, ...attributes } },
+      { new: true, upsert: true, session }
+    );
+  }
+
+  /**
+   * Account definition for a user's wallet
+   * @param {string} userId - User ID
+   * @param {string} currency - Wallet currency
+   */
+  walletAccount(userId, currency = 'NGN') {
+    return {
+      code: `wallet:${userId}:${currency}`,
+      name: `Wallet ${userId} (${currency})`,
+      type: 'liability',
+      user: userId,
+      currency
+    };
+  }
+
+  /**
+   * Post a balanced journal entry
+   * @param {Object} params
+   * @param {string} params.reference - Unique entry reference
+   * @param {string} params.type - Entry type (topup, booking_payment, ...)
+   * @param {string} params.description - Human readable description
+   * @param {string} params.currency - Currency of the entry
+   * @param {Array} params.lines - [{ account: definition, debit, credit }]
+   * @param {Object} params.metadata - Optional metadata
+   * @param {Date} params.postedAt - Backdate the entry (defaults to now)
+   * @param {mongoose.ClientSession} session - Optional session
+   */
+  async post({ reference, type, description, currency = 'NGN', lines, metadata = {}, postedAt = null }, session = null) {
+    const resolvedLines = [];
+    for (const line of lines) {
+      const account = await this.getAccount(line.account, session);
+      resolvedLines.push({
+        account: account._id,
+        debit: line.debit || 0,
+        credit: line.credit || 0
+      });
+    }
+
+    const [entry] = await JournalEntry.create([{
+      reference,
+      type,
+      description,
+      currency,
+      lines: resolvedLines,
+      metadata,
+      ...(postedAt && { createdAt: postedAt })
+    }], { session });
+
+    return entry;
+  }
+
+  /**
+   * Derive the balance of each account from the journal
+   * @param {Array} accountIds - Optional list of account IDs to restrict to
+   * @returns {Promise<Map>} accountId -> { debit, credit }
+   */
+  async getAccountTotals(accountIds = null) {
+    const pipeline = [{ $unwind: '$lines' }];
+    if (accountIds) {
+      pipeline.push({ $match: { 'lines.account': { $in: accountIds } } });
+    }
+    pipeline.push({
+      $group: {
+        _id: '$lines.account',
+        debit: { $sum: '$lines.debit' },
+        credit: { $sum: '$lines.credit' }
+      }
+    });
+
+    const totals = await JournalEntry.aggregate(pipeline);
+    return new Map(totals.map(t => [t._id.toString(), t]));
+  }
+
+  /**
+   * Signed balance of an account given its debit/credit totals
+   */
+  balanceOf(account, totals) {
+    if (!totals) return 0;
+    const balance = CREDIT_NORMAL_TYPES.includes(account.type)
+      ? totals.credit - totals.debit
+      : totals.debit - totals.credit;
+    return Math.round(balance * 100) / 100;
+  }
+
+  /**
+   * Ledger balance of a user's wallet
+   * @param {string} userId - User ID
+   * @param {string} currency - Wallet currency
+   */
+  async getWalletBalance(userId, currency = 'NGN') {
+    const account = await LedgerAccount.findOne({ code: this.walletAccount(userId, currency).code });
+    if (!account) return 0;
+
+    const totals = await this.getAccountTotals([account._id]);
+    return this.balanceOf(account, totals.get(account._id.toString()));
+  }
+
+  /**
+   * Compare every user's stored wallet balance against the ledger
+   * @param {Object} options
+   * @param {boolean} options.includeBalanced - Also return users without drift
+   */
+  async reconcile({ includeBalanced = false } = {}) {
+    const accounts = await LedgerAccount.find({ user: { $exists: true } });
+    const totals = await this.getAccountTotals();
+
+    // Sum ledger balances per user and currency
+    const ledgerByUser = new Map();
+    for (const account of accounts) {
+      const key = `${account.user}:${account.currency}`;
+      ledgerByUser.set(key, this.balanceOf(account, totals.get(account._id.toString())));
+    }
+
+    const users = await User.find({
+      $or: [
+        { 'wallet.balance': { $ne: 0 } },
+        { _id: { $in: accounts.map(a => a.user) } }
+      ]
+    }).select('name email wallet.balance wallet.currency wallet.balances');
+
+    const report = [];
+    let totalDrift = 0;
+
+    for (const user of users) {
+      const primary = user.wallet.currency || 'NGN';
+      const walletBalances = new Map([
+        ...(user.wallet.balances || new Map()).entries(),
+        [primary, user.wallet.balance || 0]
+      ]);
+
+      // Every currency the user holds either in the wallet or in the ledger
+      const currencies = new Set([
+        ...walletBalances.keys(),
+        ...accounts.filter(a => a.user.equals(user._id)).map(a => a.currency)
+      ]);
+
+      for (const currency of currencies) {
+        const walletBalance = walletBalances.get(currency) || 0;
+        const ledgerBalance = ledgerByUser.get(`${user._id}:${currency}`) || 0;
+        const drift = Math.round((walletBalance - ledgerBalance) * 100) / 100;
+
+        if (drift !== 0 || includeBalanced) {
+          report.push({
+            userId: user._id,
+            name: user.name,
+            email: user.email,
+            currency,
+            walletBalance,
+            ledgerBalance,
+            drift
+          });
+        }
+        totalDrift += Math.abs(drift);
+      }
+    }
+
+    return {
+      checkedUsers: users.length,
+      driftedUsers: new Set(report.filter(r => r.drift !== 0).map(r => r.userId.toString())).size,
+      totalDrift: Math.round(totalDrift * 100) / 100,
+      accounts: report
+    };
+  }
+
+  /**
+   * Post an opening balance for every wallet whose stored balance predates the ledger.
+   * Run once after upgrading to the ledger, before the first reconciliation: the
+   * difference between each wallet and its ledger account is posted as an
+   * `adjustment` against the Opening Balances equity account, dated just before the
+   * wallet's first journal entry so statements open with the right balance.
+   * Idempotent per wallet and currency - a wallet that already has an opening entry
+   * is skipped, so any drift left after that is reported by reconcile() as usual.
+   * @returns {Object} { posted: [{ userId, currency, amount, postedAt }], skipped }
+   */
+  async postOpeningBalances() {
+    const { accounts } = await this.reconcile();
+    const posted = [];
+    let skipped = 0;
+
+    for (const row of accounts) {
+      const reference = `OPENING_${row.userId}_${row.currency}`;
+      if (await JournalEntry.exists({ reference })) {
+        skipped++;
+        continue;
+      }
+
+      const wallet = this.walletAccount(row.userId, row.currency);
+      const account = await LedgerAccount.findOne({ code: wallet.code });
+      const firstEntry = account
+        ? await JournalEntry.findOne({ 'lines.account': account._id }).sort({ createdAt: 1 }).select('createdAt')
+        : null;
+      const postedAt = firstEntry ? new Date(firstEntry.createdAt.getTime() - 1) : new Date();
+
+      // A positive drift means the wallet holds more than the ledger knows about
+      const amount = Math.abs(row.drift);
+      const lines = row.drift > 0
+        ? [{ account: ACCOUNTS.OPENING, debit: amount }, { account: wallet, credit: amount }]
+        : [{ account: wallet, debit: amount }, { account: ACCOUNTS.OPENING, credit: amount }];
+
+      try {
+        await this.post({
+          reference,
+          type: 'adjustment',
+          description: `Opening balance (${row.currency})`,
+          currency: row.currency,
+          lines,
+          postedAt
+        });
+      } catch (error) {
+        // Posted by a concurrent run
+        if (error.code === 11000) {
+          skipped++;
+          continue;
+        }
+        throw error;
+      }
+
+      posted.push({ userId: row.userId, currency: row.currency, amount: row.drift, postedAt });
+    }
+
+    return { posted, skipped };
+  }
+
+  /**
+   * Platform revenue (net fees) over a period
+   * @param {Object} options
+   * @param {Date} options.startDate - Inclusive start
+   * @param {Date} options.endDate - Inclusive end
+   * @param {string} options.groupBy - 'day' or 'month'
+   */
+  async getRevenueReport({ startDate, endDate, groupBy = 'month' } = {}) {
+    const revenue = await LedgerAccount.findOne({ code: ACCOUNTS.REVENUE.code });
+    if (!revenue) {
+      return { totals: [], periods: [], categories: [] };
+    }
+
+    const match = { 'lines.account': revenue._id };
+    if (startDate || endDate) {
+      match.createdAt = {};
+      if (startDate) match.createdAt.$gte = startDate;
+      if (endDate) match.createdAt.$lte = endDate;
+    }
+
+    const [report] = await JournalEntry.aggregate([
+      { $match: match },
+      { $unwind: '$lines' },
+      { $match: { 'lines.account': revenue._id } },
+      {
+        $project: {
+          createdAt: 1,
+          currency: 1,
+          bookingId: '$metadata.bookingId',
+          amount: { $subtract: ['$lines.credit', '$lines.debit'] }
+        }
+      },
+      {
+        $facet: {
+          totals: [
+            { $group: { _id: '$currency', amount: { $sum: '$amount' }, entries: { $sum: 1 } } }
+          ],
+          periods: [
+            {
+              $group: {
+                _id: {
+                  period: { $dateToString: { format: groupBy === 'day' ? '%Y-%m-%d' : '%Y-%m', date: '$createdAt' } },
+                  currency: '$currency'
+                },
+                amount: { $sum: '$amount' }
+              }
+            },
+            { $sort: { '_id.period': 1 } }
+          ],
+          categories: [
+            { $lookup: { from: 'bookings', localField: 'bookingId', foreignField: '_id', as: 'booking' } },
+            { $unwind: { path: '$booking', preserveNullAndEmptyArrays: true } },
+            {
+              $group: {
+                _id: { category: '$booking.commission.category', currency: '$currency' },
+                amount: { $sum: '$amount' },
+                bookings: { $addToSet: '$bookingId' }
+              }
+            },
+            { $project: { amount: 1, bookings: { $size: '$bookings' } } },
+            { $sort: { amount: -1 } }
+          ]
+        }
+      }
+    ]);
+
+    return {
+      totals: report.totals.map(t => ({ currency: t._id, amount: Math.round(t.amount * 100) / 100, entries: t.entries })),
+      periods: report.periods.map(p => ({ ...p._id, amount: Math.round(p.amount * 100) / 100 })),
+      categories: report.categories.map(c => ({
+        category: c._id.category || 'Uncategorized',
+        currency: c._id.currency,
+        amount: Math.round(c.amount * 100) / 100,
+        bookings: c.bookings
+      }))
+    };
+  }
+}
+
+module.exports = new LedgerService();
@@ -0,0 +1,55 @@
+// services/paymentGateways/PaymentGateway.js
+const crypto = require('crypto');
+
+/**
+ * Payment Gateway interface
+ * Adapters for card/bank payment gateways (Paystack, Flutterwave, ...) extend
+ * this class. Webhook events are normalised by parseEvent() to
+ * { reference, status: 'success' | 'failed', amount, currency }.
+ */
+class PaymentGateway {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Start a checkout for a wallet top-up
+   * @param {Object} params - { amount, currency, email, reference, callbackUrl }
+   * @returns {Promise<Object>} { checkoutUrl, reference }
+   */
+  async initializePayment(params) {
+    throw new Error(`${this.name}: initializePayment not implemented`);
+  }
+
+  /**
+   * Check a webhook's signature against the raw request body
+   * @param {Buffer} rawBody - Unparsed request body
+   * @param {Object} headers - Request headers
+   * @returns {boolean}
+   */
+  verifySignature(rawBody, headers) {
+    throw new Error(`${this.name}: verifySignature not implemented`);
+  }
+
+  /**
+   * Normalise a webhook payload
+   * @param {Object} body - Parsed webhook body
+   * @returns {Object|null} Normalised event, or null for events we don't handle
+   */
+  parseEvent(body) {
+    throw new Error(`${this.name}: parseEvent not implemented`);
+  }
+
+  /**
+   * Constant-time comparison of two signature strings
+   */
+  safeCompare(expected, received) {
+    if (typeof expected !== 'string' || typeof received !== 'string') return false;
+
+    const a = Buffer.from(expected);
+    const b = Buffer.from(received);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+}
+
+module.exports = PaymentGateway;
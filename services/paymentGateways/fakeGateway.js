@@ -0,0 +1,59 @@
+// services/paymentGateways/fakeGateway.js
+const crypto = require('crypto');
+const PaymentGateway = require('./PaymentGateway');
+
+/**
+ * Fake Gateway
+ * Local gateway for development and tests, never available in production.
+ * Webhooks are signed with an HMAC-SHA256 of the raw body using
+ * FAKE_GATEWAY_SECRET (x-fake-signature); use sign() to build one:
+ *
+ *   const body = JSON.stringify({ event: 'payment.success', data: { reference, amount, currency } });
+ *   headers['x-fake-signature'] = fakeGateway.sign(body);
+ */
+class FakeGateway extends PaymentGateway {
+  constructor() {
+    super('fake');
+    this.secret = process.env.FAKE_GATEWAY_SECRET;
+  }
+
+  async initializePayment({ reference }) {
+    return {
+      checkoutUrl: `${process.env.FRONTEND_URL || 'http://localhost:5173'}/wallet/fake-checkout?reference=${reference}`,
+      reference
+    };
+  }
+
+  sign(rawBody) {
+    return crypto
+      .createHmac('sha256', this.secret)
+      .update(rawBody)
+      .digest('hex');
+  }
+
+  verifySignature(rawBody, headers) {
+    if (!rawBody || !this.secret) return false;
+    return this.safeCompare(this.sign(rawBody), headers['x-fake-signature']);
+  }
+
+  parseEvent(body) {
+    const data = body?.data;
+    if (!data?.reference) return null;
+
+    const statuses = {
+      'payment.success': 'success',
+      'payment.failed': 'failed'
+    };
+
+    if (!statuses[body.event]) return null;
+
+    return {
+      reference: data.reference,
+      status: statuses[body.event],
+      amount: Number(data.amount),
+      currency: data.currency
+    };
+  }
+}
+
+module.exports = FakeGateway;
@@ -0,0 +1,64 @@
+// services/paymentGateways/index.js
+const PaystackGateway = require('./paystackGateway');
+const FakeGateway = require('./fakeGateway');
+
+// Registered gateways, keyed by PAYMENT_GATEWAY value and webhook :provider
+const gateways = {
+  paystack: PaystackGateway,
+  fake: FakeGateway
+};
+
+const instances = {};
+
+/**
+ * Why a gateway can't be used, or null if it can
+ * The fake gateway accepts webhooks anyone holding its secret can sign, so it
+ * is refused in production and whenever FAKE_GATEWAY_SECRET is unset.
+ * @param {string} name - Gateway name
+ * @returns {string|null}
+ */
+const getGatewayConfigError = (name) => {
+  if (!name) {
+    return 'PAYMENT_GATEWAY is not set';
+  }
+  if (!Object.prototype.hasOwnProperty.call(gateways, name)) {
+    return `Unknown payment gateway: ${name}`;
+  }
+  if (name === 'paystack' && !process.env.PAYSTACK_SECRET_KEY) {
+    return 'PAYSTACK_SECRET_KEY is required for the paystack gateway';
+  }
+  if (name === 'fake' && process.env.NODE_ENV === 'production') {
+    return 'The fake payment gateway cannot be used in production';
+  }
+  if (name === 'fake' && !process.env.FAKE_GATEWAY_SECRET) {
+    return 'FAKE_GATEWAY_SECRET is required for the fake gateway';
+  }
+  return null;
+};
+
+/**
+ * Check the configured gateway (PAYMENT_GATEWAY), e.g. to warn at startup
+ * @returns {string|null} What is wrong with the configuration, or null
+ */
+const validatePaymentGatewayConfig = () => getGatewayConfigError(process.env.PAYMENT_GATEWAY);
+
+/**
+ * Get a payment gateway (PAYMENT_GATEWAY)
+ * @param {string} name - Optional gateway name override
+ * @returns {PaymentGateway|null} null if no usable gateway is registered under that name
+ */
+const getPaymentGateway = (name = process.env.PAYMENT_GATEWAY) => {
+  if (getGatewayConfigError(name)) {
+    return null;
+  }
+
+  if (!instances[name]) {
+    instances[name] = new gateways[name]();
+  }
+  return instances[name];
+};
+
+module.exports = {
+  getPaymentGateway,
+  validatePaymentGatewayConfig
+};
@@ -0,0 +1,71 @@
+// services/paymentGateways/paystackGateway.js
+const axios = require('axios');
+const crypto = require('crypto');
+const PaymentGateway = require('./PaymentGateway');
+
+/**
+ * Paystack Gateway
+ * Amounts are sent to Paystack in kobo. Webhooks are signed with an
+ * HMAC-SHA512 of the raw body using the secret key (x-paystack-signature).
+ */
+class PaystackGateway extends PaymentGateway {
+  constructor() {
+    super('paystack');
+    this.baseUrl = 'https://api.paystack.co';
+    this.secretKey = process.env.PAYSTACK_SECRET_KEY;
+  }
+
+  async initializePayment({ amount, currency, email, reference, callbackUrl }) {
+    if (!this.secretKey) {
+      throw new Error('PAYSTACK_SECRET_KEY is not configured');
+    }
+
+    const response = await axios.post(`${this.baseUrl}/transaction/initialize`, {
+      email,
+      amount: Math.round(amount * 100),
+      currency,
+      reference,
+      callback_url: callbackUrl
+    }, {
+      headers: { Authorization: `Bearer ${this.secretKey}` },
+      timeout: 10000
+    });
+
+    return {
+      checkoutUrl: response.data.data.authorization_url,
+      reference: response.data.data.reference
+    };
+  }
+
+  verifySignature(rawBody, headers) {
+    if (!this.secretKey || !rawBody) return false;
+
+    const expected = crypto
+      .createHmac('sha512', this.secretKey)
+      .update(rawBody)
+      .digest('hex');
+
+    return this.safeCompare(expected, headers['x-paystack-signature']);
+  }
+
+  parseEvent(body) {
+    const data = body?.data;
+    if (!data?.reference) return null;
+
+    const statuses = {
+      'charge.success': 'success',
+      'charge.failed': 'failed'
+    };
+
+    if (!statuses[body.event]) return null;
+
+    return {
+      reference: data.reference,
+      status: statuses[body.event],
+      amount: data.amount / 100,
+      currency: data.currency
+    };
+  }
+}
+
+module.exports = PaystackGateway;
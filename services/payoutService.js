@@ -0,0 +1,379 @@
+// services/payoutService.js
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const Withdrawal = require('../models/Withdrawal');
+const BankAccount = require('../models/BankAccount');
+const WalletTransaction = require('../models/WalletTransaction');
+const Notification = require('../models/Notification');
+const walletService = require('./walletService');
+const ledgerService = require('./ledgerService');
+const disputeService = require('./disputeService');
+const { getPayoutProvider } = require('./payouts');
+const { DEFAULT_TIMEZONE, getCalendarDateInZone, zonedTimeToUtc } = require('../utils/timezone');
+const { formatAmount } = require('../utils/currency');
+
+// Withdrawal limits (in wallet currency)
+const MIN_WITHDRAWAL_AMOUNT = parseFloat(process.env.WITHDRAWAL_MIN_AMOUNT) || 1000;
+const DAILY_WITHDRAWAL_LIMIT = parseFloat(process.env.WITHDRAWAL_DAILY_LIMIT) || 500000;
+
+const payoutError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Payout Service
+ * Provider withdrawals: requested -> approved -> processing -> paid | failed.
+ * Funds are debited into a pending-payouts hold when requested and either
+ * paid out or returned to the wallet when the withdrawal fails.
+ */
+class PayoutService {
+  getLimits() {
+    return {
+      minAmount: MIN_WITHDRAWAL_AMOUNT,
+      dailyLimit: DAILY_WITHDRAWAL_LIMIT
+    };
+  }
+
+  /**
+   * Register a bank account with the payout provider
+   * @param {string} userId - Provider ID
+   * @param {Object} details - { bankName, bankCode, accountNumber, accountName, isDefault }
+   */
+  async addBankAccount(userId, { bankName, bankCode, accountNumber, accountName, isDefault }) {
+    const existing = await BankAccount.findOne({ user: userId, bankCode, accountNumber });
+    if (existing && existing.isActive) {
+      throw payoutError('This bank account is already registered');
+    }
+
+    const provider = getPayoutProvider();
+    const recipient = await provider.createRecipient({ bankCode, accountNumber, accountName, currency: 'NGN' });
+
+    const hasDefault = await BankAccount.exists({ user: userId, isActive: true, isDefault: true });
+    const makeDefault = Boolean(isDefault) || !hasDefault;
+
+    if (makeDefault) {
+      await BankAccount.updateMany({ user: userId }, { isDefault: false });
+    }
+
+    const attributes = {
+      bankName,
+      bankCode,
+      accountNumber,
+      accountName: recipient.accountName || accountName,
+      recipientCode: recipient.recipientCode,
+      payoutProvider: provider.name,
+      isDefault: makeDefault,
+      isActive: true
+    };
+
+    if (existing) {
+      Object.assign(existing, attributes);
+      return await existing.save();
+    }
+
+    return await BankAccount.create({ user: userId, ...attributes });
+  }
+
+  /**
+   * Sum of the user's non-failed withdrawals requested today
+   * The day runs midnight to midnight in the user's timezone.
+   * @param {Object} user - User document (_id, timezone)
+   * @param {mongoose.ClientSession} session - Optional session
+   */
+  async getWithdrawnToday(user, session = null) {
+    const timeZone = user.timezone || DEFAULT_TIMEZONE;
+    const startOfDay = zonedTimeToUtc(getCalendarDateInZone(new Date(), timeZone), 0, timeZone);
+
+    const [result] = await Withdrawal.aggregate([
+      {
+        $match: {
+          user: new mongoose.Types.ObjectId(user._id),
+          status: { $ne: 'failed' },
+          createdAt: { $gte: startOfDay }
+        }
+      },
+      { $group: { _id: null, total: { $sum: '$amount' } } }
+    ]).session(session);
+
+    return result ? result.total : 0;
+  }
+
+  /**
+   * Request a withdrawal; the amount is held from the wallet immediately
+   * @param {Object} user - Provider user document
+   * @param {Object} params - { amount, bankAccountId }
+   */
+  async requestWithdrawal(user, { amount, bankAccountId }) {
+    const bankAccount = bankAccountId
+      ? await BankAccount.findOne({ _id: bankAccountId, user: user._id, isActive: true })
+      : await BankAccount.findOne({ user: user._id, isActive: true, isDefault: true });
+
+    if (!bankAccount) {
+      throw payoutError('Bank account not found. Please register a bank account first.', 404);
+    }
+
+    if (amount < MIN_WITHDRAWAL_AMOUNT) {
+      throw payoutError(`Minimum withdrawal amount is ${formatAmount(MIN_WITHDRAWAL_AMOUNT, bankAccount.currency)}`);
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    let withdrawal;
+    try {
+      // Checked in the transaction: the wallet debit below is a conditional update
+      // on the user document, so concurrent requests conflict and only one commits
+      const withdrawnToday = await this.getWithdrawnToday(user, session);
+      if (withdrawnToday + amount > DAILY_WITHDRAWAL_LIMIT) {
+        const remaining = Math.max(DAILY_WITHDRAWAL_LIMIT - withdrawnToday, 0);
+        throw payoutError(`Daily withdrawal limit exceeded. You can withdraw up to ${formatAmount(remaining, bankAccount.currency)} more today.`);
+      }
+
+      const reference = `WDR_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+
+      [withdrawal] = await Withdrawal.create([{
+        user: user._id,
+        bankAccount: bankAccount._id,
+        amount,
+        currency: bankAccount.currency,
+        reference,
+        payoutProvider: bankAccount.payoutProvider
+      }], { session });
+
+      const { user: debited, transaction } = await walletService.debit({
+        userId: user._id,
+        amount,
+        currency: bankAccount.currency,
+        description: `Withdrawal to ${bankAccount.bankName} ****${bankAccount.accountNumber.slice(-4)}`,
+        reference,
+        status: 'held',
+        metadata: { withdrawalId: withdrawal._id },
+        counterAccount: ledgerService.ACCOUNTS.PAYOUTS,
+        entryType: 'withdrawal'
+      }, session);
+
+      // Earnings from bookings under dispute can't be withdrawn until it is settled
+      const frozen = await disputeService.getFrozenAmount(user._id, bankAccount.currency, session);
+      if (frozen > 0 && walletService.getBalance(debited, bankAccount.currency) < frozen) {
+        throw payoutError(`${formatAmount(frozen, bankAccount.currency)} of your balance is frozen by open disputes and can't be withdrawn yet`);
+      }
+
+      withdrawal.holdTransaction = transaction._id;
+      await withdrawal.save({ session });
+
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+      if (error.hasErrorLabel?.('TransientTransactionError')) {
+        throw payoutError('Another withdrawal is being processed, please try again', 409);
+      }
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    return withdrawal;
+  }
+
+  /**
+   * Approve a requested withdrawal and start the transfer
+   * @param {string} withdrawalId - Withdrawal ID
+   * @param {string} adminId - Approving admin
+   */
+  async approveWithdrawal(withdrawalId, adminId) {
+    const withdrawal = await Withdrawal.findOneAndUpdate(
+      { _id: withdrawalId, status: 'requested' },
+      { status: 'approved', approvedBy: adminId, approvedAt: new Date() },
+      { new: true }
+    ).populate('bankAccount');
+
+    if (!withdrawal) {
+      throw payoutError('Withdrawal not found or not awaiting approval', 409);
+    }
+
+    return await this.processWithdrawal(withdrawal);
+  }
+
+  /**
+   * Send an approved withdrawal to the payout provider
+   */
+  async processWithdrawal(withdrawal) {
+    const provider = getPayoutProvider(withdrawal.payoutProvider);
+
+    let result;
+    try {
+      result = await provider.initiateTransfer({
+        amount: withdrawal.amount,
+        currency: withdrawal.currency,
+        recipientCode: withdrawal.bankAccount.recipientCode,
+        accountNumber: withdrawal.bankAccount.accountNumber,
+        reference: withdrawal.reference,
+        reason: 'Connectify provider payout'
+      });
+    } catch (error) {
+      console.error(`Payout transfer failed for withdrawal ${withdrawal._id}:`, error.message);
+      return await this.markFailed(withdrawal._id, `Transfer could not be initiated: ${error.message}`);
+    }
+
+    await Withdrawal.updateOne(
+      { _id: withdrawal._id },
+      { status: 'processing', processedAt: new Date(), providerReference: result.providerReference }
+    );
+
+    if (result.status === 'paid') {
+      return await this.markPaid(withdrawal._id);
+    }
+    if (result.status === 'failed') {
+      return await this.markFailed(withdrawal._id, result.failureReason || 'Transfer failed');
+    }
+
+    return await Withdrawal.findById(withdrawal._id);
+  }
+
+  /**
+   * Check a processing withdrawal with the payout provider and settle it
+   * @param {string} withdrawalId - Withdrawal ID
+   */
+  async syncWithdrawal(withdrawalId) {
+    const withdrawal = await Withdrawal.findById(withdrawalId);
+    if (!withdrawal) {
+      throw payoutError('Withdrawal not found', 404);
+    }
+    if (withdrawal.status !== 'processing') {
+      return withdrawal;
+    }
+
+    const provider = getPayoutProvider(withdrawal.payoutProvider);
+    const result = await provider.getTransferStatus(withdrawal.providerReference);
+
+    if (result.status === 'paid') {
+      return await this.markPaid(withdrawal._id);
+    }
+    if (result.status === 'failed') {
+      return await this.markFailed(withdrawal._id, result.failureReason || 'Transfer failed');
+    }
+    return withdrawal;
+  }
+
+  /**
+   * Withdrawal reached the bank: settle the hold against platform cash
+   */
+  async markPaid(withdrawalId) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    let withdrawal;
+    try {
+      withdrawal = await Withdrawal.findOneAndUpdate(
+        { _id: withdrawalId, status: 'processing' },
+        { status: 'paid', paidAt: new Date() },
+        { new: true, session }
+      );
+
+      if (!withdrawal) {
+        await session.abortTransaction();
+        return await Withdrawal.findById(withdrawalId);
+      }
+
+      await WalletTransaction.updateOne(
+        { _id: withdrawal.holdTransaction },
+        { status: 'completed' },
+        { session }
+      );
+
+      await ledgerService.post({
+        reference: `${withdrawal.reference}_PAID`,
+        type: 'withdrawal',
+        description: `Payout ${withdrawal.reference} sent to bank`,
+        currency: withdrawal.currency,
+        lines: [
+          { account: ledgerService.ACCOUNTS.PAYOUTS, debit: withdrawal.amount },
+          { account: ledgerService.ACCOUNTS.CASH, credit: withdrawal.amount }
+        ],
+        metadata: { withdrawalId: withdrawal._id }
+      }, session);
+
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    await this.notify(withdrawal, 'Withdrawal Paid',
+      `Your withdrawal of ${formatAmount(withdrawal.amount, withdrawal.currency)} has been sent to your bank account.`);
+
+    return withdrawal;
+  }
+
+  /**
+   * Withdrawal failed or was rejected: return the held funds to the wallet
+   * @param {string} withdrawalId - Withdrawal ID
+   * @param {string} reason - Failure reason
+   */
+  async markFailed(withdrawalId, reason) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    let withdrawal;
+    try {
+      withdrawal = await Withdrawal.findOneAndUpdate(
+        { _id: withdrawalId, status: { $in: ['requested', 'approved', 'processing'] } },
+        { status: 'failed', failedAt: new Date(), failureReason: reason },
+        { new: true, session }
+      );
+
+      if (!withdrawal) {
+        throw payoutError('Withdrawal not found or already settled', 409);
+      }
+
+      await WalletTransaction.updateOne(
+        { _id: withdrawal.holdTransaction },
+        { status: 'failed' },
+        { session }
+      );
+
+      await walletService.credit({
+        userId: withdrawal.user,
+        amount: withdrawal.amount,
+        currency: withdrawal.currency,
+        description: `Withdrawal ${withdrawal.reference} returned: ${reason}`,
+        reference: `${withdrawal.reference}_RET`,
+        status: 'completed',
+        metadata: { withdrawalId: withdrawal._id },
+        counterAccount: ledgerService.ACCOUNTS.PAYOUTS,
+        entryType: 'withdrawal'
+      }, session);
+
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    await this.notify(withdrawal, 'Withdrawal Failed',
+      `Your withdrawal of ${formatAmount(withdrawal.amount, withdrawal.currency)} could not be completed and has been returned to your wallet. Reason: ${reason}`);
+
+    return withdrawal;
+  }
+
+  async notify(withdrawal, title, message) {
+    try {
+      await Notification.create({
+        user: withdrawal.user,
+        title,
+        message: message.slice(0, 500),
+        type: 'payment'
+      });
+    } catch (error) {
+      console.error('Withdrawal notification error:', error);
+    }
+  }
+}
+
+module.exports = new PayoutService();
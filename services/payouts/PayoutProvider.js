@@ -0,0 +1,42 @@
+// services/payouts/PayoutProvider.js
+
+/**
+ * Payout Provider interface
+ * Adapters for bank transfer providers (Paystack, Flutterwave, ...) extend this
+ * class and implement every method. Statuses returned by adapters are one of
+ * 'processing', 'paid' or 'failed'.
+ */
+class PayoutProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Register a bank account as a transfer recipient
+   * @param {Object} bankAccount - { bankCode, accountNumber, accountName, currency }
+   * @returns {Promise<Object>} { recipientCode, accountName }
+   */
+  async createRecipient(bankAccount) {
+    throw new Error(`${this.name}: createRecipient not implemented`);
+  }
+
+  /**
+   * Start a transfer to a recipient
+   * @param {Object} params - { amount, currency, recipientCode, reference, reason }
+   * @returns {Promise<Object>} { providerReference, status, failureReason }
+   */
+  async initiateTransfer(params) {
+    throw new Error(`${this.name}: initiateTransfer not implemented`);
+  }
+
+  /**
+   * Look up the current status of a transfer
+   * @param {string} providerReference - Transfer ID returned by initiateTransfer
+   * @returns {Promise<Object>} { status, failureReason }
+   */
+  async getTransferStatus(providerReference) {
+    throw new Error(`${this.name}: getTransferStatus not implemented`);
+  }
+}
+
+module.exports = PayoutProvider;
@@ -0,0 +1,29 @@
+// services/payouts/index.js
+const MockPayoutProvider = require('./mockPayoutProvider');
+
+// Registered payout adapters, keyed by PAYOUT_PROVIDER value
+const providers = {
+  mock: MockPayoutProvider
+};
+
+const instances = {};
+
+/**
+ * Get the configured payout provider (PAYOUT_PROVIDER, defaults to the mock)
+ * @param {string} name - Optional provider name override
+ */
+const getPayoutProvider = (name = process.env.PAYOUT_PROVIDER || 'mock') => {
+  const Provider = providers[name];
+  if (!Provider) {
+    throw new Error(`Unknown payout provider: ${name}`);
+  }
+
+  if (!instances[name]) {
+    instances[name] = new Provider();
+  }
+  return instances[name];
+};
+
+module.exports = {
+  getPayoutProvider
+};
@@ -0,0 +1,60 @@
+// services/payouts/mockPayoutProvider.js
+const crypto = require('crypto');
+const PayoutProvider = require('./PayoutProvider');
+
+/**
+ * Mock Payout Provider
+ * Local stand-in for a real transfer provider. Transfers start as
+ * 'processing' and are reported 'paid' on the next status check.
+ * Account numbers ending in "0000" fail, to exercise the failure path.
+ */
+class MockPayoutProvider extends PayoutProvider {
+  constructor() {
+    super('mock');
+    this.transfers = new Map();
+  }
+
+  async createRecipient(bankAccount) {
+    return {
+      recipientCode: `RCP_mock_${crypto.randomBytes(6).toString('hex')}`,
+      accountName: bankAccount.accountName || `Account ${bankAccount.accountNumber.slice(-4)}`
+    };
+  }
+
+  async initiateTransfer({ amount, currency, recipientCode, reference, accountNumber }) {
+    const providerReference = `TRF_mock_${crypto.randomBytes(6).toString('hex')}`;
+    const fails = accountNumber && accountNumber.endsWith('0000');
+
+    this.transfers.set(providerReference, {
+      amount,
+      currency,
+      recipientCode,
+      reference,
+      status: fails ? 'failed' : 'processing'
+    });
+
+    return fails
+      ? { providerReference, status: 'failed', failureReason: 'Mock transfer declined' }
+      : { providerReference, status: 'processing' };
+  }
+
+  async getTransferStatus(providerReference) {
+    const transfer = this.transfers.get(providerReference);
+
+    // Unknown transfers (e.g. after a restart) are treated as settled
+    if (!transfer) {
+      return { status: 'paid' };
+    }
+
+    if (transfer.status === 'processing') {
+      transfer.status = 'paid';
+    }
+
+    return {
+      status: transfer.status,
+      failureReason: transfer.status === 'failed' ? 'Mock transfer declined' : undefined
+    };
+  }
+}
+
+module.exports = MockPayoutProvider;
@@ -0,0 +1,379 @@
+// services/quoteService.js
+const mongoose = require('mongoose');
+const Quote = require('../models/Quote');
+const Booking = require('../models/Booking');
+const Service = require('../models/Service');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const Notification = require('../models/Notification');
+const availabilityService = require('./availabilityService');
+const cloudStorageService = require('./cloudStorageService');
+
+// How long a priced quote stays open unless the provider sets its own expiry
+const QUOTE_EXPIRY_DAYS = parseInt(process.env.QUOTE_EXPIRY_DAYS) || 7;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const quoteError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Quote Service
+ * Request-for-price flow for negotiable services: the customer describes the
+ * job, the provider answers with a priced quote, and accepting the quote turns
+ * it into a Booking for the agreed amount. Every step is posted as a 'quote'
+ * message in the customer/provider conversation for the service.
+ */
+class QuoteService {
+  /**
+   * Request a quote for a negotiable service
+   * @param {Object} customer - Requesting user
+   * @param {string} serviceId - Service to quote
+   * @param {Object} request - { description, preferredDate, preferredTime, address }
+   * @param {Array} files - Uploaded photos (multer memory files)
+   * @returns {Promise<Object>} { quote, message }
+   */
+  async requestQuote(customer, serviceId, { description, preferredDate, preferredTime, address }, files = []) {
+    const service = await Service.findById(serviceId);
+    if (!service || !service.isActive) {
+      throw quoteError('Service not found or inactive', 404);
+    }
+    if (service.priceType !== 'negotiable') {
+      throw quoteError('Quotes are only available for negotiable services');
+    }
+    if (service.provider.toString() === customer._id.toString()) {
+      throw quoteError('Cannot request a quote for your own service');
+    }
+
+    let photos = [];
+    if (files.length > 0) {
+      if (!cloudStorageService.isConfigured()) {
+        throw quoteError('Cloud storage is not configured', 500);
+      }
+      const results = await Promise.all(files.map((file, index) =>
+        cloudStorageService.uploadFile(file.buffer, 'connectify/quotes', {
+          public_id: `quote_${customer._id}_${Date.now()}_${index}`,
+          transformation: [
+            { width: 1200, height: 900, crop: 'limit' },
+            { quality: 'auto', fetch_format: 'auto' }
+          ]
+        })
+      ));
+      photos = results.map(result => ({ url: result.secure_url, publicId: result.public_id }));
+    }
+
+    const conversation = await this.getConversation(customer._id, service.provider, service._id);
+
+    const quote = await Quote.create({
+      service: service._id,
+      customer: customer._id,
+      provider: service.provider,
+      conversation: conversation._id,
+      description,
+      photos,
+      preferredDate,
+      preferredTime,
+      address,
+      currency: service.currency || 'NGN'
+    });
+
+    const message = await this.postMessage(quote, customer._id, service.provider,
+      `Quote requested for "${service.name}": ${description}`);
+
+    await this.notify(service.provider, quote, 'New Quote Request',
+      `${customer.name} has requested a quote for "${service.name}".`);
+
+    return { quote, message };
+  }
+
+  /**
+   * Price a quote request (or revise a quote that hasn't been accepted)
+   * @param {string} quoteId - Quote to price
+   * @param {Object} provider - Quoting provider
+   * @param {Object} params - { lineItems: [{ description, quantity, unitPrice }], duration, note, expiresAt }
+   * @returns {Promise<Object>} { quote, message }
+   */
+  async submitQuote(quoteId, provider, { lineItems, duration, note, expiresAt }) {
+    const quote = await this.getQuoteFor(quoteId, provider, 'provider');
+
+    if (!['requested', 'quoted'].includes(quote.status)) {
+      throw quoteError(`A ${quote.status} quote cannot be priced`, 409);
+    }
+    if (!Array.isArray(lineItems) || lineItems.length === 0) {
+      throw quoteError('A quote needs at least one line item');
+    }
+
+    const items = lineItems.map(({ description, quantity = 1, unitPrice }) => ({
+      description,
+      quantity,
+      unitPrice,
+      amount: roundAmount(quantity * unitPrice)
+    }));
+    const totalAmount = roundAmount(items.reduce((sum, item) => sum + item.amount, 0));
+    if (!(totalAmount > 0)) {
+      throw quoteError('Quote total must be greater than 0');
+    }
+
+    const expiry = expiresAt
+      ? new Date(expiresAt)
+      : new Date(Date.now() + QUOTE_EXPIRY_DAYS * 24 * 60 * 60 * 1000);
+    if (expiry <= new Date()) {
+      throw quoteError('Quote expiry must be in the future');
+    }
+
+    const revised = quote.status === 'quoted';
+    const updated = await Quote.findOneAndUpdate(
+      { _id: quote._id, status: quote.status },
+      {
+        lineItems: items,
+        totalAmount,
+        duration,
+        providerNote: note,
+        expiresAt: expiry,
+        status: 'quoted',
+        quotedAt: new Date()
+      },
+      { new: true, runValidators: true }
+    );
+    if (!updated) {
+      throw quoteError('Quote status changed, please retry', 409);
+    }
+
+    const amountText = `${updated.currency} ${totalAmount.toLocaleString()}`;
+    const message = await this.postMessage(updated, provider._id, updated.customer,
+      `${revised ? 'Revised quote' : 'Quote'}: ${amountText}, valid until ${expiry.toDateString()}`);
+
+    await this.notify(updated.customer, updated, revised ? 'Quote Revised' : 'Quote Received',
+      `${provider.name} has quoted ${amountText} for your request.`);
+
+    return { quote: updated, message };
+  }
+
+  /**
+   * Accept a quote and turn it into a booking for the quoted amount
+   * @param {string} quoteId - Quote to accept
+   * @param {Object} customer - Accepting customer
+   * @param {Object} params - { date, time, address, notes } (date/time default to the request's preferences)
+   * @returns {Promise<Object>} { quote, booking, message }
+   */
+  async acceptQuote(quoteId, customer, { date, time, address, notes } = {}) {
+    const quote = await this.getQuoteFor(quoteId, customer, 'customer');
+    await this.expireIfStale(quote);
+
+    if (quote.status !== 'quoted') {
+      throw quoteError(`A ${quote.status} quote cannot be accepted`, 409);
+    }
+
+    const bookingDate = date || quote.preferredDate;
+    const bookingTime = time || quote.preferredTime;
+    if (!bookingDate || !bookingTime) {
+      throw quoteError('Date and time are required to book this quote');
+    }
+
+    const service = await Service.findById(quote.service);
+    if (!service || !service.isActive) {
+      throw quoteError('Service not found or inactive', 404);
+    }
+
+    const booking = new Booking({
+      customer: quote.customer,
+      provider: quote.provider,
+      service: quote.service,
+      quote: quote._id,
+      date: new Date(bookingDate),
+      time: bookingTime,
+      duration: quote.duration || service.duration,
+      notes: notes || quote.description,
+      address: address || quote.address,
+      totalAmount: quote.totalAmount,
+      currency: quote.currency
+    });
+
+    // Create the booking, reserve its slots and close the quote together
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    let accepted;
+    try {
+      await booking.save({ session });
+      await availabilityService.reserveSlots(booking, session);
+
+      accepted = await Quote.findOneAndUpdate(
+        { _id: quote._id, status: 'quoted', expiresAt: { $gt: new Date() } },
+        { status: 'accepted', booking: booking._id, acceptedAt: new Date() },
+        { new: true, session }
+      );
+      if (!accepted) {
+        throw quoteError('Quote is no longer open', 409);
+      }
+
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    const message = await this.postMessage(accepted, customer._id, accepted.provider,
+      `Quote accepted: booked for ${booking.date.toDateString()} at ${booking.time}`);
+
+    await this.notify(accepted.provider, accepted, 'Quote Accepted',
+      `${customer.name} accepted your quote for "${service.name}" and booked ${booking.date.toDateString()} at ${booking.time}.`,
+      booking._id);
+
+    return { quote: accepted, booking, message };
+  }
+
+  /**
+   * Decline a quote: the customer declines a priced quote, or the provider
+   * declines a request they won't price
+   * @returns {Promise<Object>} { quote, message }
+   */
+  async declineQuote(quoteId, user, { reason } = {}) {
+    const quote = await this.getQuoteFor(quoteId, user);
+    const isProvider = quote.provider.toString() === user._id.toString();
+
+    const openStatuses = isProvider ? ['requested', 'quoted'] : ['quoted'];
+    if (!openStatuses.includes(quote.status)) {
+      throw quoteError(`A ${quote.status} quote cannot be declined`, 409);
+    }
+
+    const declined = await Quote.findOneAndUpdate(
+      { _id: quote._id, status: quote.status },
+      { status: 'declined', declinedBy: user._id, declineReason: reason, declinedAt: new Date() },
+      { new: true }
+    );
+    if (!declined) {
+      throw quoteError('Quote status changed, please retry', 409);
+    }
+
+    const recipient = isProvider ? declined.customer : declined.provider;
+    const message = await this.postMessage(declined, user._id, recipient,
+      `Quote declined${reason ? `: ${reason}` : ''}`);
+
+    await this.notify(recipient, declined, 'Quote Declined',
+      `${user.name} declined the quote${reason ? `: ${reason}` : '.'}`);
+
+    return { quote: declined, message };
+  }
+
+  /**
+   * Quotes where the user is the customer or provider, newest first
+   */
+  async listQuotes(user, { role = 'customer', status, page = 1, limit = 10 } = {}) {
+    const query = role === 'provider' ? { provider: user._id } : { customer: user._id };
+
+    // Close priced quotes past their expiry before listing them
+    await Quote.updateMany(
+      { ...query, status: 'quoted', expiresAt: { $lte: new Date() } },
+      { status: 'expired' }
+    );
+
+    if (status) {
+      query.status = status;
+    }
+
+    const [quotes, total] = await Promise.all([
+      Quote.find(query)
+        .populate('service', 'name images priceType')
+        .populate('customer', 'name profile.avatar')
+        .populate('provider', 'name profile.avatar')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Quote.countDocuments(query)
+    ]);
+
+    return {
+      quotes,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+
+  /**
+   * Load a quote the user is party to
+   * @param {string} role - Required role ('customer' or 'provider'); any party if omitted
+   */
+  async getQuoteFor(quoteId, user, role) {
+    const quote = await Quote.findById(quoteId);
+    if (!quote) {
+      throw quoteError('Quote not found', 404);
+    }
+
+    const isCustomer = quote.customer.toString() === user._id.toString();
+    const isProvider = quote.provider.toString() === user._id.toString();
+    const allowed = role === 'customer' ? isCustomer : role === 'provider' ? isProvider : isCustomer || isProvider;
+    if (!allowed && !(user.role === 'admin' && !role)) {
+      throw quoteError(role ? `Only the ${role} can do this` : 'Access denied', 403);
+    }
+    return quote;
+  }
+
+  async expireIfStale(quote) {
+    if (quote.status === 'quoted' && quote.expiresAt <= new Date()) {
+      quote.status = 'expired';
+      await Quote.updateOne({ _id: quote._id, status: 'quoted' }, { status: 'expired' });
+    }
+    return quote;
+  }
+
+  /**
+   * Conversation between customer and provider about a service, created if missing
+   */
+  async getConversation(customerId, providerId, serviceId) {
+    const existing = await Conversation.findOne({
+      participants: { $all: [customerId, providerId] },
+      service: serviceId,
+      booking: null
+    });
+    if (existing) return existing;
+
+    return await Conversation.create({
+      participants: [customerId, providerId],
+      service: serviceId,
+      booking: null
+    });
+  }
+
+  async postMessage(quote, senderId, recipientId, content) {
+    const message = await Message.create({
+      conversation: quote.conversation,
+      sender: senderId,
+      recipient: recipientId,
+      content: content.length > 1000 ? `${content.slice(0, 997)}...` : content,
+      contentType: 'quote',
+      quote: quote._id
+    });
+
+    await Conversation.findByIdAndUpdate(quote.conversation, {
+      lastMessage: message.content,
+      lastMessageAt: new Date()
+    });
+
+    return message;
+  }
+
+  async notify(userId, quote, title, message, bookingId) {
+    try {
+      await Notification.create({
+        user: userId,
+        title,
+        message,
+        type: 'booking',
+        data: {
+          bookingId,
+          serviceId: quote.service,
+          quoteId: quote._id
+        }
+      });
+    } catch (error) {
+      console.error('Quote notification error:', error);
+    }
+  }
+}
+
+module.exports = new QuoteService();
@@ -11,6 +11,11 @@ class RedisService {
     return this.client;
   }
 
+  // Whether the client is connected and accepting commands
+  isReady() {
+    return Boolean(this.client && this.client.isReady);
+  }
+
   // Get Redis client
   getClient() {
     if (!this.client) {
@@ -139,6 +144,27 @@ class RedisService {
     }
   }
 
+  // Claim an idempotency key; returns false if it is already taken
+  async acquireIdempotencyKey(scope, record, ttl) {
+    const key = `idempotency:${scope}`;
+    const result = await this.client.set(key, JSON.stringify(record), {
+      condition: 'NX',
+      expiration: { type: 'EX', value: ttl }
+    });
+    return result === 'OK';
+  }
+
+  // Get the stored record for an idempotency key
+  async getIdempotencyKey(scope) {
+    const data = await this.client.get(`idempotency:${scope}`);
+    return data ? JSON.parse(data) : null;
+  }
+
+  // Replace the record for an idempotency key (e.g. with the final response)
+  async setIdempotencyKey(scope, record, ttl) {
+    await this.client.setEx(`idempotency:${scope}`, ttl, JSON.stringify(record));
+  }
+
   // Delete cached data
   async deleteCache(key) {
     try {
@@ -0,0 +1,281 @@
+// services/refundService.js
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const WalletTransaction = require('../models/WalletTransaction');
+const walletService = require('./walletService');
+const ledgerService = require('./ledgerService');
+const escrowService = require('./escrowService');
+const cancellationPolicyService = require('./cancellationPolicyService');
+const commissionService = require('./commissionService');
+const bookingItemsService = require('./bookingItemsService');
+const emailService = require('./emailService');
+const { formatAmount } = require('../utils/currency');
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const refundError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Refund Service
+ * Full and partial refunds of paid bookings. Funds still in escrow are
+ * returned directly; funds already released are reversed from the provider.
+ */
+class RefundService {
+  /**
+   * Work out how much to refund
+   * @param {Object} booking - Booking document
+   * @param {Object} options - { amount, percentage }
+   * @returns {Object} { amount, percentage }
+   */
+  resolveRefundAmount(booking, { amount, percentage }) {
+    const refundable = roundAmount(booking.totalAmount - (booking.refundedAmount || 0));
+
+    if (refundable <= 0) {
+      throw refundError('Booking has already been fully refunded');
+    }
+
+    if (amount === undefined && percentage === undefined) {
+      percentage = cancellationPolicyService.wasConfirmed(booking)
+        ? cancellationPolicyService.getRefundPercentage(booking, booking.cancelledAt || new Date())
+        : 100;
+    }
+
+    const refundAmount = amount !== undefined
+      ? roundAmount(amount)
+      : roundAmount(booking.totalAmount * percentage / 100);
+
+    if (refundAmount <= 0) {
+      throw refundError('No refund is due for this booking under the cancellation policy');
+    }
+
+    if (refundAmount > refundable) {
+      throw refundError(`Refund amount exceeds the refundable balance of ${refundable}`);
+    }
+
+    return { amount: refundAmount, percentage: amount !== undefined ? undefined : percentage };
+  }
+
+  /**
+   * Refund a booking
+   * @param {string} bookingId - Booking ID
+   * @param {Object} options
+   * @param {number} options.amount - Exact amount to refund
+   * @param {number} options.percentage - Percentage of the booking total to refund
+   * @param {string} options.reason - Reason for the refund
+   * @param {string} options.refundedBy - User initiating the refund
+   * @returns {Promise<Object>} { booking, refund }
+   */
+  async refundBooking(bookingId, { amount, percentage, reason, refundedBy } = {}) {
+    const booking = await Booking.findById(bookingId);
+
+    if (!booking) {
+      throw refundError('Booking not found', 404);
+    }
+
+    if (!['paid', 'partially_refunded'].includes(booking.paymentStatus)) {
+      throw refundError('Booking has no payment to refund');
+    }
+
+    const resolved = this.resolveRefundAmount(booking, { amount, percentage });
+
+    let refunded;
+    if (booking.escrow?.status === 'held') {
+      refunded = await escrowService.refundFunds(booking._id, {
+        ...resolved,
+        reason,
+        refundedBy
+      });
+    } else {
+      refunded = await this.reverseProviderPayment(booking, { ...resolved, reason, refundedBy });
+    }
+
+    if (!refunded) {
+      throw refundError('Booking payment changed while refunding, please retry', 409);
+    }
+
+    const refund = refunded.refunds[refunded.refunds.length - 1];
+    await this.notifyParties(refunded, refund);
+
+    return { booking: refunded, refund };
+  }
+
+  /**
+   * Move a refund out of the provider's wallet and back to the customer
+   */
+  async reverseProviderPayment(booking, { amount, percentage, reason, refundedBy }) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    let updated;
+
+    try {
+      const reference = `RFD_${booking._id}_${booking.refunds.length + 1}`;
+
+      // Guard on the refunded total so concurrent refunds cannot exceed the booking amount
+      const previousRefunded = booking.refundedAmount || 0;
+      const refundedAmount = roundAmount(previousRefunded + amount);
+      updated = await Booking.findOneAndUpdate(
+        {
+          _id: booking._id,
+          $or: previousRefunded === 0
+            ? [{ refundedAmount: 0 }, { refundedAmount: { $exists: false } }]
+            : [{ refundedAmount: previousRefunded }]
+        },
+        {
+          $set: {
+            refundedAmount,
+            paymentStatus: refundedAmount >= booking.totalAmount ? 'refunded' : 'partially_refunded'
+          },
+          $push: {
+            refunds: { amount, percentage, reason, source: 'provider', reference, refundedBy }
+          }
+        },
+        { new: true, session }
+      ).populate('service', 'name');
+
+      if (!updated) {
+        await session.abortTransaction();
+        return null;
+      }
+
+      const serviceName = updated.service?.name || 'service';
+      const metadata = { bookingId: booking._id, providerId: booking.provider };
+
+      // The platform keeps its fee on the provider's share, so reverse that part from revenue
+      const feePortion = Math.min(
+        commissionService.feeForPortion(booking, amount),
+        booking.commission?.collected || 0
+      );
+      const providerPortion = roundAmount(amount - feePortion);
+
+      // Provider -> escrow, then escrow -> customer, so each leg balances in the ledger
+      let providerTransaction = null;
+      if (providerPortion > 0) {
+        ({ transaction: providerTransaction } = await walletService.debit({
+          userId: booking.provider,
+          amount: providerPortion,
+          currency: booking.currency,
+          description: `Refund reversal for ${serviceName} service (Booking ID: ${booking._id})`,
+          reference: `${reference}_REV`,
+          status: 'refunded',
+          metadata,
+          counterAccount: ledgerService.ACCOUNTS.ESCROW,
+          entryType: 'refund'
+        }, session).catch((error) => {
+          if (error.statusCode === 400) {
+            throw refundError('Provider wallet balance is insufficient to cover this refund');
+          }
+          throw error;
+        }));
+      }
+
+      if (feePortion > 0) {
+        await ledgerService.post({
+          reference: `${reference}_FEE`,
+          type: 'fee',
+          description: `Platform fee reversal for ${serviceName} service (Booking ID: ${booking._id})`,
+          currency: booking.currency,
+          lines: [
+            { account: ledgerService.ACCOUNTS.REVENUE, debit: feePortion },
+            { account: ledgerService.ACCOUNTS.ESCROW, credit: feePortion }
+          ],
+          metadata: { bookingId: booking._id }
+        }, session);
+
+        await Booking.updateOne(
+          { _id: booking._id },
+          { $inc: { 'commission.collected': -feePortion } },
+          { session }
+        );
+      }
+
+      const { transaction: customerTransaction } = await walletService.credit({
+        userId: booking.customer,
+        amount,
+        currency: booking.currency,
+        description: `Refund for ${serviceName} service (Booking ID: ${booking._id})`,
+        reference,
+        status: 'refunded',
+        metadata: { ...metadata, relatedTransactionId: providerTransaction?._id },
+        counterAccount: ledgerService.ACCOUNTS.ESCROW,
+        entryType: 'refund'
+      }, session);
+
+      if (providerTransaction) {
+        await WalletTransaction.updateOne(
+          { _id: providerTransaction._id },
+          { 'metadata.relatedTransactionId': customerTransaction._id },
+          { session }
+        );
+      }
+
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    return updated;
+  }
+
+  /**
+   * Email and notify customer and provider about a refund
+   */
+  async notifyParties(booking, refund) {
+    try {
+      const [customer, provider] = await Promise.all([
+        User.findById(booking.customer).select('name email wallet'),
+        User.findById(booking.provider).select('name email wallet')
+      ]);
+
+      const refundData = {
+        amount: refund.amount,
+        currency: booking.currency,
+        reference: refund.reference,
+        reason: refund.reason,
+        serviceName: bookingItemsService.describe(booking),
+        bookingId: booking._id.toString(),
+        totalAmount: booking.totalAmount,
+        refundedAmount: booking.refundedAmount,
+        fullyRefunded: booking.paymentStatus === 'refunded'
+      };
+
+      await Notification.create({
+        user: booking.customer,
+        title: 'Refund Issued',
+        message: `You have been refunded ${formatAmount(refund.amount, booking.currency)} for ${refundData.serviceName || 'your booking'}.`,
+        type: 'payment',
+        data: { bookingId: booking._id }
+      });
+
+      emailService.sendRefundNotification(
+        { ...refundData, newBalance: walletService.getBalance(customer, booking.currency) },
+        customer.email,
+        customer.name,
+        'customer'
+      ).catch(err => console.error('Failed to send refund email to customer:', err));
+
+      if (refund.source === 'provider') {
+        emailService.sendRefundNotification(
+          { ...refundData, newBalance: walletService.getBalance(provider, booking.currency) },
+          provider.email,
+          provider.name,
+          'provider'
+        ).catch(err => console.error('Failed to send refund email to provider:', err));
+      }
+    } catch (error) {
+      // Don't fail the refund if notifications fail
+      console.error('Refund notification error:', error);
+    }
+  }
+}
+
+module.exports = new RefundService();
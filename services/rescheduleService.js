@@ -0,0 +1,422 @@
+// services/rescheduleService.js
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const User = require('../models/User');
+const RescheduleProposal = require('../models/RescheduleProposal');
+const Notification = require('../models/Notification');
+const availabilityService = require('./availabilityService');
+const bookingStateService = require('./bookingStateService');
+const escrowService = require('./escrowService');
+const emailService = require('./emailService');
+const bookingItemsService = require('./bookingItemsService');
+const waitlistService = require('./waitlistService');
+const { emitBookingEvent } = require('../socketHandlers');
+const { getBookingStart, getBookingSchedule } = require('../utils/bookingTime');
+const { toCalendarDate } = require('../utils/timezone');
+
+// How long the other party has to respond to a proposal
+const EXPIRY_HOURS = parseInt(process.env.RESCHEDULE_PROPOSAL_EXPIRY_HOURS) || 48;
+const MAX_SLOTS = 5;
+
+// Bookings whose time can still be negotiated
+const RESCHEDULABLE_STATUSES = ['pending', 'confirmed', 'rescheduled'];
+
+const rescheduleError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Reschedule Service
+ * Either party proposes one or more alternative slots and the other side
+ * accepts one, declines, or answers with a counter-offer. The booking keeps
+ * its time until a proposal is accepted; unanswered proposals expire.
+ */
+class RescheduleService {
+  constructor() {
+    this.isRunning = false;
+    this.intervalId = null;
+    this.io = null;
+  }
+
+  /**
+   * Start the expiry sweep
+   * Runs every 15 minutes to expire unanswered proposals
+   * @param {Object} io - Socket.IO server used for real-time events
+   */
+  start(io) {
+    this.io = io;
+
+    if (this.isRunning) {
+      console.log('⚠️  Reschedule service is already running');
+      return;
+    }
+
+    console.log('🔁 Starting reschedule proposal service...');
+    this.isRunning = true;
+
+    this.expireStaleProposals();
+
+    this.intervalId = setInterval(() => {
+      this.expireStaleProposals();
+    }, 15 * 60 * 1000); // 15 minutes
+
+    console.log(`✅ Reschedule service started (proposals expire after ${EXPIRY_HOURS}h)`);
+  }
+
+  /**
+   * Stop the expiry sweep
+   */
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+      this.isRunning = false;
+      console.log('🛑 Reschedule service stopped');
+    }
+  }
+
+  /**
+   * Proposals for a booking, newest first
+   */
+  async getProposals(bookingId) {
+    return await RescheduleProposal.find({ booking: bookingId })
+      .populate('proposedBy', 'name profile.avatar')
+      .sort({ createdAt: -1 });
+  }
+
+  /**
+   * Propose alternative slots for a booking
+   * If the other party has an open proposal, this is a counter-offer and closes it.
+   * @param {Object} booking - Booking document
+   * @param {Object} user - Proposing user
+   * @param {Object} params - { slots: [{ date, time }], message }
+   * @returns {Promise<Object>} The new proposal
+   */
+  async propose(booking, user, { slots, message }) {
+    const role = bookingStateService.getActorRole(booking, user);
+    if (role !== 'customer' && role !== 'provider') {
+      throw rescheduleError('Only the customer or provider can propose a new time', 403);
+    }
+    if (!RESCHEDULABLE_STATUSES.includes(booking.status)) {
+      throw rescheduleError(`A ${booking.status} booking cannot be rescheduled`, 409);
+    }
+    if (!Array.isArray(slots) || slots.length === 0 || slots.length > MAX_SLOTS) {
+      throw rescheduleError(`Propose between 1 and ${MAX_SLOTS} slots`);
+    }
+
+    const now = new Date();
+    const proposedSlots = slots.map(({ date, time }) => {
+      if (isNaN(new Date(date).getTime())) {
+        throw rescheduleError('Invalid proposed date');
+      }
+      const slot = { date: toCalendarDate(date), time, duration: booking.duration, timezone: booking.timezone };
+      availabilityService.getBookingRange(slot);
+      if (getBookingStart(slot) <= now) {
+        throw rescheduleError('Proposed slots must be in the future');
+      }
+      return { date: slot.date, time };
+    });
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    let proposal;
+    let countered = null;
+    try {
+      const open = await RescheduleProposal.findOne({ booking: booking._id, status: 'pending' }).session(session);
+
+      if (open && open.expiresAt <= now) {
+        open.status = 'expired';
+        await open.save({ session });
+      } else if (open && open.proposedBy.toString() === user._id.toString()) {
+        throw rescheduleError('You already have a reschedule proposal awaiting a response', 409);
+      } else if (open) {
+        open.status = 'countered';
+        open.respondedAt = now;
+        await open.save({ session });
+        countered = open;
+      }
+
+      const expiresAt = new Date(now.getTime() + EXPIRY_HOURS * 60 * 60 * 1000);
+      [proposal] = await RescheduleProposal.create([{
+        booking: booking._id,
+        proposedBy: user._id,
+        proposedByRole: role,
+        recipient: role === 'customer' ? booking.provider : booking.customer,
+        slots: proposedSlots,
+        message,
+        counterOf: countered?._id,
+        expiresAt
+      }], { session });
+
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+      // Another proposal was opened concurrently (unique pending index)
+      if (error.code === 11000) {
+        throw rescheduleError('This booking already has an open reschedule proposal', 409);
+      }
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    await booking.populate('service', 'name');
+    await this.notify(booking, proposal, {
+      event: countered ? 'rescheduleCountered' : 'rescheduleProposed',
+      recipient: proposal.recipient,
+      title: countered ? 'Reschedule Counter-Offer' : 'Reschedule Request',
+      message: `${user.name} has proposed ${proposal.slots.length === 1 ? 'a new time' : `${proposal.slots.length} new times`} for your booking of ${booking.service?.name || 'a service'}.`
+    });
+
+    this.sendProposalEmail(booking, proposal, user, Boolean(countered));
+
+    return proposal;
+  }
+
+  /**
+   * Accept one slot of a proposal; the booking and its slot reservation move to it
+   * @param {Object} booking - Booking document
+   * @param {string} proposalId - Proposal being accepted
+   * @param {Object} user - Responding user (the proposal's recipient)
+   * @param {Object} params - { slotId, message }
+   * @returns {Promise<Object>} { proposal, booking }
+   */
+  async accept(booking, proposalId, user, { slotId, message } = {}) {
+    const proposal = await this.getOpenProposal(booking, proposalId, user);
+
+    const slot = slotId ? proposal.slots.id(slotId) : proposal.slots.length === 1 ? proposal.slots[0] : null;
+    if (!slot) {
+      throw rescheduleError(slotId ? 'Proposed slot not found' : 'Choose one of the proposed slots');
+    }
+    if (!RESCHEDULABLE_STATUSES.includes(booking.status)) {
+      throw rescheduleError(`A ${booking.status} booking cannot be rescheduled`, 409);
+    }
+
+    const moved = { date: slot.date, time: slot.time, duration: booking.duration, timezone: booking.timezone };
+    const set = { date: slot.date, time: slot.time, ...getBookingSchedule(moved) };
+    if (booking.escrow?.status === 'held') {
+      set['escrow.releaseAt'] = escrowService.getAutoReleaseDate(moved);
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    let updatedProposal;
+    let updatedBooking;
+    try {
+      updatedProposal = await RescheduleProposal.findOneAndUpdate(
+        { _id: proposal._id, status: 'pending' },
+        {
+          status: 'accepted',
+          acceptedSlot: slot._id,
+          previousDate: booking.date,
+          previousTime: booking.time,
+          responseMessage: message,
+          respondedAt: new Date()
+        },
+        { new: true, session }
+      );
+      if (!updatedProposal) {
+        throw rescheduleError('Proposal is no longer open', 409);
+      }
+
+      await availabilityService.releaseSlots(booking._id, session);
+      await availabilityService.reserveSlots({ _id: booking._id, provider: booking.provider, ...moved }, session);
+
+      // Guard on the status so a concurrent cancellation wins
+      updatedBooking = await Booking.findOneAndUpdate(
+        { _id: booking._id, status: booking.status },
+        { $set: set },
+        { new: true, session }
+      );
+      if (!updatedBooking) {
+        throw rescheduleError('Booking status changed, please retry', 409);
+      }
+
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    // The booking's old time is free for the provider's waitlist
+    waitlistService.onSlotsFreed(updatedBooking.provider);
+
+    await updatedBooking.populate('service', 'name');
+    await this.notify(updatedBooking, updatedProposal, {
+      event: 'rescheduleAccepted',
+      recipient: updatedProposal.proposedBy,
+      title: 'Reschedule Accepted',
+      message: `${user.name} accepted your proposal. Your booking of ${updatedBooking.service?.name || 'a service'} is now on ${new Date(slot.date).toDateString()} at ${slot.time}.`,
+      extra: { date: slot.date, time: slot.time }
+    });
+    this.sendOutcomeEmail(updatedBooking, updatedProposal, 'accepted', { date: slot.date, time: slot.time, message });
+
+    return { proposal: updatedProposal, booking: updatedBooking };
+  }
+
+  /**
+   * Decline a proposal; the booking keeps its time
+   */
+  async decline(booking, proposalId, user, { message } = {}) {
+    const proposal = await this.getOpenProposal(booking, proposalId, user);
+
+    const updated = await RescheduleProposal.findOneAndUpdate(
+      { _id: proposal._id, status: 'pending' },
+      { status: 'declined', responseMessage: message, respondedAt: new Date() },
+      { new: true }
+    );
+    if (!updated) {
+      throw rescheduleError('Proposal is no longer open', 409);
+    }
+
+    await booking.populate('service', 'name');
+    await this.notify(booking, updated, {
+      event: 'rescheduleDeclined',
+      recipient: updated.proposedBy,
+      title: 'Reschedule Declined',
+      message: `${user.name} declined your proposal for ${booking.service?.name || 'a booking'}. The booking keeps its original time.`
+    });
+    this.sendOutcomeEmail(booking, updated, 'declined', { message });
+
+    return updated;
+  }
+
+  /**
+   * Load a pending proposal the user may respond to
+   * Expired proposals are closed on access rather than waiting for the sweep.
+   */
+  async getOpenProposal(booking, proposalId, user) {
+    const proposal = await RescheduleProposal.findOne({ _id: proposalId, booking: booking._id });
+    if (!proposal) {
+      throw rescheduleError('Reschedule proposal not found', 404);
+    }
+    if (proposal.recipient.toString() !== user._id.toString()) {
+      throw rescheduleError('Only the other party can respond to this proposal', 403);
+    }
+    if (proposal.status !== 'pending') {
+      throw rescheduleError(`Proposal has already been ${proposal.status}`, 409);
+    }
+    if (proposal.expiresAt <= new Date()) {
+      await this.expireProposal(proposal);
+      throw rescheduleError('Proposal has expired', 409);
+    }
+    return proposal;
+  }
+
+  /**
+   * Expire every pending proposal past its window
+   */
+  async expireStaleProposals() {
+    try {
+      const stale = await RescheduleProposal.find({ status: 'pending', expiresAt: { $lte: new Date() } });
+
+      let expired = 0;
+      for (const proposal of stale) {
+        if (await this.expireProposal(proposal)) expired++;
+      }
+
+      if (expired > 0) {
+        console.log(`⌛ Expired ${expired} reschedule proposal(s)`);
+      }
+      return { expired };
+    } catch (error) {
+      console.error('Reschedule expiry sweep error:', error);
+      return { expired: 0 };
+    }
+  }
+
+  async expireProposal(proposal) {
+    const expired = await RescheduleProposal.findOneAndUpdate(
+      { _id: proposal._id, status: 'pending' },
+      { status: 'expired' },
+      { new: true }
+    );
+    if (!expired) return null;
+
+    const booking = await Booking.findById(expired.booking).populate('service', 'name');
+    if (booking) {
+      await this.notify(booking, expired, {
+        event: 'rescheduleExpired',
+        recipient: expired.proposedBy,
+        title: 'Reschedule Proposal Expired',
+        message: `Your reschedule proposal for ${booking.service?.name || 'a booking'} expired without a response. The booking keeps its original time.`
+      });
+      this.sendOutcomeEmail(booking, expired, 'expired');
+    }
+    return expired;
+  }
+
+  /**
+   * In-app notification for one party plus a socket event to both
+   */
+  async notify(booking, proposal, { event, recipient, title, message, extra = {} }) {
+    emitBookingEvent(this.io, booking, event, {
+      proposalId: proposal._id,
+      status: proposal.status,
+      proposedBy: proposal.proposedBy,
+      slots: proposal.slots,
+      expiresAt: proposal.expiresAt,
+      ...extra
+    });
+
+    try {
+      await Notification.create({
+        user: recipient,
+        title,
+        message,
+        type: 'booking',
+        data: {
+          bookingId: booking._id,
+          serviceId: booking.service?._id || booking.service
+        }
+      });
+    } catch (error) {
+      console.error('Reschedule notification error:', error);
+    }
+  }
+
+  async sendProposalEmail(booking, proposal, proposer, isCounter) {
+    try {
+      const recipient = await User.findById(proposal.recipient).select('name email');
+      if (!recipient) return;
+
+      await emailService.sendRescheduleProposal({
+        isCounter,
+        proposerName: proposer.name,
+        serviceName: bookingItemsService.describe(booking),
+        currentDate: booking.date,
+        currentTime: booking.time,
+        slots: proposal.slots,
+        message: proposal.message,
+        expiresAt: proposal.expiresAt
+      }, recipient.email, recipient.name);
+    } catch (error) {
+      console.error('Failed to send reschedule proposal email:', error);
+    }
+  }
+
+  async sendOutcomeEmail(booking, proposal, status, { date, time, message } = {}) {
+    try {
+      const proposer = await User.findById(proposal.proposedBy).select('name email');
+      if (!proposer) return;
+
+      await emailService.sendRescheduleOutcome({
+        bookingId: booking._id,
+        serviceName: bookingItemsService.describe(booking),
+        date,
+        time,
+        message
+      }, status, proposer.email, proposer.name);
+    } catch (error) {
+      console.error(`Failed to send reschedule ${status} email:`, error);
+    }
+  }
+}
+
+module.exports = new RescheduleService();
@@ -0,0 +1,296 @@
+// services/statementService.js
+const mongoose = require('mongoose');
+const PDFDocument = require('pdfkit');
+const WalletTransaction = require('../models/WalletTransaction');
+const LedgerAccount = require('../models/LedgerAccount');
+const JournalEntry = require('../models/JournalEntry');
+const User = require('../models/User');
+const ledgerService = require('./ledgerService');
+const { DEFAULT_TIMEZONE, getZonedParts, addCalendarDays, zonedTimeToUtc, formatInZone } = require('../utils/timezone');
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const statementError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const CSV_COLUMNS = ['Date', 'Reference', 'Description', 'Type', 'Status', 'Amount', 'Balance Effect', 'Balance After', 'Booking ID'];
+
+const csvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  let text = String(value);
+  // Spreadsheets run cells starting with these as formulas; negative amounts are left as numbers
+  if (/^[=+\-@]/.test(text) && !/^-\d+(\.\d+)?$/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Statement Service
+ * Wallet statements for a period. Balances come from the user's wallet
+ * account in the ledger; every WalletTransaction in the period is listed
+ * with the amount it actually moved the balance by (pending and failed
+ * transactions move nothing).
+ */
+class StatementService {
+  /**
+   * Resolve the statement period. Months and date-only dates are calendar
+   * days in the user's timezone.
+   * @param {Object} options - { month: 'YYYY-MM', startDate, endDate }
+   * @param {string} timeZone - The user's IANA timezone
+   * @returns {Object} { start, end } - end is exclusive
+   */
+  resolvePeriod({ month, startDate, endDate }, timeZone = DEFAULT_TIMEZONE) {
+    const monthPeriod = (year, monthIndex) => ({
+      start: zonedTimeToUtc(new Date(Date.UTC(year, monthIndex - 1, 1)), 0, timeZone),
+      end: zonedTimeToUtc(new Date(Date.UTC(year, monthIndex, 1)), 0, timeZone)
+    });
+
+    if (month) {
+      const [year, monthIndex] = month.split('-').map(Number);
+      return monthPeriod(year, monthIndex);
+    }
+
+    if (startDate || endDate) {
+      let start = startDate ? new Date(startDate) : new Date(0);
+      let end = endDate ? new Date(endDate) : new Date();
+
+      if (startDate && DATE_ONLY.test(startDate)) {
+        start = zonedTimeToUtc(start, 0, timeZone);
+      }
+      // A date-only end date includes the whole day
+      if (endDate && DATE_ONLY.test(endDate)) {
+        end = zonedTimeToUtc(addCalendarDays(end, 1), 0, timeZone);
+      }
+
+      if (start >= end) {
+        throw statementError('startDate must be before endDate');
+      }
+      return { start, end };
+    }
+
+    // Default to the current month
+    const now = getZonedParts(new Date(), timeZone);
+    return monthPeriod(now.year, now.month);
+  }
+
+  /**
+   * Build a wallet statement
+   * @param {string} userId - Wallet owner
+   * @param {Object} options
+   * @param {string} options.month - 'YYYY-MM' (takes precedence over startDate/endDate)
+   * @param {string} options.startDate - Inclusive start
+   * @param {string} options.endDate - Inclusive end
+   * @param {string} options.status - Only list transactions with this status
+   * @param {string} options.bookingId - Only list transactions for this booking
+   * @param {string} options.currency - Wallet balance to report (defaults to the primary currency)
+   */
+  async getStatement(userId, { month, startDate, endDate, status, bookingId, currency } = {}) {
+    const user = await User.findById(userId).select('name email role timezone wallet.currency');
+    if (!user) {
+      throw statementError('User not found', 404);
+    }
+
+    currency = currency || user.wallet?.currency || 'NGN';
+    const timeZone = user.timezone || DEFAULT_TIMEZONE;
+    const { start, end } = this.resolvePeriod({ month, startDate, endDate }, timeZone);
+
+    const account = await LedgerAccount.findOne({ code: ledgerService.walletAccount(userId, currency).code });
+
+    // Opening balance and the period's balance movements, from the ledger
+    let openingBalance = 0;
+    let movements = [];
+    if (account) {
+      const [result] = await JournalEntry.aggregate([
+        { $match: { 'lines.account': account._id, createdAt: { $lt: end } } },
+        { $unwind: '$lines' },
+        { $match: { 'lines.account': account._id } },
+        {
+          $project: {
+            createdAt: 1,
+            walletTransactionId: '$metadata.walletTransactionId',
+            amount: { $subtract: ['$lines.credit', '$lines.debit'] }
+          }
+        },
+        {
+          $facet: {
+            opening: [
+              { $match: { createdAt: { $lt: start } } },
+              { $group: { _id: null, amount: { $sum: '$amount' } } }
+            ],
+            period: [
+              { $match: { createdAt: { $gte: start } } },
+              { $sort: { createdAt: 1, _id: 1 } }
+            ]
+          }
+        }
+      ]);
+
+      openingBalance = roundAmount(result.opening[0]?.amount || 0);
+      movements = result.period;
+    }
+
+    // Running balance after each movement
+    const effects = new Map();
+    let balance = openingBalance;
+    let totalCredits = 0;
+    let totalDebits = 0;
+    for (const movement of movements) {
+      balance = roundAmount(balance + movement.amount);
+      if (movement.amount > 0) totalCredits += movement.amount;
+      else totalDebits -= movement.amount;
+
+      if (movement.walletTransactionId) {
+        effects.set(movement.walletTransactionId.toString(), { amount: roundAmount(movement.amount), balanceAfter: balance });
+      }
+    }
+
+    const query = { user: userId, currency, createdAt: { $gte: start, $lt: end } };
+    if (status) query.status = status;
+    if (bookingId) query['metadata.bookingId'] = new mongoose.Types.ObjectId(bookingId);
+
+    const transactions = await WalletTransaction.find(query).sort({ createdAt: 1 }).lean();
+
+    return {
+      account: {
+        userId: user._id,
+        name: user.name,
+        email: user.email,
+        currency,
+        timezone: timeZone
+      },
+      period: { start, end: new Date(end.getTime() - 1) },
+      filters: { status: status || null, bookingId: bookingId || null },
+      openingBalance,
+      closingBalance: balance,
+      totals: {
+        credits: roundAmount(totalCredits),
+        debits: roundAmount(totalDebits),
+        net: roundAmount(totalCredits - totalDebits)
+      },
+      transactions: transactions.map(transaction => {
+        const effect = effects.get(transaction._id.toString());
+        return {
+          id: transaction._id,
+          date: transaction.createdAt,
+          reference: transaction.reference,
+          description: transaction.description,
+          type: transaction.type,
+          status: transaction.status,
+          amount: transaction.amount,
+          balanceEffect: effect ? effect.amount : 0,
+          balanceAfter: effect ? effect.balanceAfter : null,
+          bookingId: transaction.metadata?.bookingId || null
+        };
+      }),
+      generatedAt: new Date()
+    };
+  }
+
+  /**
+   * Render a statement as CSV
+   */
+  toCsv(statement) {
+    const rows = [
+      ['Statement for', statement.account.name],
+      ['Period', statement.period.start.toISOString(), statement.period.end.toISOString()],
+      ['Currency', statement.account.currency],
+      ['Timezone', statement.account.timezone],
+      ['Opening Balance', statement.openingBalance],
+      ['Closing Balance', statement.closingBalance],
+      [],
+      CSV_COLUMNS,
+      ...statement.transactions.map(t => [
+        new Date(t.date).toISOString(),
+        t.reference,
+        t.description,
+        t.type,
+        t.status,
+        t.amount.toFixed(2),
+        t.balanceEffect.toFixed(2),
+        t.balanceAfter === null ? '' : t.balanceAfter.toFixed(2),
+        t.bookingId
+      ])
+    ];
+
+    return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Render a statement as a PDF onto a writable stream
+   * @param {Object} statement - Result of getStatement()
+   * @param {stream.Writable} stream - Destination (e.g. the HTTP response)
+   */
+  writePdf(statement, stream) {
+    const doc = new PDFDocument({ size: 'A4', margin: 40 });
+    doc.pipe(stream);
+
+    const { account, period } = statement;
+    const money = (amount) => `${account.currency} ${Number(amount).toLocaleString('en-NG', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+    const day = (date) => formatInZone(new Date(date), account.timezone).date;
+
+    doc.fontSize(18).text('Connectify Wallet Statement');
+    doc.moveDown(0.5);
+    doc.fontSize(10)
+      .text(`${account.name} <${account.email}>`)
+      .text(`Period: ${day(period.start)} to ${day(period.end)}`)
+      .text(`Generated: ${statement.generatedAt.toISOString()}`);
+    doc.moveDown();
+
+    doc.fontSize(11)
+      .text(`Opening balance: ${money(statement.openingBalance)}`)
+      .text(`Total credits: ${money(statement.totals.credits)}`)
+      .text(`Total debits: ${money(statement.totals.debits)}`)
+      .text(`Closing balance: ${money(statement.closingBalance)}`);
+    doc.moveDown();
+
+    const columns = [
+      { label: 'Date', x: 40, width: 62 },
+      { label: 'Description', x: 104, width: 170 },
+      { label: 'Status', x: 276, width: 55 },
+      { label: 'Amount', x: 333, width: 75, align: 'right' },
+      { label: 'Effect', x: 410, width: 70, align: 'right' },
+      { label: 'Balance', x: 482, width: 73, align: 'right' }
+    ];
+
+    const drawRow = (values, bold = false) => {
+      if (doc.y > doc.page.height - 70) {
+        doc.addPage();
+      }
+      const y = doc.y;
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+
+      let height = 0;
+      columns.forEach((column, index) => {
+        doc.text(values[index], column.x, y, { width: column.width, align: column.align || 'left' });
+        height = Math.max(height, doc.y - y);
+      });
+      doc.x = 40;
+      doc.y = y + height + 4;
+    };
+
+    drawRow(columns.map(c => c.label), true);
+
+    if (statement.transactions.length === 0) {
+      doc.font('Helvetica').fontSize(9).text('No transactions in this period.', 40);
+    }
+
+    for (const t of statement.transactions) {
+      drawRow([
+        day(t.date),
+        `${t.description}\n${t.reference}`,
+        t.status,
+        `${t.type === 'debit' ? '-' : ''}${money(t.amount)}`,
+        money(t.balanceEffect),
+        t.balanceAfter === null ? '-' : money(t.balanceAfter)
+      ]);
+    }
+
+    doc.end();
+  }
+}
+
+module.exports = new StatementService();
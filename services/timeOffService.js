@@ -0,0 +1,446 @@
+// services/timeOffService.js
+const Booking = require('../models/Booking');
+const TimeOff = require('../models/TimeOff');
+const PublicHoliday = require('../models/PublicHoliday');
+const Notification = require('../models/Notification');
+const availabilityTemplateService = require('./availabilityTemplateService');
+const { parseTimeToMinutes, formatMinutes, getBookingStart, getBookingEnd } = require('../utils/bookingTime');
+const { DEFAULT_TIMEZONE, toCalendarDate, addCalendarDays, getCalendarDateInZone, zonedTimeToUtc } = require('../utils/timezone');
+
+// Bookings that haven't started yet and can still be moved
+const UPCOMING_STATUSES = ['pending', 'confirmed', 'rescheduled'];
+const MAX_TIME_OFF_DAYS = 366;
+// How far ahead holiday opt-ins are checked against existing bookings
+const HOLIDAY_LOOKAHEAD_DAYS = 365;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const timeOffError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Calendar days from `start` up to, but not including, `end`
+const eachDay = (start, end) => {
+  const days = [];
+  for (let day = toCalendarDate(start); day < end; day = addCalendarDays(day, 1)) {
+    days.push(day);
+  }
+  return days;
+};
+
+// Every calendar day in a timezone touched by the instants [start, end)
+const eachDayInZone = (start, end, timeZone) => {
+  const days = [];
+  for (let day = getCalendarDateInZone(start, timeZone); zonedTimeToUtc(day, 0, timeZone) < end; day = addCalendarDays(day, 1)) {
+    days.push(day);
+  }
+  return days;
+};
+
+/**
+ * Time Off Service
+ * Provider vacations, partial days off and observed public holidays. Time off
+ * is stored as calendar days (and wall-clock times) in the provider's
+ * timezone and expanded into blocked UTC intervals that availability,
+ * booking and search check against. Upcoming bookings that clash with new time off are flagged
+ * on the booking and their customers are notified.
+ */
+class TimeOffService {
+  /**
+   * Add time off for a date range, optionally only part of each day
+   * @param {Object} provider - Provider user
+   * @param {Object} params - { startDate, endDate, startTime, endTime, reason, note }
+   * @returns {Promise<Object>} { timeOff, conflicts }
+   */
+  async createTimeOff(provider, { startDate, endDate, startTime, endTime, reason, note }) {
+    const start = toCalendarDate(startDate);
+    const end = toCalendarDate(endDate || startDate);
+
+    if (end < start) {
+      throw timeOffError('End date must be on or after the start date');
+    }
+    if ((end - start) / DAY_MS + 1 > MAX_TIME_OFF_DAYS) {
+      throw timeOffError(`Time off cannot be longer than ${MAX_TIME_OFF_DAYS} days`);
+    }
+    if (end < getCalendarDateInZone(new Date(), await availabilityTemplateService.getTimeZone(provider._id))) {
+      throw timeOffError('Time off cannot be entirely in the past');
+    }
+
+    let times = {};
+    if (startTime || endTime) {
+      const from = parseTimeToMinutes(startTime);
+      const to = parseTimeToMinutes(endTime);
+      if (from === null || to === null || to <= from) {
+        throw timeOffError('Partial days need a valid start and end time, with start before end');
+      }
+      times = { startTime: formatMinutes(from), endTime: formatMinutes(to) };
+    }
+
+    const timeOff = await TimeOff.create({
+      provider: provider._id,
+      type: 'time_off',
+      startDate: start,
+      endDate: end,
+      ...times,
+      reason,
+      note
+    });
+
+    const conflicts = await this.flagConflicts(timeOff, provider);
+    return { timeOff, conflicts };
+  }
+
+  /**
+   * Observe the public holidays of a country (and optionally a state)
+   * A provider observes one calendar; saving again replaces it.
+   * @returns {Promise<Object>} { timeOff, conflicts }
+   */
+  async observeHolidays(provider, { country, state }) {
+    const timeOff = await TimeOff.findOneAndUpdate(
+      { provider: provider._id, type: 'public_holidays' },
+      {
+        provider: provider._id,
+        type: 'public_holidays',
+        country,
+        state: state || undefined,
+        reason: 'other',
+        conflictingBookings: []
+      },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    const conflicts = await this.flagConflicts(timeOff, provider);
+    return { timeOff, conflicts };
+  }
+
+  /**
+   * Remove time off; bookings it flagged are cleared
+   */
+  async deleteTimeOff(provider, timeOffId) {
+    const timeOff = await TimeOff.findOneAndDelete({ _id: timeOffId, provider: provider._id });
+    if (!timeOff) {
+      throw timeOffError('Time off not found', 404);
+    }
+
+    await Booking.updateMany(
+      { 'timeOffConflict.timeOff': timeOff._id },
+      { $unset: { timeOffConflict: 1 } }
+    );
+
+    return timeOff;
+  }
+
+  /**
+   * A provider's current and upcoming time off
+   */
+  async listTimeOff(providerId) {
+    const today = getCalendarDateInZone(new Date(), await availabilityTemplateService.getTimeZone(providerId));
+
+    return await TimeOff.find({
+      provider: providerId,
+      $or: [
+        { type: 'public_holidays' },
+        { endDate: { $gte: today } }
+      ]
+    }).sort({ type: 1, startDate: 1 });
+  }
+
+  /**
+   * Blocked intervals of a provider overlapping [start, end)
+   * @param {string} providerId - Provider ID
+   * @param {Date} start
+   * @param {Date} end
+   * @param {mongoose.ClientSession} session - Optional session
+   * @returns {Promise<Array>} [{ start, end, allDay, reason, name, timeOff }]
+   */
+  async getBlocks(providerId, start, end, session = null) {
+    const timeZone = await availabilityTemplateService.getTimeZone(providerId, session);
+    const days = eachDayInZone(start, end, timeZone);
+    if (days.length === 0) return [];
+
+    const entries = await this.findEntries([providerId], days, session);
+    const blocks = await this.expandEntries(entries, days, timeZone, new Map(), session);
+
+    return blocks.filter(block => block.start < end && start < block.end);
+  }
+
+  /**
+   * Blocked intervals of several providers on a set of calendar days, with
+   * one time-off query and one holiday lookup per calendar (for search)
+   * @param {Array} providers - [{ _id, timezone }]
+   * @param {Array} days - Calendar days, in order
+   * @returns {Promise<Map>} Provider ID => blocks
+   */
+  async getBlocksForProviders(providers, days) {
+    const blocksByProvider = new Map(providers.map(provider => [provider._id.toString(), []]));
+    if (providers.length === 0 || days.length === 0) return blocksByProvider;
+
+    const entries = await this.findEntries(providers.map(provider => provider._id), days);
+    const holidayCache = new Map();
+
+    for (const provider of providers) {
+      const own = entries.filter(entry => entry.provider.toString() === provider._id.toString());
+      if (own.length === 0) continue;
+
+      blocksByProvider.set(
+        provider._id.toString(),
+        await this.expandEntries(own, days, provider.timezone || DEFAULT_TIMEZONE, holidayCache)
+      );
+    }
+    return blocksByProvider;
+  }
+
+  /**
+   * Time-off entries of providers that may cover any of the calendar days
+   */
+  async findEntries(providerIds, days, session = null) {
+    return await TimeOff.find({
+      provider: { $in: providerIds },
+      $or: [
+        { type: 'time_off', startDate: { $lte: days[days.length - 1] }, endDate: { $gte: days[0] } },
+        { type: 'public_holidays' }
+      ]
+    }).session(session).lean();
+  }
+
+  /**
+   * Blocked intervals of time-off entries on calendar days in a timezone
+   * @param {Map} holidayCache - Holidays per calendar, shared between providers
+   */
+  async expandEntries(entries, days, timeZone, holidayCache, session = null) {
+    const blocks = [];
+    for (const entry of entries) {
+      if (entry.type === 'public_holidays') {
+        const key = `${entry.country}|${entry.state || ''}`;
+        if (!holidayCache.has(key)) {
+          holidayCache.set(key, await this.getHolidays(entry.country, entry.state, days[0], addCalendarDays(days[days.length - 1], 1), session));
+        }
+        holidayCache.get(key).forEach(holiday => blocks.push({
+          ...this.blockForDay({ reason: 'public_holiday', _id: entry._id }, holiday.date, timeZone),
+          name: holiday.name
+        }));
+        continue;
+      }
+
+      days
+        .filter(day => day >= toCalendarDate(entry.startDate) && day <= toCalendarDate(entry.endDate))
+        .forEach(day => blocks.push(this.blockForDay(entry, day, timeZone)));
+    }
+    return blocks;
+  }
+
+  /**
+   * Blocked UTC interval of a time-off entry on one calendar day
+   * @param {Object} entry - TimeOff (startTime/endTime for partial days)
+   * @param {Date} day - Calendar day
+   * @param {string} timeZone - Provider's timezone
+   */
+  blockForDay(entry, day, timeZone) {
+    const allDay = !entry.startTime;
+    const from = allDay ? 0 : parseTimeToMinutes(entry.startTime);
+
+    return {
+      start: zonedTimeToUtc(day, from, timeZone),
+      end: allDay ? zonedTimeToUtc(addCalendarDays(day, 1), 0, timeZone) : zonedTimeToUtc(day, parseTimeToMinutes(entry.endTime), timeZone),
+      allDay,
+      reason: entry.reason,
+      timeOff: entry._id
+    };
+  }
+
+  /**
+   * First time-off block overlapping [start, end), or null
+   */
+  async findBlock(providerId, start, end, session = null) {
+    const [block] = await this.getBlocks(providerId, start, end, session);
+    return block || null;
+  }
+
+  /**
+   * Public holidays of a country/state between two calendar days
+   * @param {Date} start - First calendar day
+   * @param {Date} end - Calendar day after the last one
+   * @returns {Promise<Array>} [{ date, name }]
+   */
+  async getHolidays(country, state, start, end, session = null) {
+    const days = eachDay(start, end);
+    if (days.length === 0) return [];
+
+    const holidays = await PublicHoliday.find({
+      country: country.toUpperCase(),
+      state: state ? { $in: [null, '', state] } : { $in: [null, ''] },
+      $or: [
+        { date: { $gte: days[0], $lt: end } },
+        { month: { $in: [...new Set(days.map(day => day.getUTCMonth() + 1))] } }
+      ]
+    }).session(session).lean();
+
+    const result = [];
+    for (const day of days) {
+      holidays
+        .filter(holiday => holiday.date
+          ? toCalendarDate(holiday.date).getTime() === day.getTime()
+          : holiday.month === day.getUTCMonth() + 1 && holiday.day === day.getUTCDate())
+        .forEach(holiday => result.push({ date: day, name: holiday.name }));
+    }
+    return result;
+  }
+
+  /**
+   * Flag upcoming bookings that clash with new time off and notify their customers
+   * @returns {Promise<Array>} The flagged bookings
+   */
+  async flagConflicts(timeOff, provider) {
+    const timeZone = await availabilityTemplateService.getTimeZone(provider._id);
+    const today = getCalendarDateInZone(new Date(), timeZone);
+    const windowStart = timeOff.type === 'time_off' && timeOff.startDate > today ? timeOff.startDate : today;
+    const windowEnd = timeOff.type === 'time_off'
+      ? addCalendarDays(timeOff.endDate, 1)
+      : addCalendarDays(today, HOLIDAY_LOOKAHEAD_DAYS);
+
+    if (windowEnd <= windowStart) return [];
+
+    const [blocks, bookings] = await Promise.all([
+      this.getBlocks(provider._id, zonedTimeToUtc(windowStart, 0, timeZone), zonedTimeToUtc(windowEnd, 0, timeZone)),
+      Booking.find({
+        provider: provider._id,
+        status: { $in: UPCOMING_STATUSES },
+        date: { $gte: windowStart, $lt: windowEnd }
+      }).populate('service', 'name')
+    ]);
+
+    const ownBlocks = blocks.filter(block => block.timeOff.toString() === timeOff._id.toString());
+    const conflicts = bookings.filter(booking => {
+      const start = getBookingStart(booking);
+      const end = getBookingEnd(booking);
+      return ownBlocks.some(block => block.start < end && start < block.end);
+    });
+
+    if (conflicts.length === 0) return [];
+
+    const flaggedAt = new Date();
+    await Booking.updateMany(
+      { _id: { $in: conflicts.map(booking => booking._id) } },
+      { timeOffConflict: { timeOff: timeOff._id, flaggedAt } }
+    );
+    await TimeOff.updateOne(
+      { _id: timeOff._id },
+      { $addToSet: { conflictingBookings: { $each: conflicts.map(booking => booking._id) } } }
+    );
+
+    for (const booking of conflicts) {
+      await this.notify(booking.customer, booking, 'Provider Unavailable',
+        `${provider.name} will be unavailable for your ${booking.service?.name || 'service'} booking on ` +
+        `${new Date(booking.date).toDateString()} at ${booking.time}. Please reschedule or cancel it.`);
+    }
+    await this.notify(provider._id, conflicts[0], 'Bookings Affected by Time Off',
+      `${conflicts.length} upcoming booking(s) fall within your time off. Their customers have been asked to reschedule.`);
+
+    return conflicts;
+  }
+
+  /**
+   * Mark availability days and slots covered by time off
+   * Slots also carry their UTC `startAt`/`endAt` alongside the provider's local
+   * times, and `isHeld` while held for a waitlist offer.
+   * @param {string} providerId - Provider ID
+   * @param {Array} days - Availability documents
+   * @returns {Promise<Array>} Plain day objects with `timeZone`, `timeOff` and per-slot `isBlocked`
+   */
+  async annotateDays(providerId, days) {
+    if (days.length === 0) return [];
+
+    const now = new Date();
+    const timeZone = await availabilityTemplateService.getTimeZone(providerId);
+    const dates = days.map(day => toCalendarDate(day.date).getTime());
+    const blocks = await this.getBlocks(
+      providerId,
+      zonedTimeToUtc(new Date(Math.min(...dates)), 0, timeZone),
+      zonedTimeToUtc(addCalendarDays(new Date(Math.max(...dates)), 1), 0, timeZone)
+    );
+
+    return days.map(day => {
+      const result = typeof day.toObject === 'function' ? day.toObject() : { ...day };
+      const date = toCalendarDate(day.date);
+      const dayStart = zonedTimeToUtc(date, 0, timeZone);
+      const dayEnd = zonedTimeToUtc(addCalendarDays(date, 1), 0, timeZone);
+      const dayBlocks = blocks.filter(block => block.start < dayEnd && dayStart < block.end);
+
+      result.timeZone = timeZone;
+      result.slots = result.slots.map(slot => {
+        const startAt = zonedTimeToUtc(date, parseTimeToMinutes(slot.startTime), timeZone);
+        const endAt = zonedTimeToUtc(date, parseTimeToMinutes(slot.endTime), timeZone);
+        return {
+          ...slot,
+          startAt,
+          endAt,
+          isHeld: Boolean(slot.heldBy && slot.heldUntil > now),
+          isBlocked: dayBlocks.some(block => block.start < endAt && startAt < block.end)
+        };
+      });
+      if (dayBlocks.length === 0) return result;
+
+      result.timeOff = dayBlocks.map(({ start, end, allDay, reason, name }) => ({ start, end, allDay, reason, name }));
+      if (result.slots.every(slot => slot.isBlocked)) {
+        result.isAvailable = false;
+      }
+      return result;
+    });
+  }
+
+  /**
+   * Providers who are off for the whole of a day (for search)
+   * @param {Date} date - Calendar day
+   * @returns {Promise<Array>} Provider IDs
+   */
+  async getProvidersOffOn(date) {
+    const day = toCalendarDate(date);
+    const providerIds = new Set();
+
+    const [ranges, holidayOptIns] = await Promise.all([
+      TimeOff.find({
+        type: 'time_off',
+        startDate: { $lte: day },
+        endDate: { $gte: day },
+        startTime: { $in: [null, ''] }
+      }).select('provider').lean(),
+      TimeOff.find({ type: 'public_holidays' }).select('provider country state').lean()
+    ]);
+
+    ranges.forEach(entry => providerIds.add(entry.provider.toString()));
+
+    // One holiday lookup per calendar rather than per provider
+    const calendars = new Map();
+    for (const entry of holidayOptIns) {
+      const key = `${entry.country}|${entry.state || ''}`;
+      if (!calendars.has(key)) {
+        const holidays = await this.getHolidays(entry.country, entry.state, day, addCalendarDays(day, 1));
+        calendars.set(key, holidays.length > 0);
+      }
+      if (calendars.get(key)) providerIds.add(entry.provider.toString());
+    }
+
+    return [...providerIds];
+  }
+
+  async notify(userId, booking, title, message) {
+    try {
+      await Notification.create({
+        user: userId,
+        title,
+        message,
+        type: 'booking',
+        data: {
+          bookingId: booking._id,
+          serviceId: booking.service?._id || booking.service
+        }
+      });
+    } catch (error) {
+      console.error('Time off notification error:', error);
+    }
+  }
+}
+
+module.exports = new TimeOffService();
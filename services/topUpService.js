@@ -0,0 +1,182 @@
+// services/topUpService.js
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const WalletTransaction = require('../models/WalletTransaction');
+const walletService = require('./walletService');
+const currencyService = require('./currencyService');
+const ledgerService = require('./ledgerService');
+const emailService = require('./emailService');
+const { getPaymentGateway } = require('./paymentGateways');
+
+const topUpError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Top-up Service
+ * Wallet funding through a payment gateway. A top-up is recorded as a pending
+ * credit when checkout starts and only reaches the balance once the gateway
+ * confirms it with a signed webhook. Webhooks are idempotent per reference.
+ */
+class TopUpService {
+  /**
+   * Start a gateway checkout for a wallet top-up
+   * @param {Object} user - User document
+   * @param {number} amount - Amount to add
+   * @param {string} currency - Balance to fund (defaults to the primary wallet currency)
+   * @returns {Promise<Object>} { reference, checkoutUrl, gateway, amount, currency, status }
+   */
+  async initiateTopUp(user, amount, currency = user.wallet?.currency || 'NGN') {
+    const gateway = getPaymentGateway();
+    if (!gateway) {
+      throw topUpError('Payment gateway is not configured', 503);
+    }
+
+    currencyService.assertSupported(currency);
+    const reference = `DEP_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+
+    const transaction = await WalletTransaction.create({
+      user: user._id,
+      type: 'credit',
+      amount,
+      currency,
+      description: 'Added funds to wallet',
+      reference,
+      status: 'pending',
+      metadata: { paymentMethod: gateway.name }
+    });
+
+    let checkout;
+    try {
+      checkout = await gateway.initializePayment({
+        amount,
+        currency,
+        email: user.email,
+        reference,
+        callbackUrl: `${process.env.FRONTEND_URL || 'http://localhost:5173'}/wallet?reference=${reference}`
+      });
+    } catch (error) {
+      console.error(`Payment gateway ${gateway.name} failed to start checkout:`, error.message);
+      await WalletTransaction.updateOne({ _id: transaction._id, status: 'pending' }, { status: 'failed' });
+      throw topUpError('Could not start payment with the gateway, please try again', 502);
+    }
+
+    return {
+      reference,
+      checkoutUrl: checkout.checkoutUrl,
+      gateway: gateway.name,
+      amount,
+      currency,
+      status: transaction.status
+    };
+  }
+
+  /**
+   * Status of one of the user's top-ups
+   * @param {string} userId - User ID
+   * @param {string} reference - Top-up reference
+   */
+  async getTopUp(userId, reference) {
+    const transaction = await WalletTransaction.findOne({
+      user: userId,
+      reference,
+      'metadata.paymentMethod': { $exists: true }
+    }).select('reference amount currency status metadata.paymentMethod createdAt updatedAt');
+
+    if (!transaction) {
+      throw topUpError('Top-up not found', 404);
+    }
+
+    return transaction;
+  }
+
+  /**
+   * Handle a payment gateway webhook
+   * @param {string} provider - Gateway name from the webhook URL
+   * @param {Buffer} rawBody - Unparsed request body
+   * @param {Object} headers - Request headers
+   * @param {Object} body - Parsed request body
+   * @returns {Promise<Object>} { status, reference }
+   */
+  async handleWebhook(provider, rawBody, headers, body) {
+    const gateway = getPaymentGateway(provider);
+    if (!gateway) {
+      throw topUpError('Unknown payment gateway', 404);
+    }
+
+    if (!gateway.verifySignature(rawBody, headers)) {
+      throw topUpError('Invalid webhook signature', 401);
+    }
+
+    const event = gateway.parseEvent(body);
+    if (!event) {
+      return { status: 'ignored' };
+    }
+
+    const transaction = await WalletTransaction.findOne({ reference: event.reference });
+    if (!transaction || transaction.metadata?.paymentMethod !== gateway.name) {
+      throw topUpError('Top-up not found', 404);
+    }
+
+    // Gateways retry webhooks; anything already settled is acknowledged as-is
+    if (transaction.status !== 'pending') {
+      return { status: 'duplicate', reference: event.reference };
+    }
+
+    if (event.status === 'failed') {
+      await WalletTransaction.updateOne({ _id: transaction._id, status: 'pending' }, { status: 'failed' });
+      return { status: 'failed', reference: event.reference };
+    }
+
+    if (Math.round(event.amount * 100) !== Math.round(transaction.amount * 100) ||
+      (event.currency && event.currency !== transaction.currency)) {
+      console.error(`Top-up ${event.reference} amount mismatch: expected ${transaction.amount} ${transaction.currency}, got ${event.amount} ${event.currency}`);
+      await WalletTransaction.updateOne({ _id: transaction._id, status: 'pending' }, { status: 'failed' });
+      return { status: 'failed', reference: event.reference };
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    let result;
+    try {
+      result = await walletService.completePending(event.reference, {
+        counterAccount: ledgerService.ACCOUNTS.CASH,
+        entryType: 'topup'
+      }, session);
+
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    // A concurrent delivery of the same webhook settled it first
+    if (!result) {
+      return { status: 'duplicate', reference: event.reference };
+    }
+
+    this.sendConfirmation(result);
+
+    return { status: 'completed', reference: event.reference };
+  }
+
+  sendConfirmation({ user, transaction, previousBalance }) {
+    emailService.sendFundsAddedConfirmation(
+      {
+        amount: transaction.amount,
+        reference: transaction.reference,
+        previousBalance,
+        newBalance: walletService.getBalance(user, transaction.currency)
+      },
+      user.email,
+      user.name
+    ).catch(err => console.error('Failed to send funds added confirmation email:', err));
+  }
+}
+
+module.exports = new TopUpService();
@@ -0,0 +1,231 @@
+// services/transferService.js
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const User = require('../models/User');
+const Booking = require('../models/Booking');
+const WalletTransaction = require('../models/WalletTransaction');
+const walletService = require('./walletService');
+const ledgerService = require('./ledgerService');
+const currencyService = require('./currencyService');
+const disputeService = require('./disputeService');
+const inappService = require('./notification/inappService');
+const { DEFAULT_TIMEZONE, getCalendarDateInZone, zonedTimeToUtc } = require('../utils/timezone');
+
+// Total a user may send to other wallets per day, per currency
+const DAILY_TRANSFER_LIMIT = parseFloat(process.env.TRANSFER_DAILY_LIMIT) || 200000;
+
+const transferError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Transfer Service
+ * Wallet-to-wallet transfers between users, and tips from a customer to the
+ * provider of a completed booking. Both legs move through the transfers
+ * clearing account in a single transaction.
+ */
+class TransferService {
+  getLimits() {
+    return { dailyLimit: DAILY_TRANSFER_LIMIT };
+  }
+
+  /**
+   * Sum of the user's outgoing transfers in a currency since midnight in their timezone
+   * @param {Object} user - Sending user document
+   */
+  async getSentToday(user, currency, session = null) {
+    const timeZone = user.timezone || DEFAULT_TIMEZONE;
+    const startOfDay = zonedTimeToUtc(getCalendarDateInZone(new Date(), timeZone), 0, timeZone);
+
+    const [result] = await WalletTransaction.aggregate([
+      {
+        $match: {
+          user: new mongoose.Types.ObjectId(user._id),
+          type: 'debit',
+          currency,
+          'metadata.transferType': { $exists: true },
+          createdAt: { $gte: startOfDay }
+        }
+      },
+      { $group: { _id: null, total: { $sum: '$amount' } } }
+    ]).session(session);
+
+    return result ? result.total : 0;
+  }
+
+  /**
+   * Send money from one wallet to another
+   * @param {Object} sender - Sending user document
+   * @param {Object} params
+   * @param {string} params.type - 'transfer' or 'tip'
+   * @param {string} params.recipientId - Receiving user (transfers)
+   * @param {string} params.bookingId - Completed booking being tipped (tips)
+   * @param {number} params.amount - Amount to send
+   * @param {string} params.currency - Defaults to the booking currency for tips, else the sender's primary currency
+   * @param {string} params.note - Optional message to the recipient
+   * @returns {Promise<Object>} { reference, type, amount, currency, recipient, booking }
+   */
+  async transfer(sender, { type = 'transfer', recipientId, bookingId, amount, currency, note }) {
+    let booking = null;
+
+    if (type === 'tip') {
+      booking = await Booking.findById(bookingId).populate('service', 'name');
+      if (!booking) {
+        throw transferError('Booking not found', 404);
+      }
+      if (booking.customer.toString() !== sender._id.toString()) {
+        throw transferError('Only the customer of this booking can leave a tip', 403);
+      }
+      if (booking.status !== 'completed') {
+        throw transferError('Tips can only be given for completed bookings');
+      }
+      if (recipientId && recipientId !== booking.provider.toString()) {
+        throw transferError('Tips go to the provider of the booking');
+      }
+      recipientId = booking.provider.toString();
+      currency = currency || booking.currency;
+    }
+
+    if (!recipientId) {
+      throw transferError('Recipient is required');
+    }
+    if (recipientId === sender._id.toString()) {
+      throw transferError('You cannot transfer to your own wallet');
+    }
+
+    const recipient = await User.findById(recipientId).select('name email isActive fcmToken');
+    if (!recipient || !recipient.isActive) {
+      throw transferError('Recipient not found', 404);
+    }
+
+    currency = currency || sender.wallet?.currency || 'NGN';
+    currencyService.assertSupported(currency);
+
+    const reference = `TRF_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+    const isTip = type === 'tip';
+    const label = isTip
+      ? `Tip for ${booking.service?.name || 'service'} (Booking ID: ${booking._id})`
+      : 'Wallet transfer';
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      const sentToday = await this.getSentToday(sender, currency, session);
+      if (sentToday + amount > DAILY_TRANSFER_LIMIT) {
+        const remaining = Math.max(DAILY_TRANSFER_LIMIT - sentToday, 0);
+        throw transferError(`Daily transfer limit exceeded. You can send up to ${currency} ${remaining.toLocaleString()} more today.`);
+      }
+
+      // Earnings from bookings under dispute can't leave the wallet until it is settled
+      const frozen = await disputeService.getFrozenAmount(sender._id, currency, session);
+      if (frozen > 0) {
+        const wallet = await User.findById(sender._id).select('wallet').session(session);
+        if (walletService.getBalance(wallet, currency) - amount < frozen) {
+          throw transferError(`${currency} ${frozen.toLocaleString()} of your balance is frozen by open disputes and can't be transferred yet`);
+        }
+      }
+
+      const metadata = {
+        transferType: type,
+        bookingId: booking?._id,
+        providerId: booking?.provider,
+        note
+      };
+
+      const { transaction: outgoing } = await walletService.debit({
+        userId: sender._id,
+        amount,
+        currency,
+        description: `${label} to ${recipient.name}`,
+        reference,
+        metadata: { ...metadata, counterpartyId: recipient._id },
+        counterAccount: ledgerService.ACCOUNTS.TRANSFERS,
+        entryType: 'transfer'
+      }, session);
+
+      const { transaction: incoming } = await walletService.credit({
+        userId: recipient._id,
+        amount,
+        currency,
+        description: `${label} from ${sender.name}`,
+        reference: `${reference}_IN`,
+        metadata: { ...metadata, counterpartyId: sender._id, relatedTransactionId: outgoing._id },
+        counterAccount: ledgerService.ACCOUNTS.TRANSFERS,
+        entryType: 'transfer'
+      }, session);
+
+      await WalletTransaction.updateOne(
+        { _id: outgoing._id },
+        { 'metadata.relatedTransactionId': incoming._id },
+        { session }
+      );
+
+      if (isTip) {
+        await User.updateOne(
+          { _id: recipient._id },
+          {
+            $inc: { 'tips.count': 1, [`tips.totals.${currency}`]: amount },
+            $set: { 'tips.lastTipAt': new Date() }
+          },
+          { session }
+        );
+
+        // Only record tips in the booking's own currency against the booking total
+        if (currency === booking.currency) {
+          await Booking.updateOne({ _id: booking._id }, { $inc: { tipAmount: amount } }, { session });
+        }
+      }
+
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+      // A concurrent transfer from the same wallet committed first
+      if (error.hasErrorLabel?.('TransientTransactionError')) {
+        throw transferError('Another transfer is being processed, please try again', 409);
+      }
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    await this.notifyRecipient(recipient, sender, { type, amount, currency, note, reference, booking });
+
+    return {
+      reference,
+      type,
+      amount,
+      currency,
+      recipient: { _id: recipient._id, name: recipient.name },
+      booking: booking?._id || null
+    };
+  }
+
+  async notifyRecipient(recipient, sender, { type, amount, currency, note, reference, booking }) {
+    const title = type === 'tip' ? 'You received a tip' : 'Money received';
+    const message = type === 'tip'
+      ? `${sender.name} tipped you ${currency} ${amount.toLocaleString()} for ${booking.service?.name || 'a completed booking'}.`
+      : `${sender.name} sent you ${currency} ${amount.toLocaleString()}.`;
+
+    try {
+      await inappService.sendInApp({
+        userId: recipient._id,
+        title,
+        body: (note ? `${message} "${note}"` : message).slice(0, 500),
+        fcmToken: recipient.fcmToken,
+        data: {
+          type: 'payment',
+          reference,
+          ...(booking && { bookingId: booking._id.toString() })
+        }
+      });
+    } catch (error) {
+      // Don't fail the transfer if the notification fails
+      console.error('Transfer notification error:', error);
+    }
+  }
+}
+
+module.exports = new TransferService();
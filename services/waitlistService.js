@@ -0,0 +1,597 @@
+// services/waitlistService.js
+const mongoose = require('mongoose');
+const Availability = require('../models/Availability');
+const Booking = require('../models/Booking');
+const Notification = require('../models/Notification');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const availabilityService = require('./availabilityService');
+const availabilityTemplateService = require('./availabilityTemplateService');
+const availabilitySearchService = require('./availabilitySearchService');
+const timeOffService = require('./timeOffService');
+const bookingItemsService = require('./bookingItemsService');
+const emailService = require('./emailService');
+const inappService = require('./notification/inappService');
+const { parseTimeToMinutes, formatMinutes } = require('../utils/bookingTime');
+const { toCalendarDate, addCalendarDays, getCalendarDateInZone, zonedTimeToUtc } = require('../utils/timezone');
+
+// How long an offered slot is held for the customer
+const HOLD_MINUTES = parseInt(process.env.WAITLIST_HOLD_MINUTES) || 30;
+const MAX_RANGE_DAYS = 31;
+const MAX_OPEN_ENTRIES = 10; // Per customer
+// Unanswered offers before the customer is taken off the waitlist
+const MAX_MISSED_OFFERS = 3;
+
+const OPEN_STATUSES = ['waiting', 'offered'];
+
+const waitlistError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// e.g. "Tue, 21 Oct 2026 at 09:00"
+const describeOffer = (offer) =>
+  `${new Date(offer.date).toLocaleDateString('en-NG', { timeZone: 'UTC', weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' })} at ${offer.time}`;
+
+/**
+ * Waitlist Service
+ * Customers wait for a provider's service over a date range, optionally at
+ * preferred times of day. When slots free up (a cancellation, an unbooked
+ * slot, an expired offer) waiting customers are offered the earliest
+ * opening that suits them, in the order they joined. An offer holds the
+ * slots for HOLD_MINUTES; accepting it books them, and declined or expired
+ * offers pass the slots on to the next customer.
+ */
+class WaitlistService {
+  constructor() {
+    this.isRunning = false;
+    this.intervalId = null;
+  }
+
+  /**
+   * Start the offer expiry sweep
+   * Runs every minute so held slots go back to the waitlist promptly
+   */
+  start() {
+    if (this.isRunning) {
+      console.log('⚠️  Waitlist service is already running');
+      return;
+    }
+
+    console.log('⏳ Starting waitlist service...');
+    this.isRunning = true;
+
+    this.sweep();
+
+    this.intervalId = setInterval(() => {
+      this.sweep();
+    }, 60 * 1000); // 1 minute
+
+    console.log(`✅ Waitlist service started (offers are held for ${HOLD_MINUTES} minutes)`);
+  }
+
+  /**
+   * Stop the offer expiry sweep
+   */
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+      this.isRunning = false;
+      console.log('🛑 Waitlist service stopped');
+    }
+  }
+
+  /**
+   * Join a provider's waitlist for a service
+   * @param {Object} customer - Customer user
+   * @param {Object} params - { service, startDate, endDate, preferredTimes, notes, address }
+   * @returns {Promise<Object>} The entry (already offered a slot if one is open)
+   */
+  async join(customer, { service: serviceId, startDate, endDate, preferredTimes = [], notes, address }) {
+    // Same checks as booking the service directly
+    const { service, duration } = await bookingItemsService.priceItems(customer, [{ service: serviceId }]);
+
+    const timeZone = await availabilityTemplateService.getTimeZone(service.provider);
+    const start = toCalendarDate(startDate);
+    const end = toCalendarDate(endDate || startDate);
+
+    if (end < start) {
+      throw waitlistError('End date must be on or after the start date');
+    }
+    if (end < getCalendarDateInZone(new Date(), timeZone)) {
+      throw waitlistError('The date range is in the past');
+    }
+    if (addCalendarDays(start, MAX_RANGE_DAYS) <= end) {
+      throw waitlistError(`The date range cannot be longer than ${MAX_RANGE_DAYS} days`);
+    }
+
+    const times = preferredTimes.map(({ start: from, end: to }) => {
+      const fromMinutes = parseTimeToMinutes(from);
+      const toMinutes = parseTimeToMinutes(to);
+      if (fromMinutes === null || toMinutes === null || toMinutes <= fromMinutes) {
+        throw waitlistError('Preferred times need a valid start and end, with start before end');
+      }
+      if (toMinutes - fromMinutes < duration) {
+        throw waitlistError(`Preferred times must be at least ${duration} minutes long to fit the service`);
+      }
+      return { start: formatMinutes(fromMinutes), end: formatMinutes(toMinutes) };
+    });
+
+    const [existing, openCount] = await Promise.all([
+      WaitlistEntry.exists({ customer: customer._id, service: service._id, status: { $in: OPEN_STATUSES } }),
+      WaitlistEntry.countDocuments({ customer: customer._id, status: { $in: OPEN_STATUSES } })
+    ]);
+    if (existing) {
+      throw waitlistError('You are already on the waitlist for this service', 409);
+    }
+    if (openCount >= MAX_OPEN_ENTRIES) {
+      throw waitlistError(`You can be on at most ${MAX_OPEN_ENTRIES} waitlists at a time`, 409);
+    }
+
+    const entry = await WaitlistEntry.create({
+      customer: customer._id,
+      provider: service.provider,
+      service: service._id,
+      startDate: start,
+      endDate: end,
+      preferredTimes: times,
+      duration,
+      notes,
+      address
+    });
+
+    await this.notify(service.provider, entry, 'New Waitlist Request',
+      `${customer.name} joined your waitlist for "${service.name}".`);
+
+    // Slots may already be open
+    await this.offerOpenings(service.provider);
+
+    return await WaitlistEntry.findById(entry._id);
+  }
+
+  /**
+   * Waitlist entries where the user is the customer or provider
+   * @param {Object} options - { role, status }
+   */
+  async listEntries(user, { role = 'customer', status } = {}) {
+    const query = role === 'provider' ? { provider: user._id } : { customer: user._id };
+    query.status = status || { $in: OPEN_STATUSES };
+
+    return await WaitlistEntry.find(query)
+      .populate('service', 'name price priceType duration')
+      .populate('customer', 'name profile.avatar')
+      .populate('provider', 'name profile.avatar')
+      .sort(role === 'provider' ? { createdAt: 1 } : { createdAt: -1 });
+  }
+
+  /**
+   * Load a waitlist entry the user is party to
+   * @param {string} role - Required role ('customer' or 'provider'); any party if omitted
+   */
+  async getEntryFor(entryId, user, role) {
+    const entry = await WaitlistEntry.findById(entryId);
+    if (!entry) {
+      throw waitlistError('Waitlist entry not found', 404);
+    }
+
+    const isCustomer = entry.customer.toString() === user._id.toString();
+    const isProvider = entry.provider.toString() === user._id.toString();
+    const allowed = role === 'customer' ? isCustomer : role === 'provider' ? isProvider : isCustomer || isProvider;
+    if (!allowed && !(user.role === 'admin' && !role)) {
+      throw waitlistError('Not authorized to access this waitlist entry', 403);
+    }
+    return entry;
+  }
+
+  /**
+   * The offer awaiting the customer's answer, or null
+   */
+  getPendingOffer(entry) {
+    return entry.offers.find(offer => offer.status === 'pending') || null;
+  }
+
+  /**
+   * Leave the waitlist; a held slot goes to the next customer
+   */
+  async leave(entryId, user) {
+    const entry = await this.getEntryFor(entryId, user, 'customer');
+    if (!OPEN_STATUSES.includes(entry.status)) {
+      throw waitlistError(`This waitlist entry is already ${entry.status}`, 409);
+    }
+
+    const now = new Date();
+    const cancelled = await WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: { $in: OPEN_STATUSES } },
+      {
+        status: 'cancelled',
+        cancelledAt: now,
+        'offers.$[offer].status': 'withdrawn',
+        'offers.$[offer].respondedAt': now
+      },
+      { arrayFilters: [{ 'offer.status': 'pending' }], new: true }
+    );
+    if (!cancelled) {
+      throw waitlistError('Waitlist entry changed, please retry', 409);
+    }
+
+    if (entry.status === 'offered') {
+      await availabilityService.releaseHold(entry._id);
+      this.onSlotsFreed(entry.provider);
+    }
+    return cancelled;
+  }
+
+  /**
+   * Accept the pending offer: the held slots become a booking
+   * @returns {Promise<Object>} { entry, booking }
+   */
+  async acceptOffer(entryId, customer) {
+    const entry = await this.getEntryFor(entryId, customer, 'customer');
+    const offer = this.getPendingOffer(entry);
+    if (entry.status !== 'offered' || !offer) {
+      throw waitlistError('There is no open offer on this waitlist entry', 409);
+    }
+    if (offer.expiresAt <= new Date()) {
+      await this.expireOffer(entry, offer);
+      throw waitlistError('This offer has expired', 409);
+    }
+
+    const { service, totalAmount, currency } = await bookingItemsService.priceItems(customer, [{ service: entry.service }]);
+
+    const booking = new Booking({
+      customer: entry.customer,
+      provider: entry.provider,
+      service: entry.service,
+      waitlistEntry: entry._id,
+      date: offer.date,
+      time: offer.time,
+      duration: entry.duration,
+      notes: entry.notes,
+      address: entry.address,
+      totalAmount,
+      currency
+    });
+
+    // Book the held slots and close the entry together
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    let booked;
+    try {
+      await booking.save({ session });
+      await availabilityService.reserveSlots(booking, session);
+
+      const now = new Date();
+      booked = await WaitlistEntry.findOneAndUpdate(
+        {
+          _id: entry._id,
+          status: 'offered',
+          offers: { $elemMatch: { _id: offer._id, status: 'pending', expiresAt: { $gt: now } } }
+        },
+        {
+          status: 'booked',
+          booking: booking._id,
+          'offers.$.status': 'accepted',
+          'offers.$.respondedAt': now
+        },
+        { new: true, session }
+      );
+      if (!booked) {
+        throw waitlistError('This offer is no longer open', 409);
+      }
+
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    await booking.populate('provider', 'name email');
+    await this.notify(entry.provider, booked, 'New Booking Request',
+      `${customer.name} booked "${service.name}" on ${describeOffer(offer)} from your waitlist.`, booking._id);
+
+    if (booking.provider?.email) {
+      emailService.sendNewBookingNotification(
+        {
+          _id: booking._id,
+          date: booking.date,
+          time: booking.time,
+          timezone: booking.timezone,
+          address: booking.address,
+          notes: booking.notes,
+          totalAmount: booking.totalAmount,
+          currency: booking.currency,
+          customerName: customer.name,
+          serviceName: service.name
+        },
+        booking.provider.email,
+        booking.provider.name
+      ).catch(err => console.error('Failed to send waitlist booking email to provider:', err));
+    }
+
+    return { entry: booked, booking };
+  }
+
+  /**
+   * Decline the pending offer; the customer stays on the waitlist for other times
+   */
+  async declineOffer(entryId, user) {
+    const entry = await this.getEntryFor(entryId, user, 'customer');
+    const offer = this.getPendingOffer(entry);
+    if (entry.status !== 'offered' || !offer) {
+      throw waitlistError('There is no open offer on this waitlist entry', 409);
+    }
+
+    const declined = await this.closeOffer(entry, offer, 'declined');
+    if (!declined) {
+      throw waitlistError('This offer is no longer open', 409);
+    }
+    return declined;
+  }
+
+  /**
+   * Expire an unanswered offer; the customer loses their place after MAX_MISSED_OFFERS
+   */
+  async expireOffer(entry, offer) {
+    return await this.closeOffer(entry, offer, 'expired');
+  }
+
+  /**
+   * Close a pending offer, release its hold and pass the slots on
+   * @param {string} outcome - 'declined' or 'expired'
+   */
+  async closeOffer(entry, offer, outcome) {
+    const missed = entry.offers.filter(other => other.status === 'expired').length + (outcome === 'expired' ? 1 : 0);
+    const dropped = missed >= MAX_MISSED_OFFERS;
+
+    const closed = await WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: 'offered', offers: { $elemMatch: { _id: offer._id, status: 'pending' } } },
+      {
+        status: dropped ? 'expired' : 'waiting',
+        'offers.$.status': outcome,
+        'offers.$.respondedAt': new Date()
+      },
+      { new: true }
+    );
+    if (!closed) return null;
+
+    await availabilityService.releaseHold(entry._id);
+
+    if (dropped) {
+      await this.notify(closed.customer, closed, 'Removed from Waitlist',
+        `You missed ${MAX_MISSED_OFFERS} offers, so you've been taken off the waitlist. You can join again at any time.`);
+    }
+
+    this.onSlotsFreed(entry.provider);
+    return closed;
+  }
+
+  /**
+   * Offer freed slots to a provider's waitlist without holding up the caller
+   * @param {string} providerId - Provider whose slots were freed
+   */
+  onSlotsFreed(providerId) {
+    if (!providerId) return;
+    this.offerOpenings(providerId._id || providerId).catch(error => {
+      console.error(`Waitlist offer error for provider ${providerId}:`, error);
+    });
+  }
+
+  /**
+   * Offer open slots to a provider's waiting customers, first come first served
+   * @returns {Promise<number>} Offers made
+   */
+  async offerOpenings(providerId) {
+    const entries = await WaitlistEntry.find({ provider: providerId, status: 'waiting' }).sort({ createdAt: 1 });
+
+    let offered = 0;
+    for (const entry of entries) {
+      if (await this.offerNext(entry)) offered++;
+    }
+    return offered;
+  }
+
+  /**
+   * Offer a waiting customer the earliest opening that suits them
+   * The entry is claimed before the slots are held, so concurrent runs can't offer it twice.
+   * @returns {Promise<Object|null>} The updated entry, or null if nothing was offered
+   */
+  async offerNext(entry) {
+    const opening = await this.findOpening(entry);
+    if (!opening) return null;
+
+    const expiresAt = new Date(Date.now() + HOLD_MINUTES * 60 * 1000);
+    const offerId = new mongoose.Types.ObjectId();
+
+    const claimed = await WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: 'waiting' },
+      {
+        status: 'offered',
+        $push: {
+          offers: {
+            _id: offerId,
+            date: opening.date,
+            time: opening.time,
+            startAt: opening.startAt,
+            endAt: opening.endAt,
+            expiresAt
+          }
+        }
+      },
+      { new: true }
+    );
+    if (!claimed) return null;
+
+    try {
+      await availabilityService.holdSlots({
+        provider: entry.provider,
+        date: opening.date,
+        time: opening.time,
+        duration: entry.duration,
+        timezone: opening.timeZone
+      }, entry._id, expiresAt);
+    } catch (error) {
+      // Taken in the meantime; the customer keeps waiting
+      await WaitlistEntry.updateOne(
+        { _id: entry._id, status: 'offered' },
+        { status: 'waiting', $pull: { offers: { _id: offerId } } }
+      );
+      if (error.statusCode !== 409) throw error;
+      return null;
+    }
+
+    await this.sendOffer(claimed, claimed.offers.id(offerId), opening.timeZone);
+    return claimed;
+  }
+
+  /**
+   * Earliest free time in the entry's date range and preferred times
+   * Times the customer already declined or let expire aren't offered again.
+   * @returns {Promise<Object|null>} { date, time, startAt, endAt, timeZone }
+   */
+  async findOpening(entry) {
+    const now = new Date();
+    const timeZone = await availabilityTemplateService.getTimeZone(entry.provider);
+    const today = getCalendarDateInZone(now, timeZone);
+
+    const first = entry.startDate > today ? toCalendarDate(entry.startDate) : today;
+    const last = toCalendarDate(entry.endDate);
+    if (last < first) return null;
+
+    const calendarDays = [];
+    for (let day = first; day <= last; day = addCalendarDays(day, 1)) {
+      calendarDays.push(day);
+    }
+
+    const [days, template, blocks] = await Promise.all([
+      Availability.find({ provider: entry.provider, date: { $gte: first, $lte: last } }).lean(),
+      availabilityTemplateService.getTemplate(entry.provider),
+      timeOffService.getBlocks(entry.provider, zonedTimeToUtc(first, 0, timeZone), zonedTimeToUtc(addCalendarDays(last, 1), 0, timeZone))
+    ]);
+
+    const candidate = { _id: entry.provider, provider: { timezone: timeZone }, days, template };
+    const windows = entry.preferredTimes.length > 0
+      ? entry.preferredTimes.map(({ start, end }) => ({ start: parseTimeToMinutes(start), end: parseTimeToMinutes(end) }))
+      : [{ start: 0, end: 24 * 60 }];
+
+    const passed = new Set(entry.offers
+      .filter(offer => offer.status !== 'pending')
+      .map(offer => `${toCalendarDate(offer.date).getTime()}|${offer.time}`));
+
+    const [opening] = windows
+      .flatMap(window => availabilitySearchService.findSlots(candidate, calendarDays, window, entry.duration, blocks, now, Infinity))
+      .filter(slot => !passed.has(`${toCalendarDate(slot.date).getTime()}|${slot.startTime}`))
+      .sort((a, b) => a.startAt - b.startAt);
+
+    if (!opening) return null;
+    return {
+      date: toCalendarDate(opening.date),
+      time: opening.startTime,
+      startAt: opening.startAt,
+      endAt: opening.endAt,
+      timeZone
+    };
+  }
+
+  /**
+   * Tell the customer about an offer by push and email
+   * @param {string} timeZone - Provider's timezone, which the offered time is in
+   */
+  async sendOffer(entry, offer, timeZone) {
+    await entry.populate([
+      { path: 'customer', select: 'name email fcmToken' },
+      { path: 'provider', select: 'name' },
+      { path: 'service', select: 'name' }
+    ]);
+
+    const serviceName = entry.service?.name || 'your service';
+    const providerName = entry.provider?.name || 'The provider';
+
+    try {
+      await inappService.sendInApp({
+        userId: entry.customer._id,
+        title: 'A slot opened up',
+        body: `${providerName} can do ${serviceName} on ${describeOffer(offer)}. It's held for you for ${HOLD_MINUTES} minutes.`,
+        fcmToken: entry.customer.fcmToken,
+        data: {
+          type: 'booking',
+          serviceId: entry.service._id.toString(),
+          waitlistEntryId: entry._id.toString()
+        }
+      });
+    } catch (error) {
+      console.error('Waitlist offer notification error:', error);
+    }
+
+    if (entry.customer.email) {
+      emailService.sendWaitlistOffer(
+        {
+          entryId: entry._id,
+          serviceName,
+          providerName,
+          date: offer.date,
+          time: offer.time,
+          timezone: timeZone,
+          expiresAt: offer.expiresAt
+        },
+        entry.customer.email,
+        entry.customer.name
+      ).catch(err => console.error('Failed to send waitlist offer email:', err));
+    }
+  }
+
+  /**
+   * Expire unanswered offers and waitlist entries whose dates have passed
+   */
+  async sweep() {
+    try {
+      const now = new Date();
+      const stale = await WaitlistEntry.find({
+        status: 'offered',
+        offers: { $elemMatch: { status: 'pending', expiresAt: { $lte: now } } }
+      });
+
+      let expired = 0;
+      for (const entry of stale) {
+        if (await this.expireOffer(entry, this.getPendingOffer(entry))) expired++;
+      }
+
+      // The last date has passed in every timezone
+      const lapsed = await WaitlistEntry.updateMany(
+        { status: 'waiting', endDate: { $lt: addCalendarDays(toCalendarDate(now), -1) } },
+        { status: 'expired' }
+      );
+
+      if (expired > 0 || lapsed.modifiedCount > 0) {
+        console.log(`⌛ Expired ${expired} waitlist offer(s) and ${lapsed.modifiedCount} waitlist entr(ies)`);
+      }
+      return { expiredOffers: expired, expiredEntries: lapsed.modifiedCount };
+    } catch (error) {
+      console.error('Waitlist sweep error:', error);
+      return { expiredOffers: 0, expiredEntries: 0 };
+    }
+  }
+
+  async notify(userId, entry, title, message, bookingId) {
+    try {
+      await Notification.create({
+        user: userId,
+        title,
+        message,
+        type: 'booking',
+        data: {
+          waitlistEntryId: entry._id,
+          serviceId: entry.service?._id || entry.service,
+          ...(bookingId && { bookingId })
+        }
+      });
+    } catch (error) {
+      console.error('Waitlist notification error:', error);
+    }
+  }
+}
+
+module.exports = new WaitlistService();
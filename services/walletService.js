@@ -0,0 +1,313 @@
+// services/walletService.js
+const User = require('../models/User');
+const WalletTransaction = require('../models/WalletTransaction');
+const ledgerService = require('./ledgerService');
+const currencyService = require('./currencyService');
+
+// Number of recent movements kept on the embedded User.wallet.transactions array
+const RECENT_TRANSACTIONS_LIMIT = 20;
+
+/**
+ * Wallet Service
+ * Single entry point for changing a user's wallet balance. Every movement
+ * updates User.wallet, writes a WalletTransaction and posts a balanced
+ * journal entry against the given counter account.
+ *
+ * The primary wallet currency is held in wallet.balance; other currencies
+ * are sub-balances in wallet.balances.
+ */
+class WalletService {
+  /**
+   * Balance of a user's wallet in one currency
+   * @param {Object} user - User document (or lean object) with wallet
+   * @param {string} currency - Currency (defaults to the primary wallet currency)
+   */
+  getBalance(user, currency = user.wallet.currency || 'NGN') {
+    if (currency === (user.wallet.currency || 'NGN')) {
+      return user.wallet.balance || 0;
+    }
+
+    const balances = user.wallet.balances;
+    const balance = balances instanceof Map ? balances.get(currency) : balances?.[currency];
+    return balance || 0;
+  }
+
+  /**
+   * Every balance of a user's wallet, primary currency first
+   * @param {Object} user - User document with wallet
+   * @returns {Array} [{ currency, balance, primary }]
+   */
+  getBalances(user) {
+    const primary = user.wallet.currency || 'NGN';
+    const balances = user.wallet.balances instanceof Map
+      ? [...user.wallet.balances.entries()]
+      : Object.entries(user.wallet.balances || {});
+
+    return [
+      { currency: primary, balance: user.wallet.balance || 0, primary: true },
+      ...balances
+        .filter(([currency]) => currency !== primary)
+        .map(([currency, balance]) => ({ currency, balance, primary: false }))
+    ];
+  }
+
+  /**
+   * Credit a user's wallet
+   * @param {Object} params
+   * @param {string} params.userId - User to credit
+   * @param {number} params.amount - Amount to credit
+   * @param {string} params.currency - Currency (defaults to NGN)
+   * @param {string} params.description - Transaction description
+   * @param {string} params.reference - Unique transaction reference
+   * @param {string} params.status - WalletTransaction status
+   * @param {Object} params.metadata - WalletTransaction metadata
+   * @param {Object} params.counterAccount - Ledger account debited for this credit
+   * @param {string} params.entryType - Journal entry type
+   * @param {mongoose.ClientSession} session - Optional session
+   */
+  async credit(params, session = null) {
+    return this._move('credit', params, session);
+  }
+
+  /**
+   * Debit a user's wallet. Fails with a 400 error if the balance is insufficient.
+   * Takes the same parameters as credit(); the counter account is credited.
+   * @param {boolean} params.allowConversion - If the balance in `currency` is short,
+   *   pay from the primary wallet currency at the current FX rate instead
+   */
+  async debit(params, session = null) {
+    const { allowConversion, ...movement } = params;
+
+    if (allowConversion) {
+      const user = await User.findById(movement.userId).select('wallet').session(session);
+      if (!user) {
+        const error = new Error('User not found');
+        error.statusCode = 404;
+        throw error;
+      }
+
+      const currency = movement.currency || 'NGN';
+      const primary = user.wallet.currency || 'NGN';
+      if (currency !== primary && this.getBalance(user, currency) < movement.amount) {
+        return this._debitWithConversion(movement, primary, session);
+      }
+    }
+
+    return this._move('debit', movement, session);
+  }
+
+  /**
+   * Pay an amount in one currency from the wallet's primary currency.
+   * The wallet is debited the converted amount against the FX account, and the
+   * FX account then pays the counter account in the original currency. The rate
+   * used is recorded on the WalletTransaction.
+   */
+  async _debitWithConversion(params, fromCurrency, session) {
+    const { amount, currency, reference, description, metadata = {}, counterAccount, entryType } = params;
+
+    const quote = await currencyService.convert(amount, currency, fromCurrency);
+
+    const result = await this._move('debit', {
+      ...params,
+      amount: quote.amount,
+      currency: fromCurrency,
+      description: `${description} (${currency} ${amount.toLocaleString()} at ${quote.rate} ${fromCurrency}/${currency})`,
+      metadata: {
+        ...metadata,
+        fx: {
+          baseCurrency: currency,
+          quoteCurrency: fromCurrency,
+          rate: quote.rate,
+          originalAmount: amount,
+          provider: quote.provider,
+          asOf: quote.asOf
+        }
+      },
+      counterAccount: ledgerService.ACCOUNTS.FX,
+      entryType: 'fx_conversion'
+    }, session);
+
+    await ledgerService.post({
+      reference: `${reference}_FX`,
+      type: entryType,
+      description,
+      currency,
+      lines: [
+        { account: ledgerService.ACCOUNTS.FX, debit: amount },
+        { account: counterAccount, credit: amount }
+      ],
+      metadata: {
+        bookingId: metadata.bookingId,
+        withdrawalId: metadata.withdrawalId,
+        walletTransactionId: result.transaction._id
+      }
+    }, session);
+
+    return result;
+  }
+
+  /**
+   * Settle a pending transaction (e.g. a gateway top-up) and apply it to the
+   * wallet. Idempotent: returns null if the transaction is no longer pending.
+   * @param {string} reference - WalletTransaction reference
+   * @param {Object} params - { counterAccount, entryType }
+   * @param {mongoose.ClientSession} session - Optional session
+   */
+  async completePending(reference, { counterAccount, entryType }, session = null) {
+    const transaction = await WalletTransaction.findOneAndUpdate(
+      { reference, status: 'pending' },
+      { status: 'completed' },
+      { new: true, session }
+    );
+
+    if (!transaction) {
+      return null;
+    }
+
+    const { type, amount, description, currency } = transaction;
+    const user = await this._applyToBalance(type, transaction.user, amount, currency, description, session);
+    const entry = await this._postToLedger(type, {
+      userId: transaction.user,
+      amount,
+      currency,
+      description,
+      reference,
+      metadata: transaction.metadata || {},
+      counterAccount,
+      entryType
+    }, transaction, session);
+
+    return {
+      user,
+      transaction,
+      entry,
+      previousBalance: this._previousBalance(type, user, amount, currency)
+    };
+  }
+
+  async _move(type, {
+    userId,
+    amount,
+    currency = 'NGN',
+    description,
+    reference,
+    status = 'completed',
+    metadata = {},
+    counterAccount,
+    entryType
+  }, session) {
+    if (!(amount > 0)) {
+      const error = new Error('Amount must be a positive number');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    currencyService.assertSupported(currency);
+
+    const user = await this._applyToBalance(type, userId, amount, currency, description, session);
+
+    const [transaction] = await WalletTransaction.create([{
+      user: userId,
+      type,
+      amount,
+      currency,
+      description,
+      reference,
+      status,
+      metadata
+    }], { session });
+
+    const entry = await this._postToLedger(type, {
+      userId,
+      amount,
+      currency,
+      description,
+      reference,
+      metadata,
+      counterAccount,
+      entryType
+    }, transaction, session);
+
+    return {
+      user,
+      transaction,
+      entry,
+      previousBalance: this._previousBalance(type, user, amount, currency)
+    };
+  }
+
+  _previousBalance(type, user, amount, currency) {
+    const balance = this.getBalance(user, currency);
+    return type === 'credit' ? balance - amount : balance + amount;
+  }
+
+  async _applyToBalance(type, userId, amount, currency, description, session) {
+    const owner = await User.findById(userId).select('wallet.currency').session(session);
+    if (!owner) {
+      const error = new Error('User not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const balancePath = currency === (owner.wallet.currency || 'NGN')
+      ? 'wallet.balance'
+      : `wallet.balances.${currency}`;
+
+    const filter = { _id: userId };
+    if (type === 'debit') {
+      filter[balancePath] = { $gte: amount };
+    }
+
+    const user = await User.findOneAndUpdate(
+      filter,
+      {
+        $inc: { [balancePath]: type === 'credit' ? amount : -amount },
+        $push: {
+          'wallet.transactions': {
+            $each: [{ type, amount, description }],
+            $slice: -RECENT_TRANSACTIONS_LIMIT
+          }
+        }
+      },
+      { new: true, session }
+    );
+
+    if (!user) {
+      const error = new Error('Insufficient balance');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return user;
+  }
+
+  async _postToLedger(type, {
+    userId,
+    amount,
+    currency,
+    description,
+    reference,
+    metadata,
+    counterAccount,
+    entryType
+  }, transaction, session) {
+    const wallet = ledgerService.walletAccount(userId, currency);
+
+    return await ledgerService.post({
+      reference,
+      type: entryType,
+      description,
+      currency,
+      lines: type === 'credit'
+        ? [{ account: counterAccount, debit: amount }, { account: wallet, credit: amount }]
+        : [{ account: wallet, debit: amount }, { account: counterAccount, credit: amount }],
+      metadata: {
+        bookingId: metadata.bookingId,
+        withdrawalId: metadata.withdrawalId,
+        walletTransactionId: transaction._id
+      }
+    }, session);
+  }
+}
+
+module.exports = new WalletService();
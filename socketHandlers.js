@@ -267,4 +267,23 @@ module.exports = (io, socket) => {
       socket.emit('error', { message: 'Failed to update availability' });
     }
   });
-};
\ No newline at end of file
+};
+
+/**
+ * Emit a booking event to both parties of a booking
+ * Used by services for events that originate from the HTTP API
+ * @param {Object} io - Socket.IO server
+ * @param {Object} booking - Booking with customer and provider ids
+ * @param {string} event - Event name
+ * @param {Object} payload - Event data
+ */
+module.exports.emitBookingEvent = (io, booking, event, payload) => {
+  if (!io) return;
+
+  [booking.customer, booking.provider].forEach(userId => {
+    io.to(`user_${userId._id || userId}`).emit(event, {
+      bookingId: booking._id,
+      ...payload
+    });
+  });
+};
@@ -0,0 +1,87 @@
+// test/availabilityService.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, objectId } = require('./helpers');
+const Availability = require('../models/Availability');
+const Booking = require('../models/Booking');
+const availabilityService = require('../services/availabilityService');
+const timeOffService = require('../services/timeOffService');
+
+const makeBooking = () => ({
+  _id: objectId(),
+  provider: objectId(),
+  date: new Date('2030-03-10T00:00:00Z'),
+  time: '10:00',
+  duration: 60,
+  timezone: 'Africa/Lagos'
+});
+
+const slot = (startTime, endTime, attributes = {}) => ({ _id: objectId(), startTime, endTime, isBooked: false, ...attributes });
+
+/**
+ * Fake a provider's day with the given slots and no other bookings
+ * @returns {Object} The mocked Availability.findOneAndUpdate
+ */
+const fakeDay = (t, slots, reserve) => {
+  t.mock.method(timeOffService, 'findBlock', async () => null);
+  t.mock.method(availabilityService, 'getOrCreateDay', async () => ({ _id: objectId(), isAvailable: true, bufferMinutes: 0, slots }));
+  t.mock.method(Booking, 'find', () => query([]));
+  return t.mock.method(Availability, 'findOneAndUpdate', reserve);
+};
+
+describe('availabilityService.reserveSlots', () => {
+  it('books the slots covering the booking', async (t) => {
+    const slots = [slot('09:00', '10:00'), slot('10:00', '10:30'), slot('10:30', '11:00'), slot('11:00', '12:00')];
+    const booking = makeBooking();
+    const update = fakeDay(t, slots, () => query({ _id: objectId() }));
+
+    const reserved = await availabilityService.reserveSlots(booking);
+
+    assert.deepEqual(reserved, [slots[1]._id, slots[2]._id]);
+    const [filter, change] = update.mock.calls[0].arguments;
+    // Only matches while none of the slots is booked for another booking
+    assert.deepEqual(filter['slots._id'], { $all: reserved });
+    assert.equal(filter.$nor[0].slots.$elemMatch.bookingId.$ne, booking._id);
+    assert.equal(change.$set['slots.$[slot].bookingId'], booking._id);
+  });
+
+  it('rejects a time already booked by someone else', async (t) => {
+    const update = fakeDay(t, [slot('10:00', '11:00', { isBooked: true, bookingId: objectId() })], () => query({}));
+
+    await assert.rejects(
+      availabilityService.reserveSlots(makeBooking()),
+      error => error.statusCode === 409 && /not available/.test(error.message)
+    );
+    assert.equal(update.mock.callCount(), 0);
+  });
+
+  it('fails with 409 when a concurrent request reserved the slots first', async (t) => {
+    fakeDay(t, [slot('10:00', '11:00')], () => query(null));
+
+    await assert.rejects(
+      availabilityService.reserveSlots(makeBooking()),
+      error => error.statusCode === 409 && !error.transactionAborted
+    );
+  });
+
+  it('fails with 409 and flags the aborted transaction on a write conflict', async (t) => {
+    fakeDay(t, [slot('10:00', '11:00')], () => {
+      const conflict = new Error('WriteConflict');
+      conflict.hasErrorLabel = (label) => label === 'TransientTransactionError';
+      throw conflict;
+    });
+
+    await assert.rejects(
+      availabilityService.reserveSlots(makeBooking(), {}),
+      error => error.statusCode === 409 && error.transactionAborted === true
+    );
+  });
+
+  it('passes other database errors through', async (t) => {
+    fakeDay(t, [slot('10:00', '11:00')], () => {
+      throw new Error('connection reset');
+    });
+
+    await assert.rejects(availabilityService.reserveSlots(makeBooking()), /connection reset/);
+  });
+});
@@ -0,0 +1,59 @@
+// test/cancellationPolicyService.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const cancellationPolicyService = require('../services/cancellationPolicyService');
+
+const booking = {
+  date: new Date('2030-03-10T00:00:00Z'),
+  time: '10:00',
+  timezone: 'UTC'
+};
+const start = new Date('2030-03-10T10:00:00Z');
+const hoursBefore = (hours) => new Date(start.getTime() - hours * 60 * 60 * 1000);
+
+describe('cancellationPolicyService.getRefundPercentage', () => {
+  const cases = [
+    [72, 100],
+    [48, 100],
+    [47.5, 50],
+    [24, 50],
+    [23, 25],
+    [0, 25],
+    [-1, 0]
+  ];
+
+  for (const [hours, percentage] of cases) {
+    it(`refunds ${percentage}% when cancelled ${hours}h before the start`, () => {
+      assert.equal(cancellationPolicyService.getRefundPercentage(booking, hoursBefore(hours)), percentage);
+    });
+  }
+
+  it('measures from the start in the booking timezone', () => {
+    // 10:00 in Lagos is 09:00 UTC, so 48h before 10:00 UTC is only 47h before the start
+    const lagos = { ...booking, timezone: 'Africa/Lagos' };
+    assert.equal(cancellationPolicyService.getRefundPercentage(lagos, hoursBefore(48)), 50);
+  });
+});
+
+describe('cancellationPolicyService.wasConfirmed', () => {
+  it('is false for bookings the provider never accepted', () => {
+    assert.equal(cancellationPolicyService.wasConfirmed({
+      statusHistory: [
+        { status: 'pending' },
+        { status: 'cancelled', previousStatus: 'pending' }
+      ]
+    }), false);
+    assert.equal(cancellationPolicyService.wasConfirmed({}), false);
+  });
+
+  it('is true once the booking was confirmed, even if it moved on since', () => {
+    assert.equal(cancellationPolicyService.wasConfirmed({
+      statusHistory: [
+        { status: 'pending' },
+        { status: 'confirmed', previousStatus: 'pending' },
+        { status: 'rescheduled', previousStatus: 'confirmed' },
+        { status: 'cancelled', previousStatus: 'rescheduled' }
+      ]
+    }), true);
+  });
+});
@@ -0,0 +1,239 @@
+// test/escrowService.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, fakeSession, objectId } = require('./helpers');
+const Booking = require('../models/Booking');
+const User = require('../models/User');
+const WalletTransaction = require('../models/WalletTransaction');
+const escrowService = require('../services/escrowService');
+const walletService = require('../services/walletService');
+const ledgerService = require('../services/ledgerService');
+const commissionService = require('../services/commissionService');
+const emailService = require('../services/emailService');
+
+const makeBooking = (overrides = {}) => ({
+  _id: objectId(),
+  customer: objectId(),
+  provider: objectId(),
+  service: { _id: objectId(), name: 'Plumbing', category: 'Home' },
+  date: new Date('2030-03-10T00:00:00Z'),
+  time: '10:00',
+  duration: 60,
+  timezone: 'Africa/Lagos',
+  totalAmount: 100,
+  currency: 'USD',
+  refunds: [],
+  ...overrides
+});
+
+describe('escrowService.holdFunds', () => {
+  it('debits the customer into escrow and marks the booking paid', async (t) => {
+    const booking = makeBooking({ save: t.mock.fn(async () => booking) });
+    const debit = t.mock.method(walletService, 'debit', async () => ({
+      user: { _id: booking.customer },
+      transaction: { amount: 100, currency: 'USD' },
+      previousBalance: 250
+    }));
+    t.mock.method(commissionService, 'calculate', async () => ({ amount: 10, percentage: 10, providerAmount: 90 }));
+
+    const session = {};
+    const result = await escrowService.holdFunds(booking, session);
+
+    assert.equal(debit.mock.callCount(), 1);
+    const [movement, usedSession] = debit.mock.calls[0].arguments;
+    assert.equal(usedSession, session);
+    assert.equal(movement.userId, booking.customer);
+    assert.equal(movement.amount, 100);
+    assert.equal(movement.currency, 'USD');
+    assert.equal(movement.reference, `ESC_HOLD_${booking._id}`);
+    assert.equal(movement.status, 'held');
+    assert.equal(movement.counterAccount, ledgerService.ACCOUNTS.ESCROW);
+    assert.equal(movement.allowConversion, true);
+
+    assert.equal(booking.paymentStatus, 'paid');
+    assert.equal(booking.escrow.status, 'held');
+    assert.equal(booking.escrow.amount, 100);
+    assert.equal(booking.commission.amount, 10);
+    // Released automatically a while after the booking ends (11:00 Lagos = 10:00Z)
+    assert.ok(booking.escrow.releaseAt > new Date('2030-03-10T10:00:00Z'));
+    assert.equal(booking.save.mock.calls[0].arguments[0].session, session);
+    assert.equal(result.previousBalance, 250);
+  });
+});
+
+describe('escrowService.releaseFunds', () => {
+  it('pays the provider their share and books the platform fee from escrow', async (t) => {
+    const session = fakeSession(t);
+    const booking = makeBooking({
+      escrow: { status: 'released', amount: 100 },
+      commission: { amount: 10 }
+    });
+    const provider = { _id: booking.provider, name: 'Ada', email: 'ada@example.com', wallet: { currency: 'USD', balance: 90 } };
+
+    t.mock.method(Booking, 'findOneAndUpdate', () => query(booking));
+    t.mock.method(Booking, 'updateOne', async () => ({}));
+    t.mock.method(WalletTransaction, 'updateOne', async () => ({}));
+    t.mock.method(User, 'findById', () => query({ name: 'Chidi' }));
+    const email = t.mock.method(emailService, 'sendPaymentReceived', async () => null);
+    const credit = t.mock.method(walletService, 'credit', async (params) => ({
+      user: provider,
+      transaction: { amount: params.amount, currency: params.currency, reference: params.reference }
+    }));
+    const post = t.mock.method(ledgerService, 'post', async () => ({}));
+
+    const released = await escrowService.releaseFunds(booking._id);
+
+    assert.equal(released, booking);
+    assert.equal(session.committed, true);
+    assert.equal(session.ended, true);
+
+    const [payout] = credit.mock.calls[0].arguments;
+    assert.equal(payout.userId, booking.provider);
+    assert.equal(payout.amount, 90);
+    assert.equal(payout.reference, `ESC_REL_${booking._id}`);
+    assert.equal(payout.counterAccount, ledgerService.ACCOUNTS.ESCROW);
+
+    const [fee] = post.mock.calls[0].arguments;
+    assert.deepEqual(fee.lines, [
+      { account: ledgerService.ACCOUNTS.ESCROW, debit: 10 },
+      { account: ledgerService.ACCOUNTS.REVENUE, credit: 10 }
+    ]);
+    // Everything held leaves escrow: the provider's share plus the fee
+    assert.equal(payout.amount + fee.lines[0].debit, 100);
+    assert.equal(booking.commission.collected, 10);
+    assert.equal(email.mock.calls[0].arguments[0].platformFee, 10);
+  });
+
+  it('does nothing when no escrow is held', async (t) => {
+    const session = fakeSession(t);
+    t.mock.method(Booking, 'findOneAndUpdate', () => query(null));
+    const credit = t.mock.method(walletService, 'credit', async () => {
+      throw new Error('should not credit');
+    });
+
+    assert.equal(await escrowService.releaseFunds(objectId()), null);
+    assert.equal(credit.mock.callCount(), 0);
+    assert.equal(session.committed, false);
+    assert.equal(session.aborted, true);
+  });
+});
+
+describe('escrowService.refundFunds', () => {
+  const setup = (t, { heldAmount = 100, updated = true } = {}) => {
+    const session = fakeSession(t);
+    const booking = makeBooking({ escrow: { status: 'held', amount: heldAmount }, refundedAmount: 0 });
+    const updates = [];
+
+    t.mock.method(Booking, 'findOne', () => query(booking));
+    t.mock.method(Booking, 'findOneAndUpdate', (filter, update) => {
+      updates.push({ filter, update });
+      return query(updated ? { ...booking, ...update.$set } : null);
+    });
+    const holdUpdate = t.mock.method(WalletTransaction, 'updateOne', async () => ({}));
+    const credit = t.mock.method(walletService, 'credit', async () => ({}));
+
+    return { session, booking, updates, holdUpdate, credit };
+  };
+
+  it('returns part of the escrow and keeps the rest held', async (t) => {
+    const { session, booking, updates, holdUpdate, credit } = setup(t);
+
+    await escrowService.refundFunds(booking._id, { amount: 40, percentage: 40, reason: 'Partial refund' });
+
+    const { filter, update } = updates[0];
+    // Guarded on the amount read, so a concurrent refund can't overdraw the escrow
+    assert.equal(filter['escrow.amount'], 100);
+    assert.equal(update.$set['escrow.amount'], 60);
+    assert.equal(update.$set.paymentStatus, 'partially_refunded');
+    assert.equal(update.$set['escrow.status'], undefined);
+    assert.equal(update.$push.refunds.reference, `ESC_REF_${booking._id}_1`);
+
+    const [refund] = credit.mock.calls[0].arguments;
+    assert.equal(refund.userId, booking.customer);
+    assert.equal(refund.amount, 40);
+    assert.equal(refund.counterAccount, ledgerService.ACCOUNTS.ESCROW);
+    assert.equal(holdUpdate.mock.callCount(), 0);
+    assert.equal(session.committed, true);
+  });
+
+  it('refunds everything held by default and closes the escrow', async (t) => {
+    const { booking, updates, holdUpdate, credit } = setup(t);
+
+    await escrowService.refundFunds(booking._id, { reason: 'Booking rejected by provider' });
+
+    const { update } = updates[0];
+    assert.equal(update.$set['escrow.amount'], 0);
+    assert.equal(update.$set['escrow.status'], 'refunded');
+    assert.equal(update.$set.paymentStatus, 'refunded');
+    assert.equal(credit.mock.calls[0].arguments[0].amount, 100);
+    assert.deepEqual(holdUpdate.mock.calls[0].arguments[0], { reference: `ESC_HOLD_${booking._id}` });
+  });
+
+  it('rejects refunds larger than the escrow', async (t) => {
+    const { session, booking, credit } = setup(t);
+
+    await assert.rejects(
+      escrowService.refundFunds(booking._id, { amount: 150 }),
+      error => error.statusCode === 400
+    );
+    assert.equal(credit.mock.callCount(), 0);
+    assert.equal(session.aborted, true);
+  });
+
+  it('fails with 409 when the escrow changed underneath it', async (t) => {
+    const { booking, credit } = setup(t, { updated: false });
+
+    await assert.rejects(
+      escrowService.refundFunds(booking._id, { amount: 40 }),
+      error => error.statusCode === 409
+    );
+    assert.equal(credit.mock.callCount(), 0);
+  });
+});
+
+describe('escrowService.settleCancellation', () => {
+  const setup = (t, statusHistory) => {
+    const booking = makeBooking({
+      escrow: { status: 'held', amount: 100 },
+      cancelledAt: new Date('2030-03-09T09:00:00Z'), // 24h before the 10:00 Lagos start
+      statusHistory
+    });
+    t.mock.method(Booking, 'findOne', () => query(booking));
+    const refund = t.mock.method(escrowService, 'refundFunds', async (id, options) => ({
+      ...booking,
+      escrow: { status: options.percentage === 100 ? 'refunded' : 'held', amount: 100 - (options.amount || 100) }
+    }));
+    const release = t.mock.method(escrowService, 'releaseFunds', async () => booking);
+    return { booking, refund, release };
+  };
+
+  it('refunds bookings the provider never confirmed in full', async (t) => {
+    const { booking, refund, release } = setup(t, [
+      { status: 'pending' },
+      { status: 'cancelled', previousStatus: 'pending' }
+    ]);
+
+    await escrowService.settleCancellation(booking._id, booking.customer);
+
+    const [, options] = refund.mock.calls[0].arguments;
+    assert.equal(options.percentage, 100);
+    assert.equal(options.amount, undefined);
+    assert.equal(release.mock.callCount(), 0);
+  });
+
+  it('splits confirmed bookings by the cancellation policy', async (t) => {
+    const { booking, refund, release } = setup(t, [
+      { status: 'pending' },
+      { status: 'confirmed', previousStatus: 'pending' },
+      { status: 'cancelled', previousStatus: 'confirmed' }
+    ]);
+
+    await escrowService.settleCancellation(booking._id, booking.customer);
+
+    const [, options] = refund.mock.calls[0].arguments;
+    assert.equal(options.percentage, 50);
+    assert.equal(options.amount, 50);
+    // The rest goes to the provider as the cancellation fee
+    assert.equal(release.mock.callCount(), 1);
+  });
+});
@@ -0,0 +1,50 @@
+// test/helpers.js
+// Shared fakes for service tests. Services talk to MongoDB through Mongoose
+// models; tests replace the model calls they make with t.mock.method() so no
+// database is needed.
+const mongoose = require('mongoose');
+
+// A model call the test forgot to fake fails at once instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+/**
+ * Chainable stand-in for a Mongoose query that resolves to `result`
+ * (supports .session(), .populate(), .select(), .sort(), .lean())
+ */
+const query = (result) => {
+  const chain = {
+    session: () => chain,
+    populate: () => chain,
+    select: () => chain,
+    sort: () => chain,
+    lean: () => chain,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return chain;
+};
+
+/**
+ * Replace mongoose.startSession with a fake session that records how the transaction ended
+ * @returns {Object} The session ({ committed, aborted, ended })
+ */
+const fakeSession = (t) => {
+  const session = {
+    committed: false,
+    aborted: false,
+    ended: false,
+    startTransaction() {},
+    async commitTransaction() { this.committed = true; },
+    async abortTransaction() { this.aborted = true; },
+    endSession() { this.ended = true; }
+  };
+  t.mock.method(mongoose, 'startSession', async () => session);
+  return session;
+};
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+module.exports = {
+  query,
+  fakeSession,
+  objectId
+};
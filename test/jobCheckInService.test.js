@@ -0,0 +1,63 @@
+// test/jobCheckInService.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { objectId } = require('./helpers');
+const jobCheckInService = require('../services/jobCheckInService');
+const cloudStorageService = require('../services/cloudStorageService');
+
+const provider = { _id: objectId() };
+const makeBooking = (location) => ({
+  _id: objectId(),
+  provider: provider._id,
+  status: 'in_progress',
+  address: { street: '1 Marina', location }
+});
+// Marina, Lagos
+const position = { latitude: 6.4500, longitude: 3.3900 };
+
+describe('jobCheckInService.checkGeofence', () => {
+  it('accepts positions within the radius of the job location', () => {
+    const booking = makeBooking({ type: 'Point', coordinates: [3.3901, 6.4501] });
+    const fence = jobCheckInService.checkGeofence(booking, position);
+    assert.equal(fence.geofenceVerified, true);
+    assert.ok(fence.distanceMeters < jobCheckInService.getRadius());
+  });
+
+  it('rejects positions too far from the job location', () => {
+    const booking = makeBooking({ type: 'Point', coordinates: [3.4200, 6.4300] });
+    assert.throws(() => jobCheckInService.checkGeofence(booking, position), error => error.statusCode === 403);
+  });
+
+  it('rejects bookings without a job location instead of skipping the check', () => {
+    assert.throws(
+      () => jobCheckInService.checkGeofence(makeBooking(undefined), position),
+      error => error.statusCode === 409 && /no job location/.test(error.message)
+    );
+  });
+});
+
+describe('jobCheckInService.checkOut without cloud storage', () => {
+  const withEnv = (t, value) => {
+    const previous = process.env.NODE_ENV;
+    process.env.NODE_ENV = value;
+    t.after(() => { process.env.NODE_ENV = previous; });
+    t.mock.method(cloudStorageService, 'isConfigured', () => undefined);
+  };
+
+  it('fails closed outside development', async (t) => {
+    withEnv(t, 'production');
+    await assert.rejects(
+      jobCheckInService.checkOut(makeBooking({ type: 'Point', coordinates: [3.39, 6.45] }), provider, position),
+      error => error.statusCode === 503
+    );
+  });
+
+  it('lets development check out without photos', async (t) => {
+    withEnv(t, 'development');
+    // Gets past the storage check to the location check
+    await assert.rejects(
+      jobCheckInService.checkOut(makeBooking(undefined), provider, position),
+      error => error.statusCode === 409
+    );
+  });
+});
@@ -0,0 +1,197 @@
+// test/ledgerService.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, objectId } = require('./helpers');
+const JournalEntry = require('../models/JournalEntry');
+const LedgerAccount = require('../models/LedgerAccount');
+const User = require('../models/User');
+const WalletTransaction = require('../models/WalletTransaction');
+const ledgerService = require('../services/ledgerService');
+const walletService = require('../services/walletService');
+
+const { ACCOUNTS } = ledgerService;
+
+/**
+ * Fake the account upserts and journal writes behind ledgerService.post().
+ * Entries still go through JournalEntry validation, so an unbalanced entry fails.
+ * @returns {Array} Entries that were written
+ */
+const fakeJournal = (t) => {
+  const entries = [];
+  const accounts = new Map();
+
+  t.mock.method(ledgerService, 'getAccount', async (definition) => {
+    if (!accounts.has(definition.code)) {
+      accounts.set(definition.code, { _id: objectId(), ...definition });
+    }
+    return accounts.get(definition.code);
+  });
+  t.mock.method(JournalEntry, 'create', async ([attributes]) => {
+    const entry = new JournalEntry(attributes);
+    await entry.validate();
+    entries.push(entry);
+    return [entry];
+  });
+
+  return entries;
+};
+
+const totals = (entry) => entry.lines.reduce(
+  (sum, line) => ({ debit: sum.debit + line.debit, credit: sum.credit + line.credit }),
+  { debit: 0, credit: 0 }
+);
+
+describe('JournalEntry', () => {
+  it('rejects entries whose debits and credits differ', async () => {
+    const entry = new JournalEntry({
+      reference: 'TEST_UNBALANCED',
+      type: 'adjustment',
+      description: 'Unbalanced',
+      lines: [
+        { account: objectId(), debit: 100 },
+        { account: objectId(), credit: 90 }
+      ]
+    });
+
+    await assert.rejects(entry.validate(), /Unbalanced journal entry/);
+  });
+
+  it('accepts balanced entries', async () => {
+    const entry = new JournalEntry({
+      reference: 'TEST_BALANCED',
+      type: 'adjustment',
+      description: 'Balanced',
+      lines: [
+        { account: objectId(), debit: 100 },
+        { account: objectId(), credit: 60 },
+        { account: objectId(), credit: 40 }
+      ]
+    });
+
+    await entry.validate();
+  });
+});
+
+describe('walletService ledger postings', () => {
+  const fakeWallet = (t, userId, balance) => {
+    t.mock.method(User, 'findById', () => query({ _id: userId, wallet: { currency: 'NGN' } }));
+    t.mock.method(User, 'findOneAndUpdate', (filter, update) => {
+      const change = update.$inc['wallet.balance'];
+      // Debits are conditional on the balance covering them
+      if (filter['wallet.balance'] && balance < filter['wallet.balance'].$gte) return query(null);
+      balance += change;
+      return query({ _id: userId, wallet: { currency: 'NGN', balance } });
+    });
+    t.mock.method(WalletTransaction, 'create', async ([attributes]) => [{ _id: objectId(), ...attributes }]);
+  };
+
+  it('posts a balanced entry crediting the wallet account', async (t) => {
+    const userId = objectId();
+    fakeWallet(t, userId, 0);
+    const entries = fakeJournal(t);
+
+    const result = await walletService.credit({
+      userId,
+      amount: 250,
+      currency: 'NGN',
+      description: 'Top-up',
+      reference: 'DEP_TEST',
+      counterAccount: ACCOUNTS.CASH,
+      entryType: 'topup'
+    });
+
+    assert.equal(entries.length, 1);
+    assert.deepEqual(totals(entries[0]), { debit: 250, credit: 250 });
+    assert.equal(entries[0].metadata.walletTransactionId, result.transaction._id);
+    assert.equal(result.previousBalance, 0);
+  });
+
+  it('posts a balanced entry debiting the wallet account', async (t) => {
+    const userId = objectId();
+    fakeWallet(t, userId, 300);
+    const entries = fakeJournal(t);
+
+    await walletService.debit({
+      userId,
+      amount: 120,
+      description: 'Booking payment',
+      reference: 'ESC_HOLD_TEST',
+      counterAccount: ACCOUNTS.ESCROW,
+      entryType: 'booking_payment'
+    });
+
+    const [walletLine, escrowLine] = entries[0].lines;
+    assert.equal(walletLine.debit, 120);
+    assert.equal(escrowLine.credit, 120);
+    assert.deepEqual(totals(entries[0]), { debit: 120, credit: 120 });
+  });
+
+  it('writes nothing to the ledger when the balance is short', async (t) => {
+    const userId = objectId();
+    fakeWallet(t, userId, 50);
+    const entries = fakeJournal(t);
+
+    await assert.rejects(
+      walletService.debit({
+        userId,
+        amount: 120,
+        reference: 'ESC_HOLD_SHORT',
+        counterAccount: ACCOUNTS.ESCROW,
+        entryType: 'booking_payment'
+      }),
+      error => error.statusCode === 400
+    );
+    assert.equal(entries.length, 0);
+  });
+});
+
+describe('ledgerService.postOpeningBalances', () => {
+  it('posts the drift against the opening balances account, dated before the first entry', async (t) => {
+    const funded = objectId();
+    const overdrawn = objectId();
+    const firstEntryAt = new Date('2026-01-05T09:00:00Z');
+
+    t.mock.method(ledgerService, 'reconcile', async () => ({
+      accounts: [
+        { userId: funded, currency: 'NGN', walletBalance: 5000, ledgerBalance: 1000, drift: 4000 },
+        { userId: overdrawn, currency: 'USD', walletBalance: 0, ledgerBalance: 20, drift: -20 }
+      ]
+    }));
+    t.mock.method(JournalEntry, 'exists', async () => null);
+    t.mock.method(LedgerAccount, 'findOne', ({ code }) => query(
+      code === ledgerService.walletAccount(funded, 'NGN').code ? { _id: objectId() } : null
+    ));
+    t.mock.method(JournalEntry, 'findOne', () => query({ createdAt: firstEntryAt }));
+    const entries = fakeJournal(t);
+
+    const result = await ledgerService.postOpeningBalances();
+
+    assert.equal(result.posted.length, 2);
+    assert.equal(result.skipped, 0);
+
+    const [credit, debit] = entries;
+    assert.equal(credit.reference, `OPENING_${funded}_NGN`);
+    assert.equal(credit.type, 'adjustment');
+    assert.deepEqual(totals(credit), { debit: 4000, credit: 4000 });
+    assert.equal(credit.createdAt.getTime(), firstEntryAt.getTime() - 1);
+
+    // The wallet holds less than the ledger says: the wallet account is debited
+    assert.equal(debit.currency, 'USD');
+    assert.equal(debit.lines[0].debit, 20);
+    assert.equal(debit.lines[1].credit, 20);
+  });
+
+  it('skips wallets that already have an opening entry', async (t) => {
+    t.mock.method(ledgerService, 'reconcile', async () => ({
+      accounts: [{ userId: objectId(), currency: 'NGN', walletBalance: 10, ledgerBalance: 0, drift: 10 }]
+    }));
+    t.mock.method(JournalEntry, 'exists', async () => ({ _id: objectId() }));
+    const entries = fakeJournal(t);
+
+    const result = await ledgerService.postOpeningBalances();
+
+    assert.deepEqual(result.posted, []);
+    assert.equal(result.skipped, 1);
+    assert.equal(entries.length, 0);
+  });
+});
@@ -0,0 +1,53 @@
+// test/statementService.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const statementService = require('../services/statementService');
+
+describe('statementService.resolvePeriod', () => {
+  it('starts and ends months at midnight in the user timezone', () => {
+    const { start, end } = statementService.resolvePeriod({ month: '2026-03' }, 'Africa/Lagos');
+    assert.equal(start.toISOString(), '2026-02-28T23:00:00.000Z');
+    assert.equal(end.toISOString(), '2026-03-31T23:00:00.000Z');
+  });
+
+  it('includes the whole local end day of a date range', () => {
+    const { start, end } = statementService.resolvePeriod(
+      { startDate: '2026-03-01', endDate: '2026-03-10' },
+      'America/New_York'
+    );
+    assert.equal(start.toISOString(), '2026-03-01T05:00:00.000Z');
+    // Daylight saving time started on 8 March
+    assert.equal(end.toISOString(), '2026-03-11T04:00:00.000Z');
+  });
+});
+
+describe('statementService.toCsv', () => {
+  const statement = (description, balanceEffect) => ({
+    account: { name: '=HYPERLINK("http://evil")', currency: 'NGN', timezone: 'Africa/Lagos' },
+    period: { start: new Date('2026-02-28T23:00:00Z'), end: new Date('2026-03-31T22:59:59.999Z') },
+    openingBalance: 0,
+    closingBalance: balanceEffect,
+    transactions: [{
+      date: new Date('2026-03-02T10:00:00Z'),
+      reference: 'TRF_1',
+      description,
+      type: 'debit',
+      status: 'completed',
+      amount: Math.abs(balanceEffect),
+      balanceEffect,
+      balanceAfter: balanceEffect,
+      bookingId: null
+    }]
+  });
+
+  it('stops spreadsheets from running cells as formulas', () => {
+    const csv = statementService.toCsv(statement('@SUM(A1:A9)', -50));
+    assert.match(csv, /^Statement for,"'=HYPERLINK\(""http:\/\/evil""\)"\r\n/);
+    assert.match(csv, /,'@SUM\(A1:A9\),/);
+  });
+
+  it('leaves negative amounts as numbers', () => {
+    const csv = statementService.toCsv(statement('Transfer', -50));
+    assert.match(csv, /,50\.00,-50\.00,-50\.00,/);
+  });
+});
@@ -0,0 +1,47 @@
+// test/timezone.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { zonedTimeToUtc, formatInZone, getCalendarDateInZone } = require('../utils/timezone');
+
+const day = (date) => new Date(`${date}T00:00:00Z`);
+const at = (date, time, timeZone) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return zonedTimeToUtc(day(date), hours * 60 + minutes, timeZone).toISOString();
+};
+
+describe('zonedTimeToUtc', () => {
+  it('uses standard time before and daylight time after the clocks go forward', () => {
+    assert.equal(at('2026-03-07', '10:00', 'America/New_York'), '2026-03-07T15:00:00.000Z');
+    assert.equal(at('2026-03-08', '01:30', 'America/New_York'), '2026-03-08T06:30:00.000Z');
+    assert.equal(at('2026-03-08', '10:00', 'America/New_York'), '2026-03-08T14:00:00.000Z');
+  });
+
+  it('moves times skipped by the clocks going forward forward by the gap', () => {
+    // 02:30 doesn't exist on 8 March in New York; it becomes 03:30 EDT
+    assert.equal(at('2026-03-08', '02:30', 'America/New_York'), '2026-03-08T07:30:00.000Z');
+    assert.equal(formatInZone(new Date('2026-03-08T07:30:00Z'), 'America/New_York').time, '03:30');
+    // Same rule east of UTC: 01:30 doesn't exist on 29 March in London
+    assert.equal(at('2026-03-29', '01:30', 'Europe/London'), '2026-03-29T01:30:00.000Z');
+  });
+
+  it('takes the first occurrence of times repeated when the clocks go back', () => {
+    assert.equal(at('2026-11-01', '01:30', 'America/New_York'), '2026-11-01T05:30:00.000Z');
+    assert.equal(at('2026-10-25', '01:30', 'Europe/London'), '2026-10-25T00:30:00.000Z');
+  });
+
+  it('uses daylight time before and standard time after the clocks go back', () => {
+    assert.equal(at('2026-10-31', '10:00', 'America/New_York'), '2026-10-31T14:00:00.000Z');
+    assert.equal(at('2026-11-02', '10:00', 'America/New_York'), '2026-11-02T15:00:00.000Z');
+  });
+
+  it('round-trips local times through formatInZone', () => {
+    for (const date of ['2026-03-07', '2026-03-09', '2026-07-01', '2026-11-02']) {
+      const instant = zonedTimeToUtc(day(date), 9 * 60 + 15, 'America/New_York');
+      assert.deepEqual(
+        { date: formatInZone(instant, 'America/New_York').date, time: formatInZone(instant, 'America/New_York').time },
+        { date, time: '09:15' }
+      );
+      assert.equal(getCalendarDateInZone(instant, 'America/New_York').toISOString(), day(date).toISOString());
+    }
+  });
+});
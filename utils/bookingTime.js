@@ -0,0 +1,106 @@
+// utils/bookingTime.js
+const { DEFAULT_TIMEZONE, zonedTimeToUtc, formatInZone } = require('./timezone');
+
+/**
+ * Booking time helpers
+ * Bookings store a calendar `date` plus a free-form `time` string
+ * ("HH:MM AM/PM" from the booking form, "HH:MM" from availability slots),
+ * both in the provider's `timezone`. `startAt`/`endAt` are the same times
+ * as UTC instants.
+ */
+
+/**
+ * Parse a time string into minutes after midnight
+ * @param {string} time - "09:30", "9:30 AM", "02:00 pm"
+ * @returns {number|null} Minutes after midnight, or null if unparseable
+ */
+function parseTimeToMinutes(time) {
+  if (!time || typeof time !== 'string') return null;
+
+  const match = time.trim().match(/^(\d{1,2}):(\d{2})\s*([AaPp][Mm])?$/);
+  if (!match) return null;
+
+  let hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  const meridiem = match[3] ? match[3].toUpperCase() : null;
+
+  if (minutes > 59) return null;
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    if (meridiem === 'AM' && hours === 12) hours = 0;
+    if (meridiem === 'PM' && hours !== 12) hours += 12;
+  } else if (hours > 23) {
+    return null;
+  }
+
+  return hours * 60 + minutes;
+}
+
+/**
+ * Format minutes after midnight as "HH:MM"
+ * @param {number} minutes
+ * @returns {string}
+ */
+function formatMinutes(minutes) {
+  const hours = Math.floor(minutes / 60);
+  const mins = minutes % 60;
+  return `${hours.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}`;
+}
+
+/**
+ * Start instant of a booking (date + time in the booking's timezone)
+ * @param {Object} booking - Booking with date, time and timezone
+ * @returns {Date}
+ */
+function getBookingStart(booking) {
+  const minutes = parseTimeToMinutes(booking.time);
+  if (minutes === null) {
+    return new Date(booking.date);
+  }
+  return zonedTimeToUtc(booking.date, minutes, booking.timezone || DEFAULT_TIMEZONE);
+}
+
+/**
+ * End instant of a booking (start + duration)
+ * @param {Object} booking - Booking with date, time, timezone and duration
+ * @returns {Date}
+ */
+function getBookingEnd(booking) {
+  return new Date(getBookingStart(booking).getTime() + (booking.duration || 0) * 60 * 1000);
+}
+
+/**
+ * Canonical UTC start and end of a booking
+ * @returns {Object} { startAt, endAt }
+ */
+function getBookingSchedule(booking) {
+  return { startAt: getBookingStart(booking), endAt: getBookingEnd(booking) };
+}
+
+/**
+ * Booking times for API responses, in UTC and in the provider's timezone
+ * @returns {Object} { timezone, startAt, endAt, local: { start, end } }
+ */
+function describeBookingTime(booking) {
+  const timezone = booking.timezone || DEFAULT_TIMEZONE;
+  const { startAt, endAt } = booking.startAt && booking.endAt ? booking : getBookingSchedule(booking);
+
+  return {
+    timezone,
+    startAt,
+    endAt,
+    local: {
+      start: formatInZone(startAt, timezone),
+      end: formatInZone(endAt, timezone)
+    }
+  };
+}
+
+module.exports = {
+  parseTimeToMinutes,
+  formatMinutes,
+  getBookingStart,
+  getBookingEnd,
+  getBookingSchedule,
+  describeBookingTime
+};
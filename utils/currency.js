@@ -0,0 +1,19 @@
+// utils/currency.js
+
+// ISO 4217 codes the platform accepts for wallets, services and bookings
+const SUPPORTED_CURRENCIES = (process.env.SUPPORTED_CURRENCIES || 'NGN,USD,GBP,EUR,GHS,KES,ZAR')
+  .split(',')
+  .map(code => code.trim().toUpperCase())
+  .filter(Boolean);
+
+const isSupportedCurrency = (code) => SUPPORTED_CURRENCIES.includes(code);
+
+// Amount with its currency code, e.g. "USD 1,250.00"
+const formatAmount = (amount, currency = 'NGN') =>
+  `${currency} ${Number(amount || 0).toLocaleString('en-NG', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+module.exports = {
+  SUPPORTED_CURRENCIES,
+  isSupportedCurrency,
+  formatAmount
+};
@@ -0,0 +1,115 @@
+// utils/icalendar.js
+
+/**
+ * iCalendar (RFC 5545) helpers
+ * Just enough of the format to publish VEVENTs: text escaping, line folding
+ * and UTC date-times.
+ */
+
+/**
+ * Escape a TEXT property value
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to 75 octets, continuing on lines that start with a space
+ * @param {string} line
+ * @returns {string}
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    // Continuation lines lose one octet to the leading space
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + bytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * Format a date as a UTC DATE-TIME ("20250114T093000Z")
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatDateTime(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Build a VEVENT
+ * @param {Object} event - { uid, start, end, summary, description, location, status, sequence, lastModified, url }
+ * @returns {string[]} Unfolded content lines
+ */
+function buildEvent({ uid, start, end, summary, description, location, status = 'CONFIRMED', sequence = 0, lastModified, url }) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${formatDateTime(new Date())}`,
+    `DTSTART:${formatDateTime(start)}`,
+    `DTEND:${formatDateTime(end)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    `STATUS:${status}`,
+    `SEQUENCE:${sequence}`
+  ];
+
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (location) lines.push(`LOCATION:${escapeText(location)}`);
+  if (lastModified) lines.push(`LAST-MODIFIED:${formatDateTime(lastModified)}`);
+  if (url) lines.push(`URL:${url}`);
+
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * Build a VCALENDAR document
+ * @param {Array<string[]>} events - Events from buildEvent()
+ * @param {Object} options - { name, method }
+ * @returns {string} CRLF-separated, folded iCalendar text
+ */
+function buildCalendar(events, { name, method = 'PUBLISH' } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Connectify Nigeria//Bookings//EN',
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`
+  ];
+
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  }
+
+  events.forEach(event => lines.push(...event));
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  escapeText,
+  foldLine,
+  formatDateTime,
+  buildEvent,
+  buildCalendar
+};
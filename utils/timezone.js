@@ -0,0 +1,143 @@
+// utils/timezone.js
+
+/**
+ * Timezone helpers
+ * Calendar days (Booking.date, Availability.date, time-off dates) are stored
+ * as UTC midnight of the day. Wall-clock times ("HH:MM") are in the
+ * provider's IANA timezone. The helpers below convert between the two and
+ * UTC instants using the built-in Intl API.
+ */
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Africa/Lagos';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Whether a string is an IANA timezone the runtime knows
+ * @param {string} timeZone - e.g. "Africa/Lagos"
+ */
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock parts of an instant in a timezone
+ * @returns {Object} { year, month (1-12), day, hour, minute, second }
+ */
+function getZonedParts(instant, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(new Date(instant))) {
+    if (type !== 'literal') parts[type] = parseInt(value, 10);
+  }
+  return parts;
+}
+
+/**
+ * Offset of a timezone from UTC at an instant, in minutes (e.g. 60 for UTC+1)
+ */
+function getOffsetMinutes(instant, timeZone) {
+  const time = Math.floor(new Date(instant).getTime() / 1000) * 1000;
+  const p = getZonedParts(time, timeZone);
+  return Math.round((Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - time) / 60000);
+}
+
+/**
+ * Calendar day of a date input ("YYYY-MM-DD" or a Date), as UTC midnight
+ */
+function toCalendarDate(value) {
+  const date = new Date(value);
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+/**
+ * Calendar day an instant falls on in a timezone, as UTC midnight
+ */
+function getCalendarDateInZone(instant, timeZone) {
+  const p = getZonedParts(instant, timeZone);
+  return new Date(Date.UTC(p.year, p.month - 1, p.day));
+}
+
+/**
+ * Calendar day a number of days later
+ */
+function addCalendarDays(day, days) {
+  return new Date(toCalendarDate(day).getTime() + days * DAY_MS);
+}
+
+/**
+ * UTC instant of a wall-clock time on a calendar day in a timezone
+ * Around DST changes, a time skipped by the clocks going forward moves
+ * forward by the gap, and a time repeated when they go back is its first
+ * occurrence.
+ * @param {Date} day - Calendar day (UTC midnight)
+ * @param {number} minutes - Minutes after local midnight
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date}
+ */
+function zonedTimeToUtc(day, minutes, timeZone) {
+  const local = toCalendarDate(day).getTime() + minutes * 60 * 1000;
+
+  // The offsets in force a day either side cover any DST change on this day
+  const before = getOffsetMinutes(local - DAY_MS, timeZone);
+  const after = getOffsetMinutes(local + DAY_MS, timeZone);
+
+  // An offset fits if it is the one in force at the instant it gives
+  const matches = [...new Set([before, after])]
+    .map(offset => ({ offset, instant: local - offset * 60 * 1000 }))
+    .filter(({ offset, instant }) => getOffsetMinutes(instant, timeZone) === offset)
+    .map(({ instant }) => instant);
+
+  return new Date(matches.length > 0 ? Math.min(...matches) : local - before * 60 * 1000);
+}
+
+/**
+ * Local representation of an instant
+ * @returns {Object} { date: "YYYY-MM-DD", time: "HH:MM", iso: "YYYY-MM-DDTHH:MM:SS+01:00" }
+ */
+function formatInZone(instant, timeZone) {
+  const p = getZonedParts(instant, timeZone);
+  const pad = (value) => value.toString().padStart(2, '0');
+
+  const offset = getOffsetMinutes(instant, timeZone);
+  const sign = offset < 0 ? '-' : '+';
+  const offsetText = `${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+
+  const date = `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+  const time = `${pad(p.hour)}:${pad(p.minute)}`;
+  return { date, time, iso: `${date}T${time}:${pad(p.second)}${offsetText}` };
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  getZonedParts,
+  getOffsetMinutes,
+  toCalendarDate,
+  getCalendarDateInZone,
+  addCalendarDays,
+  zonedTimeToUtc,
+  formatInZone
+};